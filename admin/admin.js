@@ -4,17 +4,77 @@ const API_BASE = window.location.hostname === 'localhost'
     ? 'http://localhost:3002/api' 
     : `${window.location.protocol}//${window.location.host}/api`;
 
+// sessionStorage key of the signed-in session (POST /auth/login)
+const SESSION_KEY = 'foodiefindSession';
+
+const PROCESSING_EVENT_TYPES = [
+    'job_queued', 'job_started', 'job_succeeded', 'job_retry', 'job_failed',
+    'step_started', 'step_completed', 'step_failed',
+    'queue_paused', 'queue_resumed'
+];
+
+const PROCESSING_STEPS = [
+    { key: 'transcript_fetched', label: 'Transcript' },
+    { key: 'ai_extracted', label: 'AI extraction' },
+    { key: 'timestamps_aligned', label: 'Timestamps' },
+    { key: 'restaurants_linked', label: 'Restaurants' },
+    { key: 'restaurants_enriched', label: 'Maps' },
+    { key: 'restaurants_embedded', label: 'Embeddings' }
+];
+
+// Text from YouTube, the AI or users, made safe to put inside HTML and
+// quoted attributes
+function escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+}
+
+// A string argument for an inline onclick handler
+function jsArg(value) {
+    return escapeHtml(JSON.stringify(String(value ?? '')));
+}
+
 class AdminPanel {
     constructor() {
+        this.eventSource = null;
+        this.jobsRefreshTimer = null;
+        this.reviewVideoId = null;
+        this.influencersCursor = null;
+        this.session = this.loadSession();
+        this.refreshing = null;
         this.init();
     }
 
     init() {
         this.setupEventListeners();
+
+        // Nothing loads until a curator or admin signs in
+        if (this.session) {
+            this.showDashboard();
+        }
+    }
+
+    showDashboard() {
+        document.getElementById('loginSection').style.display = 'none';
+        document.getElementById('dashboard').style.display = 'block';
+        document.getElementById('signedInAs').textContent =
+            `Signed in as ${this.session.user.email} (${this.session.role})`;
+
         this.loadDashboard();
+        this.subscribeToProcessingEvents();
     }
 
     setupEventListeners() {
+        // Sign in / out
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            this.logout();
+        });
+
         // Add influencer form
         document.getElementById('addInfluencerForm').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -31,10 +91,34 @@ class AdminPanel {
             this.loadInfluencers();
         });
 
+        // Next page of influencers
+        document.getElementById('moreInfluencersBtn').addEventListener('click', () => {
+            this.loadInfluencers(this.influencersCursor);
+        });
+
         // Clear logs button
         document.getElementById('clearLogsBtn').addEventListener('click', () => {
             this.clearLogs();
         });
+
+        // Refresh jobs button
+        document.getElementById('refreshJobsBtn').addEventListener('click', () => {
+            this.loadJobs();
+        });
+
+        // Review workflow
+        document.getElementById('refreshReviewBtn').addEventListener('click', () => {
+            this.loadReviewQueue();
+        });
+
+        document.getElementById('addMissingForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addMissingRestaurant();
+        });
+
+        document.getElementById('completeReviewBtn').addEventListener('click', () => {
+            this.completeReview();
+        });
     }
 
     // Utility methods
@@ -62,19 +146,111 @@ class AdminPanel {
         document.getElementById('logArea').textContent = 'Logs cleared...\n';
     }
 
+    // Session methods
+    loadSession() {
+        try {
+            return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        } catch {
+            return null;
+        }
+    }
+
+    saveSession(session) {
+        this.session = session;
+        if (session) {
+            sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        } else {
+            sessionStorage.removeItem(SESSION_KEY);
+        }
+    }
+
+    async login() {
+        const email = document.getElementById('loginEmail').value.trim();
+        const password = document.getElementById('loginPassword').value;
+
+        try {
+            const session = await this.apiRequest('/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({ email, password }),
+                quiet: true
+            });
+
+            if (session.role === 'viewer') {
+                this.showStatus('loginStatus', 'This account has neither the curator nor the admin role', 'error');
+                return;
+            }
+
+            document.getElementById('loginPassword').value = '';
+            this.saveSession(session);
+            this.showDashboard();
+        } catch (error) {
+            this.showStatus('loginStatus', `Error: ${error.message}`, 'error');
+        }
+    }
+
+    logout(message) {
+        this.saveSession(null);
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+
+        document.getElementById('dashboard').style.display = 'none';
+        document.getElementById('loginSection').style.display = 'block';
+        if (message) this.showStatus('loginStatus', message, 'error');
+    }
+
+    // Swap the refresh token for a new access token; concurrent callers share one refresh
+    refreshSession() {
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                const response = await fetch(`${API_BASE}/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refresh_token: this.session.refresh_token })
+                });
+
+                if (!response.ok) {
+                    this.logout('Session expired, sign in again');
+                    throw new Error('Session expired, sign in again');
+                }
+
+                this.saveSession(await response.json());
+                // The event stream keeps the token it was opened with
+                this.subscribeToProcessingEvents();
+            })().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
     // API methods
     async apiRequest(endpoint, options = {}) {
+        // quiet: skip request logging (used for polling)
+        const { quiet, ...fetchOptions } = options;
+
         try {
-            this.log(`🌐 Making API request to: ${API_BASE}${endpoint}`);
+            if (!quiet) this.log(`🌐 Making API request to: ${API_BASE}${endpoint}`);
+
+            // Refresh a minute before the access token expires
+            if (this.session && this.session.expires_at * 1000 - Date.now() < 60000) {
+                await this.refreshSession();
+            }
             
             const response = await fetch(`${API_BASE}${endpoint}`, {
+                ...fetchOptions,
                 headers: {
                     'Content-Type': 'application/json',
-                    ...options.headers
-                },
-                ...options
+                    ...(this.session && { Authorization: `Bearer ${this.session.access_token}` }),
+                    ...fetchOptions.headers
+                }
             });
 
+            if (response.status === 401 && this.session) {
+                this.logout('Session expired, sign in again');
+            }
+
             if (!response.ok) {
                 const errorText = await response.text();
                 let errorData;
@@ -83,11 +259,13 @@ class AdminPanel {
                 } catch {
                     errorData = { error: errorText };
                 }
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.status}:`);
+                const requestError = new Error(errorData.error || `HTTP ${response.status}: ${response.status}:`);
+                requestError.status = response.status;
+                throw requestError;
             }
 
             const data = await response.json();
-            this.log(`✅ API request successful`);
+            if (!quiet) this.log(`✅ API request successful`);
             return data;
             
         } catch (error) {
@@ -160,30 +338,31 @@ class AdminPanel {
         const limit = parseInt(document.getElementById('batchLimit').value);
         
         try {
-            this.showStatus('bulkProcessStatus', 'Processing videos...', 'loading');
-            this.log(`🚀 Starting bulk processing of ${limit} videos...`);
+            this.showStatus('bulkProcessStatus', 'Queueing videos...', 'loading');
+            this.log(`🚀 Queueing up to ${limit} videos for processing...`);
 
             const result = await this.apiRequest('/processing/videos/batch', {
                 method: 'POST',
                 body: JSON.stringify({ limit })
             });
 
-            this.log(`✅ Processing completed:`);
-            this.log(`   - Processed: ${result.processed} videos`);
-            this.log(`   - Failed: ${result.failed} videos`);
+            if (!result.batch_id) {
+                this.log(`ℹ️ ${result.message}`);
+                this.showStatus('bulkProcessStatus', result.suggestion || result.message, 'success');
+                return;
+            }
 
-            if (result.errors && result.errors.length > 0) {
-                this.log(`❌ Errors encountered:`);
-                result.errors.forEach(error => {
-                    this.log(`   - ${error.videoId}: ${error.error}`);
-                });
+            this.log(`📥 Batch ${result.batch_id} queued:`);
+            this.log(`   - Queued: ${result.queued} videos`);
+            if (result.already_queued > 0) {
+                this.log(`   - Already in queue: ${result.already_queued} videos`);
             }
 
             this.showStatus('bulkProcessStatus', 
-                `Processed ${result.processed} videos successfully! ${result.failed} failed.`, 
-                result.failed === 0 ? 'success' : 'error');
+                `Queued ${result.queued} videos. Processing continues in the background.`, 
+                'success');
 
-            this.loadStats();
+            this.loadJobs();
 
         } catch (error) {
             this.log(`❌ Bulk processing error: ${error.message}`);
@@ -195,25 +374,266 @@ class AdminPanel {
     async loadDashboard() {
         this.loadInfluencers();
         this.loadStats();
+        this.loadJobs();
+        this.loadReviewQueue();
         this.log('Admin panel loaded successfully');
     }
 
-    // Load influencers list
-    async loadInfluencers() {
+    // Live processing events from the backend (Server-Sent Events)
+    subscribeToProcessingEvents() {
+        if (this.eventSource) this.eventSource.close();
+
+        // EventSource cannot send headers, so the token goes in the URL
+        this.eventSource = new EventSource(
+            `${API_BASE}/processing/events?access_token=${encodeURIComponent(this.session.access_token)}`
+        );
+
+        this.eventSource.onopen = () => {
+            this.log('📡 Connected to live processing events');
+        };
+
+        this.eventSource.onerror = () => {
+            // EventSource reconnects on its own and replays missed events
+            if (this.eventSource.readyState === EventSource.CONNECTING) {
+                this.log('⚠️ Lost connection to processing events, reconnecting...');
+            } else if (this.eventSource.readyState === EventSource.CLOSED && this.session) {
+                if (this.session.expires_at * 1000 - Date.now() < 60000) {
+                    this.refreshSession().catch(() => {});
+                } else {
+                    this.log('⚠️ Processing events refused (they need the admin role)');
+                }
+            }
+        };
+
+        PROCESSING_EVENT_TYPES.forEach(type => {
+            this.eventSource.addEventListener(type, (e) => {
+                this.handleProcessingEvent(JSON.parse(e.data));
+            });
+        });
+    }
+
+    handleProcessingEvent(event) {
+        // Queue and step-start events are too chatty for the log box
+        const quietTypes = ['job_queued', 'step_started'];
+        if (event.message && !quietTypes.includes(event.type)) {
+            this.log(event.message);
+        }
+
+        this.scheduleJobsRefresh();
+
+        if (event.type === 'job_succeeded' || event.type === 'job_failed') {
+            this.loadStats();
+        }
+    }
+
+    // Refresh the jobs list at most once per second while events stream in
+    scheduleJobsRefresh() {
+        if (this.jobsRefreshTimer) return;
+        this.jobsRefreshTimer = setTimeout(() => {
+            this.jobsRefreshTimer = null;
+            this.loadJobs();
+        }, 1000);
+    }
+
+    async loadJobs() {
+        try {
+            const { counts, results } = await this.apiRequest('/processing/jobs?limit=20', { quiet: true });
+            this.renderJobs(counts, results);
+        } catch (error) {
+            this.log(`❌ Error loading jobs: ${error.message}`);
+        }
+    }
+
+    renderJobs(counts, jobs) {
+        document.getElementById('jobCounts').textContent =
+            `Queued: ${counts.queued} | Running: ${counts.running} | Succeeded: ${counts.succeeded} | Failed: ${counts.failed}`;
+
+        const container = document.getElementById('jobsList');
+        if (jobs.length === 0) {
+            container.innerHTML = '<p>No processing jobs yet.</p>';
+            return;
+        }
+
+        container.innerHTML = jobs.map(job => {
+            const steps = job.progress?.steps || {};
+            // Maps enrichment jobs only run the last step
+            const jobSteps = job.job_type === 'enrich_restaurants'
+                ? PROCESSING_STEPS.filter(step => step.key === 'restaurants_enriched')
+                : PROCESSING_STEPS;
+            const stepBadges = jobSteps.map(step => {
+                const stepState = steps[step.key] || { status: 'pending' };
+                const detail = stepState.detail || {};
+                let runningProgress = '';
+                if (stepState.status === 'running' && detail.chunks) runningProgress = ` (${detail.chunks_done}/${detail.chunks})`;
+                if (stepState.status === 'running' && detail.total) runningProgress = ` (${detail.done}/${detail.total})`;
+                const timing = stepState.duration_ms ? ` (${(stepState.duration_ms / 1000).toFixed(1)}s)` : runningProgress;
+                return `<span class="step step-${escapeHtml(stepState.status)}" title="${escapeHtml(stepState.error)}">${step.label}${timing}</span>`;
+            }).join('');
+
+            return `
+                <div class="job-row">
+                    <div><strong>${escapeHtml(job.video?.title || job.video_id || `Maps enrichment of ${job.payload?.restaurant_ids?.length || 0} restaurants`)}</strong></div>
+                    <div class="job-meta">
+                        ${escapeHtml(job.status)} · attempt ${job.attempts}/${job.max_attempts}
+                        ${job.duration_ms ? ` · ${(job.duration_ms / 1000).toFixed(1)}s` : ''}
+                        ${job.last_error ? ` · ${escapeHtml(job.last_error)}` : ''}
+                    </div>
+                    <div>${stepBadges}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Review workflow: confirm/reject extracted recommendations, add missing ones
+    async loadReviewQueue() {
+        try {
+            const [videos, stats] = await Promise.all([
+                this.apiRequest('/review/videos?limit=20', { quiet: true }),
+                this.apiRequest('/review/stats', { quiet: true })
+            ]);
+
+            document.getElementById('reviewStats').textContent = stats.length === 0
+                ? 'No labels yet.'
+                : stats.map(stat => {
+                    const precision = stat.precision === null ? 'n/a' : `${Math.round(stat.precision * 100)}%`;
+                    const recall = stat.recall === null ? 'n/a' : `${Math.round(stat.recall * 100)}%`;
+                    return `Prompt ${stat.prompt_version}: precision ${precision}, recall ${recall} (${stat.reviewed_videos} reviewed videos)`;
+                }).join(' | ');
+
+            const container = document.getElementById('reviewQueue');
+            if (videos.length === 0) {
+                container.innerHTML = '<p>Nothing to review.</p>';
+                return;
+            }
+
+            container.innerHTML = videos.map(video => `
+                <div class="review-row">
+                    <div>
+                        <strong>${escapeHtml(video.title)}</strong>
+                        <div class="job-meta">
+                            ${escapeHtml(video.influencer?.channel_name)} · ${video.recommendations} recommendations · ${video.pending} pending
+                        </div>
+                    </div>
+                    <button class="btn" onclick="adminPanel.openReview(${jsArg(video.video_id)})">Review</button>
+                </div>
+            `).join('');
+        } catch (error) {
+            this.log(`❌ Error loading review queue: ${error.message}`);
+        }
+    }
+
+    async openReview(videoId) {
+        try {
+            const { video, recommendations } = await this.apiRequest(`/review/videos/${videoId}`, { quiet: true });
+            this.reviewVideoId = video.video_id;
+
+            document.getElementById('reviewVideo').style.display = 'block';
+            document.getElementById('reviewVideoTitle').textContent = video.title;
+
+            const container = document.getElementById('reviewRecommendations');
+            if (recommendations.length === 0) {
+                container.innerHTML = '<p>The AI found no restaurants in this video.</p>';
+                return;
+            }
+
+            container.innerHTML = recommendations.map(rec => {
+                const timestamp = rec.mentioned_at_timestamp !== null
+                    ? ` · ${Math.floor(rec.mentioned_at_timestamp / 60)}:${String(rec.mentioned_at_timestamp % 60).padStart(2, '0')}`
+                    : '';
+                const origin = rec.label?.label === 'missing' ? 'added by reviewer' : `prompt ${rec.prompt_version || 'unknown'}`;
+
+                return `
+                    <div class="review-row">
+                        <div class="${rec.review_status === 'rejected' ? 'review-rejected' : ''}">
+                            <strong>${escapeHtml(rec.restaurant?.name)}</strong> ${rec.restaurant?.city ? `(${escapeHtml(rec.restaurant.city)})` : ''}
+                            <div class="job-meta">
+                                ${escapeHtml(rec.review_status)} · ${escapeHtml(origin)} · confidence ${escapeHtml(rec.confidence_score)}${timestamp}
+                                ${rec.dish_mentioned ? ` · ${escapeHtml(rec.dish_mentioned)}` : ''}
+                            </div>
+                        </div>
+                        <div style="white-space: nowrap;">
+                            <button class="btn btn-success" onclick="adminPanel.reviewRecommendation(${jsArg(rec.id)}, 'confirmed')">✓ Correct</button>
+                            <button class="btn btn-danger" onclick="adminPanel.reviewRecommendation(${jsArg(rec.id)}, 'rejected')">✗ Wrong</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            this.log(`❌ Error loading review for ${videoId}: ${error.message}`);
+        }
+    }
+
+    async reviewRecommendation(recommendationId, status) {
+        try {
+            await this.apiRequest(`/review/recommendations/${recommendationId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ status })
+            });
+            this.openReview(this.reviewVideoId);
+        } catch (error) {
+            this.showStatus('reviewStatus', `Error: ${error.message}`, 'error');
+        }
+    }
+
+    async addMissingRestaurant() {
+        const name = document.getElementById('missingName').value.trim();
+        const location = document.getElementById('missingLocation').value.trim();
+
+        try {
+            await this.apiRequest(`/review/videos/${this.reviewVideoId}/recommendations`, {
+                method: 'POST',
+                body: JSON.stringify({ name, location: location || null })
+            });
+            this.log(`➕ Added ${name} as a missed restaurant`);
+            document.getElementById('missingName').value = '';
+            document.getElementById('missingLocation').value = '';
+            this.openReview(this.reviewVideoId);
+        } catch (error) {
+            this.showStatus('reviewStatus', `Error: ${error.message}`, 'error');
+        }
+    }
+
+    async completeReview() {
         try {
-            const influencers = await this.apiRequest('/influencers');
+            await this.apiRequest(`/review/videos/${this.reviewVideoId}/complete`, { method: 'POST' });
+            this.showStatus('reviewStatus', 'Video marked as reviewed', 'success');
+            document.getElementById('reviewVideo').style.display = 'none';
+            this.reviewVideoId = null;
+            this.loadReviewQueue();
+        } catch (error) {
+            this.showStatus('reviewStatus', `Error: ${error.message}`, 'error');
+        }
+    }
+
+    // Load influencers list, a page at a time; a cursor appends the next page
+    async loadInfluencers(cursor = null) {
+        try {
+            const page = await this.apiRequest(`/influencers?limit=100${cursor ? `&cursor=${cursor}` : ''}`);
+            const influencers = page.results;
             const container = document.getElementById('influencersList');
-            
-            if (influencers.length === 0) {
+
+            this.influencersCursor = page.next_cursor;
+            document.getElementById('moreInfluencersBtn').style.display = page.next_cursor ? '' : 'none';
+
+            if (!cursor && influencers.length === 0) {
                 container.innerHTML = '<p>No influencers found. Add some using the form above!</p>';
                 return;
             }
 
-            container.innerHTML = influencers.map(influencer => `
+            const cards = influencers.map(influencer => `
                 <div class="influencer-card">
-                    <h3>${influencer.channel_name}</h3>
+                    <h3>${escapeHtml(influencer.channel_name)}</h3>
                     <p><strong>Subscribers:</strong> ${(influencer.subscriber_count || 0).toLocaleString()}</p>
-                    <p><strong>Channel ID:</strong> ${influencer.channel_id}</p>
+                    <p><strong>Channel ID:</strong> ${escapeHtml(influencer.channel_id)}</p>
+                    <p><strong>Last synced:</strong> ${influencer.last_synced_at ? new Date(influencer.last_synced_at).toLocaleString() : 'never'}${influencer.last_sync_error ? ` ⚠️ ${escapeHtml(influencer.last_sync_error)}` : ''}</p>
+                    <p>
+                        <strong>Sync schedule:</strong>
+                        <select onchange="adminPanel.setSyncSchedule(${jsArg(influencer.id)}, ${jsArg(influencer.channel_name)}, this.value)">
+                            ${['daily', 'weekly', 'paused'].map(schedule => `
+                                <option value="${schedule}" ${influencer.sync_schedule === schedule ? 'selected' : ''}>${schedule}</option>
+                            `).join('')}
+                        </select>
+                    </p>
                     
                     <div class="stats">
                         <div class="stat">
@@ -227,11 +647,15 @@ class AdminPanel {
                     </div>
                     
                     <div style="margin-top: 15px;">
-                        <button class="btn" onclick="adminPanel.syncVideos('${influencer.id}', '${influencer.channel_name}')" 
+                        <button class="btn" onclick="adminPanel.syncVideos(${jsArg(influencer.id)}, ${jsArg(influencer.channel_name)})" 
                                 style="margin-right: 10px; font-size: 14px; padding: 8px 16px;">
                             🔄 Sync Videos
                         </button>
-                        <button class="btn btn-success" onclick="adminPanel.processInfluencerVideos('${influencer.id}', '${influencer.channel_name}')" 
+                        <button class="btn" onclick="adminPanel.backfillVideos(${jsArg(influencer.id)}, ${jsArg(influencer.channel_name)})" 
+                                style="margin-right: 10px; font-size: 14px; padding: 8px 16px;">
+                            📚 Backfill
+                        </button>
+                        <button class="btn btn-success" onclick="adminPanel.processInfluencerVideos(${jsArg(influencer.id)}, ${jsArg(influencer.channel_name)})" 
                                 style="font-size: 14px; padding: 8px 16px;">
                             🤖 Process Videos
                         </button>
@@ -239,6 +663,12 @@ class AdminPanel {
                 </div>
             `).join('');
 
+            if (cursor) {
+                container.insertAdjacentHTML('beforeend', cards);
+            } else {
+                container.innerHTML = cards;
+            }
+
         } catch (error) {
             this.log(`❌ Error loading influencers: ${error.message}`);
         }
@@ -270,14 +700,58 @@ class AdminPanel {
         }
     }
 
+    // Change how often the scheduler syncs an influencer
+    async setSyncSchedule(influencerId, channelName, schedule) {
+        try {
+            const influencer = await this.apiRequest(`/influencers/${influencerId}/sync-schedule`, {
+                method: 'PUT',
+                body: JSON.stringify({ schedule })
+            });
+
+            this.log(schedule === 'paused'
+                ? `⏸️ ${channelName}: Scheduled sync paused`
+                : `🗓️ ${channelName}: Syncing ${schedule}, next at ${new Date(influencer.next_sync_at).toLocaleString()}`);
+
+        } catch (error) {
+            this.log(`❌ Error changing sync schedule for ${channelName}: ${error.message}`);
+            this.loadInfluencers();
+        }
+    }
+
+    // Sync the next pages of an influencer's back catalog
+    async backfillVideos(influencerId, channelName) {
+        try {
+            this.log(`📚 Backfilling videos for ${channelName}...`);
+
+            const result = await this.apiRequest(`/influencers/${influencerId}/sync-videos`, {
+                method: 'POST',
+                body: JSON.stringify({ backfill: true })
+            });
+
+            this.log(`✅ ${channelName}: Synced ${result.synced} new videos from ${result.scanned} uploads, skipped ${result.skipped} existing`);
+            this.log(`   ${result.complete ? '🏁' : '⏸️'} ${result.message}`);
+
+            this.loadInfluencers();
+            this.loadStats();
+
+        } catch (error) {
+            this.log(`❌ Error backfilling videos for ${channelName}: ${error.message}`);
+        }
+    }
+
     // Process videos for specific influencer
     async processInfluencerVideos(influencerId, channelName) {
         try {
             this.log(`🤖 Processing videos for ${channelName}...`);
             
-            // Get unprocessed videos for this influencer first
-            const videos = await this.apiRequest(`/influencers/${influencerId}/videos`);
-            const unprocessedVideos = videos.filter(video => !video.processed);
+            // Get unprocessed videos for this influencer first, page by page
+            const unprocessedVideos = [];
+            let cursor = null;
+            do {
+                const page = await this.apiRequest(`/influencers/${influencerId}/videos?processed=false&limit=100${cursor ? `&cursor=${cursor}` : ''}`);
+                unprocessedVideos.push(...page.results);
+                cursor = page.next_cursor;
+            } while (cursor);
 
             if (unprocessedVideos.length === 0) {
                 this.log(`ℹ️ ${channelName}: No unprocessed videos found`);
@@ -286,29 +760,32 @@ class AdminPanel {
 
             this.log(`📝 Found ${unprocessedVideos.length} unprocessed videos for ${channelName}`);
 
-            // Process each video
-            let processed = 0;
+            // Queue each video; the background worker does the processing
+            let queued = 0;
             let failed = 0;
 
-            for (const video of unprocessedVideos.slice(0, 5)) { // Limit to 5 videos at a time
+            for (const video of unprocessedVideos) {
                 try {
-                    this.log(`   Processing: ${video.title.substring(0, 50)}...`);
-                    
-                    await this.apiRequest(`/processing/video/${video.video_id}`, {
+                    const result = await this.apiRequest(`/processing/video/${video.video_id}`, {
                         method: 'POST'
                     });
                     
-                    processed++;
-                    this.log(`   ✅ Successfully processed video`);
+                    queued++;
+                    this.log(`   📥 ${result.message}: ${video.title.substring(0, 50)}...`);
                     
                 } catch (videoError) {
+                    // Rate limited or out of budget: the rest would be refused too
+                    if (videoError.status === 429) {
+                        this.log(`   ⏸️ Stopped queueing: ${videoError.message}`);
+                        break;
+                    }
                     failed++;
-                    this.log(`   ❌ Failed to process video: ${videoError.message}`);
+                    this.log(`   ❌ Failed to queue video: ${videoError.message}`);
                 }
             }
 
-            this.log(`✅ ${channelName}: Processed ${processed} videos, ${failed} failed`);
-            this.loadStats();
+            this.log(`✅ ${channelName}: Queued ${queued} videos, ${failed} failed`);
+            this.loadJobs();
 
         } catch (error) {
             this.log(`❌ Error processing videos for ${channelName}: ${error.message}`);
@@ -318,23 +795,24 @@ class AdminPanel {
     // Load database stats
     async loadStats() {
         try {
-            // Get stats from different endpoints
+            // Get stats from different endpoints; list totals come with the first page
             const [influencers, restaurants] = await Promise.all([
-                this.apiRequest('/influencers'),
-                this.apiRequest('/restaurants')
+                this.apiRequest('/influencers?limit=1'),
+                this.apiRequest('/restaurants?limit=1')
             ]);
 
             // Get processing status
             const processingStatus = await this.apiRequest('/processing/status');
 
-            document.getElementById('totalInfluencers').textContent = influencers.length;
+            document.getElementById('totalInfluencers').textContent = influencers.total;
             document.getElementById('totalVideos').textContent = processingStatus.total || 0;
-            document.getElementById('totalRestaurants').textContent = restaurants.length;
-            
-            // Calculate total recommendations
-            const totalRecommendations = restaurants.reduce((sum, restaurant) => 
-                sum + (restaurant.recommendation_count || 0), 0);
-            document.getElementById('totalRecommendations').textContent = totalRecommendations;
+            document.getElementById('totalRestaurants').textContent = restaurants.total;
+            document.getElementById('totalRecommendations').textContent = processingStatus.recommendations || 0;
+
+            const { usage } = processingStatus;
+            document.getElementById('spendToday').textContent = usage.budget_usd
+                ? `$${usage.spent_usd.toFixed(2)} / $${usage.budget_usd.toFixed(2)}`
+                : `$${usage.spent_usd.toFixed(2)}`;
 
         } catch (error) {
             this.log(`❌ Error loading stats: ${error.message}`);
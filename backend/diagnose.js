@@ -1,6 +1,9 @@
 // Quick diagnostic script for bulk processing issues
 require('dotenv').config();
 
+// /debug and /processing need an admin API key (one of API_KEYS on the server)
+const API_HEADERS = process.env.FOODIEFIND_API_KEY ? { 'X-API-Key': process.env.FOODIEFIND_API_KEY } : {};
+
 async function diagnose() {
     console.log('🔧 FoodieFind Bulk Processing Diagnostic');
     console.log('==========================================\n');
@@ -21,7 +24,7 @@ async function diagnose() {
         console.log('2️⃣ Testing debug endpoints...');
         
         // Test videos status
-        const videosStatus = await fetch('http://localhost:3002/api/debug/videos-status');
+        const videosStatus = await fetch('http://localhost:3002/api/debug/videos-status', { headers: API_HEADERS });
         if (videosStatus.ok) {
             const data = await videosStatus.json();
             console.log(`✅ Database connected`);
@@ -56,7 +59,7 @@ async function diagnose() {
         console.log('3️⃣ Testing unprocessed videos query...');
         
         // Test unprocessed videos
-        const unprocessedTest = await fetch('http://localhost:3002/api/debug/unprocessed-videos?limit=5');
+        const unprocessedTest = await fetch('http://localhost:3002/api/debug/unprocessed-videos?limit=5', { headers: API_HEADERS });
         if (unprocessedTest.ok) {
             const data = await unprocessedTest.json();
             console.log(`✅ Unprocessed videos query works`);
@@ -93,7 +96,7 @@ async function diagnose() {
         // Test bulk processing (dry run with limit 1)
         const bulkTest = await fetch('http://localhost:3002/api/processing/videos/batch', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...API_HEADERS },
             body: JSON.stringify({ limit: 1 })
         });
 
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'curator', 'admin'];
+
+let authClient = null;
+
+// Anon-key client for signing in and checking user tokens, created on first
+// use. It is shared by every request, so it must not keep a session.
+function getAuthClient() {
+  if (!authClient) {
+    authClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+      auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+    });
+  }
+  return authClient;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API_KEYS=admin:key1,curator:key2 -> Map of key hash -> role
+function parseApiKeys(value) {
+  const keys = new Map();
+
+  (value || '').split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    const role = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+
+    if (separator > 0 && key && ROLES.includes(role)) {
+      keys.set(hashKey(key), role);
+    } else if (entry.trim()) {
+      console.warn(`⚠️ Ignoring an API_KEYS entry: expected role:key with a role of ${ROLES.join(', ')}`);
+    }
+  });
+
+  return keys;
+}
+
+const apiKeys = parseApiKeys(process.env.API_KEYS);
+
+// The role in a Supabase user's app_metadata (set by an admin, not the user)
+function roleOf(user) {
+  const role = user.app_metadata?.role;
+  return ROLES.includes(role) ? role : 'viewer';
+}
+
+function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+// Bearer token, or ?access_token= for EventSource, which cannot send headers
+function getToken(req) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) return header.slice(7);
+
+  const wantsEventStream = req.method === 'GET' && (req.headers.accept || '').includes('text/event-stream');
+  return wantsEventStream && req.query.access_token ? String(req.query.access_token) : null;
+}
+
+/**
+ * Who is calling: a Supabase user from a Bearer token (role from
+ * app_metadata.role, viewer by default) or an API key from X-API-Key
+ * @param {Object} req - Express request
+ * @returns {Object} { user, role, via } (user is null for API keys, which
+ *   have a keyId instead: the start of the key's hash), or
+ *   { error } with a message when credentials were sent but are invalid,
+ *   or null when none were sent
+ */
+async function identify(req) {
+  if (req.auth !== undefined) return req.auth;
+
+  const apiKey = req.headers['x-api-key'];
+  const token = getToken(req);
+
+  if (apiKey) {
+    const hash = hashKey(String(apiKey));
+    const role = apiKeys.get(hash);
+    req.auth = role ? { user: null, role, via: 'api_key', keyId: hash.slice(0, 16) } : { error: 'Invalid API key' };
+  } else if (token) {
+    const { data, error } = await getAuthClient().auth.getUser(token);
+    req.auth = error || !data.user
+      ? { error: 'Invalid token' }
+      : { user: data.user, role: roleOf(data.user), via: 'token' };
+  } else {
+    req.auth = null;
+  }
+
+  return req.auth;
+}
+
+/**
+ * Middleware allowing callers with at least the given role. Sets req.auth,
+ * and req.user for Supabase users.
+ * @param {string} requiredRole - viewer, curator or admin
+ */
+function requireRole(requiredRole) {
+  if (!ROLES.includes(requiredRole)) {
+    throw new Error(`Unknown role: ${requiredRole}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const auth = await identify(req);
+
+      if (!auth) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (auth.error) {
+        return res.status(401).json({ error: auth.error });
+      }
+      if (!hasRole(auth.role, requiredRole)) {
+        return res.status(403).json({ error: `Requires the ${requiredRole} role` });
+      }
+
+      req.user = auth.user;
+      next();
+    } catch (error) {
+      console.error('Auth error:', error);
+      res.status(401).json({ error: 'Authentication failed' });
+    }
+  };
+}
+
+// Middleware for routes that act as the signed-in Supabase user (any role)
+async function authenticateUser(req, res, next) {
+  try {
+    const token = getToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const auth = await identify(req);
+    if (!auth || auth.error || !auth.user) {
+      return res.status(401).json({ error: auth?.error || 'Invalid token' });
+    }
+
+    req.user = auth.user;
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+}
+
+module.exports = {
+  ROLES,
+  getAuthClient,
+  identify,
+  requireRole,
+  authenticateUser,
+  roleOf
+};
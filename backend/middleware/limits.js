@@ -0,0 +1,131 @@
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const { identify } = require('./auth');
+const UsageLedgerService = require('../services/usageLedgerService');
+
+// Requests allowed per window for each limiter, overridable with
+// RATE_LIMIT_<NAME>_REQUESTS and RATE_LIMIT_<NAME>_WINDOW_SECONDS
+const RATE_LIMITS = {
+  public: { requests: 300, windowSeconds: 60 },
+  processing: { requests: 120, windowSeconds: 600 }
+};
+
+const limiters = {};
+
+function getLimiter(name) {
+  if (!limiters[name]) {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}_`;
+    limiters[name] = new RateLimiterMemory({
+      keyPrefix: name,
+      points: parseInt(process.env[`${prefix}REQUESTS`]) || RATE_LIMITS[name].requests,
+      duration: parseInt(process.env[`${prefix}WINDOW_SECONDS`]) || RATE_LIMITS[name].windowSeconds
+    });
+  }
+  return limiters[name];
+}
+
+// Valid API keys and signed-in users are limited on their own, everyone else
+// by IP. Tokens are only checked where a route already did (req.auth), so
+// public reads don't wait on Supabase.
+async function clientKey(req) {
+  const auth = req.auth !== undefined || req.headers['x-api-key'] ? await identify(req) : null;
+
+  if (auth?.via === 'api_key') return `key:${auth.keyId}`;
+  if (auth?.user) return `user:${auth.user.id}`;
+  return `ip:${req.ip}`;
+}
+
+function setRateLimitHeaders(res, limiter, result) {
+  res.set({
+    'RateLimit-Limit': limiter.points,
+    'RateLimit-Remaining': Math.max(result.remainingPoints, 0),
+    'RateLimit-Reset': Math.ceil(result.msBeforeNext / 1000)
+  });
+}
+
+/**
+ * Middleware limiting each client to the named limiter's requests per window.
+ * Over the limit answers 429 with Retry-After. Off with RATE_LIMIT_ENABLED=false.
+ * Counts are kept in memory, per server process.
+ * @param {string} name - public or processing
+ * @param {Object} options - { methods } to only count these HTTP methods
+ */
+function rateLimit(name, options = {}) {
+  if (!RATE_LIMITS[name]) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') return next();
+    if (options.methods && !options.methods.includes(req.method)) return next();
+
+    const limiter = getLimiter(name);
+    let result;
+
+    try {
+      result = await limiter.consume(await clientKey(req));
+    } catch (rejection) {
+      if (rejection instanceof Error) {
+        console.error('Rate limiter error:', rejection);
+        return next();
+      }
+
+      const retryAfter = Math.ceil(rejection.msBeforeNext / 1000);
+      setRateLimitHeaders(res, limiter, rejection);
+      res.set('Retry-After', retryAfter);
+      return res.status(429).json({
+        error: `Too many requests, try again in ${retryAfter} seconds`,
+        code: 'RATE_LIMITED'
+      });
+    }
+
+    setRateLimitHeaders(res, limiter, result);
+    next();
+  };
+}
+
+/**
+ * Middleware turning requests away with 429 while the daily cost budget
+ * (DAILY_COST_BUDGET_USD) is spent, for routes that start paid AI or Maps work
+ * @param {Object} usageLedger - UsageLedgerService
+ */
+function requireBudget(usageLedger) {
+  return async (req, res, next) => {
+    try {
+      const exhausted = await usageLedger.checkBudget();
+
+      if (exhausted) {
+        res.set('Retry-After', Math.ceil((new Date(exhausted.resets_at) - Date.now()) / 1000));
+        return res.status(429).json({
+          error: UsageLedgerService.budgetMessage(exhausted),
+          code: 'BUDGET_EXHAUSTED',
+          usage: exhausted
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error checking cost budget:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Answer 429 for work the YouTube Data API quota has no room for, with
+ * Retry-After set to the quota reset
+ * @param {Object} res - Express response
+ * @param {string} message - What was refused or deferred
+ * @param {Object} usage - Daily usage from YouTubeQuotaService
+ * @param {string} code - YOUTUBE_QUOTA_EXCEEDED (used up) or YOUTUBE_QUOTA_LOW (deferred to keep the reserve)
+ */
+function sendQuotaExceeded(res, message, usage, code = 'YOUTUBE_QUOTA_EXCEEDED') {
+  res.set('Retry-After', Math.max(Math.ceil((new Date(usage.resets_at) - Date.now()) / 1000), 0));
+  return res.status(429).json({ error: message, code, quota: usage });
+}
+
+module.exports = {
+  RATE_LIMITS,
+  rateLimit,
+  requireBudget,
+  sendQuotaExceeded
+};
@@ -0,0 +1,29 @@
+// Versioned restaurant extraction prompts. Add a new file instead of editing
+// an existing version, so stored recommendations can be traced back to the
+// prompt that produced them (restaurant_recommendations.prompt_version).
+
+const EXTRACTION_PROMPTS = {
+  v1: require('./v1'),
+  v2: require('./v2')
+};
+
+const DEFAULT_EXTRACTION_PROMPT_VERSION = 'v1';
+
+/**
+ * Get an extraction prompt template
+ * @param {string} version - Prompt version; defaults to EXTRACTION_PROMPT_VERSION or v1
+ * @returns {Object} { version, description, system, createPrompt(transcript, videoTitle, chunk) }
+ */
+function getExtractionPrompt(version = process.env.EXTRACTION_PROMPT_VERSION || DEFAULT_EXTRACTION_PROMPT_VERSION) {
+  const prompt = EXTRACTION_PROMPTS[version];
+  if (!prompt) {
+    throw new Error(`Unknown extraction prompt version "${version}" (available: ${Object.keys(EXTRACTION_PROMPTS).join(', ')})`);
+  }
+  return prompt;
+}
+
+module.exports = {
+  EXTRACTION_PROMPTS,
+  DEFAULT_EXTRACTION_PROMPT_VERSION,
+  getExtractionPrompt
+};
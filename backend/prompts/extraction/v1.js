@@ -0,0 +1,64 @@
+// v1: the original extraction prompt
+
+const system = `You are an expert at extracting restaurant recommendations from food influencer video transcripts.
+            Extract restaurant names, locations, cuisine types, and specific dishes mentioned.
+            Be precise and only include restaurants that are clearly recommended or positively mentioned.
+            Return results in valid JSON format only.`;
+
+/**
+ * @param {string} transcript - Video transcript
+ * @param {string} videoTitle - Video title
+ * @param {Object} chunk - Optional { index, total } for one part of a long transcript
+ * @returns {string} User prompt
+ */
+function createPrompt(transcript, videoTitle, chunk = null) {
+  const chunkNote = chunk
+    ? `\nThis is part ${chunk.index + 1} of ${chunk.total} of the transcript; parts overlap slightly. Only extract restaurants discussed in this part.\n`
+    : '';
+
+  return `
+Please analyze this food video transcript and extract restaurant recommendations.
+
+Video Title: "${videoTitle}"
+${chunkNote}
+Transcript: "${transcript}"
+
+Extract and return a JSON object with the following structure:
+{
+  "restaurants": [
+    {
+      "name": "Restaurant Name",
+      "location": "City, State/Country (if mentioned)",
+      "address": "Full address if mentioned",
+      "cuisineType": "Type of cuisine",
+      "dishMentioned": "Specific dish or food item mentioned",
+      "context": "Brief quote or context about why it's recommended",
+      "confidenceScore": 0.9,
+      "priceRange": "$$ (if mentioned or can be inferred)",
+      "mentionedAt": 450
+    }
+  ]
+}
+
+Guidelines:
+1. Only include restaurants that are clearly recommended or spoken about positively
+2. Don't include restaurants that are just mentioned in passing without recommendation
+3. Extract specific dishes or menu items mentioned
+4. Include location details if mentioned (city, neighborhood, address)
+5. Set confidence score between 0.6-1.0 based on how clearly the restaurant is recommended
+6. Price range: $, $$, $$$, $$$$ (if mentioned or can be inferred from context)
+7. For mentionedAt: If transcript lines start with [mm:ss] timestamps, return the time in seconds of the line where the restaurant is first mentioned. If no timestamps, return null.
+8. If no restaurants are recommended, return: {"restaurants": []}
+9. Be conservative - better to miss a recommendation than include a false positive
+10. Include every field for every restaurant; use null for anything not mentioned
+
+Return only the JSON object, no additional text.
+    `;
+}
+
+module.exports = {
+  version: 'v1',
+  description: 'Original prompt',
+  system,
+  createPrompt
+};
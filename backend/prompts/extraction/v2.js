@@ -0,0 +1,64 @@
+// v2: names the restaurant as shown on its sign, skips sponsors, chains and
+// places the host only talks about, and merges repeat mentions
+
+const system = `You extract restaurant recommendations from food influencer video transcripts.
+Only report places the host eats at or explicitly recommends, with the details they give.
+Transcripts are auto-generated captions, so names may be misspelled; use the spelling the place is known by when it is obvious.
+Answer with JSON only.`;
+
+/**
+ * @param {string} transcript - Video transcript
+ * @param {string} videoTitle - Video title
+ * @param {Object} chunk - Optional { index, total } for one part of a long transcript
+ * @returns {string} User prompt
+ */
+function createPrompt(transcript, videoTitle, chunk = null) {
+  const chunkNote = chunk
+    ? `\nThis is part ${chunk.index + 1} of ${chunk.total} of the transcript; parts overlap slightly. Only extract restaurants discussed in this part.\n`
+    : '';
+
+  return `
+Extract the restaurants recommended in this food video.
+
+Video Title: "${videoTitle}"
+${chunkNote}
+Transcript: "${transcript}"
+
+Return a JSON object:
+{
+  "restaurants": [
+    {
+      "name": "Restaurant name as it appears on the sign, without the city",
+      "location": "City, State/Country (if mentioned)",
+      "address": "Full address if mentioned",
+      "cuisineType": "Type of cuisine",
+      "dishMentioned": "Dishes the host eats or recommends, comma separated",
+      "context": "Short quote showing why it's recommended",
+      "confidenceScore": 0.9,
+      "priceRange": "$, $$, $$$ or $$$$",
+      "mentionedAt": 450
+    }
+  ]
+}
+
+Rules:
+1. Include a restaurant only if the host eats there or clearly recommends it
+2. Skip sponsors, food brands, supermarkets and places only mentioned in passing or in comparison
+3. Skip street stalls and markets without a name; name the stall if the host does
+4. List each restaurant once, even if it comes up several times; use the first mention
+5. Confidence: 0.9-1.0 the host eats there and praises it, 0.7-0.9 recommended without eating, 0.6-0.7 unclear
+6. Price range only from prices, the menu or how the host describes it; otherwise null
+7. For mentionedAt: If transcript lines start with [mm:ss] timestamps, return the time in seconds of the line where the restaurant is first mentioned. If no timestamps, return null.
+8. Include every field for every restaurant; use null for anything not mentioned
+9. If no restaurants are recommended, return: {"restaurants": []}
+
+Return only the JSON object, no additional text.
+    `;
+}
+
+module.exports = {
+  version: 'v2',
+  description: 'Stricter inclusion rules, sign names, one entry per restaurant',
+  system,
+  createPrompt
+};
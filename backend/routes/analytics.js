@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const SupabaseService = require('../services/supabaseService');
+const YouTubeQuotaService = require('../services/youtubeQuotaService');
+const { requireRole } = require('../middleware/auth');
 
 const supabaseService = new SupabaseService();
+const youtubeQuota = new YouTubeQuotaService(supabaseService);
 
 // Get video statistics by duration
 router.get('/video-stats', async (req, res) => {
@@ -189,4 +192,15 @@ router.get('/filtering-report', async (req, res) => {
   }
 });
 
+// Get today's YouTube Data API quota use per method
+router.get('/youtube-quota', requireRole('curator'), async (req, res) => {
+  try {
+    const usage = await youtubeQuota.getDailyUsage({ fresh: true });
+    res.json(usage);
+  } catch (error) {
+    console.error('Error fetching YouTube quota usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
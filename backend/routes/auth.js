@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { getAuthClient, identify, requireRole, roleOf } = require('../middleware/auth');
+
+// The session fields the admin panel and other clients keep
+function sessionResponse(session, user) {
+  return {
+    access_token: session.access_token,
+    refresh_token: session.refresh_token,
+    expires_at: session.expires_at,
+    user: { id: user.id, email: user.email },
+    role: roleOf(user)
+  };
+}
+
+// Sign in with a Supabase email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const { data, error } = await getAuthClient().auth.signInWithPassword({ email, password });
+
+    if (error || !data.session) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    console.log(`🔑 ${data.user.email} signed in as ${roleOf(data.user)}`);
+    res.json(sessionResponse(data.session, data.user));
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token is required' });
+    }
+
+    const { data, error } = await getAuthClient().auth.refreshSession({ refresh_token });
+
+    if (error || !data.session) {
+      return res.status(401).json({ error: 'Session expired, sign in again' });
+    }
+
+    res.json(sessionResponse(data.session, data.user));
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Who the token or API key belongs to and its role
+router.get('/me', requireRole('viewer'), async (req, res) => {
+  try {
+    const { user, role, via } = await identify(req);
+
+    res.json({
+      user: user ? { id: user.id, email: user.email } : null,
+      role,
+      via
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -156,17 +156,20 @@ router.post('/test-process/:videoId', async (req, res) => {
     }
 
     // Test if we can get transcript
-    const YouTubeService = require('../services/youtubeService');
-    const youtubeService = new YouTubeService();
+    const TranscriptService = require('../services/transcriptService');
+    const transcriptService = new TranscriptService();
     
     try {
-      const transcript = await youtubeService.getVideoTranscript(videoId);
+      const transcript = await transcriptService.getTranscript(video);
       res.json({
         message: 'Video is ready for processing',
         video: {
           title: video.title,
           duration: video.duration,
-          transcript_length: transcript?.length || 0
+          transcript_source: transcript.source,
+          transcript_length: transcript.text.length,
+          transcript_segments: transcript.segments.length,
+          transcript_timed: transcript.timed
         },
         next_step: `POST /api/processing/video/${videoId} to actually process it`
       });
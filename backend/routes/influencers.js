@@ -1,21 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const YouTubeService = require('../services/youtubeService');
+const YouTubeQuotaService = require('../services/youtubeQuotaService');
 const SupabaseService = require('../services/supabaseService');
+const ChannelSyncService = require('../services/channelSyncService');
+const SyncScheduler = require('../services/syncScheduler');
+const { parsePageParams } = require('../services/pagination');
+const { requireRole } = require('../middleware/auth');
+const { sendQuotaExceeded } = require('../middleware/limits');
 
-const youtubeService = new YouTubeService();
+const { YouTubeQuotaError } = YouTubeService;
 const supabaseService = new SupabaseService();
+const youtubeQuota = new YouTubeQuotaService(supabaseService);
+const youtubeService = new YouTubeService({ quotaService: youtubeQuota });
+const channelSync = new ChannelSyncService({ supabaseService, youtubeService, quotaService: youtubeQuota });
 
-// Get all influencers
+// Optional ISO date body field; undefined when invalid
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+function quotaLowMessage(usage, what) {
+  return `YouTube quota is nearly used up (${usage.remaining} units left, ${usage.reserve} kept in reserve); ${what} deferred until ${usage.resets_at}`;
+}
+
+// Get influencers with their video and restaurant counts, a page at a time
 router.get('/', async (req, res) => {
   try {
+    const { page, error } = parsePageParams(req.query, SupabaseService.INFLUENCER_SORTS);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     console.log('📊 Fetching influencers with counts...');
-    const influencers = await supabaseService.getAllInfluencers();
-    console.log(`✅ Found ${influencers.length} influencers`);
+    const influencers = await supabaseService.listInfluencers(page);
+    console.log(`✅ Found ${influencers.count} of ${influencers.total} influencers`);
     
     // Log first influencer for debugging
-    if (influencers.length > 0) {
-      const first = influencers[0];
+    if (influencers.results.length > 0) {
+      const first = influencers.results[0];
       console.log(`   Sample: ${first.channel_name} - Videos: ${first.total_videos}, Restaurants: ${first.total_restaurants}`);
     }
     
@@ -55,7 +80,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Add new influencer by YouTube channel URL or ID
-router.post('/', async (req, res) => {
+router.post('/', requireRole('curator'), async (req, res) => {
   try {
     const { channelUrl, channelId } = req.body;
     
@@ -86,6 +111,9 @@ router.post('/', async (req, res) => {
     res.status(201).json(influencer);
   } catch (error) {
     console.error('Error adding influencer:', error);
+    if (error instanceof YouTubeQuotaError) {
+      return sendQuotaExceeded(res, error.message, error.usage);
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -94,7 +122,16 @@ router.post('/', async (req, res) => {
 router.get('/:id/videos', async (req, res) => {
   try {
     const { id } = req.params;
-    const videos = await supabaseService.getVideosByInfluencer(id);
+    const { processed } = req.query;
+    const { page, error } = parsePageParams(req.query, SupabaseService.VIDEO_SORTS);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const videos = await supabaseService.listVideos({
+      influencerId: id,
+      processed: processed === undefined ? undefined : processed === 'true'
+    }, page);
     res.json(videos);
   } catch (error) {
     console.error('Error fetching influencer videos:', error);
@@ -120,6 +157,7 @@ router.get('/:id/restaurants', async (req, res) => {
         )
       `)
       .eq('videos.influencer_id', id)
+      .neq('review_status', 'rejected')
       .order('confidence_score', { ascending: false });
 
     if (error) {
@@ -172,11 +210,27 @@ router.get('/:id/restaurants', async (req, res) => {
   }
 });
 
-// Sync influencer's videos from YouTube
-router.post('/:id/sync-videos', async (req, res) => {
+// Sync influencer's videos from YouTube: the latest uploads, or with
+// backfill the back catalog, resuming where the last backfill run stopped
+router.post('/:id/sync-videos', requireRole('curator'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { maxResults = 50 } = req.body;
+    const { maxResults = 50, backfill = false, maxPages, restart = false } = req.body;
+
+    const publishedAfter = parseDate(req.body.publishedAfter);
+    const publishedBefore = parseDate(req.body.publishedBefore);
+    if (publishedAfter === undefined || publishedBefore === undefined) {
+      return res.status(400).json({ error: 'publishedAfter and publishedBefore must be ISO dates' });
+    }
+    if (publishedAfter && publishedBefore && publishedAfter >= publishedBefore) {
+      return res.status(400).json({ error: 'publishedAfter must be before publishedBefore' });
+    }
+    if ((publishedAfter || publishedBefore) && !backfill) {
+      return res.status(400).json({ error: 'publishedAfter and publishedBefore need backfill' });
+    }
+    if (maxPages !== undefined && !(Number.isInteger(maxPages) && maxPages >= 1 && maxPages <= 100)) {
+      return res.status(400).json({ error: 'maxPages must be an integer from 1 to 100' });
+    }
 
     // Get influencer info
     const { data: influencer, error: influencerError } = await supabaseService.supabase
@@ -189,46 +243,96 @@ router.post('/:id/sync-videos', async (req, res) => {
       return res.status(404).json({ error: 'Influencer not found' });
     }
 
-    // Fetch videos from YouTube
-    const youtubeVideos = await youtubeService.getChannelVideos(influencer.channel_id, maxResults);
-    
-    let syncedVideos = 0;
-    let skippedVideos = 0;
-
-    for (const videoData of youtubeVideos) {
-      try {
-        // Check if video already exists
-        const existingVideo = await supabaseService.getVideo(videoData.videoId);
-        if (existingVideo) {
-          skippedVideos++;
-          continue;
-        }
-
-        // Create video in database
-        await supabaseService.createVideo({
-          ...videoData,
-          influencerId: influencer.id
-        });
-        syncedVideos++;
-      } catch (videoError) {
-        console.error(`Error syncing video ${videoData.videoId}:`, videoError);
+    if (!backfill) {
+      // Defer the sync rather than run the quota into the reserve kept for
+      // single lookups
+      const result = await channelSync.syncRecent(influencer, { maxResults });
+      if (result.deferred) {
+        return sendQuotaExceeded(res, quotaLowMessage(result.quota, 'sync'), result.quota, 'YOUTUBE_QUOTA_LOW');
       }
+
+      return res.json({
+        message: 'Video sync completed',
+        ...result
+      });
+    }
+
+    const result = await channelSync.backfill(influencer, { publishedAfter, publishedBefore, maxPages, restart });
+    if (result.deferred && result.pages === 0) {
+      return sendQuotaExceeded(res, quotaLowMessage(result.quota, 'backfill'), result.quota, 'YOUTUBE_QUOTA_LOW');
     }
 
+    let message = 'Backfill paused at the page limit; sync again to continue';
+    if (result.complete) message = result.pages > 0 ? 'Backfill completed' : 'Backfill already complete';
+    else if (result.deferred) message = quotaLowMessage(result.quota, 'rest of the backfill');
+
+    const { cursor, ...counts } = result;
     res.json({
-      message: 'Video sync completed',
-      synced: syncedVideos,
-      skipped: skippedVideos,
-      total: youtubeVideos.length
+      message,
+      ...counts,
+      cursor: {
+        page_token: cursor.backfill_page_token,
+        published_after: cursor.backfill_published_after,
+        published_before: cursor.backfill_published_before,
+        completed_at: cursor.backfill_completed_at,
+        updated_at: cursor.backfill_updated_at
+      }
     });
   } catch (error) {
     console.error('Error syncing videos:', error);
+    if (error instanceof YouTubeQuotaError) {
+      return sendQuotaExceeded(res, error.message, error.usage);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set how often the sync scheduler syncs the influencer's new uploads
+router.put('/:id/sync-schedule', requireRole('curator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { schedule } = req.body;
+
+    if (!Object.keys(SyncScheduler.SYNC_SCHEDULES).includes(schedule)) {
+      return res.status(400).json({
+        error: `schedule must be one of: ${Object.keys(SyncScheduler.SYNC_SCHEDULES).join(', ')}`
+      });
+    }
+
+    const { data: current, error: currentError } = await supabaseService.supabase
+      .from('influencers')
+      .select('last_synced_at')
+      .eq('id', id)
+      .single();
+
+    if (currentError) {
+      return res.status(404).json({ error: 'Influencer not found' });
+    }
+
+    const { data: influencer, error } = await supabaseService.supabase
+      .from('influencers')
+      .update({
+        sync_schedule: schedule,
+        next_sync_at: SyncScheduler.nextSyncAt(schedule, current.last_synced_at),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json(influencer);
+  } catch (error) {
+    console.error('Error updating sync schedule:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Update influencer information
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -251,7 +355,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete influencer
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     
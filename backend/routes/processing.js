@@ -1,19 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const YouTubeService = require('../services/youtubeService');
-const AIService = require('../services/aiService');
+const YouTubeQuotaService = require('../services/youtubeQuotaService');
 const SupabaseService = require('../services/supabaseService');
-const TimestampService = require('../services/timestampService');
-
-const youtubeService = new YouTubeService();
-const aiService = new AIService();
+const JobQueueService = require('../services/jobQueueService');
+const VideoProcessingService = require('../services/videoProcessingService');
+const UsageLedgerService = require('../services/usageLedgerService');
+const processingEvents = require('../services/processingEvents');
+const { MAX_PAGE_SIZE } = require('../services/pagination');
+const { requireBudget, sendQuotaExceeded } = require('../middleware/limits');
+
+const { YouTubeQuotaError } = YouTubeService;
 const supabaseService = new SupabaseService();
-const timestampService = new TimestampService();
+const youtubeService = new YouTubeService({ quotaService: new YouTubeQuotaService(supabaseService) });
+const jobQueue = new JobQueueService(supabaseService);
+const usageLedger = new UsageLedgerService(supabaseService);
+
+// Routes queueing AI or Maps work answer 429 while the daily budget is spent
+const withinBudget = requireBudget(usageLedger);
+
+// Longest staleDays a re-enrichment accepts, ten years
+const MAX_STALE_DAYS = 3650;
 
-// Process a single video for restaurant recommendations
-router.post('/video/:videoId', async (req, res) => {
+// Job and batch IDs are UUIDs; Postgres rejects anything else as a malformed value
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Queue a single video for restaurant extraction
+router.post('/video/:videoId', withinBudget, async (req, res) => {
   try {
     const { videoId } = req.params;
+    const { refreshTranscript = false } = req.body || {};
     
     // Get video from database
     const video = await supabaseService.getVideo(videoId);
@@ -25,99 +41,74 @@ router.post('/video/:videoId', async (req, res) => {
       return res.status(400).json({ error: 'Video already processed' });
     }
 
-    // Start processing
-    const processingResult = await processVideoRecommendations(video);
+    const job = await jobQueue.enqueueVideo(videoId, {
+      payload: refreshTranscript ? { refresh_transcript: true } : {}
+    });
+
+    if (!job) {
+      return res.status(409).json({ error: 'Video could not be queued, please try again' });
+    }
     
-    res.json({
-      message: 'Video processed successfully',
+    res.status(202).json({
+      message: job.already_queued ? 'Video is already queued for processing' : 'Video queued for processing',
       videoId: videoId,
-      recommendations: processingResult.recommendations.length,
-      ...processingResult
+      job
     });
   } catch (error) {
-    console.error('Error processing video:', error);
-    
-    // Mark video as failed
-    try {
-      await supabaseService.updateVideo(req.params.videoId, {
-        processing_error: error.message,
-        processed: false
-      });
-    } catch (updateError) {
-      console.error('Error updating video status:', updateError);
-    }
-    
+    console.error('Error queueing video:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Process all unprocessed videos
-router.post('/videos/batch', async (req, res) => {
+// Queue a batch of unprocessed videos
+router.post('/videos/batch', withinBudget, async (req, res) => {
   try {
-    const { limit = 5 } = req.body; // Process limited number to avoid timeouts
+    const { limit = 5 } = req.body || {};
+
+    const batchSize = Number(limit);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+    }
     
-    console.log(`🔄 Starting batch processing (limit: ${limit})...`);
+    console.log(`🔄 Queueing batch processing (limit: ${batchSize})...`);
     
-    const unprocessedVideos = await supabaseService.getUnprocessedVideos(limit);
+    const activeVideoIds = await jobQueue.getActiveVideoIds();
+    const unprocessedVideos = await supabaseService.getUnprocessedVideos(batchSize, activeVideoIds);
     
-    console.log(`📊 Found ${unprocessedVideos.length} unprocessed videos`);
+    console.log(`📊 Found ${unprocessedVideos.length} unprocessed videos not already queued`);
     
     if (unprocessedVideos.length === 0) {
       return res.json({ 
         message: 'No unprocessed videos found',
-        processed: 0,
-        failed: 0,
+        queued: 0,
         total: 0,
-        suggestion: 'Add some influencers first or run database migration'
+        in_progress: activeVideoIds.length,
+        suggestion: activeVideoIds.length > 0
+          ? 'All pending videos are already queued'
+          : 'Add some influencers first or run database migration'
       });
     }
 
-    const results = {
-      processed: 0,
-      failed: 0,
-      errors: [],
-      videos_processed: []
-    };
-
-    console.log(`🎬 Processing ${unprocessedVideos.length} videos...`);
-
-    for (const video of unprocessedVideos) {
-      try {
-        console.log(`📹 Processing: ${video.title?.substring(0, 50)}...`);
-        const processingResult = await processVideoRecommendations(video);
-        results.processed++;
-        results.videos_processed.push({
-          videoId: video.video_id,
-          title: video.title?.substring(0, 50) + '...',
-          recommendations: processingResult.recommendations?.length || 0
-        });
-        console.log(`✅ Success: Found ${processingResult.recommendations?.length || 0} restaurants`);
-      } catch (error) {
-        console.log(`❌ Failed: ${error.message}`);
-        results.failed++;
-        results.errors.push({
-          videoId: video.video_id,
-          title: video.title?.substring(0, 50) + '...',
-          error: error.message
-        });
-        
-        // Mark as failed
-        await supabaseService.updateVideo(video.video_id, {
-          processing_error: error.message,
-          processed: false
-        });
-      }
-    }
+    const { batchId, jobs, alreadyQueued } = await jobQueue.enqueueVideos(
+      unprocessedVideos.map(video => video.video_id)
+    );
 
-    console.log(`🏁 Batch processing completed: ${results.processed} success, ${results.failed} failed`);
+    console.log(`📥 Queued ${jobs.length - alreadyQueued} videos (batch ${batchId})`);
 
-    res.json({
-      message: 'Batch processing completed',
+    res.status(202).json({
+      message: 'Batch queued for processing',
+      batch_id: batchId,
       total: unprocessedVideos.length,
-      ...results
+      queued: jobs.length - alreadyQueued,
+      already_queued: alreadyQueued,
+      jobs: jobs.map(job => ({
+        id: job.id,
+        videoId: job.video_id,
+        status: job.status
+      }))
     });
   } catch (error) {
-    console.error('Error in batch processing:', error);
+    console.error('Error queueing batch processing:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -146,12 +137,28 @@ router.get('/status', async (req, res) => {
       return res.status(500).json({ error: countError.message });
     }
 
+    const { count: recommendations, error: recommendationsError } = await supabaseService.supabase
+      .from('restaurant_recommendations')
+      .select('*', { count: 'exact', head: true });
+
+    if (recommendationsError) {
+      return res.status(500).json({ error: recommendationsError.message });
+    }
+
+    const [queue, usage] = await Promise.all([
+      jobQueue.getJobCounts(),
+      usageLedger.getDailyUsage({ fresh: true })
+    ]);
+
     res.json({
       total: totalVideos.length,
       processed,
       failed,
       pending,
-      processing_rate: totalVideos.length > 0 ? (processed / totalVideos.length * 100).toFixed(2) : 0
+      processing_rate: totalVideos.length > 0 ? (processed / totalVideos.length * 100).toFixed(2) : 0,
+      recommendations,
+      queue,
+      usage
     });
   } catch (error) {
     console.error('Error fetching processing status:', error);
@@ -159,17 +166,118 @@ router.get('/status', async (req, res) => {
   }
 });
 
+// Stream processing events with Server-Sent Events
+router.get('/events', (req, res) => {
+  const { batch_id: batchId, job_id: jobId, video_id: videoId } = req.query;
+
+  const matches = event =>
+    (!batchId || event.batch_id === batchId) &&
+    (!jobId || event.job_id === jobId) &&
+    (!videoId || event.video_id === videoId);
+
+  const send = event => {
+    if (!matches(event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.write('retry: 5000\n\n');
+
+  // Replay events the client missed while reconnecting
+  const lastEventId = parseInt(req.headers['last-event-id']);
+  if (!isNaN(lastEventId)) {
+    processingEvents.since(lastEventId).forEach(send);
+  }
+
+  processingEvents.on('event', send);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    processingEvents.off('event', send);
+  });
+});
+
+// List processing jobs with per-step progress
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, batch_id: batchId, video_id: videoId, limit = 50 } = req.query;
+
+    if (status !== undefined && !JobQueueService.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JobQueueService.JOB_STATUSES.join(', ')}` });
+    }
+    if (batchId !== undefined && (typeof batchId !== 'string' || !UUID_PATTERN.test(batchId))) {
+      return res.status(400).json({ error: 'batch_id must be a UUID' });
+    }
+    if (videoId !== undefined && typeof videoId !== 'string') {
+      return res.status(400).json({ error: 'video_id must be a single video ID' });
+    }
+
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+    }
+
+    const [jobs, counts] = await Promise.all([
+      jobQueue.listJobs({ status, batchId, videoId, limit: pageSize }),
+      jobQueue.getJobCounts(batchId)
+    ]);
+
+    res.json({
+      filters: { status, batch_id: batchId, video_id: videoId },
+      counts,
+      results: jobs.map(formatJob),
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('Error fetching processing jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single job with per-step progress, timings and errors
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await jobQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error('Error fetching processing job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Reprocess failed videos
-router.post('/reprocess-failed', async (req, res) => {
+router.post('/reprocess-failed', withinBudget, async (req, res) => {
   try {
-    const { limit = 3 } = req.body;
+    const { limit = 3, refreshTranscript = false } = req.body || {};
+
+    const batchSize = Number(limit);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+    }
     
     const { data: failedVideos, error } = await supabaseService.supabase
       .from('videos')
       .select('*')
       .eq('processed', false)
       .not('processing_error', 'is', null)
-      .limit(limit);
+      .limit(batchSize);
 
     if (error) {
       return res.status(500).json({ error: error.message });
@@ -179,38 +287,29 @@ router.post('/reprocess-failed', async (req, res) => {
       return res.json({ message: 'No failed videos to reprocess' });
     }
 
-    const results = {
-      reprocessed: 0,
-      failed: 0,
-      errors: []
-    };
-
+    // Clear previous errors so the videos count as pending again
     for (const video of failedVideos) {
-      try {
-        // Clear previous error
-        await supabaseService.updateVideo(video.video_id, {
-          processing_error: null
-        });
-        
-        await processVideoRecommendations(video);
-        results.reprocessed++;
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          videoId: video.video_id,
-          error: error.message
-        });
-        
-        await supabaseService.updateVideo(video.video_id, {
-          processing_error: error.message
-        });
-      }
+      await supabaseService.updateVideo(video.video_id, {
+        processing_error: null
+      });
     }
 
-    res.json({
-      message: 'Reprocessing completed',
+    const { batchId, jobs, alreadyQueued } = await jobQueue.enqueueVideos(
+      failedVideos.map(video => video.video_id),
+      { payload: refreshTranscript ? { refresh_transcript: true } : {} }
+    );
+
+    res.status(202).json({
+      message: 'Failed videos queued for reprocessing',
+      batch_id: batchId,
       total: failedVideos.length,
-      ...results
+      queued: jobs.length - alreadyQueued,
+      already_queued: alreadyQueued,
+      jobs: jobs.map(job => ({
+        id: job.id,
+        videoId: job.video_id,
+        status: job.status
+      }))
     });
   } catch (error) {
     console.error('Error reprocessing failed videos:', error);
@@ -218,8 +317,49 @@ router.post('/reprocess-failed', async (req, res) => {
   }
 });
 
-// Add video by URL and process it
-router.post('/add-and-process', async (req, res) => {
+// Queue Google Maps enrichment for restaurants never looked up, failed or stale
+router.post('/re-enrich-restaurants', withinBudget, async (req, res) => {
+  try {
+    const {
+      staleDays = parseInt(process.env.MAPS_ENRICHMENT_STALE_DAYS) || 90,
+      includeFailed = true,
+      limit = 100
+    } = req.body || {};
+
+    const days = Number(staleDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_STALE_DAYS) {
+      return res.status(400).json({ error: `staleDays must be a whole number from 1 to ${MAX_STALE_DAYS}` });
+    }
+    const batchSize = Number(limit);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+    }
+
+    const staleBefore = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const restaurants = await supabaseService.getRestaurantsToEnrich({ staleBefore, includeFailed, limit: batchSize });
+
+    if (restaurants.length === 0) {
+      return res.json({ message: 'No restaurants need enrichment' });
+    }
+
+    const job = await jobQueue.enqueueRestaurantEnrichment(restaurants.map(restaurant => restaurant.id));
+
+    res.status(202).json({
+      message: 'Restaurants queued for Maps enrichment',
+      job_id: job.id,
+      total: restaurants.length,
+      pending: restaurants.filter(restaurant => restaurant.enrichment_status === 'pending').length,
+      failed: restaurants.filter(restaurant => restaurant.enrichment_status === 'failed').length,
+      stale: restaurants.filter(restaurant => ['enriched', 'not_found'].includes(restaurant.enrichment_status)).length
+    });
+  } catch (error) {
+    console.error('Error queueing restaurant enrichment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add video by URL and queue it for processing
+router.post('/add-and-process', withinBudget, async (req, res) => {
   try {
     const { videoUrl } = req.body;
     
@@ -254,108 +394,40 @@ router.post('/add-and-process', async (req, res) => {
       influencerId: influencer.id
     });
 
-    // Process for recommendations
-    const processingResult = await processVideoRecommendations(video);
+    // Queue for recommendation extraction
+    const job = await jobQueue.enqueueVideo(video.video_id);
 
-    res.status(201).json({
-      message: 'Video added and processed successfully',
+    res.status(202).json({
+      message: job ? 'Video added and queued for processing' : 'Video added but could not be queued; queue it again to process it',
       video,
       influencer,
-      recommendations: processingResult.recommendations.length,
-      ...processingResult
+      job
     });
   } catch (error) {
     console.error('Error adding and processing video:', error);
+    if (error instanceof YouTubeQuotaError) {
+      return sendQuotaExceeded(res, error.message, error.usage);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Helper function to process video recommendations
-async function processVideoRecommendations(video) {
-  let transcript = video.transcript;
-  
-  // Get transcript if not already available
-  if (!transcript) {
-    try {
-      transcript = await youtubeService.getVideoTranscript(video.video_id);
-      await supabaseService.updateVideo(video.video_id, { transcript });
-    } catch (transcriptError) {
-      console.log(`Transcript not available for ${video.video_id}, using description instead`);
-      // If transcript is not available, use the video description
-      transcript = video.description || '';
-    }
-  }
-
-  // If transcript is still empty, use description
-  if (!transcript || transcript.trim().length === 0) {
-    transcript = video.description || '';
-    console.log(`Using video description for AI processing (length: ${transcript.length})`);
-  }
-
-  if (!transcript || transcript.trim().length === 0) {
-    throw new Error('No transcript or description available for processing');
-  }
-
-  // Extract recommendations using AI
-  let recommendations = await aiService.extractRestaurantRecommendations(transcript, video.title);
-
-  // Enhance recommendations with timestamps if transcript has timing data
-  recommendations = await timestampService.enhanceRecommendationsWithTimestamps(video.video_id, recommendations);
-  
-  const processedRecommendations = [];
-
-  for (const recommendation of recommendations) {
-    try {
-      // Try to find existing restaurant
-      let restaurants = await supabaseService.findRestaurantByName(
-        recommendation.name, 
-        recommendation.location
-      );
-      
-      let restaurant;
-      if (restaurants.length > 0) {
-        restaurant = restaurants[0]; // Use first match
-      } else {
-        // Create new restaurant
-        restaurant = await supabaseService.createRestaurant({
-          name: recommendation.name,
-          address: recommendation.address,
-          city: recommendation.location,
-          cuisine_type: recommendation.cuisineType,
-          price_range: recommendation.priceRange
-        });
-      }
-
-      // Create recommendation link
-      const recommendationRecord = await supabaseService.createRecommendation({
-        video_id: video.id,
-        restaurant_id: restaurant.id,
-        confidence_score: recommendation.confidenceScore,
-        context: recommendation.context,
-        dish_mentioned: recommendation.dishMentioned,
-        mentioned_at_timestamp: recommendation.mentionedAt
-      });
-
-      processedRecommendations.push({
-        restaurant,
-        recommendation: recommendationRecord
-      });
-    } catch (error) {
-      console.error(`Error processing recommendation for ${recommendation.name}:`, error);
-      // Continue with other recommendations
-    }
-  }
-
-  // Mark video as processed
-  await supabaseService.updateVideo(video.video_id, {
-    processed: true,
-    processing_error: null
-  });
+// Add derived progress fields to a job row
+function formatJob(job) {
+  const steps = job.progress?.steps || {};
+  const stepNames = job.job_type === 'enrich_restaurants'
+    ? ['restaurants_enriched']
+    : VideoProcessingService.PROCESSING_STEPS;
+  const completedSteps = stepNames.filter(step => steps[step]?.status === 'completed').length;
+  const currentStep = stepNames.find(step => steps[step]?.status === 'running') || null;
+  const endTime = job.finished_at ? new Date(job.finished_at) : new Date();
 
   return {
-    recommendations: processedRecommendations,
-    extracted_count: recommendations.length,
-    processed_count: processedRecommendations.length
+    ...job,
+    current_step: currentStep,
+    steps_completed: completedSteps,
+    steps_total: stepNames.length,
+    duration_ms: job.started_at ? endTime - new Date(job.started_at) : null
   };
 }
 
@@ -1,13 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const SupabaseService = require('../services/supabaseService');
+const RestaurantResolver = require('../services/restaurantResolver');
+const { parsePageParams } = require('../services/pagination');
+const { requireRole } = require('../middleware/auth');
 
 const supabaseService = new SupabaseService();
-
-// Get all restaurants with their recommendations
+const restaurantResolver = new RestaurantResolver({ supabaseService });
+
+// A restaurant with every video that recommends it
+const RESTAURANT_DETAIL_SELECT = `
+  *,
+  recommendations:restaurant_recommendations(
+    *,
+    video:videos(
+      title,
+      video_id,
+      published_at,
+      influencer:influencers(
+        channel_name,
+        profile_image_url
+      )
+    )
+  )
+`;
+
+// Get restaurants with their recommendation count, a page at a time
 router.get('/', async (req, res) => {
   try {
-    const restaurants = await supabaseService.getAllRestaurants();
+    const { page, error } = parsePageParams(req.query, SupabaseService.RESTAURANT_SORTS);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const restaurants = await supabaseService.listRestaurants({}, page);
     res.json(restaurants);
   } catch (error) {
     console.error('Error fetching restaurants:', error);
@@ -15,6 +41,46 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Pairs of restaurants that look like duplicates, best match first
+router.get('/duplicates', requireRole('curator'), async (req, res) => {
+  try {
+    const { minScore, limit = 100 } = req.query;
+    const restaurants = await supabaseService.getRestaurantsForResolution();
+    const pairs = restaurantResolver.findDuplicates(
+      restaurants,
+      minScore !== undefined ? parseFloat(minScore) : restaurantResolver.threshold
+    );
+
+    res.json({ total: pairs.length, duplicates: pairs.slice(0, parseInt(limit)) });
+  } catch (error) {
+    console.error('Error finding duplicate restaurants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get restaurant by Google place ID
+router.get('/by-place/:placeId', async (req, res) => {
+  try {
+    const { placeId } = req.params;
+
+    const { data: restaurant, error } = await supabaseService.supabase
+      .from('restaurants')
+      .select(RESTAURANT_DETAIL_SELECT)
+      .eq('place_id', placeId)
+      .neq('recommendations.review_status', 'rejected')
+      .single();
+
+    if (error) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    res.json(restaurant);
+  } catch (error) {
+    console.error('Error fetching restaurant by place ID:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get restaurant by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -22,22 +88,9 @@ router.get('/:id', async (req, res) => {
     
     const { data: restaurant, error } = await supabaseService.supabase
       .from('restaurants')
-      .select(`
-        *,
-        recommendations:restaurant_recommendations(
-          *,
-          video:videos(
-            title,
-            video_id,
-            published_at,
-            influencer:influencers(
-              channel_name,
-              profile_image_url
-            )
-          )
-        )
-      `)
+      .select(RESTAURANT_DETAIL_SELECT)
       .eq('id', id)
+      .neq('recommendations.review_status', 'rejected')
       .single();
 
     if (error) {
@@ -55,20 +108,12 @@ router.get('/:id', async (req, res) => {
 router.get('/cuisine/:cuisineType', async (req, res) => {
   try {
     const { cuisineType } = req.params;
-    
-    const { data: restaurants, error } = await supabaseService.supabase
-      .from('restaurants')
-      .select(`
-        *,
-        recommendations:restaurant_recommendations(count)
-      `)
-      .eq('cuisine_type', cuisineType)
-      .order('created_at', { ascending: false });
-
+    const { page, error } = parsePageParams(req.query, SupabaseService.RESTAURANT_SORTS);
     if (error) {
-      return res.status(500).json({ error: error.message });
+      return res.status(400).json({ error });
     }
 
+    const restaurants = await supabaseService.listRestaurants({ cuisineType }, page);
     res.json(restaurants);
   } catch (error) {
     console.error('Error fetching restaurants by cuisine:', error);
@@ -80,20 +125,12 @@ router.get('/cuisine/:cuisineType', async (req, res) => {
 router.get('/city/:city', async (req, res) => {
   try {
     const { city } = req.params;
-    
-    const { data: restaurants, error } = await supabaseService.supabase
-      .from('restaurants')
-      .select(`
-        *,
-        recommendations:restaurant_recommendations(count)
-      `)
-      .ilike('city', `%${city}%`)
-      .order('created_at', { ascending: false });
-
+    const { page, error } = parsePageParams(req.query, SupabaseService.RESTAURANT_SORTS);
     if (error) {
-      return res.status(500).json({ error: error.message });
+      return res.status(400).json({ error });
     }
 
+    const restaurants = await supabaseService.listRestaurants({ city }, page);
     res.json(restaurants);
   } catch (error) {
     console.error('Error fetching restaurants by city:', error);
@@ -121,7 +158,7 @@ router.get('/top/:limit?', async (req, res) => {
 });
 
 // Create new restaurant (used internally by processing)
-router.post('/', async (req, res) => {
+router.post('/', requireRole('admin'), async (req, res) => {
   try {
     const restaurant = await supabaseService.createRestaurant(req.body);
     res.status(201).json(restaurant);
@@ -132,7 +169,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update restaurant
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('curator'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -154,6 +191,35 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Merge duplicates into this restaurant: their recommendations and favorites
+// move here and the duplicates are deleted
+router.post('/:id/merge', requireRole('curator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicateIds } = req.body;
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ error: 'duplicateIds must be a non-empty array' });
+    }
+    if (duplicateIds.includes(id)) {
+      return res.status(400).json({ error: 'Cannot merge a restaurant into itself' });
+    }
+
+    const restaurant = await supabaseService.getRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const result = await supabaseService.mergeRestaurants(id, [...new Set(duplicateIds)]);
+    console.log(`🔀 Merged ${result.merged_restaurants} duplicates into ${restaurant.name}`);
+
+    res.json({ ...result, restaurant: await supabaseService.getRestaurant(id) });
+  } catch (error) {
+    console.error('Error merging restaurants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get restaurant recommendations (all mentions of this restaurant)
 router.get('/:id/recommendations', async (req, res) => {
   try {
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const SupabaseService = require('../services/supabaseService');
+const ReviewService = require('../services/reviewService');
+const { MAX_PAGE_SIZE } = require('../services/pagination');
+
+const supabaseService = new SupabaseService();
+const reviewService = new ReviewService({ supabaseService });
+
+// Recommendation IDs are UUIDs; Postgres rejects anything else as a malformed value
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Get processed videos that still need review
+router.get('/videos', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+    }
+
+    const videos = await supabaseService.getVideosForReview(pageSize);
+
+    res.json(videos.map(({ recommendations, ...video }) => ({
+      ...video,
+      recommendations: recommendations.length,
+      pending: recommendations.filter(rec => rec.review_status === 'pending').length,
+      confirmed: recommendations.filter(rec => rec.review_status === 'confirmed').length,
+      rejected: recommendations.filter(rec => rec.review_status === 'rejected').length
+    })));
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a video's recommendations (including rejected ones) and labels
+router.get('/videos/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const video = await supabaseService.getVideo(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const [recommendations, labels] = await Promise.all([
+      supabaseService.getRecommendationsForReview(video.id),
+      supabaseService.getRecommendationLabels([video.id])
+    ]);
+
+    res.json({
+      video: {
+        id: video.id,
+        video_id: video.video_id,
+        title: video.title,
+        transcript_source: video.transcript_source,
+        review_completed_at: video.review_completed_at
+      },
+      recommendations: recommendations.map(rec => ({
+        ...rec,
+        label: labels.find(label => label.recommendation_id === rec.id) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching video review:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm or reject a recommendation ('pending' undoes the review)
+router.patch('/recommendations/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    if (!ReviewService.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${ReviewService.REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const recommendation = UUID_PATTERN.test(id) ? await supabaseService.getRecommendation(id) : null;
+    if (!recommendation) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    const result = await reviewService.reviewRecommendation(recommendation, status, { notes });
+    console.log(`🏷️ ${recommendation.restaurant?.name} marked ${status}`);
+    res.json(result);
+  } catch (error) {
+    console.error('Error reviewing recommendation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a restaurant the AI missed
+router.post('/videos/:videoId/recommendations', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Restaurant name is required' });
+    }
+
+    const video = await supabaseService.getVideo(videoId);
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const result = await reviewService.addMissingRecommendation(video, { ...req.body, name: name.trim() });
+    console.log(`➕ Added missing restaurant ${name.trim()} to ${videoId}`);
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (error) {
+    console.error('Error adding recommendation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a video as fully reviewed so it joins the gold dataset
+router.post('/videos/:videoId/complete', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const video = await supabaseService.getVideo(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const recommendations = await supabaseService.getRecommendationsForReview(video.id);
+    const pending = recommendations.filter(rec => rec.review_status === 'pending').length;
+    if (pending > 0) {
+      return res.status(409).json({ error: `${pending} recommendations still need review` });
+    }
+
+    const updated = await supabaseService.updateVideo(videoId, { review_completed_at: new Date().toISOString() });
+    res.json({ video_id: updated.video_id, review_completed_at: updated.review_completed_at });
+  } catch (error) {
+    console.error('Error completing video review:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Precision/recall of stored extractions per prompt version
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await reviewService.getLabelStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching review stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Gold dataset of fully reviewed videos, for scripts/evaluate-prompts.js --dataset
+router.get('/dataset', async (req, res) => {
+  try {
+    const dataset = await reviewService.buildGoldDataset();
+    res.json(dataset);
+  } catch (error) {
+    console.error('Error building gold dataset:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
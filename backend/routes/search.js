@@ -1,30 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const SupabaseService = require('../services/supabaseService');
+const TimestampService = require('../services/timestampService');
+const RestaurantEmbeddingService = require('../services/restaurantEmbeddingService');
+const UsageLedgerService = require('../services/usageLedgerService');
+const { parsePageParams } = require('../services/pagination');
+const { requireBudget } = require('../middleware/limits');
 
 const supabaseService = new SupabaseService();
+const timestampService = new TimestampService();
+const usageLedger = new UsageLedgerService(supabaseService);
+const embeddingService = new RestaurantEmbeddingService({ supabaseService, usageLedger });
+
+const DEFAULT_NEARBY_RADIUS_METERS = 2000;
+const MAX_NEARBY_RADIUS_METERS = 50000;
+const MAX_NEARBY_RESULTS = 200;
+const DEFAULT_KEYWORD_WEIGHT = 0.3;
+const MAX_SEMANTIC_RESULTS = 50;
+const MAX_TRANSCRIPT_RESULTS = 200;
+
+// A number within [min, max], or null
+function parseBoundedNumber(value, min, max) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+// bbox=minLng,minLat,maxLng,maxLat (GeoJSON order); minLng > maxLng crosses the antimeridian
+function parseBoundingBox(bbox) {
+  const parts = String(bbox).split(',');
+  if (parts.length !== 4) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts.map((part, index) =>
+    index % 2 === 0 ? parseBoundedNumber(part.trim(), -180, 180) : parseBoundedNumber(part.trim(), -90, 90));
+  if ([minLng, minLat, maxLng, maxLat].includes(null) || minLat > maxLat) return null;
+
+  return { minLat, minLng, maxLat, maxLng };
+}
 
 // Search restaurants
 router.get('/restaurants', async (req, res) => {
   try {
-    const { q, cuisine, city, price, limit = 50 } = req.query;
+    const { q, cuisine, city, price } = req.query;
+
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({ error: 'q must be a single search query' });
+    }
+
+    // Best matches first with a query, else sorted like GET /api/restaurants
+    const sorts = q && q.trim() ? SupabaseService.RESTAURANT_SEARCH_SORTS : SupabaseService.RESTAURANT_SORTS;
+    const { page, error } = parsePageParams(req.query, sorts);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
     const filters = {};
     if (cuisine) filters.cuisineType = cuisine;
     if (city) filters.city = city;
     if (price) filters.priceRange = price;
 
-    const restaurants = await supabaseService.searchRestaurants(q, filters);
-    
-    // Limit results
-    const limitedResults = restaurants.slice(0, parseInt(limit));
+    // With a highlighted snippet of what was said
+    const restaurants = await supabaseService.searchRestaurants(q, filters, page);
     
     res.json({
       query: q,
       filters,
-      results: limitedResults,
-      count: limitedResults.length,
-      total: restaurants.length
+      ...restaurants
     });
   } catch (error) {
     console.error('Error searching restaurants:', error);
@@ -32,37 +73,133 @@ router.get('/restaurants', async (req, res) => {
   }
 });
 
-// Search influencers
-router.get('/influencers', async (req, res) => {
+// Search restaurants by meaning (embeddings), optionally blended with the
+// keyword rank. Embedding the query is a paid call, so it counts against the
+// daily cost budget.
+router.get('/semantic', requireBudget(usageLedger), async (req, res) => {
   try {
-    const { q, limit = 20 } = req.query;
-    
-    let query = supabaseService.supabase
-      .from('influencers')
-      .select(`
-        *,
-        video_count:videos(count),
-        restaurant_count:videos!inner(
-          restaurant_recommendations(count)
-        )
-      `);
+    const { q, mode = 'semantic', cuisine, city, price, limit = 20 } = req.query;
+
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+    if (!['semantic', 'hybrid'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be semantic or hybrid' });
+    }
+
+    const maxResults = parseBoundedNumber(limit, 1, MAX_SEMANTIC_RESULTS);
+    if (!Number.isInteger(maxResults)) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_SEMANTIC_RESULTS}` });
+    }
+
+    const keywordWeight = mode === 'hybrid'
+      ? (req.query.keywordWeight === undefined ? DEFAULT_KEYWORD_WEIGHT : parseBoundedNumber(req.query.keywordWeight, 0, 1))
+      : 0;
+    if (keywordWeight === null) {
+      return res.status(400).json({ error: 'keywordWeight must be from 0 to 1' });
+    }
+
+    if (!embeddingService.enabled) {
+      return res.status(503).json({ error: 'Semantic search is not available: embeddings are disabled' });
+    }
+
+    const filters = {};
+    if (cuisine) filters.cuisineType = cuisine;
+    if (city) filters.city = city;
+    if (price) filters.priceRange = price;
+
+    const embedding = await embeddingService.embedQuery(q.trim());
+    const restaurants = await supabaseService.searchRestaurantsSemantic(embedding, {
+      ...filters,
+      query: q.trim(),
+      keywordWeight,
+      limit: maxResults
+    });
+
+    res.json({
+      query: q,
+      mode,
+      keywordWeight,
+      filters,
+      results: restaurants,
+      count: restaurants.length
+    });
+  } catch (error) {
+    console.error('Error in semantic search:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search restaurants near a point (lat, lng, radius in meters), or inside a
+// map viewport (bbox)
+router.get('/nearby', async (req, res) => {
+  try {
+    const { lat, lng, radius, bbox, cuisine, price } = req.query;
+
+    const filters = {};
+    if (cuisine) filters.cuisineType = cuisine;
+    if (price) filters.priceRange = price;
+
+    const limit = req.query.limit === undefined ? null : parseBoundedNumber(req.query.limit, 1, MAX_NEARBY_RESULTS);
+    if (req.query.limit !== undefined && !Number.isInteger(limit)) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_NEARBY_RESULTS}` });
+    }
+
+    if (bbox !== undefined) {
+      const bounds = parseBoundingBox(bbox);
+      if (!bounds) {
+        return res.status(400).json({ error: 'bbox must be minLng,minLat,maxLng,maxLat' });
+      }
+
+      const restaurants = await supabaseService.searchRestaurantsInBounds(bounds, { ...filters, limit });
+      return res.json({
+        bounds,
+        filters,
+        results: restaurants,
+        count: restaurants.length
+      });
+    }
+
+    const latitude = parseBoundedNumber(lat, -90, 90);
+    const longitude = parseBoundedNumber(lng, -180, 180);
+    if (latitude === null || longitude === null) {
+      return res.status(400).json({ error: 'lat (-90 to 90) and lng (-180 to 180) are required, or a bbox' });
+    }
 
-    if (q) {
-      query = query.ilike('channel_name', `%${q}%`);
+    const radiusMeters = radius === undefined ? DEFAULT_NEARBY_RADIUS_METERS : parseBoundedNumber(radius, 1, MAX_NEARBY_RADIUS_METERS);
+    if (radiusMeters === null) {
+      return res.status(400).json({ error: `radius must be from 1 to ${MAX_NEARBY_RADIUS_METERS} meters` });
     }
 
-    const { data: influencers, error } = await query
-      .order('subscriber_count', { ascending: false })
-      .limit(parseInt(limit));
+    const restaurants = await supabaseService.searchRestaurantsNearby({ latitude, longitude }, radiusMeters, { ...filters, limit });
+
+    res.json({
+      center: { latitude, longitude },
+      radius: radiusMeters,
+      filters,
+      results: restaurants,
+      count: restaurants.length
+    });
+  } catch (error) {
+    console.error('Error searching nearby restaurants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Search influencers
+router.get('/influencers', async (req, res) => {
+  try {
+    const { q } = req.query;
+    const { page, error } = parsePageParams(req.query, SupabaseService.INFLUENCER_SORTS);
     if (error) {
-      return res.status(500).json({ error: error.message });
+      return res.status(400).json({ error });
     }
 
+    const influencers = await supabaseService.searchInfluencers(q, page);
+
     res.json({
       query: q,
-      results: influencers,
-      count: influencers.length
+      ...influencers
     });
   } catch (error) {
     console.error('Error searching influencers:', error);
@@ -73,40 +210,85 @@ router.get('/influencers', async (req, res) => {
 // Search videos
 router.get('/videos', async (req, res) => {
   try {
-    const { q, influencer, limit = 30 } = req.query;
-    
-    let query = supabaseService.supabase
-      .from('videos')
-      .select(`
-        *,
-        influencer:influencers(channel_name, profile_image_url),
-        recommendation_count:restaurant_recommendations(count)
-      `);
+    const { q, influencer } = req.query;
+    const { page, error } = parsePageParams(req.query, SupabaseService.VIDEO_SORTS);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Match the title, description or anything said in the video
+    const videos = await supabaseService.listVideos({ query: q, influencer }, page);
 
-    if (q) {
-      query = query.or(`title.ilike.%${q}%,description.ilike.%${q}%`);
+    res.json({
+      query: q,
+      filters: { influencer },
+      ...videos
+    });
+  } catch (error) {
+    console.error('Error searching videos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search inside transcripts: each video with the moments the phrase is said,
+// linked to that second on YouTube
+router.get('/transcripts', async (req, res) => {
+  try {
+    const { q, influencer, limit = 50 } = req.query;
+
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ error: 'Search query is required' });
     }
 
-    if (influencer) {
-      query = query.eq('influencer.channel_name', influencer);
+    const maxMoments = parseBoundedNumber(limit, 1, MAX_TRANSCRIPT_RESULTS);
+    if (!Number.isInteger(maxMoments)) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_TRANSCRIPT_RESULTS}` });
     }
 
-    const { data: videos, error } = await query
-      .order('published_at', { ascending: false })
-      .limit(parseInt(limit));
+    const segments = await supabaseService.searchTranscriptSegments(q.trim(), {
+      influencer,
+      limit: maxMoments
+    });
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+    // Videos in order of their best moment, moments in order within a video
+    const videos = new Map();
+    segments.forEach(segment => {
+      if (!videos.has(segment.video_uuid)) {
+        videos.set(segment.video_uuid, {
+          video: {
+            id: segment.video_uuid,
+            video_id: segment.video_id,
+            title: segment.title,
+            thumbnail_url: segment.thumbnail_url,
+            published_at: segment.published_at,
+            channel_name: segment.channel_name,
+            transcript_timed: segment.transcript_timed
+          },
+          moments: []
+        });
+      }
+
+      const seconds = Math.floor(Number(segment.start_seconds));
+      videos.get(segment.video_uuid).moments.push({
+        start_seconds: seconds,
+        timestamp: timestampService.formatTimestamp(seconds) || '0:00',
+        url: timestampService.getYouTubeUrlWithTimestamp(segment.video_id, seconds),
+        snippet: segment.snippet
+      });
+    });
+
+    const results = [...videos.values()];
+    results.forEach(result => result.moments.sort((a, b) => a.start_seconds - b.start_seconds));
 
     res.json({
       query: q,
       filters: { influencer },
-      results: videos,
-      count: videos.length
+      results,
+      count: results.length,
+      moments: segments.length
     });
   } catch (error) {
-    console.error('Error searching videos:', error);
+    console.error('Error searching transcripts:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -120,6 +302,12 @@ router.get('/all', async (req, res) => {
       return res.status(400).json({ error: 'Search query is required' });
     }
 
+    const transcriptMatches = await supabaseService.findVideoIdsByTranscript(q);
+    const videoConditions = [`title.ilike.%${q}%`, `description.ilike.%${q}%`];
+    if (transcriptMatches.length > 0) {
+      videoConditions.push(`id.in.(${transcriptMatches.join(',')})`);
+    }
+
     const searchPromises = [
       // Search restaurants
       supabaseService.supabase
@@ -156,7 +344,7 @@ router.get('/all', async (req, res) => {
           'video' as type,
           influencer:influencers(channel_name)
         `)
-        .or(`title.ilike.%${q}%,description.ilike.%${q}%`)
+        .or(videoConditions.join(','))
         .limit(parseInt(limit))
     ];
 
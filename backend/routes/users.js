@@ -1,39 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const SupabaseService = require('../services/supabaseService');
-const { createClient } = require('@supabase/supabase-js');
+const { parsePageParams } = require('../services/pagination');
+const { authenticateUser } = require('../middleware/auth');
 
 const supabaseService = new SupabaseService();
 
-// Middleware to verify JWT token and get user
-const authenticateUser = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    // Create client with anon key for user operations
-    const supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY
-    );
-
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error('Auth error:', error);
-    res.status(401).json({ error: 'Authentication failed' });
-  }
-};
-
 // Get user profile
 router.get('/profile', authenticateUser, async (req, res) => {
   try {
@@ -86,10 +58,15 @@ router.put('/profile', authenticateUser, async (req, res) => {
   }
 });
 
-// Get user favorites
+// Get user favorites, a page at a time
 router.get('/favorites', authenticateUser, async (req, res) => {
   try {
-    const favorites = await supabaseService.getUserFavorites(req.user.id);
+    const { page, error } = parsePageParams(req.query, SupabaseService.FAVORITE_SORTS);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const favorites = await supabaseService.getUserFavorites(req.user.id, page);
     res.json(favorites);
   } catch (error) {
     console.error('Error fetching user favorites:', error);
@@ -244,6 +221,7 @@ router.get('/recommendations', authenticateUser, async (req, res) => {
           )
         )
       `)
+      .neq('review_status', 'rejected')
       .order('created_at', { ascending: false })
       .limit(20);
 
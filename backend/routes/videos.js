@@ -1,37 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const YouTubeService = require('../services/youtubeService');
+const YouTubeQuotaService = require('../services/youtubeQuotaService');
 const SupabaseService = require('../services/supabaseService');
+const { CaptionFileProvider } = require('../services/transcriptProviders');
+const { parseCaptions, detectCaptionFormat, parseTimestampedText } = require('../services/transcriptProviders/captionParser');
+const { parsePageParams } = require('../services/pagination');
+const { requireRole } = require('../middleware/auth');
+const { sendQuotaExceeded } = require('../middleware/limits');
 
-const youtubeService = new YouTubeService();
+const { YouTubeQuotaError } = YouTubeService;
 const supabaseService = new SupabaseService();
+const youtubeQuota = new YouTubeQuotaService(supabaseService);
+const youtubeService = new YouTubeService({ quotaService: youtubeQuota });
+const captionFiles = new CaptionFileProvider();
 
-// Get all videos with pagination
+// Caption files can also be sent as the raw request body
+const captionBody = express.text({
+  type: ['text/vtt', 'application/x-subrip', 'text/plain'],
+  limit: '5mb'
+});
+
+// Get videos with their influencer and recommendation count, a page at a time
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 20, processed } = req.query;
-    const offset = (page - 1) * limit;
-
-    let query = supabaseService.supabase
-      .from('videos')
-      .select(`
-        *,
-        influencer:influencers(channel_name, profile_image_url),
-        recommendations:restaurant_recommendations(count)
-      `)
-      .order('published_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (processed !== undefined) {
-      query = query.eq('processed', processed === 'true');
-    }
-
-    const { data: videos, error } = await query;
-
+    const { processed } = req.query;
+    const { page, error } = parsePageParams(req.query, SupabaseService.VIDEO_SORTS);
     if (error) {
-      return res.status(500).json({ error: error.message });
+      return res.status(400).json({ error });
     }
 
+    const videos = await supabaseService.listVideos({
+      processed: processed === undefined ? undefined : processed === 'true'
+    }, page);
     res.json(videos);
   } catch (error) {
     console.error('Error fetching videos:', error);
@@ -57,7 +58,7 @@ router.get('/:videoId', async (req, res) => {
 });
 
 // Add video by YouTube URL
-router.post('/', async (req, res) => {
+router.post('/', requireRole('curator'), async (req, res) => {
   try {
     const { videoUrl, videoId, influencerId } = req.body;
     
@@ -105,6 +106,9 @@ router.post('/', async (req, res) => {
     res.status(201).json(video);
   } catch (error) {
     console.error('Error adding video:', error);
+    if (error instanceof YouTubeQuotaError) {
+      return sendQuotaExceeded(res, error.message, error.usage);
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -122,7 +126,7 @@ router.get('/:videoId/recommendations', async (req, res) => {
 });
 
 // Update video processing status
-router.patch('/:videoId/status', async (req, res) => {
+router.patch('/:videoId/status', requireRole('admin'), async (req, res) => {
   try {
     const { videoId } = req.params;
     const { processed, processing_error, transcript } = req.body;
@@ -141,6 +145,131 @@ router.patch('/:videoId/status', async (req, res) => {
   }
 });
 
+// Upload a .vtt or .srt caption file for the caption-file transcript provider
+router.post('/:videoId/captions', requireRole('curator'), captionBody, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const content = typeof req.body === 'string' ? req.body : req.body?.content;
+    const filename = req.body?.filename || req.query.filename || '';
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Caption file content is required' });
+    }
+
+    const format = req.query.format || req.body?.format || detectCaptionFormat(content, filename);
+    if (!CaptionFileProvider.CAPTION_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Caption file must be WebVTT (.vtt) or SubRip (.srt)' });
+    }
+
+    const segments = parseCaptions(content);
+    if (segments.length === 0) {
+      return res.status(400).json({ error: 'No captions found in file' });
+    }
+
+    const video = await supabaseService.getVideo(videoId);
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    await captionFiles.saveCaptionFile(videoId, format, content);
+    // Drop stored segments so the next run reads the new captions
+    await supabaseService.deleteTranscriptSegments(video.id);
+    console.log(`📄 Saved ${format} captions for ${videoId} (${segments.length} segments)`);
+
+    const lastSegment = segments[segments.length - 1];
+    res.status(201).json({
+      message: 'Captions uploaded. Reprocess the video to use them.',
+      video_id: videoId,
+      format,
+      segments: segments.length,
+      duration_seconds: Math.round(lastSegment.start + lastSegment.duration)
+    });
+  } catch (error) {
+    console.error('Error uploading captions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an uploaded caption file
+router.delete('/:videoId/captions', requireRole('curator'), async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const deleted = await captionFiles.deleteCaptionFile(videoId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'No caption file uploaded for this video' });
+    }
+
+    const video = await supabaseService.getVideo(videoId);
+    if (video && video.transcript_source === 'caption-file') {
+      await supabaseService.deleteTranscriptSegments(video.id);
+    }
+
+    res.json({ message: 'Captions deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting captions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the stored transcript segments of a processed video
+router.get('/:videoId/transcript', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const video = await supabaseService.getVideo(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const segments = await supabaseService.getTranscriptSegments(video.id);
+    res.json({
+      video_id: videoId,
+      source: video.transcript_source,
+      timed: video.transcript_timed,
+      segments,
+      count: segments.length
+    });
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a pasted transcript for the manual transcript provider; null clears it
+router.put('/:videoId/transcript', requireRole('curator'), async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { transcript } = req.body;
+
+    if (transcript !== null && typeof transcript !== 'string') {
+      return res.status(400).json({ error: 'Transcript must be a string or null' });
+    }
+
+    const existingVideo = await supabaseService.getVideo(videoId);
+    if (!existingVideo) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const manualTranscript = transcript && transcript.trim().length > 0 ? transcript : null;
+    const video = await supabaseService.updateVideo(videoId, {
+      manual_transcript: manualTranscript,
+      updated_at: new Date().toISOString()
+    });
+    // Drop stored segments so the next run reads the new transcript
+    await supabaseService.deleteTranscriptSegments(existingVideo.id);
+
+    res.json({
+      video_id: video.video_id,
+      length: manualTranscript ? manualTranscript.length : 0,
+      timestamped_lines: manualTranscript ? parseTimestampedText(manualTranscript).length : 0
+    });
+  } catch (error) {
+    console.error('Error saving manual transcript:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get unprocessed videos
 router.get('/status/unprocessed', async (req, res) => {
   try {
@@ -153,22 +282,32 @@ router.get('/status/unprocessed', async (req, res) => {
   }
 });
 
-// Search videos
-router.get('/search/:query', async (req, res) => {
+// Search videos on YouTube (spends YouTube API quota)
+router.get('/search/:query', requireRole('curator'), async (req, res) => {
   try {
     const { query } = req.params;
     const { maxResults = 25 } = req.query;
     
+    const quotaUsage = await youtubeQuota.checkQuota(YouTubeQuotaService.costOf({ 'search.list': 1, 'videos.list': 1 }));
+    if (quotaUsage) {
+      return sendQuotaExceeded(res,
+        `YouTube quota is nearly used up (${quotaUsage.remaining} units left, ${quotaUsage.reserve} kept in reserve); search is available again at ${quotaUsage.resets_at}`,
+        quotaUsage, 'YOUTUBE_QUOTA_LOW');
+    }
+
     const videos = await youtubeService.searchVideos(query, parseInt(maxResults));
     res.json(videos);
   } catch (error) {
     console.error('Error searching videos:', error);
+    if (error instanceof YouTubeQuotaError) {
+      return sendQuotaExceeded(res, error.message, error.usage);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // Delete video
-router.delete('/:videoId', async (req, res) => {
+router.delete('/:videoId', requireRole('admin'), async (req, res) => {
   try {
     const { videoId } = req.params;
     
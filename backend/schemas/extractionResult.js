@@ -0,0 +1,54 @@
+// JSON schema for the restaurant extraction response. The model is asked to
+// answer in exactly this shape (structured output) and every response is
+// validated against it before any recommendation is stored.
+
+const PRICE_RANGES = ['$', '$$', '$$$', '$$$$'];
+
+const nullableString = { type: ['string', 'null'] };
+
+const EXTRACTION_RESULT_SCHEMA = {
+  $id: 'extraction-result',
+  type: 'object',
+  additionalProperties: false,
+  required: ['restaurants'],
+  properties: {
+    restaurants: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: [
+          'name',
+          'location',
+          'address',
+          'cuisineType',
+          'dishMentioned',
+          'context',
+          'confidenceScore',
+          'priceRange',
+          'mentionedAt'
+        ],
+        properties: {
+          name: { type: 'string', minLength: 1, description: 'Restaurant name' },
+          location: { ...nullableString, description: 'City, State/Country if mentioned' },
+          address: { ...nullableString, description: 'Full address if mentioned' },
+          cuisineType: { ...nullableString, description: 'Type of cuisine' },
+          dishMentioned: { ...nullableString, description: 'Specific dish or food item mentioned' },
+          context: { ...nullableString, description: 'Brief quote or context about why it is recommended' },
+          confidenceScore: { type: 'number', minimum: 0, maximum: 1 },
+          priceRange: { type: ['string', 'null'], enum: [...PRICE_RANGES, null] },
+          mentionedAt: {
+            type: ['integer', 'null'],
+            minimum: 0,
+            description: 'Seconds into the video of the first mention, null without timestamps'
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  EXTRACTION_RESULT_SCHEMA,
+  PRICE_RANGES
+};
@@ -0,0 +1,96 @@
+// Build a gazetteer for GeocodingService from a GeoNames export, for more
+// cities than the bundled data/gazetteer files cover
+//
+// Usage: node scripts/build-gazetteer.js <geonames-dir> <out-dir> [--min-population N]
+// <geonames-dir> holds cities15000.txt (or cities5000/cities1000), admin1CodesASCII.txt
+// and countryInfo.txt from https://download.geonames.org/export/dump/.
+// Point GAZETTEER_DIR at out-dir to use it.
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_DIR = path.join(__dirname, '../data/gazetteer');
+
+// Keep alternate names a location string could plausibly use
+const LATIN_NAME = /^[\p{Script=Latin}\d\s.'’-]{2,40}$/u;
+
+function readRows(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() && !line.startsWith('#'))
+        .map(line => line.split('\t'));
+}
+
+function parseArgs(argv) {
+    const options = { sourceDir: null, outDir: null, minPopulation: 0 };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--min-population') options.minPopulation = parseInt(argv[++i]) || 0;
+        else positional.push(argv[i]);
+    }
+
+    [options.sourceDir, options.outDir] = positional;
+    return options;
+}
+
+function findCitiesFile(sourceDir) {
+    const name = ['cities15000.txt', 'cities5000.txt', 'cities1000.txt', 'cities500.txt']
+        .find(file => fs.existsSync(path.join(sourceDir, file)));
+    if (!name) throw new Error(`No GeoNames citiesNNN.txt file in ${sourceDir}`);
+    return path.join(sourceDir, name);
+}
+
+function writeTsv(file, header, rows) {
+    const lines = [`# ${header.join('\t')}`, ...rows.map(row => row.join('\t'))];
+    fs.writeFileSync(file, `${lines.join('\n')}\n`);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.sourceDir || !options.outDir) {
+        console.log('Usage: node scripts/build-gazetteer.js <geonames-dir> <out-dir> [--min-population N]');
+        process.exit(1);
+    }
+
+    const citiesFile = findCitiesFile(options.sourceDir);
+    console.log(`🌍 Reading ${citiesFile}`);
+
+    // GeoNames columns: 1 name, 2 asciiname, 3 alternatenames, 4 latitude,
+    // 5 longitude, 8 country code, 10 admin1 code, 14 population
+    const cities = readRows(citiesFile)
+        .filter(columns => (parseInt(columns[14]) || 0) >= options.minPopulation)
+        .map(columns => [
+            columns[1],
+            columns[2],
+            columns[3].split(',').filter(name => LATIN_NAME.test(name)).join(','),
+            columns[4],
+            columns[5],
+            columns[8],
+            columns[10],
+            columns[14]
+        ]);
+
+    const admin1 = readRows(path.join(options.sourceDir, 'admin1CodesASCII.txt'))
+        .map(([code, name]) => [code, name]);
+
+    // Keep the hand-written country aliases (USA, UK, ...) GeoNames doesn't have
+    const bundledAliases = new Map(readRows(path.join(BUNDLED_DIR, 'countries.tsv'))
+        .map(([code, , alternateNames = '']) => [code, alternateNames]));
+    const countries = readRows(path.join(options.sourceDir, 'countryInfo.txt'))
+        .map(columns => [columns[0], columns[4], bundledAliases.get(columns[0]) || '']);
+
+    fs.mkdirSync(options.outDir, { recursive: true });
+    writeTsv(path.join(options.outDir, 'cities.tsv'),
+        ['name', 'asciiname', 'alternatenames', 'latitude', 'longitude', 'country_code', 'admin1_code', 'population'], cities);
+    writeTsv(path.join(options.outDir, 'admin1.tsv'), ['code', 'name'], admin1);
+    writeTsv(path.join(options.outDir, 'countries.tsv'), ['iso', 'name', 'alternatenames'], countries);
+
+    console.log(`✅ Wrote ${cities.length} cities, ${admin1.length} regions and ${countries.length} countries to ${options.outDir}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Gazetteer build failed:', error.message);
+    process.exit(1);
+}
@@ -3,6 +3,8 @@ require('dotenv').config();
 const axios = require('axios');
 
 const API_BASE = 'http://localhost:3002/api';
+// Processing needs an admin API key (one of API_KEYS on the server)
+const API_HEADERS = process.env.FOODIEFIND_API_KEY ? { 'X-API-Key': process.env.FOODIEFIND_API_KEY } : {};
 
 // Popular food influencers to add (you can expand this list)
 const POPULAR_FOOD_INFLUENCERS = [
@@ -120,7 +122,8 @@ class BulkInfluencerAdder {
                 method: options.method || 'GET',
                 data: options.data,
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...API_HEADERS
                 }
             });
 
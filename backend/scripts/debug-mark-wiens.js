@@ -120,10 +120,10 @@ async function debugMarkWiens() {
 
         // 5. Check the actual admin endpoint
         console.log('\n🌐 Testing actual admin endpoint...');
-        const response = await fetch('http://localhost:3002/api/influencers');
+        const response = await fetch('http://localhost:3002/api/influencers?limit=100');
         
         if (response.ok) {
-            const apiData = await response.json();
+            const { results: apiData } = await response.json();
             const markWiensApi = apiData.find(inf => 
                 inf.channel_name?.toLowerCase().includes('mark')
             );
@@ -0,0 +1,57 @@
+// Embed restaurants for semantic search: the ones never embedded and the
+// ones whose text or embedding model changed since (after reviews, merges or
+// switching LLM_EMBEDDING_MODEL)
+//
+// Usage: node scripts/embed-restaurants.js [--force] [--limit N]
+// --force re-embeds unchanged restaurants too
+require('dotenv').config();
+const SupabaseService = require('../services/supabaseService');
+const RestaurantEmbeddingService = require('../services/restaurantEmbeddingService');
+const UsageLedgerService = require('../services/usageLedgerService');
+
+const PAGE_SIZE = 500;
+
+function parseArgs(argv) {
+    const options = { force: false, limit: Infinity };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--force') options.force = true;
+        else if (argv[i] === '--limit') options.limit = parseInt(argv[++i]) || Infinity;
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const supabaseService = new SupabaseService();
+    const usageLedger = new UsageLedgerService(supabaseService);
+    const embeddingService = new RestaurantEmbeddingService({ supabaseService, usageLedger });
+
+    if (!embeddingService.enabled) {
+        console.log('Embeddings are disabled (EMBEDDINGS_ENABLED=false or a provider without embeddings)');
+        process.exit(1);
+    }
+
+    console.log(`🧭 Embedding restaurants with ${embeddingService.modelName} (${embeddingService.dimensions} dimensions)`);
+
+    const totals = { embedded: 0, unchanged: 0 };
+    for (let from = 0; from < options.limit; from += PAGE_SIZE) {
+        const restaurants = await supabaseService.getRestaurantsPage(from, Math.min(PAGE_SIZE, options.limit - from));
+        if (restaurants.length === 0) break;
+
+        const summary = await embeddingService.embedRestaurants(restaurants, { force: options.force });
+        totals.embedded += summary.embedded;
+        totals.unchanged += summary.unchanged;
+        console.log(`   ${from + restaurants.length} restaurants checked, ${totals.embedded} embedded`);
+
+        if (restaurants.length < PAGE_SIZE) break;
+    }
+
+    console.log(`✅ Embedded ${totals.embedded} restaurants, ${totals.unchanged} unchanged`);
+}
+
+main().catch(error => {
+    console.error('❌ Embedding failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,166 @@
+// Compare two extraction prompt versions on a labeled set of transcripts and
+// report precision/recall of the extracted restaurant names
+//
+// Usage: node scripts/evaluate-prompts.js [versionA] [versionB] [--dataset file | --from-labels] [--json report.json]
+// --from-labels uses the videos labeled in the admin review workflow
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const AIService = require('../services/aiService');
+const TimestampService = require('../services/timestampService');
+const { chunkTranscriptTexts } = require('../services/transcriptChunker');
+const ReviewService = require('../services/reviewService');
+const { EXTRACTION_PROMPTS, DEFAULT_EXTRACTION_PROMPT_VERSION } = require('../prompts/extraction');
+
+const DEFAULT_DATASET = path.join(__dirname, '../evaluation/extraction-labels.json');
+
+function parseArgs(argv) {
+    const options = { versions: [], dataset: DEFAULT_DATASET, fromLabels: false, json: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dataset') options.dataset = argv[++i];
+        else if (argv[i] === '--from-labels') options.fromLabels = true;
+        else if (argv[i] === '--json') options.json = argv[++i];
+        else options.versions.push(argv[i]);
+    }
+
+    // Default: the version in production against the newest one
+    const latest = Object.keys(EXTRACTION_PROMPTS).pop();
+    if (options.versions.length === 0) options.versions = [DEFAULT_EXTRACTION_PROMPT_VERSION, latest];
+    if (options.versions.length === 1) options.versions.push(latest);
+    return options;
+}
+
+/**
+ * Match extracted names to labeled ones, using the same name matching that
+ * merges restaurants across transcript chunks
+ * @returns {Object} { matched, missed, extra } restaurant names
+ */
+function matchRestaurants(aiService, expected, extracted) {
+    const remaining = expected.map(name => ({ name, key: aiService.normalizeRestaurantName(name) }));
+    const matched = [];
+    const extra = [];
+
+    for (const name of extracted) {
+        const key = aiService.normalizeRestaurantName(name);
+        const index = remaining.findIndex(entry => aiService.isSameRestaurant(entry.key, key));
+        if (index === -1) {
+            extra.push(name);
+        } else {
+            matched.push(remaining[index].name);
+            remaining.splice(index, 1);
+        }
+    }
+
+    return { matched, missed: remaining.map(entry => entry.name), extra };
+}
+
+function score(totals) {
+    const precision = totals.tp + totals.fp > 0 ? totals.tp / (totals.tp + totals.fp) : null;
+    const recall = totals.tp + totals.fn > 0 ? totals.tp / (totals.tp + totals.fn) : null;
+    const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : null;
+    return { ...totals, precision, recall, f1 };
+}
+
+async function evaluateVersion(version, dataset) {
+    const aiService = new AIService({}, { promptVersion: version });
+    const timestampService = new TimestampService();
+    const totals = { tp: 0, fp: 0, fn: 0, errors: 0 };
+    const items = [];
+
+    console.log(`\n🧪 Evaluating prompt ${version} (${aiService.extractionPrompt.description})`);
+
+    for (const item of dataset) {
+        const transcript = item.segments
+            ? { segments: item.segments, timed: true }
+            : { segments: [], text: item.transcript, timed: false };
+        const chunkTexts = chunkTranscriptTexts(transcript, segments =>
+            timestampService.formatTranscriptWithTimestamps(segments));
+
+        let extracted = [];
+        let error = null;
+        try {
+            const recommendations = await aiService.extractFromChunks(chunkTexts, item.title);
+            extracted = recommendations.map(rec => rec.name);
+        } catch (extractError) {
+            error = extractError.message;
+            totals.errors++;
+        }
+
+        const result = matchRestaurants(aiService, item.restaurants, extracted);
+        totals.tp += result.matched.length;
+        totals.fp += result.extra.length;
+        totals.fn += result.missed.length;
+        items.push({ id: item.id, extracted, ...result, error });
+
+        const status = error ? `❌ ${error}` : `✅ ${result.matched.length}/${item.restaurants.length} found`;
+        console.log(`   ${item.id}: ${status}${result.extra.length > 0 ? `, extra: ${result.extra.join(', ')}` : ''}`);
+    }
+
+    return { version, model: aiService.extractionLLM.model, ...score(totals), items };
+}
+
+function formatScore(value) {
+    return value === null ? 'n/a' : value.toFixed(3);
+}
+
+function printComparison(results) {
+    console.log('\n📊 Results');
+    console.log('='.repeat(72));
+    console.log(['version', 'precision', 'recall', 'f1', 'tp', 'fp', 'fn', 'errors'].map(h => h.padEnd(11)).join(''));
+    results.forEach(result => {
+        console.log([
+            result.version,
+            formatScore(result.precision),
+            formatScore(result.recall),
+            formatScore(result.f1),
+            result.tp, result.fp, result.fn, result.errors
+        ].map(value => String(value).padEnd(11)).join(''));
+    });
+
+    // Items where the two versions disagree
+    const [a, b] = results;
+    const changed = a.items.filter((item, index) =>
+        JSON.stringify([item.missed, item.extra]) !== JSON.stringify([b.items[index].missed, b.items[index].extra]));
+
+    if (changed.length > 0) {
+        console.log(`\n🔀 ${changed.length} transcripts changed between ${a.version} and ${b.version}`);
+        changed.forEach(item => {
+            const other = b.items.find(entry => entry.id === item.id);
+            console.log(`   ${item.id}`);
+            console.log(`      ${a.version}: missed [${item.missed.join(', ')}] extra [${item.extra.join(', ')}]`);
+            console.log(`      ${b.version}: missed [${other.missed.join(', ')}] extra [${other.extra.join(', ')}]`);
+        });
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const source = options.fromLabels ? 'reviewed videos' : options.dataset;
+    const dataset = options.fromLabels
+        ? await new ReviewService().buildGoldDataset()
+        : JSON.parse(fs.readFileSync(options.dataset, 'utf8'));
+    console.log(`📚 ${dataset.length} labeled transcripts from ${source}`);
+
+    if (dataset.length === 0) {
+        console.log('Nothing to evaluate; complete the review of some videos first');
+        return;
+    }
+
+    const results = [];
+    for (const version of options.versions.slice(0, 2)) {
+        results.push(await evaluateVersion(version, dataset));
+    }
+
+    printComparison(results);
+
+    if (options.json) {
+        fs.writeFileSync(options.json, `${JSON.stringify({ dataset: source, results }, null, 2)}\n`);
+        console.log(`\n💾 Report written to ${options.json}`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+});
@@ -3,41 +3,129 @@ require('dotenv').config();
 const axios = require('axios');
 
 const API_BASE = 'http://localhost:3002/api';
+// /processing needs an admin API key (one of API_KEYS on the server)
+const API_HEADERS = process.env.FOODIEFIND_API_KEY ? { 'X-API-Key': process.env.FOODIEFIND_API_KEY } : {};
 
 class ProcessingMonitor {
     constructor() {
         this.lastStats = null;
+        this.recentEvents = [];
+        this.lastEventId = null;
+        this.redrawTimer = null;
     }
 
     async run() {
-        console.log('🖥️  FoodieFind Processing Monitor');
-        console.log('=====================================\n');
+        await this.redraw();
+
+        // Redraw whenever the server streams a processing event
+        this.subscribeToEvents();
 
-        // Run monitoring loop
+        // Slow refresh for changes that don't produce events (e.g. new influencers)
         while (true) {
-            await this.displayStatus();
-            await this.sleep(5000); // Update every 5 seconds
-            console.clear();
-            console.log('🖥️  FoodieFind Processing Monitor (Updates every 5s)');
-            console.log('=====================================\n');
+            await this.sleep(60000);
+            await this.redraw();
+        }
+    }
+
+    async redraw() {
+        console.clear();
+        console.log('🖥️  FoodieFind Processing Monitor (live)');
+        console.log('=====================================\n');
+        await this.displayStatus();
+        this.displayRecentEvents();
+    }
+
+    // Redraw at most once per second while events stream in
+    scheduleRedraw() {
+        if (this.redrawTimer) return;
+        this.redrawTimer = setTimeout(async () => {
+            this.redrawTimer = null;
+            await this.redraw();
+        }, 1000);
+    }
+
+    async subscribeToEvents() {
+        try {
+            const response = await axios.get(`${API_BASE}/processing/events`, {
+                responseType: 'stream',
+                headers: {
+                    ...API_HEADERS,
+                    Accept: 'text/event-stream',
+                    ...(this.lastEventId && { 'Last-Event-ID': this.lastEventId })
+                }
+            });
+
+            let buffer = '';
+            response.data.on('data', chunk => {
+                buffer += chunk.toString();
+                const messages = buffer.split('\n\n');
+                buffer = messages.pop(); // Keep the incomplete tail
+
+                messages.forEach(message => this.handleEventMessage(message));
+            });
+
+            response.data.on('end', () => this.reconnect());
+            response.data.on('error', () => this.reconnect());
+        } catch (error) {
+            this.reconnect();
+        }
+    }
+
+    handleEventMessage(message) {
+        const dataLine = message.split('\n').find(line => line.startsWith('data: '));
+        if (!dataLine) return; // Keep-alive comment or retry hint
+
+        let event;
+        try {
+            event = JSON.parse(dataLine.slice(6));
+        } catch (error) {
+            return; // Truncated or garbled event; the next one still arrives
         }
+        this.lastEventId = event.id;
+
+        if (event.type !== 'step_started' && event.type !== 'job_queued') {
+            this.recentEvents.push(event);
+            this.recentEvents = this.recentEvents.slice(-10);
+        }
+        this.scheduleRedraw();
+    }
+
+    reconnect() {
+        setTimeout(() => this.subscribeToEvents(), 5000);
+    }
+
+    displayRecentEvents() {
+        console.log('\n📡 LIVE EVENTS');
+        console.log('--------------');
+        if (this.recentEvents.length === 0) {
+            console.log('   Waiting for processing events...');
+            return;
+        }
+
+        this.recentEvents.forEach(event => {
+            const time = new Date(event.timestamp).toLocaleTimeString();
+            // Job messages already name the video; step messages don't
+            const title = event.type.startsWith('step_') && event.title ? `${event.title.substring(0, 40)} - ` : '';
+            console.log(`   [${time}] ${title}${event.message}`);
+        });
     }
 
     async displayStatus() {
         try {
-            const [stats, influencers, restaurants] = await Promise.all([
+            const [stats, influencers, restaurants, runningJobs] = await Promise.all([
                 this.getProcessingStatus(),
                 this.getInfluencers(),
-                this.getRestaurants()
+                this.getRestaurants(),
+                this.getJobs('running')
             ]);
 
             // Display overall stats
             console.log('📊 SYSTEM OVERVIEW');
             console.log('------------------');
-            console.log(`👥 Influencers: ${influencers.length}`);
+            console.log(`👥 Influencers: ${influencers.total}`);
             console.log(`📹 Total Videos: ${stats.total}`);
-            console.log(`🍽️  Restaurants: ${restaurants.length}`);
-            console.log(`⭐ Recommendations: ${this.getTotalRecommendations(restaurants)}`);
+            console.log(`🍽️  Restaurants: ${restaurants.total}`);
+            console.log(`⭐ Recommendations: ${stats.recommendations}`);
 
             console.log('\n🔄 PROCESSING STATUS');
             console.log('-------------------');
@@ -49,13 +137,25 @@ class ProcessingMonitor {
             const progressBar = this.createProgressBar(stats.processed, stats.total);
             console.log(`📈 Progress: ${progressBar} ${stats.processing_rate}%`);
 
+            // Show job queue and per-step progress of running jobs
+            const queue = stats.queue || {};
+            console.log('\n⚙️  JOB QUEUE');
+            console.log('------------');
+            console.log(`📥 Queued: ${queue.queued || 0} | 🔧 Running: ${queue.running || 0} | ✅ Succeeded: ${queue.succeeded || 0} | ❌ Failed: ${queue.failed || 0}`);
+
+            runningJobs.results.forEach(job => {
+                const title = (job.video?.title || job.video_id || `Maps enrichment of ${job.payload?.restaurant_ids?.length || 0} restaurants`).substring(0, 50);
+                const stepBar = this.createStepBar(job.progress?.steps || {}, job.job_type);
+                console.log(`   ${stepBar} ${title} (step ${job.steps_completed}/${job.steps_total}, attempt ${job.attempts})`);
+            });
+
             // Show recent changes
             if (this.lastStats) {
                 const processedDiff = stats.processed - this.lastStats.processed;
                 const failedDiff = stats.failed - this.lastStats.failed;
                 
                 if (processedDiff > 0 || failedDiff > 0) {
-                    console.log(`\n📈 RECENT CHANGES (last 5s)`);
+                    console.log(`\n📈 RECENT CHANGES (since last update)`);
                     console.log(`   +${processedDiff} processed, +${failedDiff} failed`);
                 }
             }
@@ -63,7 +163,7 @@ class ProcessingMonitor {
             // Show top influencers by content
             console.log('\n🏆 TOP INFLUENCERS BY CONTENT');
             console.log('----------------------------');
-            const topInfluencers = influencers
+            const topInfluencers = influencers.results
                 .sort((a, b) => (b.video_count || 0) - (a.video_count || 0))
                 .slice(0, 5);
 
@@ -98,22 +198,33 @@ class ProcessingMonitor {
     }
 
     async getProcessingStatus() {
-        const response = await axios.get(`${API_BASE}/processing/status`);
+        const response = await axios.get(`${API_BASE}/processing/status`, {
+            headers: API_HEADERS
+        });
         return response.data;
     }
 
-    async getInfluencers() {
-        const response = await axios.get(`${API_BASE}/influencers`);
+    async getJobs(status) {
+        const response = await axios.get(`${API_BASE}/processing/jobs`, {
+            params: { status, limit: 10 },
+            headers: API_HEADERS
+        });
         return response.data;
     }
 
-    async getRestaurants() {
-        const response = await axios.get(`${API_BASE}/restaurants`);
+    // List totals come with the first page
+    async getInfluencers() {
+        const response = await axios.get(`${API_BASE}/influencers`, {
+            params: { limit: 100 }
+        });
         return response.data;
     }
 
-    getTotalRecommendations(restaurants) {
-        return restaurants.reduce((sum, r) => sum + (r.recommendation_count || 0), 0);
+    async getRestaurants() {
+        const response = await axios.get(`${API_BASE}/restaurants`, {
+            params: { limit: 1 }
+        });
+        return response.data;
     }
 
     createProgressBar(current, total, width = 30) {
@@ -126,6 +237,14 @@ class ProcessingMonitor {
         return '▰'.repeat(filledWidth) + '▱'.repeat(emptyWidth);
     }
 
+    createStepBar(steps, jobType) {
+        const symbols = { completed: '✅', running: '🔄', failed: '❌', pending: '⬜' };
+        const stepNames = jobType === 'enrich_restaurants'
+            ? ['restaurants_enriched']
+            : ['transcript_fetched', 'ai_extracted', 'timestamps_aligned', 'restaurants_linked', 'restaurants_enriched', 'restaurants_embedded'];
+        return stepNames.map(step => symbols[steps[step]?.status] || symbols.pending).join('');
+    }
+
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
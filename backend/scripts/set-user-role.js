@@ -0,0 +1,51 @@
+// Give a Supabase user a role for the API: viewer, curator or admin. The role
+// is kept in the user's app_metadata, which only the service role can change,
+// and takes effect on their next sign-in or token refresh.
+//
+// Usage: node scripts/set-user-role.js <email> <role>
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { ROLES } = require('../middleware/auth');
+
+const PAGE_SIZE = 1000;
+
+async function findUserByEmail(supabase, email) {
+    for (let page = 1; ; page++) {
+        const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: PAGE_SIZE });
+        if (error) throw new Error(`Failed to list users: ${error.message}`);
+
+        const user = data.users.find(candidate => candidate.email?.toLowerCase() === email.toLowerCase());
+        if (user || data.users.length < PAGE_SIZE) return user || null;
+    }
+}
+
+async function main() {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !ROLES.includes(role)) {
+        console.log(`Usage: node scripts/set-user-role.js <email> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+        auth: { persistSession: false, autoRefreshToken: false }
+    });
+
+    const user = await findUserByEmail(supabase, email);
+    if (!user) {
+        console.log(`❌ No user with email ${email}`);
+        process.exit(1);
+    }
+
+    const { error } = await supabase.auth.admin.updateUserById(user.id, {
+        app_metadata: { ...user.app_metadata, role }
+    });
+    if (error) throw new Error(`Failed to update user: ${error.message}`);
+
+    console.log(`✅ ${email} is now ${role === 'admin' ? 'an' : 'a'} ${role}`);
+}
+
+main().catch(error => {
+    console.error('❌ Setting role failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,8 @@
+// Run the tests against the real APIs and re-record their HTTP fixtures,
+// with the keys in .env. Sets FIXTURE_MODE here rather than in the npm
+// script so it works in any shell, Windows included.
+//
+// Usage: node scripts/test-record.js [jest options]
+process.env.FIXTURE_MODE = 'record';
+
+require('jest').run(process.argv.slice(2));
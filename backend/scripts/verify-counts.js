@@ -25,13 +25,13 @@ async function verifyAllCounts() {
     // Test 2: API endpoint
     console.log('\n2️⃣ Testing API endpoint...');
     try {
-        const response = await fetch('http://localhost:3002/api/influencers');
+        const response = await fetch('http://localhost:3002/api/influencers?limit=100');
         
         if (!response.ok) {
             throw new Error(`API returned ${response.status}: ${response.statusText}`);
         }
         
-        const apiData = await response.json();
+        const { results: apiData } = await response.json();
         console.log(`✅ API returned ${apiData.length} influencers`);
         
         apiData.forEach(inf => {
@@ -64,8 +64,8 @@ async function verifyAllCounts() {
     // Test 3: Admin panel simulation
     console.log('\n3️⃣ Testing admin panel data format...');
     
-    const response = await fetch('http://localhost:3002/api/influencers');
-    const influencers = await response.json();
+    const response = await fetch('http://localhost:3002/api/influencers?limit=100');
+    const { results: influencers } = await response.json();
     
     console.log('Admin panel would see:');
     influencers.forEach(inf => {
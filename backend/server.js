@@ -7,6 +7,12 @@ const path = require('path');
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Behind a load balancer or reverse proxy, the number of proxies in front of
+// the server, so rate limits see the client's IP rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -31,17 +37,28 @@ const searchRoutes = require('./routes/search');
 const userRoutes = require('./routes/users');
 const processingRoutes = require('./routes/processing');
 const analyticsRoutes = require('./routes/analytics');
+const reviewRoutes = require('./routes/review');
 const debugRoutes = require('./routes/debug');
+const authRoutes = require('./routes/auth');
+const { requireRole } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/limits');
+
+// Every API client gets its own request allowance, and requests that queue
+// processing have a tighter one (see middleware/limits.js)
+app.use('/api', rateLimit('public'));
 
-// Use routes
+// Use routes. Reads of the catalog are public; curators edit it and admins
+// run processing (see middleware/auth.js)
+app.use('/api/auth', authRoutes);
 app.use('/api/influencers', influencerRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/restaurants', restaurantRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/users', userRoutes);
-app.use('/api/processing', processingRoutes);
+app.use('/api/processing', requireRole('admin'), rateLimit('processing', { methods: ['POST'] }), processingRoutes);
 app.use('/api/analytics', analyticsRoutes);
-app.use('/api/debug', debugRoutes);
+app.use('/api/review', requireRole('curator'), reviewRoutes);
+app.use('/api/debug', requireRole('admin'), debugRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -54,12 +71,14 @@ app.get('/', (req, res) => {
     message: 'FoodieFind - AI Restaurant Discovery API',
     version: '1.0.0',
     endpoints: [
+      '/api/auth',
       '/api/influencers',
       '/api/videos', 
       '/api/restaurants',
       '/api/search',
       '/api/users',
       '/api/processing',
+      '/api/review',
       '/admin/index.html - Admin Panel'
     ]
   });
@@ -79,9 +98,36 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Background worker that drains the processing job queue
+const ProcessingWorker = require('./services/processingWorker');
+const processingWorker = new ProcessingWorker();
+
+// Scheduler that syncs influencers' new uploads and queues them for processing
+const SyncScheduler = require('./services/syncScheduler');
+const syncScheduler = new SyncScheduler();
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Admin Panel: http://localhost:${PORT}/admin/index.html`);
-});
\ No newline at end of file
+
+  if (process.env.PROCESSING_WORKER_ENABLED !== 'false') {
+    processingWorker.start();
+  }
+
+  if (process.env.SYNC_SCHEDULER_ENABLED !== 'false') {
+    syncScheduler.start();
+  }
+});
+
+// Graceful shutdown - let the worker finish its current job so it isn't retried
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down...`);
+  server.close();
+  await Promise.all([processingWorker.stop(), syncScheduler.stop()]);
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
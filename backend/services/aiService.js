@@ -1,141 +1,312 @@
-const OpenAI = require('openai');
+const Ajv = require('ajv');
+const { createLLMProvider } = require('./llm');
+const { getExtractionPrompt } = require('../prompts/extraction');
+const { normalizeRestaurantName, isSameRestaurant } = require('./restaurantNames');
+const { EXTRACTION_RESULT_SCHEMA, PRICE_RANGES } = require('../schemas/extractionResult');
+
+// restaurant_recommendations.dish_mentioned is VARCHAR(255)
+const MAX_DISHES_LENGTH = 255;
+
+/**
+ * Join dishes into one comma-separated list, keeping whole dishes up to
+ * MAX_DISHES_LENGTH characters
+ * @param {Set} dishes - Dish names
+ * @returns {string|null} The list, or null without dishes
+ */
+function joinDishes(dishes) {
+  let list = '';
+  for (const dish of dishes) {
+    const next = list ? `${list}, ${dish}` : dish;
+    if (next.length > MAX_DISHES_LENGTH) break;
+    list = next;
+  }
+  // A single dish longer than the column is cut
+  if (!list && dishes.size > 0) list = [...dishes][0].slice(0, MAX_DISHES_LENGTH);
+  return list || null;
+}
+
+// The model lists several dishes as "pad thai, green curry"
+function splitDishes(dishMentioned) {
+  return (dishMentioned || '').split(',').map(dish => dish.trim()).filter(Boolean);
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateExtractionResult = ajv.compile(EXTRACTION_RESULT_SCHEMA);
+
+/**
+ * The model's extraction response didn't match EXTRACTION_RESULT_SCHEMA, even
+ * after asking it to repair the response
+ */
+class ExtractionValidationError extends Error {
+  /**
+   * @param {string} message - Summary of the failure
+   * @param {Object} details - { errors, attempts, response }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ExtractionValidationError';
+    this.errors = details.errors || [];
+    this.attempts = details.attempts || 1;
+    this.response = details.response;
+    // The repair retries are already spent; running the job again would pay
+    // for the whole extraction again
+    this.retryable = false;
+  }
+
+  /**
+   * Failure reason in the shape stored on videos.extraction_error
+   * @returns {Object} { message, errors, attempts, response }
+   */
+  toJSON() {
+    return {
+      message: this.message,
+      errors: this.errors,
+      attempts: this.attempts,
+      // Enough of the bad response to debug it without bloating the row
+      response: this.response ? this.response.substring(0, 2000) : null
+    };
+  }
+}
 
 class AIService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+  /**
+   * @param {Object} providers - { extraction, summary } LLM providers; default
+   *   to the ones configured by LLM_PROVIDER / LLM_<TASK>_PROVIDER
+   * @param {Object} options - { promptVersion } extraction prompt version;
+   *   defaults to EXTRACTION_PROMPT_VERSION, { usageLedger } to record the
+   *   cost of each completion (UsageLedgerService)
+   */
+  constructor(providers = {}, options = {}) {
+    this.extractionLLM = providers.extraction || createLLMProvider('extraction');
+    this.summaryLLM = providers.summary || createLLMProvider('summary');
+    this.extractionPrompt = getExtractionPrompt(options.promptVersion);
+    this.promptVersion = this.extractionPrompt.version;
+    this.repairAttempts = parseInt(process.env.AI_EXTRACTION_REPAIR_ATTEMPTS ?? 1) || 0;
+    this.usageLedger = options.usageLedger || null;
+  }
+
+  async recordUsage(operation, response) {
+    if (this.usageLedger) await this.usageLedger.recordCompletion(operation, response);
   }
 
   /**
    * Extract restaurant recommendations from video transcript
    * @param {string} transcript - Video transcript text
    * @param {string} videoTitle - Video title for context
+   * @param {Object} chunk - Optional { index, total } when the transcript is one part of a longer video
    * @returns {Array} Array of restaurant recommendations
+   * @throws {ExtractionValidationError} If no valid response was returned after repair attempts
    */
-  async extractRestaurantRecommendations(transcript, videoTitle = '') {
+  async extractRestaurantRecommendations(transcript, videoTitle = '', chunk = null) {
     try {
-      const prompt = this.createExtractionPrompt(transcript, videoTitle);
-      
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system",
-            content: `You are an expert at extracting restaurant recommendations from food influencer video transcripts. 
-            Extract restaurant names, locations, cuisine types, and specific dishes mentioned. 
-            Be precise and only include restaurants that are clearly recommended or positively mentioned.
-            Return results in valid JSON format only.`
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 2000
-      });
+      const prompt = this.createExtractionPrompt(transcript, videoTitle, chunk);
+      const messages = [
+        {
+          role: "system",
+          content: this.extractionPrompt.system
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ];
+
+      for (let attempt = 1; ; attempt++) {
+        const response = await this.extractionLLM.complete({
+          messages,
+          jsonSchema: { name: 'restaurant_extraction', schema: EXTRACTION_RESULT_SCHEMA },
+          temperature: 0.3,
+          maxTokens: 2000
+        });
+        await this.recordUsage('extraction', response);
 
-      const content = response.choices[0].message.content;
-      
-      // Parse the JSON response
-      let recommendations;
-      try {
-        recommendations = JSON.parse(content);
-      } catch (parseError) {
-        console.error('Failed to parse AI response as JSON:', parseError);
-        // Try to extract JSON from the response if it's wrapped in text
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          recommendations = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error('AI response is not valid JSON');
+        if (response.refusal) {
+          throw new Error(`Model refused the extraction: ${response.refusal}`);
         }
-      }
 
-      // Validate and format the recommendations
-      return this.validateAndFormatRecommendations(recommendations);
+        const content = response.content;
+        const errors = this.validateExtractionResponse(content, response.finishReason);
+
+        if (errors.length === 0) {
+          // Validate and format the recommendations
+          return this.validateAndFormatRecommendations(JSON.parse(content));
+        }
+
+        if (attempt > this.repairAttempts) {
+          throw new ExtractionValidationError(
+            `AI response failed schema validation after ${attempt} attempt(s): ${errors.slice(0, 3).join('; ')}`,
+            { errors, attempts: attempt, response: content }
+          );
+        }
 
+        // Show the model its own answer and what was wrong with it
+        console.log(`🔧 AI response failed validation (${errors.length} errors), asking for a repair`);
+        messages.push(
+          { role: "assistant", content },
+          { role: "user", content: this.createRepairPrompt(errors) }
+        );
+      }
     } catch (error) {
       console.error('Error extracting restaurant recommendations:', error);
+      if (error instanceof ExtractionValidationError) throw error;
       throw new Error(`Failed to extract recommendations: ${error.message}`);
     }
   }
 
   /**
-   * Create a prompt for restaurant extraction
-   * @param {string} transcript - Video transcript
-   * @param {string} videoTitle - Video title
-   * @returns {string} Formatted prompt
+   * Check a raw model response against the extraction schema
+   * @param {string} content - Response text
+   * @param {string} finishReason - 'stop' or 'length' from the LLM provider
+   * @returns {Array} Readable validation errors, empty if the response is valid
+   */
+  validateExtractionResponse(content, finishReason = 'stop') {
+    if (finishReason === 'length') {
+      return ['response was truncated at the token limit'];
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (parseError) {
+      return [`response is not valid JSON: ${parseError.message}`];
+    }
+
+    if (validateExtractionResult(parsed)) return [];
+    return validateExtractionResult.errors.map(error =>
+      `${error.instancePath || '/'} ${error.message}${error.params?.allowedValues ? ` (${error.params.allowedValues.map(String).join(', ')})` : ''}`
+    );
+  }
+
+  createRepairPrompt(errors) {
+    return `Your previous response does not match the required JSON schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only, with every field present (use null when unknown).`;
+  }
+
+  /**
+   * Extract recommendations chunk by chunk (map) and merge restaurants found
+   * in more than one chunk (reduce)
+   * @param {Array} chunkTexts - Transcript text of each chunk, in order
+   * @param {string} videoTitle - Video title for context
+   * @param {Object} options - { onChunk(done, total) } called after each chunk
+   * @returns {Array} Merged recommendations
    */
-  createExtractionPrompt(transcript, videoTitle) {
-    return `
-Please analyze this food video transcript and extract restaurant recommendations. 
+  async extractFromChunks(chunkTexts, videoTitle = '', options = {}) {
+    if (chunkTexts.length === 1) {
+      const recommendations = await this.extractRestaurantRecommendations(chunkTexts[0], videoTitle);
+      if (options.onChunk) await options.onChunk(1, 1);
+      return recommendations;
+    }
 
-Video Title: "${videoTitle}"
+    console.log(`✂️ Extracting from ${chunkTexts.length} transcript chunks`);
+    const chunkResults = [];
 
-Transcript: "${transcript}"
+    for (let index = 0; index < chunkTexts.length; index++) {
+      const recommendations = await this.extractRestaurantRecommendations(
+        chunkTexts[index],
+        videoTitle,
+        { index, total: chunkTexts.length }
+      );
+      chunkResults.push(recommendations);
+      if (options.onChunk) await options.onChunk(index + 1, chunkTexts.length);
+    }
 
-Extract and return a JSON object with the following structure:
-{
-  "restaurants": [
-    {
-      "name": "Restaurant Name",
-      "location": "City, State/Country (if mentioned)",
-      "address": "Full address if mentioned",
-      "cuisineType": "Type of cuisine",
-      "dishMentioned": "Specific dish or food item mentioned",
-      "context": "Brief quote or context about why it's recommended",
-      "confidenceScore": 0.9,
-      "priceRange": "$$ (if mentioned or can be inferred)",
-      "mentionedAt": 450
+    const merged = this.mergeRecommendations(chunkResults.flat());
+    console.log(`🧩 Merged ${chunkResults.flat().length} chunk results into ${merged.length} restaurants`);
+    return merged;
+  }
+
+  /**
+   * Combine recommendations for the same restaurant found in overlapping
+   * chunks, keeping the earliest mention and the most confident details.
+   * Dishes from all mentions are listed once each, up to the 255 characters
+   * dish_mentioned holds.
+   * @param {Array} recommendations - Validated recommendations from all chunks
+   * @returns {Array} One recommendation per restaurant
+   */
+  mergeRecommendations(recommendations) {
+    const merged = [];
+
+    for (const recommendation of recommendations) {
+      const key = this.normalizeRestaurantName(recommendation.name);
+      const existing = merged.find(entry => this.isSameRestaurant(entry.key, key));
+
+      if (!existing) {
+        const dishes = new Set(splitDishes(recommendation.dishMentioned));
+        merged.push({ key, recommendation: { ...recommendation, dishMentioned: joinDishes(dishes) }, dishes });
+        continue;
+      }
+
+      const current = existing.recommendation;
+      const preferNew = (recommendation.confidenceScore || 0) > (current.confidenceScore || 0);
+      const [primary, secondary] = preferNew ? [recommendation, current] : [current, recommendation];
+
+      // Fill gaps in the more confident mention from the other one
+      const combined = { ...primary };
+      Object.keys(secondary).forEach(field => {
+        if (combined[field] === null || combined[field] === undefined) combined[field] = secondary[field];
+      });
+
+      const mentions = [current.mentionedAt, recommendation.mentionedAt].filter(value => value !== null && value !== undefined);
+      combined.mentionedAt = mentions.length > 0 ? Math.min(...mentions) : null;
+
+      splitDishes(recommendation.dishMentioned).forEach(dish => existing.dishes.add(dish));
+      combined.dishMentioned = joinDishes(existing.dishes);
+
+      // Keep the longer name, e.g. "Jay Fai" + "Raan Jay Fai"
+      if (recommendation.name.length > current.name.length) combined.name = recommendation.name;
+
+      existing.recommendation = combined;
+      existing.key = this.normalizeRestaurantName(combined.name);
     }
-  ]
-}
 
-Guidelines:
-1. Only include restaurants that are clearly recommended or spoken about positively
-2. Don't include restaurants that are just mentioned in passing without recommendation
-3. Extract specific dishes or menu items mentioned
-4. Include location details if mentioned (city, neighborhood, address)
-5. Set confidence score between 0.6-1.0 based on how clearly the restaurant is recommended
-6. Price range: $, $$, $$$, $$$$ (if mentioned or can be inferred from context)
-7. For mentionedAt: If transcript has timestamps, extract the approximate time in seconds. If no timestamps, return null.
-8. If no restaurants are recommended, return: {"restaurants": []}
-9. Be conservative - better to miss a recommendation than include a false positive
+    return merged.map(entry => entry.recommendation);
+  }
 
-Return only the JSON object, no additional text.
-    `;
+  normalizeRestaurantName(name) {
+    return normalizeRestaurantName(name);
+  }
+
+  isSameRestaurant(keyA, keyB) {
+    return isSameRestaurant(keyA, keyB);
+  }
+
+  /**
+   * Create a prompt for restaurant extraction from the configured prompt version
+   * @param {string} transcript - Video transcript
+   * @param {string} videoTitle - Video title
+   * @param {Object} chunk - Optional { index, total } for one part of a long transcript
+   * @returns {string} Formatted prompt
+   */
+  createExtractionPrompt(transcript, videoTitle, chunk = null) {
+    return this.extractionPrompt.createPrompt(transcript, videoTitle, chunk);
   }
 
   /**
-   * Validate and format AI recommendations
-   * @param {Object} recommendations - Raw AI recommendations
+   * Format schema-valid AI recommendations, dropping low-confidence ones
+   * @param {Object} recommendations - Response matching EXTRACTION_RESULT_SCHEMA
    * @returns {Array} Validated recommendations
    */
   validateAndFormatRecommendations(recommendations) {
-    if (!recommendations || !recommendations.restaurants || !Array.isArray(recommendations.restaurants)) {
-      return [];
+    const restaurants = recommendations.restaurants.filter(restaurant => restaurant.name.trim().length > 0);
+    const confident = restaurants.filter(restaurant => restaurant.confidenceScore >= 0.6);
+
+    if (confident.length < restaurants.length) {
+      console.log(`⏭️ Dropped ${restaurants.length - confident.length} low-confidence restaurants`);
     }
 
-    return recommendations.restaurants
-      .filter(restaurant => {
-        // Basic validation - must have name and reasonable confidence
-        return restaurant.name && 
-               restaurant.name.trim().length > 0 &&
-               (restaurant.confidenceScore >= 0.6 || !restaurant.confidenceScore);
-      })
-      .map(restaurant => ({
-        name: restaurant.name.trim(),
-        location: restaurant.location || null,
-        address: restaurant.address || null,
-        cuisineType: restaurant.cuisineType || null,
-        dishMentioned: restaurant.dishMentioned || null,
-        context: restaurant.context || null,
-        confidenceScore: restaurant.confidenceScore || 0.8,
-        priceRange: this.validatePriceRange(restaurant.priceRange),
-        mentionedAt: restaurant.mentionedAt || null
-      }));
+    return confident.map(restaurant => ({
+      name: restaurant.name.trim(),
+      location: restaurant.location || null,
+      address: restaurant.address || null,
+      cuisineType: restaurant.cuisineType || null,
+      dishMentioned: restaurant.dishMentioned || null,
+      context: restaurant.context || null,
+      confidenceScore: restaurant.confidenceScore,
+      priceRange: this.validatePriceRange(restaurant.priceRange),
+      mentionedAt: restaurant.mentionedAt ?? null
+    }));
   }
 
   /**
@@ -144,8 +315,7 @@ Return only the JSON object, no additional text.
    * @returns {string} Validated price range
    */
   validatePriceRange(priceRange) {
-    const validRanges = ['$', '$$', '$$$', '$$$$'];
-    return validRanges.includes(priceRange) ? priceRange : null;
+    return PRICE_RANGES.includes(priceRange) ? priceRange : null;
   }
 
   /**
@@ -169,8 +339,7 @@ Generate a JSON response with:
 }
       `;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o",
+      const response = await this.summaryLLM.complete({
         messages: [
           {
             role: "system",
@@ -181,11 +350,13 @@ Generate a JSON response with:
             content: prompt
           }
         ],
+        json: true,
         temperature: 0.2,
-        max_tokens: 500
+        maxTokens: 500
       });
+      await this.recordUsage('summary', response);
 
-      return JSON.parse(response.choices[0].message.content);
+      return JSON.parse(response.content);
 
     } catch (error) {
       console.error('Error generating restaurant summary:', error);
@@ -222,4 +393,6 @@ Generate a JSON response with:
   }
 }
 
+AIService.ExtractionValidationError = ExtractionValidationError;
+
 module.exports = AIService;
\ No newline at end of file
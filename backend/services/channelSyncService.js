@@ -0,0 +1,233 @@
+const SupabaseService = require('./supabaseService');
+const YouTubeService = require('./youtubeService');
+
+const { YouTubeQuotaError } = YouTubeService;
+
+// Uploads pages (50 videos each) one backfill run reads before returning
+const DEFAULT_BACKFILL_PAGES = 10;
+
+// Uploads pages an incremental sync reads at most; older gaps are left to
+// backfill
+const DEFAULT_SYNC_PAGES = 5;
+
+// Incremental syncs look this far before last_synced_at, for videos that
+// went public after the publish date YouTube reports
+const SYNC_OVERLAP_MS = 24 * 60 * 60 * 1000;
+
+function sameTime(stored, date) {
+  return (stored ? new Date(stored).getTime() : null) === (date ? date.getTime() : null);
+}
+
+/**
+ * Brings an influencer's YouTube uploads into the videos table: the latest
+ * ones (syncRecent), the ones published since the last scheduled sync
+ * (syncNew) or the whole back catalog, a few pages per run (backfill). Runs
+ * are deferred while the YouTube quota is low.
+ */
+class ChannelSyncService {
+  /**
+   * @param {Object} services - { supabaseService, youtubeService, quotaService }
+   *   quotaService (YouTubeQuotaService) defers runs that would cut into the
+   *   quota reserve
+   */
+  constructor(services = {}) {
+    this.supabaseService = services.supabaseService || new SupabaseService();
+    this.quotaService = services.quotaService || null;
+    this.youtubeService = services.youtubeService || new YouTubeService({ quotaService: this.quotaService });
+  }
+
+  /**
+   * Whether the quota has room for reading one more page of the channel
+   * @returns {Object|null} Daily usage when it hasn't, otherwise null
+   */
+  async checkQuota(channelId) {
+    if (!this.quotaService) return null;
+    return this.quotaService.checkQuota(this.youtubeService.estimateChannelVideosCost(channelId));
+  }
+
+  /**
+   * Store the videos not in the database yet
+   * @param {Object} influencer - Influencer row
+   * @param {Array} videos - Video information from YouTubeService
+   * @returns {Object} { synced, skipped, videoIds } with the IDs of the videos added
+   */
+  async saveVideos(influencer, videos) {
+    let synced = 0;
+    let skipped = 0;
+    const videoIds = [];
+
+    for (const videoData of videos) {
+      try {
+        // Check if video already exists
+        const existingVideo = await this.supabaseService.getVideo(videoData.videoId);
+        if (existingVideo) {
+          skipped++;
+          continue;
+        }
+
+        // Create video in database
+        await this.supabaseService.createVideo({
+          ...videoData,
+          influencerId: influencer.id
+        });
+        videoIds.push(videoData.videoId);
+        synced++;
+      } catch (videoError) {
+        console.error(`Error syncing video ${videoData.videoId}:`, videoError);
+      }
+    }
+
+    return { synced, skipped, videoIds };
+  }
+
+  /**
+   * Read the uploads playlist page by page from pageToken, saving the suitable
+   * videos in the publish window, until the playlist ends or passes
+   * publishedAfter (complete), maxPages pages are read, or the quota runs low
+   * (deferred)
+   * @param {Object} influencer - Influencer row
+   * @param {Object} options - { pageToken, publishedAfter, publishedBefore, maxPages }
+   * @param {Function} onPage - Awaited after each page with the next page
+   *   token (null once complete)
+   * @returns {Object} { synced, skipped, scanned, pages, videoIds, complete,
+   *   deferred, quota }
+   */
+  async readUploads(influencer, options, onPage = async () => {}) {
+    const { publishedAfter = null, publishedBefore = null, maxPages } = options;
+    const result = { synced: 0, skipped: 0, scanned: 0, pages: 0, videoIds: [], complete: false, deferred: false };
+    let pageToken = options.pageToken || null;
+
+    while (result.pages < maxPages) {
+      const quota = await this.checkQuota(influencer.channel_id);
+      if (quota) {
+        return { ...result, deferred: true, quota };
+      }
+
+      let page;
+      try {
+        page = await this.youtubeService.getUploadsPage(influencer.channel_id, { pageToken, publishedAfter, publishedBefore });
+      } catch (error) {
+        // Keep what earlier pages synced; the caller picks up from there
+        if (error instanceof YouTubeQuotaError && result.pages > 0) {
+          return { ...result, deferred: true, quota: error.usage };
+        }
+        throw error;
+      }
+
+      const saved = await this.saveVideos(influencer, page.videos);
+      result.synced += saved.synced;
+      result.skipped += saved.skipped;
+      result.videoIds.push(...saved.videoIds);
+      result.scanned += page.scanned;
+      result.pages++;
+
+      result.complete = !page.nextPageToken || page.pastWindow;
+      pageToken = result.complete ? null : page.nextPageToken;
+      await onPage(pageToken);
+
+      if (result.complete) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Sync the channel's latest uploads
+   * @param {Object} influencer - Influencer row
+   * @param {Object} options - { maxResults } suitable videos to fetch
+   * @returns {Object} { synced, skipped, total }, or { deferred: true, quota }
+   *   when the quota is too low to start
+   */
+  async syncRecent(influencer, options = {}) {
+    const quota = await this.checkQuota(influencer.channel_id);
+    if (quota) {
+      return { deferred: true, quota };
+    }
+
+    const videos = await this.youtubeService.getChannelVideos(influencer.channel_id, options.maxResults || 50);
+    const { synced, skipped } = await this.saveVideos(influencer, videos);
+
+    return { synced, skipped, total: videos.length };
+  }
+
+  /**
+   * Walk the channel's uploads playlist from where the last run stopped. The
+   * next page token is stored on the influencer after every page, so a run
+   * cut short (page limit, quota, crash) resumes there. The cursor belongs to
+   * a publish window: asking for another window starts over.
+   * @param {Object} influencer - Influencer row
+   * @param {Object} options - { publishedAfter, publishedBefore } Dates
+   *   bounding the videos to sync, { maxPages } to read this run (default 10),
+   *   { restart } to start from the newest upload even if a cursor is stored
+   * @returns {Object} { synced, skipped, scanned, pages, complete, deferred,
+   *   quota, cursor } where complete means the window has been walked to the
+   *   end and deferred means the quota stopped the run
+   */
+  async backfill(influencer, options = {}) {
+    const { publishedAfter = null, publishedBefore = null, restart = false } = options;
+    const maxPages = options.maxPages || DEFAULT_BACKFILL_PAGES;
+
+    const sameWindow = sameTime(influencer.backfill_published_after, publishedAfter) &&
+      sameTime(influencer.backfill_published_before, publishedBefore);
+    const resume = sameWindow && !restart;
+
+    let cursor = {
+      backfill_page_token: resume ? influencer.backfill_page_token : null,
+      backfill_published_after: publishedAfter ? publishedAfter.toISOString() : null,
+      backfill_published_before: publishedBefore ? publishedBefore.toISOString() : null,
+      backfill_completed_at: resume ? influencer.backfill_completed_at : null,
+      backfill_updated_at: resume ? influencer.backfill_updated_at : null
+    };
+
+    if (cursor.backfill_completed_at) {
+      return { synced: 0, skipped: 0, scanned: 0, pages: 0, complete: true, deferred: false, cursor };
+    }
+
+    const { videoIds, ...result } = await this.readUploads(influencer, {
+      pageToken: cursor.backfill_page_token,
+      publishedAfter,
+      publishedBefore,
+      maxPages
+    }, async pageToken => {
+      const now = new Date().toISOString();
+      cursor = {
+        ...cursor,
+        backfill_page_token: pageToken,
+        backfill_completed_at: pageToken ? null : now,
+        backfill_updated_at: now
+      };
+      await this.supabaseService.updateInfluencer(influencer.channel_id, cursor);
+    });
+
+    if (result.complete) {
+      console.log(`📚 Backfill of ${influencer.channel_name} complete`);
+    }
+
+    return { ...result, cursor };
+  }
+
+  /**
+   * Sync the uploads published since the influencer's last_synced_at (with a
+   * day's overlap), newest first, up to maxPages pages. An influencer never
+   * synced gets its latest page of uploads. Storing the new last_synced_at is
+   * left to the caller.
+   * @param {Object} influencer - Influencer row
+   * @param {Object} options - { maxPages } (default 5)
+   * @returns {Object} { synced, skipped, scanned, pages, videoIds, complete,
+   *   deferred, quota } where videoIds are the videos added
+   */
+  async syncNew(influencer, options = {}) {
+    const since = influencer.last_synced_at
+      ? new Date(new Date(influencer.last_synced_at).getTime() - SYNC_OVERLAP_MS)
+      : null;
+
+    return this.readUploads(influencer, {
+      publishedAfter: since,
+      maxPages: since ? options.maxPages || DEFAULT_SYNC_PAGES : 1
+    });
+  }
+}
+
+ChannelSyncService.DEFAULT_BACKFILL_PAGES = DEFAULT_BACKFILL_PAGES;
+
+module.exports = ChannelSyncService;
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GAZETTEER_DIR = path.join(__dirname, '../data/gazetteer');
+
+/**
+ * Lowercase, strip accents and punctuation: "São Paulo" -> "sao paulo",
+ * "Washington D.C." -> "washington dc"
+ */
+function normalizePlaceName(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9\u0080-\uffff]+/g, ' ')
+    .trim();
+}
+
+// Rows of a tab-separated file, skipping # comments
+function readTsv(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => line.split('\t'));
+}
+
+/**
+ * Offline geocoder over a GeoNames-style gazetteer (data/gazetteer, or
+ * GAZETTEER_DIR for a bigger one built by scripts/build-gazetteer.js). Turns
+ * the free-text location the AI returns ("Bangkok, Thailand", "NYC",
+ * "Austin, TX") into city, state, country and the city's coordinates.
+ */
+class GeocodingService {
+  constructor(options = {}) {
+    this.gazetteerDir = options.gazetteerDir || process.env.GAZETTEER_DIR || DEFAULT_GAZETTEER_DIR;
+    this.cities = null;
+  }
+
+  // Loaded on first use; the bundled files are small, a full GeoNames export is not
+  load() {
+    if (this.cities) return;
+
+    this.countries = new Map();
+    this.countryNames = new Map();
+    readTsv(path.join(this.gazetteerDir, 'countries.tsv')).forEach(([code, name, alternateNames = '']) => {
+      this.countries.set(code, name);
+      [code, name, ...alternateNames.split(',')].forEach(alias => {
+        if (alias) this.countryNames.set(normalizePlaceName(alias), code);
+      });
+    });
+
+    this.admin1 = new Map(readTsv(path.join(this.gazetteerDir, 'admin1.tsv')).map(([code, name]) => [code, name]));
+
+    // State names and letter codes ("texas", "tx") -> admin1 keys ("US.TX");
+    // numeric codes like "CA.02" would clash with other text
+    this.stateNames = new Map();
+    this.admin1.forEach((name, key) => {
+      const code = normalizePlaceName(key.split('.')[1]);
+      [normalizePlaceName(name), /^[a-z]+$/.test(code) ? code : null].filter(Boolean).forEach(alias => {
+        if (!this.stateNames.has(alias)) this.stateNames.set(alias, new Set());
+        this.stateNames.get(alias).add(key);
+      });
+    });
+
+    this.cities = new Map();
+    readTsv(path.join(this.gazetteerDir, 'cities.tsv')).forEach(columns => {
+      const [name, asciiName, alternateNames = '', latitude, longitude, countryCode, admin1Code, population] = columns;
+      const city = {
+        name,
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        countryCode,
+        admin1Code,
+        population: parseInt(population) || 0
+      };
+
+      const keys = new Set([name, asciiName, ...alternateNames.split(',')].map(normalizePlaceName).filter(Boolean));
+      keys.forEach(key => {
+        if (!this.cities.has(key)) this.cities.set(key, []);
+        this.cities.get(key).push(city);
+      });
+    });
+  }
+
+  /**
+   * Geocode a free-text location to its city
+   * @param {string} location - e.g. "Bangkok, Thailand", "NYC", "Portland, ME"
+   * @returns {Object|null} { city, state, country, country_code, latitude, longitude };
+   *   only the country fields for a bare country, null if nothing matched
+   */
+  geocode(location) {
+    this.load();
+
+    const parts = (location || '').split(/[,;/()]|\s+-\s+/).map(normalizePlaceName).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    // Try each whole part as the city ("Shibuya, Tokyo, Japan"), then the
+    // leading words of each part ("Tokyo Japan"). A prefix of one or two
+    // letters is never a city: "La Jolla" isn't "LA".
+    const attempts = [
+      ...parts.map((part, index) => ({ index, words: part.split(' '), length: part.split(' ').length })),
+      ...parts.flatMap((part, index) => {
+        const words = part.split(' ');
+        return words.slice(1).map((_, i) => ({ index, words, length: words.length - 1 - i }));
+      })
+    ];
+
+    for (const { index, words, length } of attempts) {
+      const name = words.slice(0, length).join(' ');
+      if (length < words.length && name.length <= 2) continue;
+
+      const candidates = this.cities.get(name);
+      if (!candidates) continue;
+
+      const hints = [words.slice(length).join(' '), ...parts.filter((_, i) => i !== index)].filter(Boolean);
+      const city = this.pickCandidate(candidates, hints);
+      if (city) return this.toResult(city);
+    }
+
+    const countryCode = parts.map(part => this.countryNames.get(part)).find(Boolean);
+    if (countryCode) {
+      return { city: null, state: null, country: this.countries.get(countryCode), country_code: countryCode, latitude: null, longitude: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a hint names a state or country the city isn't in ("Paris" with
+   * "Texas"). Hints that name neither say nothing about the city.
+   */
+  contradicts(city, hint) {
+    const states = this.stateNames.get(hint);
+    const countryCode = this.countryNames.get(hint);
+    if (!states && !countryCode) return false;
+
+    return countryCode !== city.countryCode && !(states && states.has(`${city.countryCode}.${city.admin1Code}`));
+  }
+
+  /**
+   * Pick among same-named cities: the one whose state or country is named in
+   * the rest of the location, otherwise the most populous. Cities in another
+   * state or country than the location names are left out.
+   * @returns {Object|null} City, or null if every candidate is ruled out
+   */
+  pickCandidate(candidates, hints) {
+    const score = city => hints.reduce((total, hint) => {
+      const admin1Name = normalizePlaceName(this.admin1.get(`${city.countryCode}.${city.admin1Code}`));
+      const matchesState = city.admin1Code && (hint === normalizePlaceName(city.admin1Code) || hint === admin1Name);
+      const matchesCountry = this.countryNames.get(hint) === city.countryCode;
+      return total + (matchesState ? 2 : 0) + (matchesCountry ? 2 : 0);
+    }, 0);
+
+    const [best] = candidates
+      .filter(city => !hints.some(hint => this.contradicts(city, hint)))
+      .map(city => ({ city, score: score(city) }))
+      .sort((a, b) => b.score - a.score || b.city.population - a.city.population);
+
+    return best ? best.city : null;
+  }
+
+  toResult(city) {
+    return {
+      city: city.name,
+      state: this.admin1.get(`${city.countryCode}.${city.admin1Code}`) || null,
+      country: this.countries.get(city.countryCode) || null,
+      country_code: city.countryCode,
+      latitude: city.latitude,
+      longitude: city.longitude
+    };
+  }
+}
+
+GeocodingService.normalizePlaceName = normalizePlaceName;
+
+module.exports = GeocodingService;
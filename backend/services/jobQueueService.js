@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const SupabaseService = require('./supabaseService');
+const processingEvents = require('./processingEvents');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+class JobQueueService {
+  constructor(supabaseService = new SupabaseService()) {
+    this.supabase = supabaseService.supabase;
+    this.defaultMaxAttempts = parseInt(process.env.PROCESSING_JOB_MAX_ATTEMPTS) || 3;
+  }
+
+  /**
+   * Queue a video for background processing
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} options - { batchId, payload, maxAttempts }
+   * @returns {Object|null} The new job, or the already active job for this
+   *   video; null if the video kept conflicting with jobs that finished
+   *   before they could be read
+   */
+  async enqueueVideo(videoId, options = {}) {
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const { data, error } = await this.supabase
+        .from('processing_jobs')
+        .insert([{
+          job_type: 'process_video',
+          video_id: videoId,
+          batch_id: options.batchId || null,
+          payload: options.payload || {},
+          max_attempts: options.maxAttempts || this.defaultMaxAttempts
+        }])
+        .select()
+        .single();
+
+      if (!error) {
+        processingEvents.publish('job_queued', {
+          job_id: data.id,
+          video_id: videoId,
+          batch_id: data.batch_id,
+          message: `📥 Queued video ${videoId}`
+        });
+        return data;
+      }
+
+      if (error.code !== '23505') {
+        throw new Error(`Failed to enqueue video: ${error.message}`);
+      }
+
+      // Unique constraint violation - already queued or running, unless that
+      // job finished before the lookup, in which case the insert is retried
+      const activeJob = await this.getActiveJobForVideo(videoId);
+      if (activeJob) return { ...activeJob, already_queued: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Queue several videos under one batch ID
+   * @param {Array} videoIds - YouTube video IDs
+   * @param {Object} options - { payload, maxAttempts }
+   * @returns {Object} { batchId, jobs, alreadyQueued }; videos enqueueVideo
+   *   couldn't queue have no job
+   */
+  async enqueueVideos(videoIds, options = {}) {
+    const batchId = crypto.randomUUID();
+    const jobs = [];
+    let alreadyQueued = 0;
+
+    for (const videoId of videoIds) {
+      const job = await this.enqueueVideo(videoId, { ...options, batchId });
+      if (!job) continue;
+      if (job.already_queued) alreadyQueued++;
+      jobs.push(job);
+    }
+
+    return { batchId, jobs, alreadyQueued };
+  }
+
+  /**
+   * Queue a Google Maps lookup for restaurants (one job for all of them)
+   * @param {Array} restaurantIds - Restaurant IDs
+   * @param {Object} options - { maxAttempts }
+   * @returns {Object} The new job
+   */
+  async enqueueRestaurantEnrichment(restaurantIds, options = {}) {
+    const { data, error } = await this.supabase
+      .from('processing_jobs')
+      .insert([{
+        job_type: 'enrich_restaurants',
+        payload: { restaurant_ids: restaurantIds },
+        max_attempts: options.maxAttempts || this.defaultMaxAttempts
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to enqueue restaurant enrichment: ${error.message}`);
+
+    processingEvents.publish('job_queued', {
+      job_id: data.id,
+      job_type: data.job_type,
+      message: `📥 Queued Maps enrichment for ${restaurantIds.length} restaurants`
+    });
+    return data;
+  }
+
+  async getActiveJobForVideo(videoId) {
+    const { data, error } = await this.supabase
+      .from('processing_jobs')
+      .select('*')
+      .eq('job_type', 'process_video')
+      .eq('video_id', videoId)
+      .in('status', ACTIVE_STATUSES)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to get active job: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Video IDs that are queued or running, so batch selection can skip them
+   * @returns {Array} YouTube video IDs
+   */
+  async getActiveVideoIds() {
+    const { data, error } = await this.supabase
+      .from('processing_jobs')
+      .select('video_id')
+      .eq('job_type', 'process_video')
+      .in('status', ACTIVE_STATUSES);
+
+    if (error) throw new Error(`Failed to get active jobs: ${error.message}`);
+    return (data || []).map(job => job.video_id);
+  }
+
+  async getJob(jobId) {
+    const { data, error } = await this.supabase
+      .from('processing_jobs')
+      .select(`
+        *,
+        video:videos(title, thumbnail_url, influencer:influencers(channel_name))
+      `)
+      .eq('id', jobId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to get job: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - { status, batchId, videoId, limit }
+   * @returns {Array} Jobs with video title
+   */
+  async listJobs(filters = {}) {
+    let query = this.supabase
+      .from('processing_jobs')
+      .select(`
+        *,
+        video:videos(title)
+      `);
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.batchId) query = query.eq('batch_id', filters.batchId);
+    if (filters.videoId) query = query.eq('video_id', filters.videoId);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 50);
+
+    if (error) throw new Error(`Failed to list jobs: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Count jobs per status, optionally within one batch
+   * @param {string} batchId - Optional batch ID
+   * @returns {Object} { queued, running, succeeded, failed }
+   */
+  async getJobCounts(batchId = null) {
+    const counts = {};
+
+    await Promise.all(JOB_STATUSES.map(async status => {
+      let query = this.supabase
+        .from('processing_jobs')
+        .select('*', { count: 'exact', head: true })
+        .eq('status', status);
+
+      if (batchId) query = query.eq('batch_id', batchId);
+
+      const { count, error } = await query;
+      if (error) throw new Error(`Failed to count jobs: ${error.message}`);
+      counts[status] = count || 0;
+    }));
+
+    return counts;
+  }
+
+  /**
+   * Claim the next runnable job and take a lease on it
+   * @param {string} workerId - Identifier of the claiming worker
+   * @param {number} leaseSeconds - How long the lease is valid without renewal
+   * @returns {Object|null} Claimed job or null if the queue is empty
+   */
+  async claimNextJob(workerId, leaseSeconds) {
+    const { data, error } = await this.supabase
+      .rpc('claim_processing_job', { worker_id: workerId, lease_seconds: leaseSeconds });
+
+    if (error) throw new Error(`Failed to claim job: ${error.message}`);
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async extendLease(jobId, workerId, leaseSeconds) {
+    const { error } = await this.supabase
+      .from('processing_jobs')
+      .update({
+        lease_expires_at: new Date(Date.now() + leaseSeconds * 1000).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .eq('locked_by', workerId);
+
+    if (error) throw new Error(`Failed to extend lease: ${error.message}`);
+  }
+
+  async updateProgress(jobId, workerId, progress) {
+    const { error } = await this.supabase
+      .from('processing_jobs')
+      .update({ progress, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('locked_by', workerId);
+
+    if (error) throw new Error(`Failed to update job progress: ${error.message}`);
+  }
+
+  async completeJob(jobId, workerId, result = {}) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.supabase
+      .from('processing_jobs')
+      .update({
+        status: 'succeeded',
+        result,
+        last_error: null,
+        locked_by: null,
+        lease_expires_at: null,
+        finished_at: now,
+        updated_at: now
+      })
+      .eq('id', jobId)
+      .eq('locked_by', workerId)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to complete job: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Record a failed attempt. The job is requeued with exponential backoff until
+   * it runs out of attempts, then marked failed.
+   * @param {Object} job - The claimed job
+   * @param {string} workerId - Worker holding the lease
+   * @param {string} errorMessage - Why the attempt failed
+   * @param {Object} options - { retryable } set false to fail immediately
+   * @returns {Object} Updated job
+   */
+  async failJob(job, workerId, errorMessage, options = {}) {
+    const retryable = options.retryable !== false && job.attempts < job.max_attempts;
+    const now = new Date();
+    const updates = {
+      last_error: errorMessage,
+      locked_by: null,
+      lease_expires_at: null,
+      updated_at: now.toISOString()
+    };
+
+    if (retryable) {
+      const backoffSeconds = Math.min(30 * Math.pow(2, job.attempts - 1), 900);
+      updates.status = 'queued';
+      updates.run_after = new Date(now.getTime() + backoffSeconds * 1000).toISOString();
+    } else {
+      updates.status = 'failed';
+      updates.finished_at = now.toISOString();
+    }
+
+    const { data, error } = await this.supabase
+      .from('processing_jobs')
+      .update(updates)
+      .eq('id', job.id)
+      .eq('locked_by', workerId)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to record job failure: ${error.message}`);
+    return data;
+  }
+}
+
+JobQueueService.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = JobQueueService;
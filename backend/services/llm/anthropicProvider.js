@@ -0,0 +1,89 @@
+const axios = require('axios');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+
+/**
+ * Claude models through the Anthropic Messages API. Structured output is
+ * requested by forcing a single tool call whose input schema is the response
+ * schema.
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} options - { model, apiKey }
+   */
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.model = options.model || 'claude-3-5-sonnet-latest';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { messages, temperature, maxTokens, jsonSchema: { name, schema }, json }
+   * @returns {Object} { content, finishReason, refusal, provider, model, usage: { inputTokens, outputTokens } }
+   */
+  async complete(request) {
+    // Anthropic takes the system prompt separately from the conversation
+    const system = request.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    const messages = request.messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({ role: message.role, content: message.content }));
+
+    const body = {
+      model: this.model,
+      max_tokens: request.maxTokens || 2000,
+      messages,
+      ...(system && { system }),
+      ...(request.temperature !== undefined && { temperature: request.temperature })
+    };
+
+    if (request.jsonSchema) {
+      body.tools = [{
+        name: request.jsonSchema.name,
+        description: 'Return the result in this structure',
+        input_schema: request.jsonSchema.schema
+      }];
+      body.tool_choice = { type: 'tool', name: request.jsonSchema.name };
+    }
+
+    let response;
+    try {
+      response = await axios.post(ANTHROPIC_API_URL, body, {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01',
+          'content-type': 'application/json'
+        },
+        timeout: 120000
+      });
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`Anthropic error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
+      }
+      throw new Error(`Anthropic request failed: ${error.message}`);
+    }
+
+    const data = response.data;
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    const content = toolUse
+      ? JSON.stringify(toolUse.input)
+      : data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+
+    return {
+      content,
+      finishReason: data.stop_reason === 'max_tokens' ? 'length' : 'stop',
+      refusal: data.stop_reason === 'refusal' ? 'Request refused' : null,
+      provider: this.name,
+      model: data.model || this.model,
+      usage: {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
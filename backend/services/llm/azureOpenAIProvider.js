@@ -0,0 +1,23 @@
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * OpenAI models deployed on Azure. The model setting is the deployment name.
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'azure';
+  }
+
+  createClient(options) {
+    return new AzureOpenAI({
+      endpoint: options.endpoint || process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: options.apiKey || process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: options.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      deployment: options.model
+    });
+  }
+}
+
+module.exports = AzureOpenAIProvider;
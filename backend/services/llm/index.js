@@ -0,0 +1,104 @@
+const OpenAIProvider = require('./openaiProvider');
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const MockProvider = require('./mockProvider');
+
+// Provider name (as used in LLM_PROVIDER) -> class
+const LLM_PROVIDERS = {
+  'openai': OpenAIProvider,
+  'azure': AzureOpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'anthropic': AnthropicProvider,
+  'mock': MockProvider
+};
+
+/**
+ * Provider and model for one task. LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL
+ * override the global LLM_PROVIDER / LLM_MODEL, e.g. LLM_SUMMARY_MODEL=gpt-4o-mini.
+ * @param {string} task - 'extraction', 'summary', ...
+ * @returns {Object} { provider, model } (model undefined means the provider default)
+ */
+function getLLMConfig(task) {
+  const prefix = `LLM_${task.toUpperCase()}_`;
+  return {
+    provider: process.env[`${prefix}PROVIDER`] || process.env.LLM_PROVIDER || 'openai',
+    model: process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || undefined
+  };
+}
+
+/**
+ * Build the configured provider for a task
+ * @param {string} task - 'extraction', 'summary', ...
+ * @param {Object} options - Extra provider options (client, responses, ...)
+ * @returns {Object} Provider with complete(request)
+ */
+function createLLMProvider(task, options = {}) {
+  const config = getLLMConfig(task);
+  const Provider = LLM_PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Available: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+
+  if (Provider === MockProvider && process.env.LLM_MOCK_RECORD === 'true' && !options.recordWith) {
+    const RecordProvider = LLM_PROVIDERS[process.env.LLM_MOCK_RECORD_PROVIDER || 'openai'];
+    options = { ...options, recordWith: new RecordProvider({ model: config.model }) };
+  }
+
+  return new Provider({ model: config.model, ...options });
+}
+
+// Embedding model when LLM_EMBEDDING_MODEL isn't set; chat models can't embed,
+// so LLM_MODEL is not used here
+const DEFAULT_EMBEDDING_MODELS = {
+  'openai': 'text-embedding-3-small',
+  'azure': 'text-embedding-3-small',
+  'openai-compatible': 'nomic-embed-text',
+  'mock': 'mock'
+};
+
+/**
+ * Provider and model for embeddings: LLM_EMBEDDING_PROVIDER (default
+ * LLM_PROVIDER) and LLM_EMBEDDING_MODEL
+ * @returns {Object} { provider, model }
+ */
+function getEmbeddingConfig() {
+  const provider = process.env.LLM_EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'openai';
+  return {
+    provider,
+    model: process.env.LLM_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[provider]
+  };
+}
+
+/**
+ * Build the configured embedding provider. Providers without an embeddings
+ * API (anthropic) have no embed method.
+ * @param {Object} options - Extra provider options (client, baseURL, ...)
+ * @returns {Object} Provider with embed(request)
+ */
+function createEmbeddingProvider(options = {}) {
+  const config = getEmbeddingConfig();
+  const Provider = LLM_PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider "${config.provider}". Available: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider({
+    model: config.model,
+    ...(process.env.LLM_EMBEDDING_BASE_URL && { baseURL: process.env.LLM_EMBEDDING_BASE_URL }),
+    ...options
+  });
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  getLLMConfig,
+  createLLMProvider,
+  getEmbeddingConfig,
+  createEmbeddingProvider,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  MockProvider
+};
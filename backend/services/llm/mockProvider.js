@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/llm');
+
+/**
+ * Deterministic offline provider that replays recorded responses. Each request
+ * is keyed by a hash of its messages, so the same prompt always gets the same
+ * answer. Fixtures live in LLM_MOCK_FIXTURES_DIR as <key>.json; set
+ * LLM_MOCK_RECORD=true to call LLM_MOCK_RECORD_PROVIDER for missing fixtures
+ * and save its answers. Tests can pass canned responses instead.
+ */
+class MockProvider {
+  /**
+   * @param {Object} options - { fixturesDir, responses, recordWith }
+   *   responses is an array replayed in order, or a function (request) => content
+   *   recordWith is a real provider used to record missing fixtures
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = 'mock';
+    this.fixturesDir = options.fixturesDir || process.env.LLM_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    this.responses = options.responses || null;
+    this.recordWith = options.recordWith || null;
+    this.requests = []; // Every request seen, for assertions in tests
+  }
+
+  /**
+   * Stable fixture key for a request
+   * @param {Object} request - Completion request
+   * @returns {string} Hex key
+   */
+  fixtureKey(request) {
+    const keyMaterial = JSON.stringify({
+      messages: request.messages,
+      schema: request.jsonSchema?.name || null,
+      json: !!request.json
+    });
+    return crypto.createHash('sha256').update(keyMaterial).digest('hex').substring(0, 16);
+  }
+
+  fixturePath(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+
+  /**
+   * Replay the recorded response for a request
+   * @param {Object} request - { messages, temperature, maxTokens, jsonSchema, json }
+   * @returns {Object} { content, finishReason, refusal, provider, model, usage }
+   */
+  async complete(request) {
+    this.requests.push(request);
+
+    if (this.responses) {
+      const content = typeof this.responses === 'function'
+        ? await this.responses(request)
+        : this.responses.shift();
+      if (content === undefined) {
+        throw new Error('Mock LLM has no canned responses left');
+      }
+      return this.toResponse(typeof content === 'string' ? content : JSON.stringify(content));
+    }
+
+    const key = this.fixtureKey(request);
+    const fixturePath = this.fixturePath(key);
+
+    if (fs.existsSync(fixturePath)) {
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      return this.toResponse(fixture.response.content, fixture.response.finishReason);
+    }
+
+    if (!this.recordWith) {
+      throw new Error(`No LLM fixture for request ${key} in ${this.fixturesDir} (set LLM_MOCK_RECORD=true to record it)`);
+    }
+
+    const response = await this.recordWith.complete(request);
+    const lastMessage = request.messages[request.messages.length - 1];
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify({
+      key,
+      recorded_at: new Date().toISOString(),
+      recorded_with: `${response.provider}/${response.model}`,
+      // Preview only; the key covers the full conversation
+      prompt_preview: String(lastMessage?.content || '').substring(0, 500),
+      response: { content: response.content, finishReason: response.finishReason }
+    }, null, 2) + '\n');
+    console.log(`📼 Recorded LLM fixture ${key}`);
+
+    return response;
+  }
+
+  /**
+   * Offline embeddings: words hashed into a fixed number of dimensions, so
+   * texts sharing words are similar. Enough for tests, not for real search.
+   * @param {Object} request - { input: [texts], dimensions }
+   * @returns {Object} { embeddings, provider, model, usage }
+   */
+  async embed(request) {
+    const dimensions = request.dimensions || 256;
+    const embeddings = request.input.map(text => {
+      const vector = new Array(dimensions).fill(0);
+      (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).forEach(word => {
+        const hash = crypto.createHash('sha256').update(word).digest();
+        vector[hash.readUInt32BE(0) % dimensions] += hash[4] & 1 ? 1 : -1;
+      });
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+
+    return { embeddings, provider: this.name, model: this.model, usage: { inputTokens: 0 } };
+  }
+
+  toResponse(content, finishReason = 'stop') {
+    return {
+      content,
+      finishReason,
+      refusal: null,
+      provider: this.name,
+      model: this.model,
+      usage: { inputTokens: 0, outputTokens: 0 }
+    };
+  }
+}
+
+module.exports = MockProvider;
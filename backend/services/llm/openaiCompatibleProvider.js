@@ -0,0 +1,25 @@
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Any server speaking the OpenAI chat completions API, e.g. Ollama
+ * (http://localhost:11434/v1), LM Studio or vLLM. Local servers often lack
+ * structured output, so JSON mode is used unless LLM_JSON_MODE says otherwise;
+ * callers validate the result against their schema anyway. Also the offline
+ * option for embeddings (e.g. Ollama's nomic-embed-text).
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      baseURL: options.baseURL || process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+      // Local servers ignore the key but the client requires one
+      apiKey: options.apiKey || process.env.LLM_API_KEY || 'local',
+      jsonMode: options.jsonMode || process.env.LLM_JSON_MODE || 'json_object',
+      // Local embedding models have a fixed size and may reject the parameter
+      embeddingDimensionsParam: options.embeddingDimensionsParam ?? false
+    });
+    this.name = 'openai-compatible';
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
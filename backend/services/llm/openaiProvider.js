@@ -0,0 +1,120 @@
+const OpenAI = require('openai');
+
+// Keywords OpenAI strict structured outputs reject; callers still enforce
+// them with their own validation
+const UNSUPPORTED_STRICT_KEYWORDS = ['$id', 'minLength', 'maxLength', 'minimum', 'maximum'];
+
+/**
+ * Copy of a schema without the keywords strict structured outputs don't accept
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Schema for response_format.json_schema
+ */
+function toStrictSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toStrictSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !UNSUPPORTED_STRICT_KEYWORDS.includes(key))
+      .map(([key, value]) => [key, toStrictSchema(value)])
+  );
+}
+
+/**
+ * Chat completions through the OpenAI API. Also the base for Azure OpenAI and
+ * OpenAI-compatible servers, which only differ in how the client is built.
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options - { model, apiKey, baseURL, client, jsonMode }
+   *   jsonMode is 'json_schema' (structured output) or 'json_object' for
+   *   servers without schema support
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || 'gpt-4o';
+    this.jsonMode = options.jsonMode || 'json_schema';
+    // text-embedding-3 models can shorten their vectors to a requested size
+    this.embeddingDimensionsParam = options.embeddingDimensionsParam ?? true;
+    this.client = options.client || this.createClient(options);
+  }
+
+  createClient(options) {
+    return new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      ...(options.baseURL && { baseURL: options.baseURL })
+    });
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { messages, temperature, maxTokens, jsonSchema: { name, schema }, json }
+   *   jsonSchema asks for output matching the schema, json for any JSON object
+   * @returns {Object} { content, finishReason, refusal, provider, model, usage: { inputTokens, outputTokens } }
+   */
+  async complete(request) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...this.responseFormat(request)
+    });
+
+    const choice = response.choices[0];
+    return {
+      content: choice.message.content || '',
+      finishReason: choice.finish_reason === 'length' ? 'length' : 'stop',
+      refusal: choice.message.refusal || null,
+      provider: this.name,
+      model: response.model || this.model,
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Embed texts with the provider's embedding model (this.model)
+   * @param {Object} request - { input: [texts], dimensions }
+   * @returns {Object} { embeddings: [[numbers]] in input order, provider, model, usage: { inputTokens } }
+   */
+  async embed(request) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: request.input,
+      ...(request.dimensions && this.embeddingDimensionsParam && { dimensions: request.dimensions })
+    });
+
+    return {
+      embeddings: [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+      provider: this.name,
+      model: response.model || this.model,
+      usage: { inputTokens: response.usage?.prompt_tokens || 0 }
+    };
+  }
+
+  responseFormat(request) {
+    if (request.jsonSchema && this.jsonMode === 'json_schema') {
+      return {
+        response_format: {
+          type: 'json_schema',
+          json_schema: {
+            name: request.jsonSchema.name,
+            strict: true,
+            schema: toStrictSchema(request.jsonSchema.schema)
+          }
+        }
+      };
+    }
+    if (request.jsonSchema || request.json) {
+      return { response_format: { type: 'json_object' } };
+    }
+    return {};
+  }
+}
+
+OpenAIProvider.toStrictSchema = toStrictSchema;
+
+module.exports = OpenAIProvider;
@@ -1,74 +1,135 @@
 const axios = require('axios');
+const GeocodingService = require('./geocodingService');
 
 class MapsService {
-  constructor() {
+  /**
+   * @param {Object} services - { geocoder, usageLedger } to record the cost
+   *   of each Places request (UsageLedgerService)
+   */
+  constructor(services = {}) {
     this.apiKey = process.env.GOOGLE_MAPS_API_KEY;
+    this.geocoder = services.geocoder || new GeocodingService();
+    this.usageLedger = services.usageLedger || null;
   }
 
   /**
    * Search for restaurant details using Google Places API
    * @param {string} restaurantName - Name of the restaurant
    * @param {string} city - City where restaurant is located
-   * @returns {Object} Restaurant details from Google Places
+   * @returns {Object} Restaurant details from Google Places, null if not found or on error.
+   *   Without an API key, only the city from the offline gazetteer (coordinates_source 'gazetteer').
    */
   async getRestaurantDetails(restaurantName, city) {
     if (!this.apiKey) {
-      console.log('Google Maps API key not configured');
-      return null;
+      console.log('Google Maps API key not configured, using the offline gazetteer');
+      return this.geocodeCity(restaurantName, city);
     }
 
     try {
-      const query = `${restaurantName} ${city}`;
-      
-      // First, search for the place
-      const searchResponse = await axios.get('https://maps.googleapis.com/maps/api/place/textsearch/json', {
-        params: {
-          query: query,
-          key: this.apiKey,
-          type: 'restaurant'
-        }
-      });
-
-      if (!searchResponse.data.results || searchResponse.data.results.length === 0) {
-        console.log(`No results found for: ${query}`);
-        return null;
-      }
-
-      const place = searchResponse.data.results[0];
-      
-      // Get detailed information using Place Details API
-      const detailsResponse = await axios.get('https://maps.googleapis.com/maps/api/place/details/json', {
-        params: {
-          place_id: place.place_id,
-          fields: 'name,formatted_address,formatted_phone_number,rating,price_level,website,geometry,photos',
-          key: this.apiKey
-        }
-      });
-
-      const details = detailsResponse.data.result;
-      
-      return {
-        name: details.name,
-        address: details.formatted_address,
-        phone: details.formatted_phone_number,
-        website: details.website,
-        rating: details.rating,
-        price_level: this.formatPriceLevel(details.price_level),
-        latitude: details.geometry?.location?.lat,
-        longitude: details.geometry?.location?.lng,
-        google_maps_url: `https://maps.google.com/?place_id=${place.place_id}`,
-        photos: details.photos ? details.photos.slice(0, 3).map(photo => ({
-          reference: photo.photo_reference,
-          url: `https://maps.googleapis.com/maps/api/place/photo?maxwidth=400&photoreference=${photo.photo_reference}&key=${this.apiKey}`
-        })) : []
-      };
-
+      return await this.lookupRestaurant(restaurantName, city);
     } catch (error) {
       console.error(`Error fetching details for ${restaurantName}:`, error.message);
       return null;
     }
   }
 
+  /**
+   * Like getRestaurantDetails, but request and API errors are thrown so
+   * callers can tell them apart from "not found"
+   * @param {string} restaurantName - Name of the restaurant
+   * @param {string} city - City where restaurant is located
+   * @returns {Object} Restaurant details, null if Google has no match
+   */
+  async lookupRestaurant(restaurantName, city) {
+    const query = [restaurantName, city].filter(Boolean).join(' ');
+
+    // First, search for the place
+    const searchResponse = await axios.get('https://maps.googleapis.com/maps/api/place/textsearch/json', {
+      params: {
+        query: query,
+        key: this.apiKey,
+        type: 'restaurant'
+      }
+    });
+    await this.recordUsage('place_search');
+    this.checkStatus(searchResponse.data, 'Place search');
+
+    if (!searchResponse.data.results || searchResponse.data.results.length === 0) {
+      console.log(`No results found for: ${query}`);
+      return null;
+    }
+
+    const place = searchResponse.data.results[0];
+
+    // Get detailed information using Place Details API
+    const detailsResponse = await axios.get('https://maps.googleapis.com/maps/api/place/details/json', {
+      params: {
+        place_id: place.place_id,
+        fields: 'name,formatted_address,formatted_phone_number,rating,price_level,website,geometry,photos',
+        key: this.apiKey
+      }
+    });
+    await this.recordUsage('place_details');
+    this.checkStatus(detailsResponse.data, 'Place details');
+
+    const details = detailsResponse.data.result;
+
+    return {
+      name: details.name,
+      address: details.formatted_address,
+      phone: details.formatted_phone_number,
+      website: details.website,
+      rating: details.rating,
+      price_level: this.formatPriceLevel(details.price_level),
+      latitude: details.geometry?.location?.lat,
+      longitude: details.geometry?.location?.lng,
+      coordinates_source: 'google',
+      place_id: place.place_id,
+      google_maps_url: `https://maps.google.com/?place_id=${place.place_id}`,
+      photos: details.photos ? details.photos.slice(0, 3).map(photo => ({
+        reference: photo.photo_reference,
+        url: `https://maps.googleapis.com/maps/api/place/photo?maxwidth=400&photoreference=${photo.photo_reference}&key=${this.apiKey}`
+      })) : []
+    };
+  }
+
+  async recordUsage(operation) {
+    if (this.usageLedger) await this.usageLedger.recordMapsRequest(operation);
+  }
+
+  /**
+   * Approximate details for a restaurant from its city alone: normalized
+   * city/state/country and the city-centre coordinates
+   * @param {string} restaurantName - Name of the restaurant
+   * @param {string} city - Free-text location, e.g. "Bangkok, Thailand"
+   * @returns {Object|null} Details, null if the gazetteer doesn't know the city
+   */
+  geocodeCity(restaurantName, city) {
+    const place = this.geocoder.geocode(city);
+    if (!place || place.latitude == null) return null;
+
+    return {
+      name: restaurantName,
+      city: place.city,
+      state: place.state,
+      country: place.country,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      coordinates_source: 'gazetteer'
+    };
+  }
+
+  /**
+   * Places answers HTTP 200 with an error status for denied keys and quota
+   * @param {Object} data - Places API response body
+   * @param {string} operation - Name used in the error message
+   */
+  checkStatus(data, operation) {
+    if (data.status && !['OK', 'ZERO_RESULTS'].includes(data.status)) {
+      throw new Error(`${operation} failed: ${data.status}${data.error_message ? ` (${data.error_message})` : ''}`);
+    }
+  }
+
   /**
    * Convert Google's price_level to our format
    * @param {number} priceLevel - Google's 0-4 price level
@@ -84,70 +145,6 @@ class MapsService {
     };
     return mapping[priceLevel] || null;
   }
-
-  /**
-   * Enhance all restaurants in database with Google Maps data
-   */
-  async enhanceAllRestaurants() {
-    const SupabaseService = require('./supabaseService');
-    const supabaseService = new SupabaseService();
-
-    try {
-      // Get all restaurants that need enhancement
-      const restaurants = await supabaseService.getAllRestaurants();
-      
-      console.log(`🔍 Enhancing ${restaurants.length} restaurants with Google Maps data...`);
-      
-      let enhanced = 0;
-      let failed = 0;
-
-      for (const restaurant of restaurants) {
-        try {
-          console.log(`📍 Processing: ${restaurant.name} in ${restaurant.city}`);
-          
-          const details = await this.getRestaurantDetails(restaurant.name, restaurant.city);
-          
-          if (details) {
-            // Update restaurant with Google Maps data
-            await supabaseService.supabase
-              .from('restaurants')
-              .update({
-                address: details.address,
-                phone: details.phone,
-                website: details.website,
-                rating: details.rating,
-                price_range: details.price_level || restaurant.price_range,
-                latitude: details.latitude,
-                longitude: details.longitude,
-                google_maps_url: details.google_maps_url,
-                updated_at: new Date().toISOString()
-              })
-              .eq('id', restaurant.id);
-            
-            console.log(`✅ Enhanced: ${restaurant.name}`);
-            enhanced++;
-          } else {
-            console.log(`❌ No data found: ${restaurant.name}`);
-            failed++;
-          }
-
-          // Add delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-        } catch (error) {
-          console.error(`❌ Error enhancing ${restaurant.name}:`, error.message);
-          failed++;
-        }
-      }
-
-      console.log(`\n📊 Enhancement complete: ${enhanced} enhanced, ${failed} failed`);
-      return { enhanced, failed, total: restaurants.length };
-
-    } catch (error) {
-      console.error('Error enhancing restaurants:', error);
-      throw error;
-    }
-  }
 }
 
 module.exports = MapsService;
\ No newline at end of file
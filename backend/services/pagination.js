@@ -0,0 +1,128 @@
+// Cursor pagination shared by the list endpoints: ?cursor=&limit=&sort=
+// answered with next_cursor and the total matching the filters. Cursors hold
+// the sort and the last row's sort value and id (keyset), or an offset for
+// ranked results; clients pass them back as-is.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(payload) && typeof payload[0] === 'string' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read cursor, limit and sort from a request query. A cursor carries its
+ * sort, so sort may be left out on later pages.
+ * @param {Object} query - req.query
+ * @param {Object} sorts - Sort name -> { column, ascending }; a sort without
+ *   a column pages by offset (ranked results)
+ * @param {Object} options - { defaultSort, defaultLimit, maxLimit }
+ * @returns {Object} { page: { sort, limit, after, offset } } or { error } for a 400
+ */
+function parsePageParams(query, sorts, options = {}) {
+  const maxLimit = options.maxLimit || MAX_PAGE_SIZE;
+  const limit = query.limit === undefined ? (options.defaultLimit || DEFAULT_PAGE_SIZE) : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return { error: `limit must be a whole number from 1 to ${maxLimit}` };
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (query.cursor && !cursor) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const sortName = query.sort || (cursor && cursor[0]) || options.defaultSort || Object.keys(sorts)[0];
+  if (!Object.prototype.hasOwnProperty.call(sorts, sortName)) {
+    return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+  }
+  if (cursor && cursor[0] !== sortName) {
+    return { error: `cursor is for sort=${cursor[0]}` };
+  }
+
+  const sort = { name: sortName, ...sorts[sortName] };
+  const page = { sort, limit, after: null, offset: 0 };
+  if (cursor && sort.column) page.after = { value: cursor[1], id: cursor[2] };
+  if (cursor && !sort.column) page.offset = Number.isInteger(cursor[1]) && cursor[1] > 0 ? cursor[1] : 0;
+
+  return { page };
+}
+
+// A value inside a PostgREST or=() filter
+function filterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Order a Supabase query by the page's sort (nulls last, id breaking ties),
+ * keep the rows after the cursor and fetch one row more than the page to
+ * tell whether there is a next one
+ * @param {Object} query - Supabase select query with its filters
+ * @param {Object} page - From parsePageParams
+ * @returns {Object} The query
+ */
+function applyPage(query, page) {
+  const { column, ascending } = page.sort;
+  const after = ascending ? 'gt' : 'lt';
+
+  if (page.after) {
+    const { value, id } = page.after;
+    query = value === null || value === undefined
+      ? query.or(`and(${column}.is.null,id.${after}.${filterValue(id)})`)
+      : query.or([
+        `${column}.${after}.${filterValue(value)}`,
+        `${column}.is.null`,
+        `and(${column}.eq.${filterValue(value)},id.${after}.${filterValue(id)})`
+      ].join(','));
+  }
+
+  return query
+    .order(column, { ascending, nullsFirst: false })
+    .order('id', { ascending })
+    .limit(page.limit + 1);
+}
+
+/**
+ * The response body for a page
+ * @param {Array} rows - Rows fetched with applyPage (or limit + 1 rows from
+ *   page.offset for ranked results)
+ * @param {Object} page - From parsePageParams
+ * @param {number} total - Rows matching the filters across all pages
+ * @returns {Object} { results, count, total, sort, limit, next_cursor }
+ */
+function toPage(rows, page, total) {
+  const results = (rows || []).slice(0, page.limit);
+  const last = results[results.length - 1];
+  let nextCursor = null;
+
+  if ((rows || []).length > page.limit) {
+    nextCursor = page.sort.column
+      ? encodeCursor([page.sort.name, last[page.sort.column] ?? null, last.id])
+      : encodeCursor([page.sort.name, page.offset + page.limit]);
+  }
+
+  return {
+    results,
+    count: results.length,
+    total: total || 0,
+    sort: page.sort.name,
+    limit: page.limit,
+    next_cursor: nextCursor
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageParams,
+  applyPage,
+  toPage
+};
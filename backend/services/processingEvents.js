@@ -0,0 +1,52 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process bus for processing events (job queued/started/finished, pipeline
+ * steps). The SSE endpoint in routes/processing.js streams these to the admin
+ * panel and the terminal monitor. Events only reach clients connected to the
+ * server instance running the worker.
+ */
+class ProcessingEvents extends EventEmitter {
+  constructor(bufferSize = 200) {
+    super();
+    this.setMaxListeners(0); // One listener per connected SSE client
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Publish a structured event to all subscribers
+   * @param {string} type - Event type, e.g. 'job_started'
+   * @param {Object} data - Event fields (job_id, video_id, message, ...)
+   * @returns {Object} The published event
+   */
+  publish(type, data = {}) {
+    const event = {
+      id: this.nextId++,
+      type,
+      timestamp: new Date().toISOString(),
+      ...data
+    };
+
+    // Keep recent events so reconnecting clients can catch up
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Buffered events published after the given event ID
+   * @param {number} lastEventId - Last event ID the client received
+   * @returns {Array} Missed events
+   */
+  since(lastEventId) {
+    return this.buffer.filter(event => event.id > lastEventId);
+  }
+}
+
+module.exports = new ProcessingEvents();
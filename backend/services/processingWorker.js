@@ -0,0 +1,328 @@
+const os = require('os');
+const JobQueueService = require('./jobQueueService');
+const SupabaseService = require('./supabaseService');
+const VideoProcessingService = require('./videoProcessingService');
+const RestaurantEnrichmentService = require('./restaurantEnrichmentService');
+const UsageLedgerService = require('./usageLedgerService');
+const processingEvents = require('./processingEvents');
+
+class ProcessingWorker {
+  constructor(options = {}) {
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.PROCESSING_WORKER_POLL_MS) || 5000;
+    this.leaseSeconds = options.leaseSeconds || parseInt(process.env.PROCESSING_JOB_LEASE_SECONDS) || 300;
+
+    this.supabaseService = options.supabaseService || new SupabaseService();
+    this.jobQueue = options.jobQueue || new JobQueueService(this.supabaseService);
+    this.usageLedger = options.usageLedger || new UsageLedgerService(this.supabaseService);
+    this.videoProcessingService = options.videoProcessingService ||
+      new VideoProcessingService({ supabaseService: this.supabaseService, usageLedger: this.usageLedger });
+    this.enrichmentService = options.enrichmentService ||
+      new RestaurantEnrichmentService({ supabaseService: this.supabaseService, usageLedger: this.usageLedger });
+
+    this.handlers = {
+      process_video: job => this.processVideoJob(job),
+      enrich_restaurants: job => this.enrichRestaurantsJob(job)
+    };
+
+    this.running = false;
+    this.timer = null;
+    this.currentJob = null;
+    this.currentRun = null;
+    this.pausedForBudget = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`👷 Processing worker ${this.workerId} started (poll every ${this.pollIntervalMs / 1000}s)`);
+    this.scheduleNextPoll(0);
+  }
+
+  /**
+   * Stop polling and wait for the current job to finish. If it doesn't finish
+   * within the timeout its lease simply expires and another worker reclaims it.
+   * @param {number} timeoutMs - Maximum time to wait for the running job
+   */
+  async stop(timeoutMs = 25000) {
+    this.running = false;
+    clearTimeout(this.timer);
+
+    if (this.currentRun) {
+      console.log(`⏳ Waiting for job ${this.currentJob.id} to finish before shutdown...`);
+      await Promise.race([
+        this.currentRun,
+        new Promise(resolve => setTimeout(resolve, timeoutMs))
+      ]);
+    }
+    console.log(`👷 Processing worker ${this.workerId} stopped`);
+  }
+
+  scheduleNextPoll(delayMs) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.poll(), delayMs);
+  }
+
+  async poll() {
+    let claimed = false;
+
+    try {
+      const job = await this.budgetAllowsWork()
+        ? await this.jobQueue.claimNextJob(this.workerId, this.leaseSeconds)
+        : null;
+      if (job) {
+        claimed = true;
+        this.currentJob = job;
+        this.currentRun = this.runJob(job);
+        await this.currentRun;
+      }
+    } catch (error) {
+      console.error('Processing worker error:', error);
+    } finally {
+      this.currentJob = null;
+      this.currentRun = null;
+    }
+
+    // Drain the queue without waiting while there is work
+    this.scheduleNextPoll(claimed ? 0 : this.pollIntervalMs);
+  }
+
+  /**
+   * Whether to claim jobs: not while the daily cost budget is spent. Queued
+   * jobs wait and the worker resumes on its own when the budget resets; the
+   * pause and the resume are logged and published once each.
+   * @returns {boolean} True if jobs may run
+   */
+  async budgetAllowsWork() {
+    const exhausted = await this.usageLedger.checkBudget();
+
+    if (exhausted && !this.pausedForBudget) {
+      const message = UsageLedgerService.budgetMessage(exhausted);
+      console.log(`⏸️ Processing queue paused: ${message}`);
+      processingEvents.publish('queue_paused', { usage: exhausted, message: `⏸️ Processing paused: ${message}` });
+    } else if (!exhausted && this.pausedForBudget) {
+      console.log('▶️ Processing queue resumed');
+      processingEvents.publish('queue_resumed', { message: '▶️ Processing resumed' });
+    }
+
+    this.pausedForBudget = Boolean(exhausted);
+    return !exhausted;
+  }
+
+  async runJob(job) {
+    const handler = this.handlers[job.job_type];
+    if (!handler) {
+      await this.jobQueue.failJob(job, this.workerId, `Unknown job type: ${job.job_type}`, { retryable: false });
+      return;
+    }
+
+    // A reclaimed job whose previous worker died counts as an attempt too
+    if (job.attempts > job.max_attempts) {
+      await this.jobQueue.failJob(job, this.workerId, job.last_error || 'Lease expired too many times', { retryable: false });
+      return;
+    }
+
+    console.log(`🔧 Job ${job.id} (${job.job_type}) attempt ${job.attempts}/${job.max_attempts}`);
+
+    // Keep the lease alive while the handler runs
+    const heartbeat = setInterval(() => {
+      this.jobQueue.extendLease(job.id, this.workerId, this.leaseSeconds)
+        .catch(error => console.error(`Failed to extend lease for job ${job.id}:`, error.message));
+    }, (this.leaseSeconds * 1000) / 3);
+
+    try {
+      const result = await handler(job);
+      await this.jobQueue.completeJob(job.id, this.workerId, result);
+      console.log(`✅ Job ${job.id} succeeded`);
+      this.publish('job_succeeded', job, {
+        result,
+        message: result.skipped
+          ? `⏭️ ${this.jobLabel(job)}: ${result.reason}`
+          : job.job_type === 'enrich_restaurants'
+            ? `✅ ${this.jobLabel(job)}: ${result.enriched} enriched, ${result.not_found} not found, ${result.failed} failed`
+            : `✅ ${this.jobLabel(job)}: ${result.processed_count || 0} restaurants linked`
+      });
+    } catch (error) {
+      const updatedJob = await this.jobQueue.failJob(job, this.workerId, error.message, {
+        retryable: error.retryable
+      });
+      if (updatedJob.status === 'queued') {
+        console.log(`🔁 Job ${job.id} failed, will retry after ${updatedJob.run_after}: ${error.message}`);
+        this.publish('job_retry', job, {
+          error: error.message,
+          run_after: updatedJob.run_after,
+          message: `🔁 ${this.jobLabel(job)}: ${error.message} (retrying)`
+        });
+      } else {
+        console.log(`❌ Job ${job.id} failed permanently: ${error.message}`);
+        await this.onJobFailed(job, error);
+        this.publish('job_failed', job, {
+          error: error.message,
+          message: `❌ ${this.jobLabel(job)}: ${error.message}`
+        });
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async processVideoJob(job) {
+    const video = await this.supabaseService.getVideo(job.video_id);
+    if (!video) {
+      const error = new Error('Video not found');
+      error.retryable = false;
+      throw error;
+    }
+
+    if (video.processed && !job.payload?.force) {
+      return { skipped: true, reason: 'Video already processed' };
+    }
+
+    job.video_title = video.title;
+    console.log(`📹 Processing: ${video.title?.substring(0, 50)}...`);
+    this.publish('job_started', job, {
+      attempt: job.attempts,
+      message: `📹 Processing: ${this.jobLabel(job)} (attempt ${job.attempts}/${job.max_attempts})`
+    });
+
+    const processingResult = await this.videoProcessingService.processVideo(video, {
+      refreshTranscript: job.payload?.refresh_transcript,
+      onProgress: (progress, step, stepState) => {
+        this.publishStep(job, step, stepState);
+        return this.jobQueue.updateProgress(job.id, this.workerId, progress)
+          .catch(error => console.error(`Failed to save progress for job ${job.id}:`, error.message));
+      }
+    });
+    console.log(`✅ Success: Found ${processingResult.recommendations?.length || 0} restaurants`);
+
+    return {
+      extracted_count: processingResult.extracted_count,
+      processed_count: processingResult.processed_count
+    };
+  }
+
+  async enrichRestaurantsJob(job) {
+    if (!this.enrichmentService.enabled) {
+      const error = new Error('Google Maps API key not configured');
+      error.retryable = false;
+      throw error;
+    }
+
+    // A retry skips the restaurants an earlier attempt already looked up
+    const restaurants = (await this.supabaseService.getRestaurantsByIds(job.payload?.restaurant_ids || []))
+      .filter(restaurant => !restaurant.enriched_at || new Date(restaurant.enriched_at) < new Date(job.created_at));
+
+    this.publish('job_started', job, {
+      attempt: job.attempts,
+      message: `📍 ${this.jobLabel(job)} (attempt ${job.attempts}/${job.max_attempts})`
+    });
+
+    const summary = await this.enrichmentService.enrichRestaurants(restaurants, {
+      onProgress: (done, total) => {
+        const stepState = { status: 'running', detail: { done, total } };
+        this.publishStep(job, 'restaurants_enriched', stepState);
+        return this.jobQueue.updateProgress(job.id, this.workerId, { steps: { restaurants_enriched: stepState } })
+          .catch(error => console.error(`Failed to save progress for job ${job.id}:`, error.message));
+      }
+    });
+
+    const result = {
+      enriched: summary.enriched,
+      not_found: summary.not_found,
+      failed: summary.failed,
+      total: restaurants.length
+    };
+    await this.jobQueue.updateProgress(job.id, this.workerId, {
+      steps: { restaurants_enriched: { status: 'completed', detail: result } }
+    }).catch(error => console.error(`Failed to save progress for job ${job.id}:`, error.message));
+
+    return result;
+  }
+
+  publish(type, job, data = {}) {
+    processingEvents.publish(type, {
+      job_id: job.id,
+      job_type: job.job_type,
+      video_id: job.video_id,
+      batch_id: job.batch_id,
+      title: job.video_title,
+      ...data
+    });
+  }
+
+  publishStep(job, step, stepState) {
+    const type = {
+      running: 'step_started',
+      completed: 'step_completed',
+      failed: 'step_failed'
+    }[stepState.status];
+    if (!type) return;
+
+    this.publish(type, job, {
+      step,
+      detail: stepState.detail,
+      duration_ms: stepState.duration_ms,
+      error: stepState.error,
+      message: describeStep(step, stepState)
+    });
+  }
+
+  jobLabel(job) {
+    if (job.job_type === 'enrich_restaurants') {
+      return `Enrich ${job.payload?.restaurant_ids?.length || 0} restaurants`;
+    }
+    return job.video_title ? job.video_title.substring(0, 50) : job.video_id || job.id;
+  }
+
+  async onJobFailed(job, error) {
+    if (job.job_type !== 'process_video') return;
+
+    // Mark video as failed so it shows up in /reprocess-failed
+    try {
+      await this.supabaseService.updateVideo(job.video_id, {
+        processing_error: error.message,
+        processed: false
+      });
+    } catch (updateError) {
+      console.error('Error updating video status:', updateError);
+    }
+  }
+}
+
+// Human-readable log line for a step change, mirroring the console logging
+function describeStep(step, stepState) {
+  const detail = stepState.detail || {};
+  const seconds = stepState.duration_ms ? ` in ${(stepState.duration_ms / 1000).toFixed(1)}s` : '';
+
+  if (stepState.status === 'failed') {
+    return `❌ ${step} failed: ${stepState.error}`;
+  }
+  if (stepState.status === 'running') {
+    if (detail.chunks) return `⏳ ${step}: chunk ${detail.chunks_done}/${detail.chunks} done`;
+    if (detail.total) return `⏳ ${step}: ${detail.done}/${detail.total} done`;
+    return `⏳ ${step}...`;
+  }
+
+  switch (step) {
+    case 'transcript_fetched':
+      return `📝 Transcript from ${detail.source}${detail.stored ? ' (stored)' : ''} (${detail.length} chars)${seconds}`;
+    case 'ai_extracted':
+      return `🤖 Extracted ${detail.restaurants} restaurants${detail.chunks > 1 ? ` from ${detail.chunks} chunks` : ''}${seconds}`;
+    case 'timestamps_aligned':
+      return `⏰ Found timestamps for ${detail.aligned} restaurants${seconds}`;
+    case 'restaurants_linked':
+      return `🍽️ Linked ${detail.linked} restaurants${seconds}`;
+    case 'restaurants_enriched':
+      return detail.skipped
+        ? `⏭️ Maps enrichment skipped: ${detail.skipped}`
+        : `📍 Enriched ${detail.enriched} restaurants (${detail.not_found} not found, ${detail.failed} failed)${seconds}`;
+    case 'restaurants_embedded':
+      if (detail.skipped) return `⏭️ Embeddings skipped: ${detail.skipped}`;
+      if (detail.failed) return `⚠️ Embeddings failed: ${detail.failed}`;
+      return `🧭 Embedded ${detail.embedded} restaurants (${detail.unchanged} unchanged)${seconds}`;
+    default:
+      return `✅ ${step} completed${seconds}`;
+  }
+}
+
+module.exports = ProcessingWorker;
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const SupabaseService = require('./supabaseService');
+const { createEmbeddingProvider } = require('./llm');
+
+// Embedding models take a few thousand tokens; contexts beyond this add little
+const MAX_DOCUMENT_CHARS = 8000;
+
+/**
+ * Embeds restaurants for semantic search (restaurant_embeddings): each
+ * restaurant's name, cuisine, location, dishes and what influencers said
+ * about it, with the provider from LLM_EMBEDDING_PROVIDER / LLM_EMBEDDING_MODEL.
+ */
+class RestaurantEmbeddingService {
+  /**
+   * @param {Object} services - { supabaseService, embeddingProvider, usageLedger }
+   * @param {Object} options - { dimensions, batchSize }
+   */
+  constructor(services = {}, options = {}) {
+    this.supabaseService = services.supabaseService || new SupabaseService();
+    this.embeddingProvider = services.embeddingProvider || createEmbeddingProvider();
+    this.usageLedger = services.usageLedger || null;
+    // Must match the restaurant_embeddings.embedding column
+    this.dimensions = options.dimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || 768;
+    this.batchSize = options.batchSize || 50;
+  }
+
+  // Off with EMBEDDINGS_ENABLED=false or a provider without embeddings (anthropic)
+  get enabled() {
+    return process.env.EMBEDDINGS_ENABLED !== 'false' && typeof this.embeddingProvider.embed === 'function';
+  }
+
+  get modelName() {
+    return `${this.embeddingProvider.name}/${this.embeddingProvider.model}`;
+  }
+
+  /**
+   * The text embedded for a restaurant
+   * @param {Object} restaurant - Restaurant row
+   * @param {Array} recommendations - Its recommendations [{ dish_mentioned, context }]
+   * @returns {string} Document text
+   */
+  buildDocument(restaurant, recommendations = []) {
+    const dishes = [...new Set(recommendations.map(rec => rec.dish_mentioned).filter(Boolean))];
+    const contexts = recommendations.map(rec => rec.context).filter(Boolean);
+
+    return [
+      restaurant.name,
+      restaurant.cuisine_type && `Cuisine: ${restaurant.cuisine_type}`,
+      [restaurant.city, restaurant.state, restaurant.country].filter(Boolean).join(', '),
+      dishes.length > 0 && `Dishes: ${dishes.join(', ')}`,
+      ...contexts
+    ].filter(Boolean).join('\n').substring(0, MAX_DOCUMENT_CHARS);
+  }
+
+  /**
+   * Embed texts, checking the vectors fit the embedding column
+   * @param {Array} texts - Texts to embed
+   * @param {string} operation - What is embedded, for the usage ledger
+   * @returns {Array} Embeddings in input order
+   */
+  async embedTexts(texts, operation = 'restaurants') {
+    const response = await this.embeddingProvider.embed({ input: texts, dimensions: this.dimensions });
+    if (this.usageLedger) await this.usageLedger.recordEmbedding(operation, response);
+
+    const { embeddings } = response;
+
+    const wrongSize = embeddings.find(embedding => embedding.length !== this.dimensions);
+    if (wrongSize) {
+      throw new Error(`${this.modelName} returned ${wrongSize.length}-dimension embeddings, expected ${this.dimensions} (EMBEDDING_DIMENSIONS)`);
+    }
+    return embeddings;
+  }
+
+  /**
+   * Embed a search query
+   * @param {string} query - Search text
+   * @returns {Array} Query embedding
+   */
+  async embedQuery(query) {
+    const [embedding] = await this.embedTexts([query], 'query');
+    return embedding;
+  }
+
+  /**
+   * Embed restaurants whose text or embedding model changed since they were
+   * last embedded
+   * @param {Array} restaurants - Restaurant rows
+   * @param {Object} options - { force } to embed unchanged restaurants too
+   * @returns {Object} { embedded, unchanged }
+   */
+  async embedRestaurants(restaurants, options = {}) {
+    const summary = { embedded: 0, unchanged: 0 };
+
+    for (let i = 0; i < restaurants.length; i += this.batchSize) {
+      const batch = restaurants.slice(i, i + this.batchSize);
+      const ids = batch.map(restaurant => restaurant.id);
+
+      const [recommendations, states] = await Promise.all([
+        this.supabaseService.getRecommendationTextsForRestaurants(ids),
+        this.supabaseService.getRestaurantEmbeddingStates(ids)
+      ]);
+      const stateById = new Map(states.map(state => [state.restaurant_id, state]));
+
+      const documents = batch
+        .map(restaurant => {
+          const text = this.buildDocument(restaurant, recommendations.filter(rec => rec.restaurant_id === restaurant.id));
+          return { restaurant, text, hash: crypto.createHash('sha256').update(text).digest('hex') };
+        })
+        .filter(document => {
+          const state = stateById.get(document.restaurant.id);
+          const unchanged = state && state.content_hash === document.hash && state.model === this.modelName;
+          if (unchanged && !options.force) summary.unchanged++;
+          return !unchanged || options.force;
+        });
+
+      if (documents.length === 0) continue;
+
+      const embeddings = await this.embedTexts(documents.map(document => document.text));
+      await this.supabaseService.saveRestaurantEmbeddings(documents.map((document, index) => ({
+        restaurant_id: document.restaurant.id,
+        embedding: embeddings[index],
+        model: this.modelName,
+        content_hash: document.hash
+      })));
+      summary.embedded += documents.length;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = RestaurantEmbeddingService;
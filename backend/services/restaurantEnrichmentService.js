@@ -0,0 +1,112 @@
+const MapsService = require('./mapsService');
+const SupabaseService = require('./supabaseService');
+
+// "Austin, Texas" narrows the Places search more than "Austin"; older rows
+// keep the AI's whole location in city
+function searchLocation(restaurant) {
+  const city = restaurant.city || '';
+  return restaurant.state && !city.includes(',') ? `${city}, ${restaurant.state}` : city;
+}
+
+/**
+ * Fills restaurants in from Google Maps (address, phone, rating, location,
+ * place ID) and records the outcome in enrichment_status / enriched_at
+ */
+class RestaurantEnrichmentService {
+  /**
+   * @param {Object} services - { mapsService, supabaseService, usageLedger }
+   * @param {Object} options - { delayMs } between lookups
+   */
+  constructor(services = {}, options = {}) {
+    this.mapsService = services.mapsService || new MapsService({ usageLedger: services.usageLedger });
+    this.supabaseService = services.supabaseService || new SupabaseService();
+    // Pause between lookups to stay under the Places rate limit
+    this.delayMs = options.delayMs ?? (parseInt(process.env.MAPS_ENRICHMENT_DELAY_MS) || 200);
+  }
+
+  get enabled() {
+    return Boolean(this.mapsService.apiKey);
+  }
+
+  /**
+   * Look one restaurant up and store what Google Maps knows about it
+   * @param {Object} restaurant - Restaurant row
+   * @returns {Object} { status, restaurant, error } with status enriched, not_found or failed
+   */
+  async enrichRestaurant(restaurant) {
+    let details;
+    try {
+      details = await this.mapsService.lookupRestaurant(restaurant.name, searchLocation(restaurant));
+    } catch (error) {
+      console.error(`❌ Maps lookup failed for ${restaurant.name}:`, error.message);
+      const updated = await this.supabaseService.updateRestaurant(restaurant.id, {
+        enrichment_status: 'failed',
+        enrichment_error: error.message
+      });
+      return { status: 'failed', restaurant: updated, error: error.message };
+    }
+
+    if (!details) {
+      const updated = await this.supabaseService.updateRestaurant(restaurant.id, {
+        enrichment_status: 'not_found',
+        enriched_at: new Date().toISOString(),
+        enrichment_error: null
+      });
+      return { status: 'not_found', restaurant: updated };
+    }
+
+    // place_id is unique: a second restaurant for the same place is a
+    // duplicate to merge, not to tag
+    let placeId = details.place_id;
+    const samePlace = await this.supabaseService.getRestaurantByPlaceId(details.place_id);
+    if (samePlace && samePlace.id !== restaurant.id) {
+      console.log(`🔀 ${restaurant.name} is the same place as ${samePlace.name}; merge with POST /api/restaurants/${samePlace.id}/merge`);
+      placeId = restaurant.place_id || null;
+    }
+
+    const updated = await this.supabaseService.updateRestaurant(restaurant.id, {
+      address: details.address,
+      phone: details.phone,
+      website: details.website,
+      rating: details.rating,
+      price_range: details.price_level || restaurant.price_range,
+      latitude: details.latitude,
+      longitude: details.longitude,
+      coordinates_source: details.latitude != null ? 'google' : restaurant.coordinates_source,
+      place_id: placeId,
+      google_maps_url: placeId === details.place_id ? details.google_maps_url : restaurant.google_maps_url,
+      enrichment_status: 'enriched',
+      enriched_at: new Date().toISOString(),
+      enrichment_error: null
+    });
+
+    console.log(`📍 Enriched ${restaurant.name}`);
+    return { status: 'enriched', restaurant: updated };
+  }
+
+  /**
+   * Enrich restaurants one after another
+   * @param {Array} restaurants - Restaurant rows
+   * @param {Object} options - { onProgress(done, total) }
+   * @returns {Object} { enriched, not_found, failed, restaurants } with the updated rows
+   */
+  async enrichRestaurants(restaurants, options = {}) {
+    const summary = { enriched: 0, not_found: 0, failed: 0, restaurants: [] };
+
+    for (const [index, restaurant] of restaurants.entries()) {
+      if (index > 0 && this.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+
+      const result = await this.enrichRestaurant(restaurant);
+      summary[result.status]++;
+      summary.restaurants.push(result.restaurant);
+
+      if (options.onProgress) await options.onProgress(index + 1, restaurants.length);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = RestaurantEnrichmentService;
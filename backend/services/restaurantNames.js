@@ -0,0 +1,89 @@
+// Restaurant name and city normalisation shared by chunk merging, prompt
+// evaluation and restaurant resolution
+
+/**
+ * Lowercase a restaurant name and strip accents, punctuation and filler words
+ * @param {string} name - Restaurant name
+ * @returns {string} Normalized name, e.g. "The Joe's Pizza!" -> "joes pizza"
+ */
+function normalizeRestaurantName(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .replace(/['’`]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\u0080-\uffff]+/g, ' ')
+    .replace(/\b(the|restaurant)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether two normalized names are the same restaurant: equal, or one
+ * contained in the other as whole words
+ * @param {string} keyA - Normalized name
+ * @param {string} keyB - Normalized name
+ * @returns {boolean}
+ */
+function isSameRestaurant(keyA, keyB) {
+  if (!keyA || !keyB) return false;
+  if (keyA === keyB) return true;
+
+  // One name contained in the other as whole words, e.g. "jay fai" / "raan jay fai"
+  const [shorter, longer] = keyA.length < keyB.length ? [keyA, keyB] : [keyB, keyA];
+  return shorter.length >= 4 && ` ${longer} `.includes(` ${shorter} `);
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) result.push(compact.slice(i, i + 2));
+  return result;
+}
+
+/**
+ * Similarity of two normalized names between 0 and 1: 1 when equal, 0.9 when
+ * one contains the other as whole words, otherwise the Dice coefficient of
+ * their character bigrams (tolerates typos like "Franklin Barbeque")
+ * @param {string} keyA - Normalized name
+ * @param {string} keyB - Normalized name
+ * @returns {number} Similarity
+ */
+function nameSimilarity(keyA, keyB) {
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+  if (isSameRestaurant(keyA, keyB)) return 0.9;
+
+  const pairsA = bigrams(keyA);
+  const pairsB = bigrams(keyB);
+  if (pairsA.length === 0 || pairsB.length === 0) return 0;
+
+  const remaining = [...pairsB];
+  let shared = 0;
+  for (const pair of pairsA) {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (pairsA.length + pairsB.length);
+}
+
+/**
+ * City part of a location like "Austin, Texas" or "Bangkok, Thailand",
+ * normalized for comparison
+ * @param {string} location - City or "City, Region"
+ * @returns {string} Normalized city, '' if unknown
+ */
+function normalizeCity(location) {
+  return normalizeRestaurantName((location || '').split(',')[0]);
+}
+
+module.exports = {
+  normalizeRestaurantName,
+  isSameRestaurant,
+  nameSimilarity,
+  normalizeCity
+};
@@ -0,0 +1,231 @@
+const SupabaseService = require('./supabaseService');
+const GeocodingService = require('./geocodingService');
+const { normalizeRestaurantName, isSameRestaurant, nameSimilarity, normalizeCity } = require('./restaurantNames');
+
+const DEFAULT_MATCH_THRESHOLD = 0.75;
+
+// Highest score for a name that only resembles a candidate's (containment or
+// fuzzy) when no city or coordinates agree, so it is never linked on the
+// name alone; "Joe's Pizza" with no location isn't "Joe's Pizza Palace"
+const UNCORROBORATED_NAME_SCORE = 0.6;
+
+// Columns copied onto a matched restaurant when it has no value yet
+const FILLABLE_FIELDS = ['address', 'city', 'state', 'country', 'cuisine_type', 'price_range', 'latitude', 'longitude', 'place_id', 'google_maps_url'];
+
+/**
+ * Google place ID of a restaurant; rows the place_id backfill skipped still
+ * have it in their Maps URL
+ * @param {Object} restaurant - Restaurant row
+ * @returns {string|null} Place ID
+ */
+function getPlaceId(restaurant) {
+  if (restaurant.place_id) return restaurant.place_id;
+  const match = /[?&]place_id=([^&]+)/.exec(restaurant.google_maps_url || '');
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// City-centre coordinates from the gazetteer say nothing about the restaurant
+function hasCoordinates(restaurant) {
+  return restaurant.latitude != null && restaurant.longitude != null &&
+    restaurant.coordinates_source !== 'gazetteer';
+}
+
+/**
+ * Great-circle distance between two restaurants in km
+ */
+function distanceKm(a, b) {
+  const toRadians = degrees => (Number(degrees) * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Decides whether an extracted restaurant is one we already have. Candidates
+ * are scored on normalized name, city, Google place ID and coordinates; the
+ * best one at or above the threshold is linked, otherwise a new restaurant is
+ * created.
+ */
+class RestaurantResolver {
+  constructor(services = {}, options = {}) {
+    this.supabaseService = services.supabaseService || new SupabaseService();
+    this.geocoder = services.geocoder || new GeocodingService();
+    this.threshold = options.threshold ??
+      (parseFloat(process.env.RESTAURANT_MATCH_THRESHOLD) || DEFAULT_MATCH_THRESHOLD);
+  }
+
+  /**
+   * Score how likely two restaurants are the same place, between 0 and 1.
+   * Place IDs decide on their own when both sides have one; otherwise the
+   * name similarity is raised by a matching city or nearby coordinates and
+   * cut by a different city or coordinates far apart. A name that isn't an
+   * exact match scores below the threshold unless the city or coordinates agree.
+   * @param {Object} input - Restaurant fields (name, city, latitude, longitude, place_id, google_maps_url)
+   * @param {Object} candidate - Restaurant row
+   * @returns {Object} { score, reasons }
+   */
+  scoreCandidate(input, candidate) {
+    const inputPlaceId = getPlaceId(input);
+    const candidatePlaceId = getPlaceId(candidate);
+    if (inputPlaceId && candidatePlaceId) {
+      return inputPlaceId === candidatePlaceId
+        ? { score: 1, reasons: ['same place ID'] }
+        : { score: 0, reasons: ['different place ID'] };
+    }
+
+    const similarity = nameSimilarity(normalizeRestaurantName(input.name), normalizeRestaurantName(candidate.name));
+    const reasons = [`name ${similarity.toFixed(2)}`];
+    let score = similarity;
+    let corroborated = false;
+
+    const inputCity = normalizeCity(input.city);
+    const candidateCity = normalizeCity(candidate.city);
+    if (inputCity && candidateCity) {
+      // Whole-word containment also matches "new york" with "new york city"
+      if (isSameRestaurant(inputCity, candidateCity)) {
+        score += 0.1;
+        corroborated = true;
+        reasons.push('same city');
+      } else {
+        score *= 0.3;
+        reasons.push('different city');
+      }
+    }
+
+    if (hasCoordinates(input) && hasCoordinates(candidate)) {
+      const distance = distanceKm(input, candidate);
+      if (distance < 0.15) {
+        score += 0.15;
+        corroborated = true;
+        reasons.push(`${Math.round(distance * 1000)} m apart`);
+      } else if (distance > 5) {
+        score *= 0.3;
+        reasons.push(`${Math.round(distance)} km apart`);
+      }
+    }
+
+    if (similarity < 1 && !corroborated && score > UNCORROBORATED_NAME_SCORE) {
+      score = UNCORROBORATED_NAME_SCORE;
+      reasons.push('no matching location');
+    }
+
+    return { score: Math.min(1, Math.round(score * 1000) / 1000), reasons };
+  }
+
+  /**
+   * Best scoring candidate for a restaurant
+   * @returns {Object|null} { restaurant, score, reasons }
+   */
+  findBestMatch(input, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+      if (candidate.id === input.id) continue;
+      const { score, reasons } = this.scoreCandidate(input, candidate);
+      if (!best || score > best.score) best = { restaurant: candidate, score, reasons };
+    }
+    return best;
+  }
+
+  /**
+   * Link an extracted recommendation to an existing restaurant or create one.
+   * A linked restaurant gets the extracted details it is missing.
+   * @param {Object} recommendation - { name, location, address, cuisineType, priceRange, latitude, longitude, placeId }
+   * @returns {Object} { restaurant, created, match }
+   */
+  async resolve(recommendation) {
+    // Canonical city, state and country from the gazetteer, so "NYC" and
+    // "New York, NY" compare equal; the city's coordinates stand in until
+    // Maps enrichment finds the restaurant itself
+    const place = recommendation.location ? this.geocoder.geocode(recommendation.location) : null;
+    const hasOwnCoordinates = recommendation.latitude != null && recommendation.longitude != null;
+
+    const input = {
+      name: recommendation.name,
+      address: recommendation.address || null,
+      city: place ? place.city : recommendation.location || null,
+      state: place?.state || null,
+      country: place?.country || null,
+      cuisine_type: recommendation.cuisineType || null,
+      price_range: recommendation.priceRange || null,
+      latitude: hasOwnCoordinates ? recommendation.latitude : place?.latitude ?? null,
+      longitude: hasOwnCoordinates ? recommendation.longitude : place?.longitude ?? null,
+      coordinates_source: !hasOwnCoordinates && place?.latitude != null ? 'gazetteer' : null,
+      place_id: recommendation.placeId || null,
+      // Same URL form mapsService stores
+      google_maps_url: recommendation.placeId ? `https://maps.google.com/?place_id=${recommendation.placeId}` : null
+    };
+
+    // A known place needs no scoring
+    const samePlace = input.place_id && await this.supabaseService.getRestaurantByPlaceId(input.place_id);
+    const best = samePlace
+      ? { restaurant: samePlace, score: 1, reasons: ['same place ID'] }
+      : this.findBestMatch(input, await this.supabaseService.findRestaurantCandidates(input.name));
+
+    if (best && best.score >= this.threshold) {
+      const updates = {};
+      FILLABLE_FIELDS.forEach(field => {
+        if (best.restaurant[field] == null && input[field] != null) updates[field] = input[field];
+      });
+      if (updates.latitude != null) updates.coordinates_source = input.coordinates_source;
+
+      const restaurant = Object.keys(updates).length > 0
+        ? await this.supabaseService.updateRestaurant(best.restaurant.id, updates)
+        : best.restaurant;
+
+      return { restaurant, created: false, match: { score: best.score, reasons: best.reasons } };
+    }
+
+    const restaurant = await this.supabaseService.createRestaurant(input);
+    return { restaurant, created: true, match: best && { score: best.score, reasons: best.reasons, restaurant_id: best.restaurant.id } };
+  }
+
+  /**
+   * Pairs of restaurants that look like the same place. Only restaurants
+   * sharing a name word or place ID are compared.
+   * @param {Array} restaurants - Restaurant rows
+   * @param {number} minScore - Lowest score to report (default: the match threshold)
+   * @returns {Array} [{ target, duplicate, score, reasons }], target is the older row
+   */
+  findDuplicates(restaurants, minScore = this.threshold) {
+    const buckets = new Map();
+    restaurants.forEach((restaurant, index) => {
+      const keys = normalizeRestaurantName(restaurant.name).split(' ').filter(word => word.length >= 3);
+      const placeId = getPlaceId(restaurant);
+      if (placeId) keys.push(`place:${placeId}`);
+
+      keys.forEach(key => {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      });
+    });
+
+    const compared = new Set();
+    const pairs = [];
+    for (const indexes of buckets.values()) {
+      for (let i = 0; i < indexes.length; i++) {
+        for (let j = i + 1; j < indexes.length; j++) {
+          const pairKey = `${indexes[i]}:${indexes[j]}`;
+          if (compared.has(pairKey)) continue;
+          compared.add(pairKey);
+
+          const a = restaurants[indexes[i]];
+          const b = restaurants[indexes[j]];
+          const { score, reasons } = this.scoreCandidate(a, b);
+          if (score < minScore) continue;
+
+          const [target, duplicate] = new Date(a.created_at) <= new Date(b.created_at) ? [a, b] : [b, a];
+          pairs.push({ target, duplicate, score, reasons });
+        }
+      }
+    }
+
+    return pairs.sort((a, b) => b.score - a.score);
+  }
+}
+
+RestaurantResolver.DEFAULT_MATCH_THRESHOLD = DEFAULT_MATCH_THRESHOLD;
+RestaurantResolver.UNCORROBORATED_NAME_SCORE = UNCORROBORATED_NAME_SCORE;
+
+module.exports = RestaurantResolver;
@@ -0,0 +1,171 @@
+const SupabaseService = require('./supabaseService');
+const RestaurantResolver = require('./restaurantResolver');
+const { segmentsToText } = require('./transcriptProviders/captionParser');
+
+// recommendation review_status -> label stored in the gold dataset
+const REVIEW_LABELS = {
+  confirmed: 'correct',
+  rejected: 'wrong'
+};
+
+const REVIEW_STATUSES = ['pending', 'confirmed', 'rejected'];
+
+/**
+ * Reviewer workflow for AI-extracted recommendations. Every decision is kept
+ * in recommendation_labels, which doubles as the gold dataset for scoring
+ * extraction prompts.
+ */
+class ReviewService {
+  constructor(services = {}) {
+    this.supabaseService = services.supabaseService || new SupabaseService();
+    this.restaurantResolver = services.restaurantResolver ||
+      new RestaurantResolver({ supabaseService: this.supabaseService });
+  }
+
+  /**
+   * Confirm or reject a recommendation; 'pending' clears the review
+   * @param {Object} recommendation - Row from getRecommendation (with restaurant)
+   * @param {string} status - 'confirmed', 'rejected' or 'pending'
+   * @param {Object} options - { notes }
+   * @returns {Object} { recommendation, label }
+   */
+  async reviewRecommendation(recommendation, status, options = {}) {
+    const updated = await this.supabaseService.updateRecommendation(recommendation.id, {
+      review_status: status,
+      reviewed_at: status === 'pending' ? null : new Date().toISOString()
+    });
+
+    if (status === 'pending') {
+      await this.supabaseService.deleteRecommendationLabel(recommendation.id);
+      return { recommendation: updated, label: null };
+    }
+
+    const label = await this.supabaseService.upsertRecommendationLabel({
+      video_id: recommendation.video_id,
+      recommendation_id: recommendation.id,
+      restaurant_name: recommendation.restaurant?.name,
+      label: REVIEW_LABELS[status],
+      prompt_version: recommendation.prompt_version || null,
+      notes: options.notes || null
+    });
+
+    return { recommendation: updated, label };
+  }
+
+  /**
+   * Add a restaurant the AI missed. It is stored as a confirmed recommendation
+   * labeled 'missing'; if the video already has a recommendation for the
+   * restaurant, that one is confirmed instead.
+   * @param {Object} video - Video row
+   * @param {Object} data - { name, location, address, cuisineType, dishMentioned, context, mentionedAt, notes }
+   * @returns {Object} { recommendation, label, created }
+   */
+  async addMissingRecommendation(video, data) {
+    const { restaurant } = await this.restaurantResolver.resolve(data);
+
+    const existing = (await this.supabaseService.getRecommendationsForReview(video.id))
+      .find(recommendation => recommendation.restaurant_id === restaurant.id);
+    if (existing) {
+      const result = await this.reviewRecommendation(existing, 'confirmed', { notes: data.notes });
+      return { ...result, created: false };
+    }
+
+    const recommendation = await this.supabaseService.createRecommendation({
+      video_id: video.id,
+      restaurant_id: restaurant.id,
+      confidence_score: 1,
+      context: data.context || null,
+      dish_mentioned: data.dishMentioned || null,
+      mentioned_at_timestamp: data.mentionedAt ?? null,
+      review_status: 'confirmed',
+      reviewed_at: new Date().toISOString()
+    });
+
+    const label = await this.supabaseService.upsertRecommendationLabel({
+      video_id: video.id,
+      recommendation_id: recommendation.id,
+      restaurant_name: restaurant.name,
+      label: 'missing',
+      prompt_version: null,
+      notes: data.notes || null
+    });
+
+    return { recommendation: { ...recommendation, restaurant }, label, created: true };
+  }
+
+  /**
+   * Precision and recall of stored extractions per prompt version, from the
+   * labels. Precision counts every reviewed row; recall only videos whose
+   * review is complete, since missing restaurants are added last.
+   * @returns {Array} [{ prompt_version, correct, wrong, missing, precision, recall, reviewed_videos }]
+   */
+  async getLabelStats() {
+    const labels = await this.supabaseService.getRecommendationLabels();
+
+    // Missing restaurants count against the prompt that extracted the video
+    const versionByVideo = {};
+    labels.forEach(label => {
+      if (label.prompt_version && !versionByVideo[label.video_id]) {
+        versionByVideo[label.video_id] = label.prompt_version;
+      }
+    });
+
+    const stats = {};
+    labels.forEach(label => {
+      const version = label.prompt_version || versionByVideo[label.video_id] || 'unknown';
+      const entry = stats[version] = stats[version] || {
+        prompt_version: version, correct: 0, wrong: 0, missing: 0, found: 0, missed: 0, videos: new Set()
+      };
+
+      entry[label.label]++;
+      if (label.video?.review_completed_at) {
+        entry.videos.add(label.video_id);
+        if (label.label === 'correct') entry.found++;
+        if (label.label === 'missing') entry.missed++;
+      }
+    });
+
+    return Object.values(stats).map(({ found, missed, videos, ...entry }) => ({
+      ...entry,
+      precision: entry.correct + entry.wrong > 0 ? entry.correct / (entry.correct + entry.wrong) : null,
+      recall: found + missed > 0 ? found / (found + missed) : null,
+      reviewed_videos: videos.size
+    }));
+  }
+
+  /**
+   * Fully reviewed videos in the labeled transcript format used by
+   * scripts/evaluate-prompts.js
+   * @returns {Array} [{ id, title, segments | transcript, restaurants, prompt_version }]
+   */
+  async buildGoldDataset() {
+    const videos = await this.supabaseService.getReviewedVideos();
+    if (videos.length === 0) return [];
+
+    const labels = await this.supabaseService.getRecommendationLabels(videos.map(video => video.id));
+    const dataset = [];
+
+    for (const video of videos) {
+      const videoLabels = labels.filter(label => label.video_id === video.id);
+      const segments = await this.supabaseService.getTranscriptSegments(video.id);
+      const transcript = segments.length > 0
+        ? (video.transcript_timed !== false ? { segments } : { transcript: segmentsToText(segments) })
+        : { transcript: video.transcript || video.description || '' };
+
+      dataset.push({
+        id: video.video_id,
+        title: video.title,
+        ...transcript,
+        restaurants: videoLabels.filter(label => label.label !== 'wrong').map(label => label.restaurant_name),
+        rejected: videoLabels.filter(label => label.label === 'wrong').map(label => label.restaurant_name),
+        prompt_version: videoLabels.find(label => label.prompt_version)?.prompt_version || null
+      });
+    }
+
+    return dataset;
+  }
+}
+
+ReviewService.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = ReviewService;
@@ -1,4 +1,28 @@
 const { createClient } = require('@supabase/supabase-js');
+const { applyPage, toPage } = require('./pagination');
+
+// Sorts of the paginated lists (services/pagination.js), default first
+const RESTAURANT_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  name: { column: 'name', ascending: true },
+  rating: { column: 'rating', ascending: false }
+};
+// Ranked search pages by offset
+const RESTAURANT_SEARCH_SORTS = {
+  relevance: {}
+};
+const VIDEO_SORTS = {
+  newest: { column: 'published_at', ascending: false },
+  oldest: { column: 'published_at', ascending: true }
+};
+const INFLUENCER_SORTS = {
+  subscribers: { column: 'subscriber_count', ascending: false },
+  name: { column: 'channel_name', ascending: true },
+  newest: { column: 'created_at', ascending: false }
+};
+const FAVORITE_SORTS = {
+  newest: { column: 'created_at', ascending: false }
+};
 
 class SupabaseService {
   constructor() {
@@ -8,6 +32,25 @@ class SupabaseService {
     );
   }
 
+  /**
+   * One page of a table and the number of rows matching the filters
+   * @param {string} table - Table name
+   * @param {string} select - Columns and embedded resources
+   * @param {Function} applyFilters - Adds the list's filters to a query
+   * @param {Object} page - From parsePageParams (services/pagination.js)
+   * @returns {Object} { results, count, total, sort, limit, next_cursor }
+   */
+  async fetchPage(table, select, applyFilters, page) {
+    const [rows, counted] = await Promise.all([
+      applyPage(applyFilters(this.supabase.from(table).select(select)), page),
+      applyFilters(this.supabase.from(table).select(select, { count: 'exact', head: true }))
+    ]);
+
+    const error = rows.error || counted.error;
+    if (error) throw new Error(`Failed to list ${table}: ${error.message}`);
+    return toPage(rows.data, page, counted.count);
+  }
+
   // Influencer operations
   async createInfluencer(influencerData) {
     const { data, error } = await this.supabase
@@ -53,6 +96,48 @@ class SupabaseService {
     return data;
   }
 
+  /**
+   * Influencers whose scheduled sync is due (next_sync_at passed or never set),
+   * longest waiting first
+   * @param {string} now - ISO timestamp
+   * @param {number} limit - Maximum number of influencers
+   */
+  async getInfluencersDueForSync(now, limit) {
+    const { data, error } = await this.supabase
+      .from('influencers')
+      .select('*')
+      .neq('sync_schedule', 'paused')
+      .or(`next_sync_at.is.null,next_sync_at.lte.${now}`)
+      .order('next_sync_at', { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to get influencers due for sync: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Take an influencer's due sync by moving next_sync_at to leaseUntil, unless
+   * another server took it first (next_sync_at no longer what was read)
+   * @param {Object} influencer - Influencer row as read by getInfluencersDueForSync
+   * @param {string} leaseUntil - ISO timestamp the sync is retried at if this one dies
+   * @returns {boolean} Whether this caller has the sync
+   */
+  async claimInfluencerSync(influencer, leaseUntil) {
+    let query = this.supabase
+      .from('influencers')
+      .update({ next_sync_at: leaseUntil })
+      .eq('id', influencer.id);
+
+    query = influencer.next_sync_at
+      ? query.eq('next_sync_at', influencer.next_sync_at)
+      : query.is('next_sync_at', null);
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw new Error(`Failed to claim influencer sync: ${error.message}`);
+    return data.length > 0;
+  }
+
   async getAllInfluencers() {
     // Get basic influencer data
     const { data: influencers, error } = await this.supabase
@@ -61,8 +146,40 @@ class SupabaseService {
       .order('subscriber_count', { ascending: false });
 
     if (error) throw new Error(`Failed to get influencers: ${error.message}`);
-    
-    // Add counts for each influencer
+    return this.addInfluencerCounts(influencers);
+  }
+
+  /**
+   * A page of influencers with total_videos and total_restaurants
+   * @param {Object} page - From parsePageParams, with INFLUENCER_SORTS
+   * @returns {Object} Page body
+   */
+  async listInfluencers(page) {
+    const result = await this.fetchPage('influencers', '*', query => query, page);
+    return { ...result, results: await this.addInfluencerCounts(result.results) };
+  }
+
+  /**
+   * A page of influencers whose channel name contains the query
+   * @param {string} query - Channel name text; all influencers when empty
+   * @param {Object} page - From parsePageParams, with INFLUENCER_SORTS
+   * @returns {Object} Page body; results with video_count and restaurant_count
+   */
+  async searchInfluencers(query, page) {
+    const select = `
+        *,
+        video_count:videos(count),
+        restaurant_count:videos!inner(
+          restaurant_recommendations(count)
+        )
+      `;
+
+    return this.fetchPage('influencers', select, supabaseQuery =>
+      query ? supabaseQuery.ilike('channel_name', `%${query}%`) : supabaseQuery, page);
+  }
+
+  // Video and restaurant counts for each influencer
+  async addInfluencerCounts(influencers) {
     const enrichedInfluencers = await Promise.all(
       (influencers || []).map(async (influencer) => {
         // Get video count
@@ -82,7 +199,8 @@ class SupabaseService {
           const { count } = await this.supabase
             .from('restaurant_recommendations')
             .select('*', { count: 'exact', head: true })
-            .in('video_id', videoIds.map(v => v.id));
+            .in('video_id', videoIds.map(v => v.id))
+            .neq('review_status', 'rejected');
           restaurantCount = count || 0;
         }
 
@@ -149,26 +267,55 @@ class SupabaseService {
     return data;
   }
 
-  async getVideosByInfluencer(influencerId) {
-    const { data, error } = await this.supabase
-      .from('videos')
-      .select('*')
-      .eq('influencer_id', influencerId)
-      .order('published_at', { ascending: false });
+  /**
+   * A page of videos with their influencer and recommendation count
+   * @param {Object} filters - { influencerId, influencer (channel name),
+   *   processed, query (title, description or anything said in the video) }
+   * @param {Object} page - From parsePageParams, with VIDEO_SORTS
+   * @returns {Object} Page body
+   */
+  async listVideos(filters = {}, page) {
+    const select = `
+        *,
+        influencer:influencers${filters.influencer ? '!inner' : ''}(channel_name, profile_image_url),
+        recommendation_count:restaurant_recommendations(count)
+      `;
 
-    if (error) throw new Error(`Failed to get videos: ${error.message}`);
-    return data;
+    let conditions = null;
+    if (filters.query) {
+      const transcriptMatches = await this.findVideoIdsByTranscript(filters.query);
+      conditions = [`title.ilike.%${filters.query}%`, `description.ilike.%${filters.query}%`];
+      if (transcriptMatches.length > 0) {
+        conditions.push(`id.in.(${transcriptMatches.join(',')})`);
+      }
+    }
+
+    return this.fetchPage('videos', select, query => {
+      query = query.neq('recommendation_count.review_status', 'rejected');
+      if (filters.influencerId) query = query.eq('influencer_id', filters.influencerId);
+      if (filters.influencer) query = query.eq('influencer.channel_name', filters.influencer);
+      if (filters.processed !== undefined) query = query.eq('processed', filters.processed);
+      if (conditions) query = query.or(conditions.join(','));
+      return query;
+    }, page);
   }
 
-  async getUnprocessedVideos(limit = 10) {
-    const { data, error } = await this.supabase
+  async getUnprocessedVideos(limit = 10, excludeVideoIds = []) {
+    let query = this.supabase
       .from('videos')
       .select(`
         *,
         influencer:influencers(channel_name)
       `)
       .eq('processed', false)
-      .is('processing_error', null)
+      .is('processing_error', null);
+
+    // Skip videos that already have a queued or running job
+    if (excludeVideoIds.length > 0) {
+      query = query.not('video_id', 'in', `(${excludeVideoIds.join(',')})`);
+    }
+
+    const { data, error } = await query
       .order('created_at', { ascending: false }) // Process newest first
       .limit(limit);
 
@@ -207,6 +354,12 @@ class SupabaseService {
   }
 
   // Restaurant operations
+  /**
+   * Create a restaurant. place_id is unique, so a restaurant for a Google
+   * place that already exists returns the existing row instead.
+   * @param {Object} restaurantData - Restaurant columns
+   * @returns {Object} Restaurant row
+   */
   async createRestaurant(restaurantData) {
     const { data, error } = await this.supabase
       .from('restaurants')
@@ -214,10 +367,26 @@ class SupabaseService {
       .select()
       .single();
 
+    if (error && error.code === '23505' && restaurantData.place_id) {
+      return this.getRestaurantByPlaceId(restaurantData.place_id);
+    }
     if (error) throw new Error(`Failed to create restaurant: ${error.message}`);
     return data;
   }
 
+  async getRestaurantByPlaceId(placeId) {
+    const { data, error } = await this.supabase
+      .from('restaurants')
+      .select('*')
+      .eq('place_id', placeId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to get restaurant: ${error.message}`);
+    }
+    return data;
+  }
+
   async findRestaurantByName(name, city = null) {
     let query = this.supabase
       .from('restaurants')
@@ -234,25 +403,308 @@ class SupabaseService {
     return data;
   }
 
-  async getAllRestaurants() {
+  /**
+   * A page of restaurants with their recommendation count
+   * @param {Object} filters - { cuisineType, city, priceRange }
+   * @param {Object} page - From parsePageParams, with RESTAURANT_SORTS
+   * @returns {Object} Page body
+   */
+  async listRestaurants(filters = {}, page) {
+    const select = `
+        *,
+        recommendation_count:restaurant_recommendations(count)
+      `;
+
+    return this.fetchPage('restaurants', select, query => {
+      query = query.neq('recommendation_count.review_status', 'rejected');
+      if (filters.cuisineType) query = query.eq('cuisine_type', filters.cuisineType);
+      if (filters.city) query = query.ilike('city', `%${filters.city}%`);
+      if (filters.priceRange) query = query.eq('price_range', filters.priceRange);
+      return query;
+    }, page);
+  }
+
+  async getRestaurant(restaurantId) {
     const { data, error } = await this.supabase
       .from('restaurants')
-      .select(`
-        *,
-        recommendations:restaurant_recommendations(
-          video:videos(
-            title,
-            video_id,
-            influencer:influencers(channel_name)
-          )
-        )
-      `)
-      .order('created_at', { ascending: false });
+      .select('*')
+      .eq('id', restaurantId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to get restaurant: ${error.message}`);
+    }
+    return data;
+  }
+
+  async updateRestaurant(restaurantId, updates) {
+    const { data, error } = await this.supabase
+      .from('restaurants')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', restaurantId)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update restaurant: ${error.message}`);
+    return data;
+  }
+
+  async getRestaurantsByIds(restaurantIds) {
+    const { data, error } = await this.supabase
+      .from('restaurants')
+      .select('*')
+      .in('id', restaurantIds);
+
+    if (error) throw new Error(`Failed to get restaurants: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Restaurants due for Google Maps enrichment: never looked up, failed, or
+   * last answered before staleBefore
+   * @param {Object} options - { staleBefore (ISO date), includeFailed, limit }
+   * @returns {Array} Restaurant rows, oldest lookup first
+   */
+  async getRestaurantsToEnrich(options = {}) {
+    const conditions = ['enrichment_status.eq.pending'];
+    if (options.staleBefore) conditions.push(`enriched_at.lt."${options.staleBefore}"`);
+    if (options.includeFailed !== false) conditions.push('enrichment_status.eq.failed');
+
+    const { data, error } = await this.supabase
+      .from('restaurants')
+      .select('*')
+      .or(conditions.join(','))
+      .order('enriched_at', { ascending: true, nullsFirst: true })
+      .limit(options.limit || 100);
+
+    if (error) throw new Error(`Failed to get restaurants to enrich: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Restaurants sharing a word of at least 3 letters with the name; the
+   * candidates RestaurantResolver scores
+   * @param {string} name - Restaurant name
+   * @param {number} limit - Maximum number of candidates
+   * @returns {Array} Restaurant rows
+   */
+  async findRestaurantCandidates(name, limit = 200) {
+    const words = [...new Set(name.split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3))];
+    if (words.length === 0) return this.findRestaurantByName(name);
+
+    const { data, error } = await this.supabase
+      .from('restaurants')
+      .select('*')
+      .or(words.map(word => `name.ilike.%${word}%`).join(','))
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to find restaurant candidates: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Every restaurant with the fields used for duplicate detection
+   * @returns {Array} Restaurant rows
+   */
+  async getRestaurantsForResolution() {
+    const pageSize = 1000; // PostgREST default row limit
+    const restaurants = [];
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await this.supabase
+        .from('restaurants')
+        .select('id, name, address, city, latitude, longitude, place_id, google_maps_url, created_at')
+        .order('created_at', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw new Error(`Failed to get restaurants: ${error.message}`);
+      restaurants.push(...data);
+      if (data.length < pageSize) break;
+    }
+
+    return restaurants;
+  }
+
+  /**
+   * Merge duplicate restaurants into one (merge_restaurants RPC): their
+   * recommendations and favorites move to the target, which also takes over
+   * details it is missing, and the duplicates are deleted
+   * @param {string} targetId - Restaurant to keep
+   * @param {Array} sourceIds - Duplicate restaurant IDs
+   * @returns {Object} Counts of moved and dropped rows
+   */
+  async mergeRestaurants(targetId, sourceIds) {
+    const { data, error } = await this.supabase
+      .rpc('merge_restaurants', { target_id: targetId, source_ids: sourceIds });
+
+    if (error) throw new Error(`Failed to merge restaurants: ${error.message}`);
+    return data;
+  }
+
+  // Restaurant embedding operations
+  /**
+   * A page of restaurants, oldest first
+   * @param {number} from - Offset
+   * @param {number} pageSize - Page size (at most 1000, the PostgREST row limit)
+   * @returns {Array} Restaurant rows
+   */
+  async getRestaurantsPage(from, pageSize = 1000) {
+    const { data, error } = await this.supabase
+      .from('restaurants')
+      .select('*')
+      .order('created_at', { ascending: true })
+      .range(from, from + pageSize - 1);
 
     if (error) throw new Error(`Failed to get restaurants: ${error.message}`);
     return data;
   }
 
+  /**
+   * Dishes and context of the restaurants' recommendations, rejected ones left out
+   * @param {Array} restaurantIds - Restaurant IDs
+   * @returns {Array} [{ restaurant_id, dish_mentioned, context }] oldest first
+   */
+  async getRecommendationTextsForRestaurants(restaurantIds) {
+    const { data, error } = await this.supabase
+      .from('restaurant_recommendations')
+      .select('restaurant_id, dish_mentioned, context')
+      .in('restaurant_id', restaurantIds)
+      .neq('review_status', 'rejected')
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to get recommendation texts: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * What the stored embeddings were made from, to tell which are out of date
+   * @param {Array} restaurantIds - Restaurant IDs
+   * @returns {Array} [{ restaurant_id, model, content_hash }]
+   */
+  async getRestaurantEmbeddingStates(restaurantIds) {
+    const { data, error } = await this.supabase
+      .from('restaurant_embeddings')
+      .select('restaurant_id, model, content_hash')
+      .in('restaurant_id', restaurantIds);
+
+    if (error) throw new Error(`Failed to get restaurant embeddings: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Insert or replace restaurant embeddings
+   * @param {Array} rows - [{ restaurant_id, embedding, model, content_hash }]
+   */
+  async saveRestaurantEmbeddings(rows) {
+    const { error } = await this.supabase
+      .from('restaurant_embeddings')
+      .upsert(rows.map(row => ({ ...row, embedded_at: new Date().toISOString() })), { onConflict: 'restaurant_id' });
+
+    if (error) throw new Error(`Failed to save restaurant embeddings: ${error.message}`);
+  }
+
+  // Transcript segment operations
+  /**
+   * Stored transcript segments for a video, in order
+   * @param {string} videoUuid - Video row ID (videos.id)
+   * @returns {Array} Segments [{ text, start, duration }] in seconds
+   */
+  async getTranscriptSegments(videoUuid) {
+    const pageSize = 1000; // PostgREST default row limit
+    const segments = [];
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await this.supabase
+        .from('transcript_segments')
+        .select('text, start_seconds, duration_seconds')
+        .eq('video_id', videoUuid)
+        .order('segment_index', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw new Error(`Failed to get transcript segments: ${error.message}`);
+
+      segments.push(...data.map(row => ({
+        text: row.text,
+        start: Number(row.start_seconds),
+        duration: Number(row.duration_seconds)
+      })));
+      if (data.length < pageSize) break;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Replace a video's stored transcript segments
+   * @param {string} videoUuid - Video row ID (videos.id)
+   * @param {Array} segments - Segments [{ text, start, duration }] in seconds
+   */
+  async replaceTranscriptSegments(videoUuid, segments) {
+    await this.deleteTranscriptSegments(videoUuid);
+
+    const rows = segments.map((segment, index) => ({
+      video_id: videoUuid,
+      segment_index: index,
+      start_seconds: Math.round(segment.start * 1000) / 1000,
+      duration_seconds: Math.round((segment.duration || 0) * 1000) / 1000,
+      text: segment.text
+    }));
+
+    // Insert in chunks to keep request bodies small for long videos
+    for (let i = 0; i < rows.length; i += 500) {
+      const { error } = await this.supabase
+        .from('transcript_segments')
+        .insert(rows.slice(i, i + 500));
+
+      if (error) throw new Error(`Failed to save transcript segments: ${error.message}`);
+    }
+  }
+
+  async deleteTranscriptSegments(videoUuid) {
+    const { error } = await this.supabase
+      .from('transcript_segments')
+      .delete()
+      .eq('video_id', videoUuid);
+
+    if (error) throw new Error(`Failed to delete transcript segments: ${error.message}`);
+  }
+
+  /**
+   * IDs of videos whose transcript mentions the query
+   * @param {string} query - Text to look for
+   * @param {number} limit - Maximum matching segments to scan
+   * @returns {Array} Video row IDs (videos.id)
+   */
+  async findVideoIdsByTranscript(query, limit = 500) {
+    const { data, error } = await this.supabase
+      .from('transcript_segments')
+      .select('video_id')
+      .ilike('text', `%${query}%`)
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to search transcripts: ${error.message}`);
+    return [...new Set(data.map(row => row.video_id))];
+  }
+
+  /**
+   * Moments in stored transcripts where a phrase is said, best match first
+   * (search_transcript_segments)
+   * @param {string} query - Phrase to look for, e.g. "khao soi"
+   * @param {Object} filters - { influencer (channel name), limit }
+   * @returns {Array} Matching segments with their video, start_seconds and snippet
+   */
+  async searchTranscriptSegments(query, filters = {}) {
+    const { data, error } = await this.supabase
+      .rpc('search_transcript_segments', {
+        search_query: query,
+        influencer_filter: filters.influencer || null,
+        limit_count: filters.limit || 50
+      });
+
+    if (error) throw new Error(`Failed to search transcripts: ${error.message}`);
+    return data;
+  }
+
   // Restaurant recommendation operations
   async createRecommendation(recommendationData) {
     const { data, error } = await this.supabase
@@ -273,7 +725,8 @@ class SupabaseService {
         restaurant:restaurants(*),
         video:videos(title, influencer:influencers(channel_name))
       `)
-      .eq('video_id', videoId);
+      .eq('video_id', videoId)
+      .neq('review_status', 'rejected');
 
     if (error) throw new Error(`Failed to get recommendations: ${error.message}`);
     return data;
@@ -291,63 +744,247 @@ class SupabaseService {
         )
       `)
       .eq('restaurant_id', restaurantId)
+      .neq('review_status', 'rejected')
       .order('created_at', { ascending: false });
 
     if (error) throw new Error(`Failed to get recommendations: ${error.message}`);
     return data;
   }
 
-  // Search operations
-  async searchRestaurants(query, filters = {}) {
-    let supabaseQuery = this.supabase
-      .from('restaurants')
+  // Review operations
+  /**
+   * Processed videos whose recommendations haven't been fully reviewed yet
+   * @param {number} limit - Maximum number of videos
+   * @returns {Array} Videos with their recommendations' review statuses
+   */
+  async getVideosForReview(limit = 20) {
+    const { data, error } = await this.supabase
+      .from('videos')
+      .select(`
+        id,
+        video_id,
+        title,
+        thumbnail_url,
+        published_at,
+        influencer:influencers(channel_name),
+        recommendations:restaurant_recommendations(id, review_status, prompt_version)
+      `)
+      .eq('processed', true)
+      .is('review_completed_at', null)
+      .order('published_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to get videos for review: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * All recommendations of a video, including rejected ones, for reviewers
+   * @param {string} videoUuid - Video row ID (videos.id)
+   * @returns {Array} Recommendations with their restaurant
+   */
+  async getRecommendationsForReview(videoUuid) {
+    const { data, error } = await this.supabase
+      .from('restaurant_recommendations')
       .select(`
         *,
-        recommendation_count:restaurant_recommendations(count)
-      `);
+        restaurant:restaurants(id, name, city, cuisine_type)
+      `)
+      .eq('video_id', videoUuid)
+      .order('mentioned_at_timestamp', { ascending: true, nullsFirst: false });
 
-    if (query) {
-      // Improved multi-word search
-      const searchTerms = query.trim().toLowerCase().split(/\s+/);
-      
-      if (searchTerms.length === 1) {
-        // Single term - search in name, cuisine, and city
-        supabaseQuery = supabaseQuery.or(`name.ilike.%${query}%,cuisine_type.ilike.%${query}%,city.ilike.%${query}%`);
-      } else {
-        // Multiple terms - find restaurants that match ANY of the terms
-        const orConditions = [];
-        
-        searchTerms.forEach(term => {
-          if (term.length >= 2) { // Only search terms with 2+ characters
-            orConditions.push(`name.ilike.%${term}%`);
-            orConditions.push(`cuisine_type.ilike.%${term}%`);
-            orConditions.push(`city.ilike.%${term}%`);
-          }
-        });
-        
-        if (orConditions.length > 0) {
-          supabaseQuery = supabaseQuery.or(orConditions.join(','));
-        }
-      }
-    }
+    if (error) throw new Error(`Failed to get recommendations: ${error.message}`);
+    return data;
+  }
 
-    if (filters.cuisineType) {
-      supabaseQuery = supabaseQuery.eq('cuisine_type', filters.cuisineType);
+  async getRecommendation(recommendationId) {
+    const { data, error } = await this.supabase
+      .from('restaurant_recommendations')
+      .select(`
+        *,
+        restaurant:restaurants(id, name)
+      `)
+      .eq('id', recommendationId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to get recommendation: ${error.message}`);
     }
+    return data;
+  }
+
+  async updateRecommendation(recommendationId, updates) {
+    const { data, error } = await this.supabase
+      .from('restaurant_recommendations')
+      .update(updates)
+      .eq('id', recommendationId)
+      .select()
+      .single();
 
-    if (filters.city) {
-      supabaseQuery = supabaseQuery.ilike('city', `%${filters.city}%`);
+    if (error) throw new Error(`Failed to update recommendation: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Create or replace the label of a recommendation (one label per row)
+   * @param {Object} labelData - recommendation_labels row
+   * @returns {Object} Stored label
+   */
+  async upsertRecommendationLabel(labelData) {
+    const { data, error } = await this.supabase
+      .from('recommendation_labels')
+      .upsert([{ ...labelData, updated_at: new Date().toISOString() }], { onConflict: 'recommendation_id' })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to save recommendation label: ${error.message}`);
+    return data;
+  }
+
+  async deleteRecommendationLabel(recommendationId) {
+    const { error } = await this.supabase
+      .from('recommendation_labels')
+      .delete()
+      .eq('recommendation_id', recommendationId);
+
+    if (error) throw new Error(`Failed to delete recommendation label: ${error.message}`);
+  }
+
+  /**
+   * Reviewer labels, optionally only for some videos
+   * @param {Array} videoUuids - Video row IDs; all labels when omitted
+   * @returns {Array} Labels with their video's review state
+   */
+  async getRecommendationLabels(videoUuids = null) {
+    let query = this.supabase
+      .from('recommendation_labels')
+      .select(`
+        *,
+        video:videos(video_id, title, review_completed_at)
+      `)
+      .order('created_at', { ascending: true });
+
+    if (videoUuids) {
+      query = query.in('video_id', videoUuids);
     }
 
-    if (filters.priceRange) {
-      supabaseQuery = supabaseQuery.eq('price_range', filters.priceRange);
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to get recommendation labels: ${error.message}`);
+    return data;
+  }
+
+  async getReviewedVideos() {
+    const { data, error } = await this.supabase
+      .from('videos')
+      .select('id, video_id, title, description, transcript, transcript_timed, review_completed_at')
+      .not('review_completed_at', 'is', null)
+      .order('review_completed_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to get reviewed videos: ${error.message}`);
+    return data;
+  }
+
+  // Search operations
+  /**
+   * Search restaurants by name, cuisine, location, dishes and what was said
+   * about them, best match first (search_restaurants_fulltext). Without a
+   * query, listRestaurants.
+   * @param {string} query - Free-text query, e.g. "spicy noodles bangkok"
+   * @param {Object} filters - { cuisineType, city, priceRange }
+   * @param {Object} page - From parsePageParams, with RESTAURANT_SEARCH_SORTS
+   *   for a query and RESTAURANT_SORTS without one
+   * @returns {Object} Page body; with a query results also have total_mentions,
+   *   search_rank and snippet (best matching dish and quote, matches in <mark></mark>)
+   */
+  async searchRestaurants(query, filters = {}, page) {
+    if (!query || !query.trim()) {
+      return this.listRestaurants(filters, page);
     }
 
-    const { data, error } = await supabaseQuery
-      .order('created_at', { ascending: false })
-      .limit(50);
+    const { data, error } = await this.supabase
+      .rpc('search_restaurants_fulltext', {
+        search_query: query.trim(),
+        cuisine_filter: filters.cuisineType || null,
+        city_filter: filters.city || null,
+        price_filter: filters.priceRange || null,
+        limit_count: page.limit + 1,
+        offset_count: page.offset
+      });
 
     if (error) throw new Error(`Failed to search restaurants: ${error.message}`);
+
+    // Past the last match there is no row to read the total from
+    const total = data.length > 0 ? data[0].total_count : page.offset;
+    return toPage(data.map(({ total_count, ...restaurant }) => restaurant), page, total);
+  }
+
+  /**
+   * Restaurants within a radius of a point, nearest first (search_restaurants_nearby)
+   * @param {Object} center - { latitude, longitude }
+   * @param {number} radiusMeters - Search radius in meters
+   * @param {Object} filters - { cuisineType, priceRange, limit }
+   * @returns {Array} Restaurants with total_mentions and distance_meters
+   */
+  async searchRestaurantsNearby(center, radiusMeters, filters = {}) {
+    const { data, error } = await this.supabase
+      .rpc('search_restaurants_nearby', {
+        center_lat: center.latitude,
+        center_lng: center.longitude,
+        radius_meters: radiusMeters,
+        cuisine_filter: filters.cuisineType || null,
+        price_filter: filters.priceRange || null,
+        limit_count: filters.limit || 50
+      });
+
+    if (error) throw new Error(`Failed to search nearby restaurants: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Restaurants inside a map viewport, most mentioned first (search_restaurants_in_bounds)
+   * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }; minLng > maxLng
+   *   for a viewport across the antimeridian
+   * @param {Object} filters - { cuisineType, priceRange, limit }
+   * @returns {Array} Restaurants with total_mentions
+   */
+  async searchRestaurantsInBounds(bounds, filters = {}) {
+    const { data, error } = await this.supabase
+      .rpc('search_restaurants_in_bounds', {
+        min_lat: bounds.minLat,
+        min_lng: bounds.minLng,
+        max_lat: bounds.maxLat,
+        max_lng: bounds.maxLng,
+        cuisine_filter: filters.cuisineType || null,
+        price_filter: filters.priceRange || null,
+        limit_count: filters.limit || 200
+      });
+
+    if (error) throw new Error(`Failed to search restaurants in bounds: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Restaurants closest in meaning to a query embedding, optionally blended
+   * with the keyword rank (search_restaurants_semantic)
+   * @param {Array} embedding - Query embedding
+   * @param {Object} filters - { query, keywordWeight (0..1, hybrid when > 0),
+   *   cuisineType, city, priceRange, limit }
+   * @returns {Array} Restaurants with similarity, keyword_score and score
+   */
+  async searchRestaurantsSemantic(embedding, filters = {}) {
+    const { data, error } = await this.supabase
+      .rpc('search_restaurants_semantic', {
+        query_embedding: embedding,
+        search_query: filters.query || null,
+        keyword_weight: filters.keywordWeight || 0,
+        cuisine_filter: filters.cuisineType || null,
+        city_filter: filters.city || null,
+        price_filter: filters.priceRange || null,
+        limit_count: filters.limit || 20
+      });
+
+    if (error) throw new Error(`Failed to search restaurants semantically: ${error.message}`);
     return data;
   }
 
@@ -404,18 +1041,59 @@ class SupabaseService {
     return data;
   }
 
-  async getUserFavorites(userId) {
-    const { data, error } = await this.supabase
-      .from('user_favorites')
-      .select(`
+  /**
+   * A page of a user's favorite restaurants
+   * @param {string} userId - User ID
+   * @param {Object} page - From parsePageParams, with FAVORITE_SORTS
+   * @returns {Object} Page body
+   */
+  async getUserFavorites(userId, page) {
+    const select = `
         *,
         restaurant:restaurants(*)
-      `)
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
+      `;
 
-    if (error) throw new Error(`Failed to get user favorites: ${error.message}`);
-    return data;
+    return this.fetchPage('user_favorites', select, query => query.eq('user_id', userId), page);
+  }
+
+  // Usage ledger operations
+  /**
+   * Record paid API calls
+   * @param {Array} rows - [{ service, operation, provider, model, input_tokens, output_tokens, requests, cost_usd }]
+   */
+  async recordUsage(rows) {
+    const { error } = await this.supabase
+      .from('usage_ledger')
+      .insert(rows);
+
+    if (error) throw new Error(`Failed to record usage: ${error.message}`);
+  }
+
+  /**
+   * Calls, tokens and cost per service since a time
+   * @param {string} since - ISO timestamp
+   * @returns {Array} [{ service, calls, requests, input_tokens, output_tokens, cost_usd }]
+   */
+  async getUsageSummary(since) {
+    const { data, error } = await this.supabase
+      .rpc('get_usage_summary', { since_time: since });
+
+    if (error) throw new Error(`Failed to get usage summary: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Calls, quota units and cost per operation of one service since a time
+   * @param {string} service - e.g. youtube
+   * @param {string} since - ISO timestamp
+   * @returns {Array} [{ operation, calls, quota_units, cost_usd }], most units first
+   */
+  async getUsageByOperation(service, since) {
+    const { data, error } = await this.supabase
+      .rpc('get_usage_by_operation', { usage_service: service, since_time: since });
+
+    if (error) throw new Error(`Failed to get usage by operation: ${error.message}`);
+    return data || [];
   }
 
   // Analytics
@@ -445,6 +1123,7 @@ class SupabaseService {
           influencer:influencers(channel_name, profile_image_url)
         )
       `)
+      .neq('review_status', 'rejected')
       .order('created_at', { ascending: false })
       .limit(limit);
 
@@ -453,4 +1132,10 @@ class SupabaseService {
   }
 }
 
+SupabaseService.RESTAURANT_SORTS = RESTAURANT_SORTS;
+SupabaseService.RESTAURANT_SEARCH_SORTS = RESTAURANT_SEARCH_SORTS;
+SupabaseService.VIDEO_SORTS = VIDEO_SORTS;
+SupabaseService.INFLUENCER_SORTS = INFLUENCER_SORTS;
+SupabaseService.FAVORITE_SORTS = FAVORITE_SORTS;
+
 module.exports = SupabaseService;
\ No newline at end of file
@@ -0,0 +1,183 @@
+const SupabaseService = require('./supabaseService');
+const YouTubeQuotaService = require('./youtubeQuotaService');
+const ChannelSyncService = require('./channelSyncService');
+const JobQueueService = require('./jobQueueService');
+const { YouTubeQuotaError } = require('./youtubeService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time between an influencer's scheduled syncs; paused influencers aren't synced
+const SYNC_SCHEDULES = {
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS,
+  paused: null
+};
+
+// A claimed sync that hasn't finished by then (server died) is due again
+const SYNC_LEASE_MS = HOUR_MS;
+
+// A failed sync is retried after this long
+const SYNC_RETRY_MS = HOUR_MS;
+
+/**
+ * In-process scheduler that syncs each influencer's new uploads on its
+ * sync_schedule (daily, weekly or paused) and queues the new videos for
+ * processing. Every few minutes it picks the influencers whose next_sync_at
+ * has passed; several servers can run it, as each sync is claimed first.
+ */
+class SyncScheduler {
+  /**
+   * @param {Object} options - { intervalMs } between checks for due syncs,
+   *   { batchSize } influencers synced per check, and services to inject:
+   *   { supabaseService, quotaService, channelSync, jobQueue }
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || (parseInt(process.env.SYNC_SCHEDULER_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.batchSize = options.batchSize || parseInt(process.env.SYNC_SCHEDULER_BATCH_SIZE) || 20;
+
+    this.supabaseService = options.supabaseService || new SupabaseService();
+    this.quotaService = options.quotaService || new YouTubeQuotaService(this.supabaseService);
+    this.channelSync = options.channelSync ||
+      new ChannelSyncService({ supabaseService: this.supabaseService, quotaService: this.quotaService });
+    this.jobQueue = options.jobQueue || new JobQueueService(this.supabaseService);
+
+    this.running = false;
+    this.timer = null;
+    this.currentRun = null;
+  }
+
+  /**
+   * When an influencer's next scheduled sync is due
+   * @param {string} schedule - daily, weekly or paused
+   * @param {string|null} lastSyncedAt - ISO timestamp of the last sync
+   * @param {Date} now - Current time
+   * @returns {string|null} ISO timestamp; now if never synced, null if paused
+   */
+  static nextSyncAt(schedule, lastSyncedAt, now = new Date()) {
+    const interval = SYNC_SCHEDULES[schedule];
+    if (!interval) return null;
+    if (!lastSyncedAt) return now.toISOString();
+    return new Date(new Date(lastSyncedAt).getTime() + interval).toISOString();
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`🗓️ Sync scheduler started (checking every ${this.intervalMs / 60000} min)`);
+    this.scheduleNextRun(0);
+  }
+
+  /**
+   * Stop checking and wait for the sync in progress. One that doesn't finish
+   * in time is due again when its claim runs out.
+   * @param {number} timeoutMs - Maximum time to wait for the running sync
+   */
+  async stop(timeoutMs = 25000) {
+    this.running = false;
+    clearTimeout(this.timer);
+
+    if (this.currentRun) {
+      await Promise.race([
+        this.currentRun.catch(() => {}), // run() logs the error
+        new Promise(resolve => setTimeout(resolve, timeoutMs))
+      ]);
+    }
+    console.log('🗓️ Sync scheduler stopped');
+  }
+
+  scheduleNextRun(delayMs) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.run(), delayMs);
+  }
+
+  async run() {
+    try {
+      this.currentRun = this.syncDueInfluencers();
+      await this.currentRun;
+    } catch (error) {
+      console.error('Sync scheduler error:', error);
+    } finally {
+      this.currentRun = null;
+    }
+
+    this.scheduleNextRun(this.intervalMs);
+  }
+
+  /**
+   * Sync the influencers that are due, one at a time, until the batch is done
+   * or the YouTube quota runs low
+   * @returns {Array} [{ influencer_id, synced, queued, deferred, error }] per influencer synced
+   */
+  async syncDueInfluencers() {
+    const due = await this.supabaseService.getInfluencersDueForSync(new Date().toISOString(), this.batchSize);
+    const results = [];
+
+    for (const influencer of due) {
+      if (!this.running && results.length > 0) break;
+
+      const leaseUntil = new Date(Date.now() + SYNC_LEASE_MS).toISOString();
+      if (!(await this.supabaseService.claimInfluencerSync(influencer, leaseUntil))) {
+        continue;
+      }
+
+      const result = await this.syncInfluencer(influencer);
+      results.push({ influencer_id: influencer.id, ...result });
+
+      // The rest wait for the quota reset rather than fail one by one
+      if (result.deferred) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * Sync one claimed influencer, queue its new videos and set its next sync
+   * @param {Object} influencer - Influencer row
+   * @returns {Object} { synced, queued, deferred } or { error }
+   */
+  async syncInfluencer(influencer) {
+    const startedAt = new Date();
+
+    try {
+      const result = await this.channelSync.syncNew(influencer);
+
+      // Pages read before a quota deferral still added videos
+      const { jobs, alreadyQueued } = result.videoIds.length > 0
+        ? await this.jobQueue.enqueueVideos(result.videoIds)
+        : { jobs: [], alreadyQueued: 0 };
+      const queued = jobs.length - alreadyQueued;
+
+      if (result.deferred) {
+        console.log(`⏸️ Sync of ${influencer.channel_name} deferred until the YouTube quota resets at ${result.quota.resets_at}`);
+        await this.supabaseService.updateInfluencer(influencer.channel_id, { next_sync_at: result.quota.resets_at });
+        return { synced: result.synced, queued, deferred: true };
+      }
+
+      await this.supabaseService.updateInfluencer(influencer.channel_id, {
+        last_synced_at: startedAt.toISOString(),
+        next_sync_at: SyncScheduler.nextSyncAt(influencer.sync_schedule, startedAt.toISOString()),
+        last_sync_error: null
+      });
+
+      console.log(`🗓️ Synced ${influencer.channel_name}: ${result.synced} new videos, ${queued} queued for processing`);
+      return { synced: result.synced, queued };
+    } catch (error) {
+      if (error instanceof YouTubeQuotaError) {
+        console.log(`⏸️ Sync of ${influencer.channel_name} deferred: ${error.message}`);
+        await this.supabaseService.updateInfluencer(influencer.channel_id, { next_sync_at: error.usage.resets_at });
+        return { synced: 0, queued: 0, deferred: true };
+      }
+
+      console.error(`❌ Scheduled sync of ${influencer.channel_name} failed:`, error.message);
+      await this.supabaseService.updateInfluencer(influencer.channel_id, {
+        next_sync_at: new Date(Date.now() + SYNC_RETRY_MS).toISOString(),
+        last_sync_error: error.message
+      }).catch(updateError => console.error('Failed to record sync error:', updateError.message));
+      return { error: error.message };
+    }
+  }
+}
+
+SyncScheduler.SYNC_SCHEDULES = SYNC_SCHEDULES;
+
+module.exports = SyncScheduler;
@@ -1,40 +1,22 @@
-const { YoutubeTranscript } = require('youtube-transcript');
-
 class TimestampService {
   constructor() {}
 
-  /**
-   * Get transcript with timestamps from YouTube
-   * @param {string} videoId - YouTube video ID
-   * @returns {Array} Transcript array with timestamps
-   */
-  async getTranscriptWithTimestamps(videoId) {
-    try {
-      const transcriptArray = await YoutubeTranscript.fetchTranscript(videoId);
-      return transcriptArray; // Returns [{text: "...", offset: 1234}, ...]
-    } catch (error) {
-      console.error('Error fetching timestamped transcript:', error);
-      return [];
-    }
-  }
-
   /**
    * Find approximate timestamp when restaurant is mentioned
-   * @param {Array} transcriptArray - Transcript with timestamps
+   * @param {Array} segments - Transcript segments [{ text, start, duration }] in seconds
    * @param {string} restaurantName - Restaurant name to search for
    * @param {string} context - Context quote about the restaurant
    * @returns {number|null} Timestamp in seconds or null
    */
-  findRestaurantTimestamp(transcriptArray, restaurantName, context) {
-    if (!transcriptArray || transcriptArray.length === 0) {
+  findRestaurantTimestamp(segments, restaurantName, context) {
+    if (!segments || segments.length === 0) {
       return null;
     }
 
     // Convert transcript to searchable text with timestamps
-    const timestampedText = transcriptArray.map(entry => ({
-      text: entry.text.toLowerCase(),
-      timestamp: Math.floor(entry.offset / 1000), // Convert ms to seconds
-      offset: entry.offset
+    const timestampedText = segments.map(segment => ({
+      text: segment.text.toLowerCase(),
+      timestamp: Math.floor(segment.start)
     }));
 
     const searchTerms = [
@@ -82,16 +64,14 @@ class TimestampService {
 
   /**
    * Enhanced AI processing with timestamp extraction
-   * @param {string} videoId - YouTube video ID
+   * @param {Array} segments - Timed transcript segments from TranscriptService
    * @param {Array} aiRecommendations - Recommendations from AI
    * @returns {Array} Recommendations enhanced with timestamps
    */
-  async enhanceRecommendationsWithTimestamps(videoId, aiRecommendations) {
+  async enhanceRecommendationsWithTimestamps(segments, aiRecommendations) {
     try {
-      const transcriptArray = await this.getTranscriptWithTimestamps(videoId);
-      
-      if (transcriptArray.length === 0) {
-        console.log(`No timestamped transcript available for ${videoId}`);
+      if (!segments || segments.length === 0) {
+        console.log('No timestamped transcript available');
         return aiRecommendations;
       }
 
@@ -99,7 +79,7 @@ class TimestampService {
 
       const enhancedRecommendations = aiRecommendations.map(rec => {
         const timestamp = this.findRestaurantTimestamp(
-          transcriptArray,
+          segments,
           rec.name,
           rec.context
         );
@@ -110,7 +90,8 @@ class TimestampService {
 
         return {
           ...rec,
-          mentionedAt: timestamp
+          // Keep the AI's estimate from the [mm:ss] lines if no keyword match
+          mentionedAt: timestamp || rec.mentionedAt || null
         };
       });
 
@@ -122,6 +103,30 @@ class TimestampService {
     }
   }
 
+  /**
+   * Render transcript segments as "[mm:ss] text" lines for the AI prompt.
+   * Short caption segments are merged so each line covers about lineSeconds.
+   * @param {Array} segments - Transcript segments [{ text, start, duration }] in seconds
+   * @param {number} lineSeconds - Minimum time covered by one line
+   * @returns {string} Timestamped transcript
+   */
+  formatTranscriptWithTimestamps(segments, lineSeconds = 15) {
+    const lines = [];
+    let current = null;
+
+    for (const segment of segments) {
+      if (!current || segment.start - current.start >= lineSeconds) {
+        current = { start: Math.floor(segment.start), texts: [] };
+        lines.push(current);
+      }
+      current.texts.push(segment.text);
+    }
+
+    return lines
+      .map(line => `[${this.formatTimestamp(line.start) || '0:00'}] ${line.texts.join(' ')}`)
+      .join('\n');
+  }
+
   /**
    * Format seconds to MM:SS format
    * @param {number} seconds - Timestamp in seconds
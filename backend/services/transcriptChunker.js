@@ -0,0 +1,126 @@
+// Splits long transcripts into overlapping chunks for AI extraction, so an
+// hour-long food tour fits the model's context window one piece at a time
+
+const { segmentsToText } = require('./transcriptProviders/captionParser');
+
+const DEFAULT_MAX_CHUNK_CHARS = parseInt(process.env.EXTRACTION_CHUNK_CHARS) || 12000;
+const DEFAULT_OVERLAP_CHARS = parseInt(process.env.EXTRACTION_CHUNK_OVERLAP_CHARS) || 1000;
+
+/**
+ * Break segments longer than maxChars (e.g. unpunctuated text turned into one
+ * segment) at word boundaries, spreading their duration proportionally
+ * @param {Array} segments - Transcript segments
+ * @param {number} maxChars - Longest allowed segment
+ * @returns {Array} Segments no longer than maxChars (unless a single word is)
+ */
+function splitLongSegments(segments, maxChars) {
+  const result = [];
+
+  for (const segment of segments) {
+    if (segment.text.length <= maxChars) {
+      result.push(segment);
+      continue;
+    }
+
+    const words = segment.text.split(' ');
+    const duration = segment.duration || 0;
+    let piece = [];
+    let pieceChars = 0;
+    let offsetChars = 0;
+
+    const flush = () => {
+      const text = piece.join(' ');
+      result.push({
+        text,
+        start: segment.start + (offsetChars / segment.text.length) * duration,
+        duration: (text.length / segment.text.length) * duration
+      });
+      offsetChars += text.length + 1;
+      piece = [];
+      pieceChars = 0;
+    };
+
+    for (const word of words) {
+      if (piece.length > 0 && pieceChars + word.length + 1 > maxChars) flush();
+      piece.push(word);
+      pieceChars += word.length + (piece.length > 1 ? 1 : 0);
+    }
+    if (piece.length > 0) flush();
+  }
+
+  return result;
+}
+
+/**
+ * Group transcript segments into chunks of at most maxChars characters. Each
+ * chunk repeats the last overlapChars of the previous one so a restaurant
+ * discussed across a boundary is seen whole by at least one chunk.
+ * @param {Array} segments - Transcript segments [{ text, start, duration }]
+ * @param {Object} options - { maxChars, overlapChars }
+ * @returns {Array} Chunks [{ index, segments, start, end, chars }]
+ */
+function chunkSegments(segments, options = {}) {
+  const maxChars = options.maxChars || DEFAULT_MAX_CHUNK_CHARS;
+  const overlapChars = Math.min(options.overlapChars ?? DEFAULT_OVERLAP_CHARS, Math.floor(maxChars / 2));
+  const chunks = [];
+  segments = splitLongSegments(segments, maxChars);
+
+  let first = 0;
+  while (first < segments.length) {
+    // Take segments until the chunk is full (always at least one)
+    let last = first;
+    let chars = segments[first].text.length;
+    while (last + 1 < segments.length && chars + segments[last + 1].text.length + 1 <= maxChars) {
+      last++;
+      chars += segments[last].text.length + 1;
+    }
+
+    const chunkSegmentList = segments.slice(first, last + 1);
+    const lastSegment = chunkSegmentList[chunkSegmentList.length - 1];
+    chunks.push({
+      index: chunks.length,
+      segments: chunkSegmentList,
+      start: chunkSegmentList[0].start,
+      end: lastSegment.start + (lastSegment.duration || 0),
+      chars
+    });
+
+    if (last + 1 >= segments.length) break;
+
+    // Step back from the end to cover the overlap, but always move forward
+    let next = last + 1;
+    let overlap = 0;
+    while (next - 1 > first && overlap + segments[next - 1].text.length <= overlapChars) {
+      next--;
+      overlap += segments[next].text.length + 1;
+    }
+    first = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Chunk a transcript and render each chunk as the text sent to the AI. Without
+ * segments (e.g. a description) the whole text is chunked as one segment.
+ * @param {Object} transcript - { segments, text, timed }
+ * @param {Function} formatTimed - Renders the segments of a timed chunk, e.g. as [mm:ss] lines
+ * @returns {Array} Chunk texts, in order
+ */
+function chunkTranscriptTexts(transcript, formatTimed) {
+  const segments = transcript.segments && transcript.segments.length > 0
+    ? transcript.segments
+    : [{ text: transcript.text, start: 0, duration: 0 }];
+
+  return chunkSegments(segments).map(chunk => (transcript.timed
+    ? formatTimed(chunk.segments)
+    : segmentsToText(chunk.segments)));
+}
+
+module.exports = {
+  chunkSegments,
+  chunkTranscriptTexts,
+  splitLongSegments,
+  DEFAULT_MAX_CHUNK_CHARS,
+  DEFAULT_OVERLAP_CHARS
+};
@@ -0,0 +1,89 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { parseCaptions } = require('./captionParser');
+
+const DEFAULT_CAPTIONS_DIR = path.join(__dirname, '../../captions');
+const CAPTION_FORMATS = ['vtt', 'srt'];
+
+/**
+ * Caption files uploaded through POST /api/videos/:videoId/captions and kept
+ * in CAPTIONS_DIR as <videoId>.vtt or <videoId>.srt
+ */
+class CaptionFileProvider {
+  constructor(options = {}) {
+    this.name = 'caption-file';
+    this.captionsDir = options.captionsDir || process.env.CAPTIONS_DIR || DEFAULT_CAPTIONS_DIR;
+  }
+
+  captionPath(videoId, format) {
+    // Video IDs come from URLs; never let one escape the captions directory
+    return path.join(this.captionsDir, `${path.basename(videoId)}.${format}`);
+  }
+
+  /**
+   * Find the uploaded caption file for a video
+   * @param {string} videoId - YouTube video ID
+   * @returns {Object|null} { path, format } or null if none was uploaded
+   */
+  async findCaptionFile(videoId) {
+    for (const format of CAPTION_FORMATS) {
+      const filePath = this.captionPath(videoId, format);
+      try {
+        await fs.access(filePath);
+        return { path: filePath, format };
+      } catch (error) {
+        // Not uploaded in this format
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Store a caption file, replacing any earlier upload for the video
+   * @param {string} videoId - YouTube video ID
+   * @param {string} format - 'vtt' or 'srt'
+   * @param {string} content - Caption file content
+   * @returns {string} Path of the saved file
+   */
+  async saveCaptionFile(videoId, format, content) {
+    await fs.mkdir(this.captionsDir, { recursive: true });
+    await this.deleteCaptionFile(videoId);
+
+    const filePath = this.captionPath(videoId, format);
+    await fs.writeFile(filePath, content, 'utf8');
+    return filePath;
+  }
+
+  /**
+   * @param {string} videoId - YouTube video ID
+   * @returns {boolean} True if a file was removed
+   */
+  async deleteCaptionFile(videoId) {
+    let deleted = false;
+    for (const format of CAPTION_FORMATS) {
+      try {
+        await fs.unlink(this.captionPath(videoId, format));
+        deleted = true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * @param {Object} video - Video row from the database
+   * @returns {Object|null} { segments, timed } or null if no file was uploaded
+   */
+  async fetch(video) {
+    const captionFile = await this.findCaptionFile(video.video_id);
+    if (!captionFile) return null;
+
+    const content = await fs.readFile(captionFile.path, 'utf8');
+    return { segments: parseCaptions(content), timed: true };
+  }
+}
+
+CaptionFileProvider.CAPTION_FORMATS = CAPTION_FORMATS;
+
+module.exports = CaptionFileProvider;
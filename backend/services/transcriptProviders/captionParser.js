@@ -0,0 +1,174 @@
+// Helpers that turn caption files and pasted text into transcript segments:
+// [{ text, start, duration }] with start and duration in seconds
+
+const TIMECODE_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const TIMESTAMP_PREFIX = /^\s*\[?((?:\d+:)?\d{1,2}:\d{2})\]?\s*[-–]?\s*(.*)$/;
+
+/**
+ * Parse a timecode like 01:02:03.456, 02:03,456 or 2:03 into seconds
+ * @param {string} timecode - Timecode string
+ * @returns {number} Seconds
+ */
+function parseTimecode(timecode) {
+  const parts = timecode.trim().replace(',', '.').split(':');
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]+>/g, '') // VTT voice/style tags and inline timestamps
+    .replace(/\{\\[^}]*\}/g, '') // SRT/ASS style overrides
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse WebVTT or SubRip captions. Both use "start --> end" cue lines; cue
+ * numbers, headers and NOTE/STYLE blocks are skipped.
+ * @param {string} content - Caption file content
+ * @returns {Array} Transcript segments
+ */
+function parseCaptions(content) {
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  const segments = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const cueIndex = lines.findIndex(line => TIMECODE_LINE.test(line));
+    if (cueIndex === -1) continue;
+
+    const [, startCode, endCode] = lines[cueIndex].match(TIMECODE_LINE);
+    const text = cleanCueText(lines.slice(cueIndex + 1).join(' '));
+    if (!text) continue;
+
+    const start = parseTimecode(startCode);
+    const end = parseTimecode(endCode);
+
+    // Auto-generated VTT repeats the previous line in rolling cues
+    const previous = segments[segments.length - 1];
+    if (previous && previous.text === text) {
+      previous.duration = Math.max(previous.duration, end - previous.start);
+      continue;
+    }
+
+    segments.push({ text, start, duration: Math.max(end - start, 0) });
+  }
+
+  return segments;
+}
+
+/**
+ * Detect the caption format from a file name or the content itself
+ * @param {string} content - Caption file content
+ * @param {string} filename - Optional original file name
+ * @returns {string|null} 'vtt', 'srt' or null if it isn't a caption file
+ */
+function detectCaptionFormat(content, filename = '') {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'vtt' || extension === 'srt') return extension;
+
+  const trimmed = (content || '').replace(/^\uFEFF/, '').trimStart();
+  if (trimmed.startsWith('WEBVTT')) return 'vtt';
+  if (/^\d+\s*\n\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s*-->/.test(trimmed.replace(/\r\n?/g, '\n'))) return 'srt';
+  return null;
+}
+
+/**
+ * Parse pasted text where lines start with a timestamp, e.g. "[1:23] text" or
+ * "01:02:03 text". Lines without a timestamp are joined to the previous one.
+ * @param {string} text - Pasted transcript
+ * @returns {Array} Transcript segments, empty if the text has no timestamps
+ */
+function parseTimestampedText(text) {
+  const segments = [];
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const match = line.match(TIMESTAMP_PREFIX);
+    if (match && match[2].trim()) {
+      segments.push({ text: match[2].trim(), start: parseTimecode(match[1]), duration: 0 });
+    } else if (line.trim() && segments.length > 0) {
+      segments[segments.length - 1].text += ` ${line.trim()}`;
+    }
+  }
+
+  // A segment lasts until the next one starts
+  segments.forEach((segment, index) => {
+    const next = segments[index + 1];
+    if (next) segment.duration = Math.max(next.start - segment.start, 0);
+  });
+
+  return segments;
+}
+
+/**
+ * Split untimed text into sentence segments and spread them evenly over the
+ * video. Start times are estimates, so the result is marked as untimed.
+ * @param {string} text - Plain transcript text
+ * @param {number} durationSeconds - Video length, 0 if unknown
+ * @returns {Array} Transcript segments
+ */
+function segmentsFromText(text, durationSeconds = 0) {
+  const sentences = text.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]*/g) || [];
+  const trimmed = sentences.map(sentence => sentence.trim()).filter(Boolean);
+  const totalLength = trimmed.reduce((sum, sentence) => sum + sentence.length, 0) || 1;
+
+  let position = 0;
+  return trimmed.map(sentence => {
+    const start = (position / totalLength) * durationSeconds;
+    position += sentence.length;
+    return {
+      text: sentence,
+      start: Math.round(start * 10) / 10,
+      duration: Math.round((sentence.length / totalLength) * durationSeconds * 10) / 10
+    };
+  });
+}
+
+/**
+ * Normalise { text, offset, duration } entries from transcript APIs whose
+ * offsets may be milliseconds or seconds depending on the caption format
+ * @param {Array} entries - Raw transcript entries
+ * @param {number} durationSeconds - Video length, 0 if unknown
+ * @returns {Array} Transcript segments
+ */
+function segmentsFromOffsets(entries, durationSeconds = 0) {
+  const offsets = entries.map(entry => Number(entry.offset ?? entry.start) || 0);
+  const maxOffset = Math.max(0, ...offsets);
+
+  const inMilliseconds = durationSeconds > 0
+    ? maxOffset > durationSeconds + 60
+    : offsets.every(Number.isInteger) && maxOffset > 1000;
+  const scale = inMilliseconds ? 1000 : 1;
+
+  return entries
+    .map((entry, index) => ({
+      text: cleanCueText(String(entry.text || '')),
+      start: offsets[index] / scale,
+      duration: (Number(entry.duration ?? entry.dur) || 0) / scale
+    }))
+    .filter(segment => segment.text);
+}
+
+/**
+ * Join segment text into a plain transcript
+ * @param {Array} segments - Transcript segments
+ * @returns {string} Transcript text
+ */
+function segmentsToText(segments) {
+  return segments.map(segment => segment.text).join(' ');
+}
+
+module.exports = {
+  parseTimecode,
+  parseCaptions,
+  detectCaptionFormat,
+  parseTimestampedText,
+  segmentsFromText,
+  segmentsFromOffsets,
+  segmentsToText
+};
@@ -0,0 +1,44 @@
+const YoutubeTranscriptProvider = require('./youtubeTranscriptProvider');
+const RapidApiProvider = require('./rapidApiProvider');
+const CaptionFileProvider = require('./captionFileProvider');
+const ManualProvider = require('./manualProvider');
+
+// Provider name (as used in TRANSCRIPT_PROVIDERS) -> class
+const TRANSCRIPT_PROVIDERS = {
+  'youtube-transcript': YoutubeTranscriptProvider,
+  'rapidapi': RapidApiProvider,
+  'caption-file': CaptionFileProvider,
+  'manual': ManualProvider
+};
+
+// Transcripts supplied by an admin win over anything fetched from YouTube
+const DEFAULT_PROVIDER_ORDER = ['caption-file', 'manual', 'youtube-transcript', 'rapidapi'];
+
+/**
+ * Build the provider chain from a comma-separated list of names
+ * @param {string} providerList - e.g. "caption-file,youtube-transcript"
+ * @returns {Array} Provider instances in order
+ */
+function createProviders(providerList) {
+  const names = providerList
+    ? providerList.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_PROVIDER_ORDER;
+
+  return names.map(name => {
+    const Provider = TRANSCRIPT_PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown transcript provider "${name}". Available: ${Object.keys(TRANSCRIPT_PROVIDERS).join(', ')}`);
+    }
+    return new Provider();
+  });
+}
+
+module.exports = {
+  TRANSCRIPT_PROVIDERS,
+  DEFAULT_PROVIDER_ORDER,
+  createProviders,
+  YoutubeTranscriptProvider,
+  RapidApiProvider,
+  CaptionFileProvider,
+  ManualProvider
+};
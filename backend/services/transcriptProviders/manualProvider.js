@@ -0,0 +1,29 @@
+const { parseTimestampedText, segmentsFromText } = require('./captionParser');
+
+/**
+ * Transcript pasted by an admin into videos.manual_transcript through
+ * PUT /api/videos/:videoId/transcript. Lines may start with a timestamp
+ * ("[1:23] ..."); otherwise timings are estimated from the video length.
+ */
+class ManualProvider {
+  constructor() {
+    this.name = 'manual';
+  }
+
+  /**
+   * @param {Object} video - Video row from the database
+   * @returns {Object|null} { segments, timed } or null if nothing was pasted
+   */
+  async fetch(video) {
+    const text = video.manual_transcript;
+    if (!text || text.trim().length === 0) return null;
+
+    const timestamped = parseTimestampedText(text);
+    if (timestamped.length > 0) {
+      return { segments: timestamped, timed: true };
+    }
+    return { segments: segmentsFromText(text, video.duration_seconds), timed: false };
+  }
+}
+
+module.exports = ManualProvider;
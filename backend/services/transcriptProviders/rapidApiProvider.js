@@ -0,0 +1,57 @@
+const axios = require('axios');
+const { segmentsFromOffsets, segmentsFromText } = require('./captionParser');
+
+/**
+ * Transcript API on RapidAPI (RAPIDAPI_KEY / RAPIDAPI_HOST)
+ */
+class RapidApiProvider {
+  constructor() {
+    this.name = 'rapidapi';
+  }
+
+  /**
+   * @param {Object} video - Video row from the database
+   * @returns {Object|null} { segments, timed } or null if RapidAPI isn't configured
+   */
+  async fetch(video) {
+    if (!process.env.RAPIDAPI_KEY || !process.env.RAPIDAPI_HOST) return null;
+
+    let response;
+    try {
+      response = await axios.get(`https://${process.env.RAPIDAPI_HOST}/api/transcript`, {
+        params: {
+          videoId: video.video_id
+        },
+        headers: {
+          'X-RapidAPI-Key': process.env.RAPIDAPI_KEY,
+          'X-RapidAPI-Host': process.env.RAPIDAPI_HOST
+        },
+        timeout: 30000 // 30 second timeout
+      });
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`RapidAPI error: ${error.response.status} - ${error.response.data?.message || 'Unknown error'}`);
+      }
+      throw new Error(`RapidAPI request failed: ${error.message}`);
+    }
+
+    const transcript = response.data?.transcript;
+
+    // Handle different response formats
+    if (Array.isArray(transcript)) {
+      const hasTimings = transcript.some(entry => entry && (entry.offset !== undefined || entry.start !== undefined));
+      if (hasTimings) {
+        return { segments: segmentsFromOffsets(transcript, video.duration_seconds), timed: true };
+      }
+      const text = transcript.map(entry => entry.text || entry).join(' ');
+      return { segments: segmentsFromText(text, video.duration_seconds), timed: false };
+    }
+    if (typeof transcript === 'string') {
+      return { segments: segmentsFromText(transcript, video.duration_seconds), timed: false };
+    }
+
+    throw new Error('No transcript data in RapidAPI response');
+  }
+}
+
+module.exports = RapidApiProvider;
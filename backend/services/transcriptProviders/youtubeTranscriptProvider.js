@@ -0,0 +1,24 @@
+const { YoutubeTranscript } = require('youtube-transcript');
+const { segmentsFromOffsets } = require('./captionParser');
+
+/**
+ * Captions scraped from the YouTube watch page by the youtube-transcript package
+ */
+class YoutubeTranscriptProvider {
+  constructor() {
+    this.name = 'youtube-transcript';
+  }
+
+  /**
+   * @param {Object} video - Video row from the database
+   * @returns {Object|null} { segments, timed } or null if the video has no captions
+   */
+  async fetch(video) {
+    const entries = await YoutubeTranscript.fetchTranscript(video.video_id);
+    if (!entries || entries.length === 0) return null;
+
+    return { segments: segmentsFromOffsets(entries, video.duration_seconds), timed: true };
+  }
+}
+
+module.exports = YoutubeTranscriptProvider;
@@ -0,0 +1,63 @@
+const { createProviders } = require('./transcriptProviders');
+const { segmentsToText } = require('./transcriptProviders/captionParser');
+
+// Shorter transcripts are usually just music/applause captions
+const MIN_TRANSCRIPT_LENGTH = 50;
+
+class TranscriptService {
+  /**
+   * @param {Array} providers - Provider chain; defaults to TRANSCRIPT_PROVIDERS
+   */
+  constructor(providers = createProviders(process.env.TRANSCRIPT_PROVIDERS)) {
+    this.providers = providers;
+  }
+
+  getProvider(name) {
+    return this.providers.find(provider => provider.name === name);
+  }
+
+  /**
+   * Get a video's transcript from the first provider in the chain that has one
+   * @param {Object} video - Video row from the database
+   * @returns {Object} { source, segments, text, timed } with segments as
+   *   [{ text, start, duration }] in seconds; timed is false when start times
+   *   are estimates
+   */
+  async getTranscript(video) {
+    const attempts = [];
+
+    for (const provider of this.providers) {
+      try {
+        console.log(`Attempting ${provider.name} transcript for video: ${video.video_id}`);
+        const result = await provider.fetch(video);
+
+        if (!result || result.segments.length === 0) {
+          attempts.push(`${provider.name} (not available)`);
+          continue;
+        }
+
+        const text = segmentsToText(result.segments);
+        if (text.trim().length <= MIN_TRANSCRIPT_LENGTH) {
+          console.log(`⚠️ ${provider.name} transcript too short (${text.length} chars)`);
+          attempts.push(`${provider.name} (too short)`);
+          continue;
+        }
+
+        console.log(`✅ ${provider.name} transcript successful (${result.segments.length} segments, length: ${text.length})`);
+        return {
+          source: provider.name,
+          segments: result.segments,
+          text,
+          timed: result.timed
+        };
+      } catch (error) {
+        console.log(`❌ ${provider.name} transcript failed: ${error.message}`);
+        attempts.push(`${provider.name} (${error.message})`);
+      }
+    }
+
+    throw new Error(`Failed to fetch video transcript: ${attempts.join('; ') || 'no providers configured'}`);
+  }
+}
+
+module.exports = TranscriptService;
@@ -0,0 +1,230 @@
+const SupabaseService = require('./supabaseService');
+
+// USD per million tokens [input, output], matched by the longest model name
+// prefix so dated versions (gpt-4o-2024-08-06) are covered. Add or override
+// models with LLM_PRICES='{"my-model": [1.5, 6]}'.
+const LLM_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4': [30, 60],
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'text-embedding-3-small': [0.02, 0],
+  'text-embedding-3-large': [0.13, 0],
+  'text-embedding-ada-002': [0.1, 0],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'claude-3-opus': [15, 75],
+  'claude-opus-4': [15, 75]
+};
+
+// Models missing from the table are charged like gpt-4o so the budget still
+// holds; local and recorded responses cost nothing
+const FALLBACK_LLM_PRICE = LLM_PRICES['gpt-4o'];
+const FREE_PROVIDERS = ['mock', 'openai-compatible'];
+
+// USD per Places request, from Google's list prices. Details includes the
+// contact and atmosphere fields MapsService asks for.
+const MAPS_PRICES = {
+  place_search: 0.032,
+  place_details: 0.025
+};
+
+// The day's total is read from the database at most this often; calls
+// recorded in between are added to it locally
+const USAGE_CACHE_MS = 30000;
+
+function parsePrices(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring LLM_PRICES, it is not valid JSON: ${error.message}`);
+    return {};
+  }
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Records the estimated cost of every paid AI and Google Maps call in
+ * usage_ledger and checks the day's spend (UTC) against DAILY_COST_BUDGET_USD
+ */
+class UsageLedgerService {
+  /**
+   * @param {Object} supabaseService - Database access
+   * @param {Object} options - { dailyBudgetUsd } (default DAILY_COST_BUDGET_USD;
+   *   no budget when unset), { now } clock for tests
+   */
+  constructor(supabaseService, options = {}) {
+    this.supabaseService = supabaseService || new SupabaseService();
+    this.dailyBudgetUsd = options.dailyBudgetUsd !== undefined
+      ? options.dailyBudgetUsd
+      : parseFloat(process.env.DAILY_COST_BUDGET_USD) || null;
+    this.now = options.now || (() => new Date());
+    this.prices = { ...LLM_PRICES, ...parsePrices(process.env.LLM_PRICES) };
+    this.cache = null;
+  }
+
+  /**
+   * Price per million tokens for a model
+   * @param {string} provider - LLM provider name
+   * @param {string} model - Model name
+   * @returns {Array} [input, output] USD per million tokens
+   */
+  priceFor(provider, model) {
+    if (FREE_PROVIDERS.includes(provider) && !this.prices[model]) return [0, 0];
+
+    const prefix = Object.keys(this.prices)
+      .filter(name => model && model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : FALLBACK_LLM_PRICE;
+  }
+
+  /**
+   * Record an LLM completion
+   * @param {string} operation - Task, e.g. extraction or summary
+   * @param {Object} response - Provider response { provider, model, usage }
+   */
+  async recordCompletion(operation, response) {
+    const { inputTokens = 0, outputTokens = 0 } = response.usage || {};
+    const [inputPrice, outputPrice] = this.priceFor(response.provider, response.model);
+
+    await this.record({
+      service: 'llm',
+      operation,
+      provider: response.provider,
+      model: response.model,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      cost_usd: (inputTokens * inputPrice + outputTokens * outputPrice) / 1e6
+    });
+  }
+
+  /**
+   * Record an embeddings request
+   * @param {string} operation - What was embedded, e.g. restaurants or query
+   * @param {Object} response - Provider response { provider, model, usage }
+   */
+  async recordEmbedding(operation, response) {
+    const inputTokens = response.usage?.inputTokens || 0;
+    const [inputPrice] = this.priceFor(response.provider, response.model);
+
+    await this.record({
+      service: 'embedding',
+      operation,
+      provider: response.provider,
+      model: response.model,
+      input_tokens: inputTokens,
+      cost_usd: (inputTokens * inputPrice) / 1e6
+    });
+  }
+
+  /**
+   * Record a Google Places request
+   * @param {string} operation - place_search or place_details
+   */
+  async recordMapsRequest(operation) {
+    await this.record({
+      service: 'maps',
+      operation,
+      provider: 'google',
+      cost_usd: MAPS_PRICES[operation] || 0
+    });
+  }
+
+  /**
+   * Save a ledger row. Bookkeeping never fails the call it describes, so
+   * errors are logged, not thrown.
+   * @param {Object} entry - usage_ledger row
+   */
+  async record(entry) {
+    const row = { requests: 1, ...entry, cost_usd: roundUsd(entry.cost_usd || 0) };
+
+    if (this.cache && this.cache.day === startOfDay(this.now()).getTime()) {
+      this.cache.spent += row.cost_usd;
+    }
+
+    try {
+      await this.supabaseService.recordUsage([row]);
+    } catch (error) {
+      console.error('Error recording usage:', error.message);
+    }
+  }
+
+  /**
+   * Today's (UTC) spend against the budget
+   * @param {Object} options - { fresh } to skip the cached total and include
+   *   the per-service breakdown
+   * @returns {Object} { day, spent_usd, budget_usd, remaining_usd, exhausted,
+   *   resets_at, services: [{ service, calls, requests, input_tokens, output_tokens, cost_usd }] }
+   */
+  async getDailyUsage(options = {}) {
+    const dayStart = startOfDay(this.now());
+    const cached = this.cache && this.cache.day === dayStart.getTime() &&
+      this.now() - this.cache.fetchedAt < USAGE_CACHE_MS;
+    let services = null;
+
+    if (!cached || options.fresh) {
+      services = await this.supabaseService.getUsageSummary(dayStart.toISOString());
+      this.cache = {
+        day: dayStart.getTime(),
+        fetchedAt: this.now().getTime(),
+        spent: services.reduce((sum, row) => sum + Number(row.cost_usd), 0)
+      };
+    }
+
+    const spent = roundUsd(this.cache.spent);
+    const budget = this.dailyBudgetUsd;
+
+    return {
+      day: dayStart.toISOString().substring(0, 10),
+      spent_usd: spent,
+      budget_usd: budget,
+      remaining_usd: budget ? roundUsd(Math.max(budget - spent, 0)) : null,
+      exhausted: Boolean(budget) && spent >= budget,
+      resets_at: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000).toISOString(),
+      ...(services && {
+        services: services.map(row => ({ ...row, cost_usd: roundUsd(Number(row.cost_usd)) }))
+      })
+    };
+  }
+
+  /**
+   * Whether today's budget is spent; always false without a budget
+   * @returns {Object|null} Daily usage when exhausted, otherwise null
+   */
+  async checkBudget() {
+    if (!this.dailyBudgetUsd) return null;
+
+    const usage = await this.getDailyUsage();
+    return usage.exhausted ? usage : null;
+  }
+
+  /**
+   * Explanation for callers turned away by the budget
+   * @param {Object} usage - From getDailyUsage
+   * @returns {string} Message
+   */
+  static budgetMessage(usage) {
+    return `Daily cost budget of $${usage.budget_usd.toFixed(2)} is used up ($${usage.spent_usd.toFixed(2)} spent today). ` +
+      `AI and Maps processing resumes at ${usage.resets_at}.`;
+  }
+}
+
+UsageLedgerService.LLM_PRICES = LLM_PRICES;
+UsageLedgerService.MAPS_PRICES = MAPS_PRICES;
+
+module.exports = UsageLedgerService;
@@ -0,0 +1,328 @@
+const TranscriptService = require('./transcriptService');
+const AIService = require('./aiService');
+const SupabaseService = require('./supabaseService');
+const TimestampService = require('./timestampService');
+const RestaurantResolver = require('./restaurantResolver');
+const RestaurantEnrichmentService = require('./restaurantEnrichmentService');
+const RestaurantEmbeddingService = require('./restaurantEmbeddingService');
+const UsageLedgerService = require('./usageLedgerService');
+const { chunkTranscriptTexts } = require('./transcriptChunker');
+const { segmentsFromText, segmentsToText } = require('./transcriptProviders/captionParser');
+
+// Pipeline steps in the order they run; reported in job progress
+const PROCESSING_STEPS = [
+  'transcript_fetched',
+  'ai_extracted',
+  'timestamps_aligned',
+  'restaurants_linked',
+  'restaurants_enriched',
+  'restaurants_embedded'
+];
+
+/**
+ * Tracks status and timings of each pipeline step and reports every change
+ */
+class ProcessingProgress {
+  constructor(onProgress) {
+    this.onProgress = onProgress;
+    this.steps = {};
+    PROCESSING_STEPS.forEach(step => {
+      this.steps[step] = { status: 'pending' };
+    });
+  }
+
+  snapshot() {
+    return { steps: JSON.parse(JSON.stringify(this.steps)) };
+  }
+
+  async update(step, changes) {
+    this.steps[step] = { ...this.steps[step], ...changes };
+    if (this.onProgress) {
+      await this.onProgress(this.snapshot(), step, this.steps[step]);
+    }
+  }
+
+  /**
+   * Run one step, recording start/finish times and any error
+   * @param {string} step - Step name from PROCESSING_STEPS
+   * @param {Function} fn - Async step body; may return { value, detail }
+   * @returns {*} The step's value
+   */
+  async run(step, fn) {
+    const startedAt = Date.now();
+    await this.update(step, { status: 'running', started_at: new Date(startedAt).toISOString() });
+
+    try {
+      const { value, detail } = await fn();
+      await this.update(step, {
+        status: 'completed',
+        finished_at: new Date().toISOString(),
+        duration_ms: Date.now() - startedAt,
+        ...(detail && { detail })
+      });
+      return value;
+    } catch (error) {
+      await this.update(step, {
+        status: 'failed',
+        finished_at: new Date().toISOString(),
+        duration_ms: Date.now() - startedAt,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+class VideoProcessingService {
+  /**
+   * @param {Object} services - Dependencies, each created when missing. The
+   *   default AI, Maps and embedding services record their cost in usageLedger.
+   */
+  constructor(services = {}) {
+    this.supabaseService = services.supabaseService || new SupabaseService();
+    this.usageLedger = services.usageLedger || new UsageLedgerService(this.supabaseService);
+    this.transcriptService = services.transcriptService || new TranscriptService();
+    this.aiService = services.aiService || new AIService({}, { usageLedger: this.usageLedger });
+    this.timestampService = services.timestampService || new TimestampService();
+    this.restaurantResolver = services.restaurantResolver ||
+      new RestaurantResolver({ supabaseService: this.supabaseService });
+    this.enrichmentService = services.enrichmentService ||
+      new RestaurantEnrichmentService({ supabaseService: this.supabaseService, usageLedger: this.usageLedger });
+    this.embeddingService = services.embeddingService ||
+      new RestaurantEmbeddingService({ supabaseService: this.supabaseService, usageLedger: this.usageLedger });
+  }
+
+  /**
+   * Extract restaurant recommendations from a video and link them to restaurants
+   * @param {Object} video - Video row from the database
+   * @param {Object} options - { onProgress(progress, step, stepState) } called after every step change,
+   *   { refreshTranscript } to fetch the transcript again instead of using stored segments
+   * @returns {Object} Processing result with linked recommendations and counts
+   */
+  async processVideo(video, options = {}) {
+    const progress = new ProcessingProgress(options.onProgress);
+
+    // Fetched once and stored; the AI and the timestamp step both read the segments
+    const transcript = await progress.run('transcript_fetched', async () => {
+      const result = await this.getTranscript(video, { refreshTranscript: options.refreshTranscript });
+      return {
+        value: result,
+        detail: {
+          source: result.source,
+          length: result.text.length,
+          segments: result.segments.length,
+          stored: result.stored
+        }
+      };
+    });
+
+    // Extract recommendations using AI, one overlapping chunk at a time so long
+    // videos fit the context window; timed chunks are sent as [mm:ss] lines
+    let recommendations = await progress.run('ai_extracted', async () => {
+      const chunkTexts = chunkTranscriptTexts(transcript, segments =>
+        this.timestampService.formatTranscriptWithTimestamps(segments));
+
+      let extracted;
+      try {
+        extracted = await this.aiService.extractFromChunks(chunkTexts, video.title, {
+          onChunk: async (done, total) => {
+            if (total > 1) {
+              await progress.update('ai_extracted', { detail: { chunks: total, chunks_done: done } });
+            }
+          }
+        });
+      } catch (error) {
+        if (error instanceof AIService.ExtractionValidationError) {
+          // Keep the validation errors and bad response for debugging
+          await this.supabaseService.updateVideo(video.video_id, { extraction_error: error.toJSON() });
+        }
+        throw error;
+      }
+      return {
+        value: extracted,
+        detail: { restaurants: extracted.length, chunks: chunkTexts.length, prompt_version: this.aiService.promptVersion }
+      };
+    });
+
+    // Enhance recommendations with timestamps if transcript has timing data
+    recommendations = await progress.run('timestamps_aligned', async () => {
+      const segments = transcript.timed ? transcript.segments : [];
+      const aligned = await this.timestampService.enhanceRecommendationsWithTimestamps(segments, recommendations);
+      return { value: aligned, detail: { aligned: aligned.filter(rec => rec.mentionedAt).length } };
+    });
+
+    const processedRecommendations = await progress.run('restaurants_linked', async () => {
+      const linked = await this.linkRecommendations(video, recommendations);
+      return { value: linked, detail: { linked: linked.length, skipped: recommendations.length - linked.length } };
+    });
+
+    // Look up the linked restaurants Google Maps hasn't seen yet
+    await progress.run('restaurants_enriched', async () => {
+      if (!this.enrichmentService.enabled) {
+        return { value: null, detail: { skipped: 'Google Maps API key not configured' } };
+      }
+
+      const pending = [...new Map(processedRecommendations
+        .filter(({ restaurant }) => restaurant.enrichment_status === 'pending')
+        .map(({ restaurant }) => [restaurant.id, restaurant])).values()];
+
+      const summary = await this.enrichmentService.enrichRestaurants(pending, {
+        onProgress: (done, total) => progress.update('restaurants_enriched', { detail: { done, total } })
+      });
+
+      processedRecommendations.forEach(pair => {
+        pair.restaurant = summary.restaurants.find(restaurant => restaurant.id === pair.restaurant.id) || pair.restaurant;
+      });
+      return { value: summary, detail: { enriched: summary.enriched, not_found: summary.not_found, failed: summary.failed } };
+    });
+
+    // Refresh the linked restaurants' embeddings with what this video said.
+    // Semantic search only; a failure leaves them for scripts/embed-restaurants.js
+    await progress.run('restaurants_embedded', async () => {
+      if (!this.embeddingService.enabled) {
+        return { value: null, detail: { skipped: 'embeddings disabled' } };
+      }
+
+      const restaurants = [...new Map(processedRecommendations
+        .map(({ restaurant }) => [restaurant.id, restaurant])).values()];
+      try {
+        const summary = await this.embeddingService.embedRestaurants(restaurants);
+        return { value: summary, detail: summary };
+      } catch (error) {
+        console.error(`❌ Embedding restaurants failed for ${video.video_id}:`, error.message);
+        return { value: null, detail: { failed: error.message } };
+      }
+    });
+
+    // Mark video as processed
+    await this.supabaseService.updateVideo(video.video_id, {
+      processed: true,
+      processing_error: null,
+      extraction_error: null
+    });
+
+    return {
+      recommendations: processedRecommendations,
+      extracted_count: recommendations.length,
+      processed_count: processedRecommendations.length
+    };
+  }
+
+  /**
+   * Get the transcript segments for a video. Segments stored by an earlier run
+   * are reused; otherwise the provider chain is asked and its segments saved.
+   * Falls back to a legacy flat transcript, then the video description.
+   * @param {Object} video - Video row from the database
+   * @param {Object} options - { refreshTranscript } to ignore stored segments
+   * @returns {Object} { source, segments, text, timed, stored }
+   */
+  async getTranscript(video, options = {}) {
+    const storedSegments = await this.supabaseService.getTranscriptSegments(video.id);
+    const stored = storedSegments.length > 0 && {
+      source: video.transcript_source || 'stored',
+      segments: storedSegments,
+      text: segmentsToText(storedSegments),
+      timed: video.transcript_timed !== false,
+      stored: true
+    };
+
+    if (stored && !options.refreshTranscript) {
+      console.log(`📄 Using ${storedSegments.length} stored transcript segments for ${video.video_id}`);
+      return stored;
+    }
+
+    let transcript;
+    try {
+      transcript = await this.transcriptService.getTranscript(video);
+    } catch (transcriptError) {
+      if (stored) {
+        console.log(`Transcript providers failed for ${video.video_id}, keeping stored segments`);
+        return stored;
+      }
+
+      if (video.transcript && video.transcript.trim().length > 0) {
+        // Flat transcript saved before segments were stored; no timings
+        console.log(`Transcript providers failed for ${video.video_id}, using stored transcript`);
+        transcript = {
+          source: video.transcript_source || 'stored',
+          segments: segmentsFromText(video.transcript, video.duration_seconds),
+          text: video.transcript,
+          timed: false
+        };
+      } else {
+        console.log(`Transcript not available for ${video.video_id}, using description instead`);
+        // If transcript is not available, use the video description
+        const description = video.description || '';
+        if (description.trim().length === 0) {
+          throw new Error(`No transcript or description available for processing (${transcriptError.message})`);
+        }
+        console.log(`Using video description for AI processing (length: ${description.length})`);
+        await this.supabaseService.updateVideo(video.video_id, { transcript_source: 'description' });
+        return { source: 'description', segments: [], text: description, timed: false, stored: false };
+      }
+    }
+
+    await this.supabaseService.replaceTranscriptSegments(video.id, transcript.segments);
+    await this.supabaseService.updateVideo(video.video_id, {
+      transcript_source: transcript.source,
+      transcript_timed: transcript.timed
+    });
+
+    return { ...transcript, stored: false };
+  }
+
+  /**
+   * Find or create a restaurant for each recommendation (RestaurantResolver)
+   * and store the link. A retried job reuses the links an earlier attempt
+   * stored, so its later steps still see those restaurants.
+   * @param {Object} video - Video row from the database
+   * @param {Array} recommendations - Validated AI recommendations
+   * @returns {Array} Linked { restaurant, recommendation } pairs
+   */
+  async linkRecommendations(video, recommendations) {
+    const processedRecommendations = [];
+    const earlierLinks = new Map((await this.supabaseService.getRecommendationsForReview(video.id))
+      .map(recommendation => [recommendation.restaurant_id, recommendation]));
+
+    for (const recommendation of recommendations) {
+      try {
+        const { restaurant, created, match } = await this.restaurantResolver.resolve(recommendation);
+        if (!created) {
+          console.log(`🔗 ${recommendation.name} matched ${restaurant.name} (${match.score}: ${match.reasons.join(', ')})`);
+        }
+
+        const earlierLink = earlierLinks.get(restaurant.id);
+        if (earlierLink) {
+          earlierLinks.delete(restaurant.id);
+          processedRecommendations.push({ restaurant, recommendation: earlierLink });
+          continue;
+        }
+
+        // Create recommendation link
+        const recommendationRecord = await this.supabaseService.createRecommendation({
+          video_id: video.id,
+          restaurant_id: restaurant.id,
+          confidence_score: recommendation.confidenceScore,
+          context: recommendation.context,
+          dish_mentioned: recommendation.dishMentioned,
+          mentioned_at_timestamp: recommendation.mentionedAt,
+          prompt_version: this.aiService.promptVersion
+        });
+
+        processedRecommendations.push({
+          restaurant,
+          recommendation: recommendationRecord
+        });
+      } catch (error) {
+        console.error(`Error processing recommendation for ${recommendation.name}:`, error);
+        // Continue with other recommendations
+      }
+    }
+
+    return processedRecommendations;
+  }
+}
+
+VideoProcessingService.PROCESSING_STEPS = PROCESSING_STEPS;
+
+module.exports = VideoProcessingService;
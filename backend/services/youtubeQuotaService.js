@@ -0,0 +1,174 @@
+const SupabaseService = require('./supabaseService');
+
+// Quota units per Data API method
+// (https://developers.google.com/youtube/v3/determine_quota_cost)
+const QUOTA_COSTS = {
+  'search.list': 100,
+  'videos.list': 1,
+  'channels.list': 1,
+  'playlistItems.list': 1
+};
+
+// Google resets the daily quota at midnight Pacific Time
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+
+// The day's units are read from the database at most this often; requests
+// recorded in between are added to them locally
+const QUOTA_CACHE_MS = 30000;
+
+const zoneFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: QUOTA_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+function zonedParts(date) {
+  const parts = {};
+  zoneFormat.formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+  return parts;
+}
+
+// Milliseconds the quota time zone is ahead of UTC at a moment
+function zoneOffsetMs(date) {
+  const p = zonedParts(date);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Start of the quota day containing date
+function quotaDayStart(date) {
+  const p = zonedParts(date);
+  const midnight = Date.UTC(p.year, p.month - 1, p.day);
+  // On daylight saving days the offset at midnight differs from the current one
+  const estimate = midnight - zoneOffsetMs(date);
+  return new Date(midnight - zoneOffsetMs(new Date(estimate)));
+}
+
+/**
+ * Counts the YouTube Data API quota units spent per method in usage_ledger
+ * and tells callers whether the day's quota (YOUTUBE_DAILY_QUOTA) has room.
+ * Syncs keep YOUTUBE_QUOTA_RESERVE units free for single lookups such as
+ * adding a video.
+ */
+class YouTubeQuotaService {
+  /**
+   * @param {Object} supabaseService - Database access
+   * @param {Object} options - { dailyLimit, reserve } in units, { now } clock for tests
+   */
+  constructor(supabaseService, options = {}) {
+    this.supabaseService = supabaseService || new SupabaseService();
+    this.dailyLimit = options.dailyLimit || parseInt(process.env.YOUTUBE_DAILY_QUOTA) || 10000;
+    this.reserve = options.reserve ?? (parseInt(process.env.YOUTUBE_QUOTA_RESERVE ?? 500) || 0);
+    this.now = options.now || (() => new Date());
+    this.cache = null;
+  }
+
+  /**
+   * Units a sequence of requests costs
+   * @param {Object} requests - Method -> number of requests, e.g. { 'search.list': 1 }
+   * @returns {number} Quota units
+   */
+  static costOf(requests) {
+    return Object.entries(requests).reduce((sum, [method, count]) => sum + (QUOTA_COSTS[method] || 1) * count, 0);
+  }
+
+  /**
+   * Record one Data API request. Bookkeeping never fails the request, so
+   * errors are logged, not thrown.
+   * @param {string} method - e.g. playlistItems.list
+   */
+  async record(method) {
+    const units = QUOTA_COSTS[method] || 1;
+
+    if (this.cache && this.cache.day === quotaDayStart(this.now()).getTime()) {
+      this.cache.used += units;
+    }
+
+    try {
+      await this.supabaseService.recordUsage([{
+        service: 'youtube',
+        operation: method,
+        provider: 'google',
+        requests: 1,
+        quota_units: units,
+        cost_usd: 0
+      }]);
+    } catch (error) {
+      console.error('Error recording YouTube quota:', error.message);
+    }
+  }
+
+  /**
+   * Google refused a request for quota: treat the rest of the day as used,
+   * whatever the ledger says (other apps may share the API key)
+   */
+  markExhausted() {
+    const day = quotaDayStart(this.now()).getTime();
+    this.cache = { day, fetchedAt: this.now().getTime(), used: this.dailyLimit, exhausted: true };
+  }
+
+  /**
+   * Today's quota use (Pacific Time day, like Google's)
+   * @param {Object} options - { fresh } to skip the cached total and include
+   *   the per-method breakdown
+   * @returns {Object} { day, daily_limit, used, remaining, reserve, resets_at,
+   *   methods: [{ method, calls, units }] }
+   */
+  async getDailyUsage(options = {}) {
+    const dayStart = quotaDayStart(this.now());
+    const sameDay = this.cache && this.cache.day === dayStart.getTime();
+    const cached = sameDay && (this.cache.exhausted || this.now() - this.cache.fetchedAt < QUOTA_CACHE_MS);
+    let methods = null;
+
+    if (!cached || options.fresh) {
+      const rows = await this.supabaseService.getUsageByOperation('youtube', dayStart.toISOString());
+      methods = rows.map(row => ({ method: row.operation, calls: Number(row.calls), units: Number(row.quota_units) }));
+
+      const used = methods.reduce((sum, row) => sum + row.units, 0);
+      const exhausted = sameDay && this.cache.exhausted;
+      this.cache = {
+        day: dayStart.getTime(),
+        fetchedAt: this.now().getTime(),
+        used: exhausted ? Math.max(used, this.dailyLimit) : used,
+        exhausted
+      };
+    }
+
+    // The next midnight; 26 hours on always lands in the next day, even on
+    // daylight saving days
+    const resetsAt = quotaDayStart(new Date(dayStart.getTime() + 26 * 60 * 60 * 1000));
+    const day = zonedParts(dayStart);
+
+    return {
+      day: `${day.year}-${day.month}-${day.day}`,
+      daily_limit: this.dailyLimit,
+      used: this.cache.used,
+      remaining: Math.max(this.dailyLimit - this.cache.used, 0),
+      reserve: this.reserve,
+      resets_at: resetsAt.toISOString(),
+      ...(methods && { methods })
+    };
+  }
+
+  /**
+   * Whether requests costing units fit in today's quota, keeping the reserve
+   * free unless told otherwise
+   * @param {number} units - Quota units the work will spend
+   * @param {Object} options - { reserve } units to keep free (default this.reserve)
+   * @returns {Object|null} Daily usage when there isn't room, otherwise null
+   */
+  async checkQuota(units, options = {}) {
+    const usage = await this.getDailyUsage();
+    const reserve = options.reserve ?? this.reserve;
+    return usage.remaining - units < reserve ? usage : null;
+  }
+}
+
+YouTubeQuotaService.QUOTA_COSTS = QUOTA_COSTS;
+
+module.exports = YouTubeQuotaService;
@@ -1,13 +1,88 @@
 const { google } = require('googleapis');
-const { YoutubeTranscript } = require('youtube-transcript');
-const axios = require('axios');
+const YouTubeQuotaService = require('./youtubeQuotaService');
+
+// Error reasons Google gives when the project's daily quota is spent
+const QUOTA_ERROR_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+
+/**
+ * Today's YouTube Data API quota has no room for the request (or Google
+ * refused it for quota)
+ */
+class YouTubeQuotaError extends Error {
+  /**
+   * @param {string} message - What couldn't run
+   * @param {Object} usage - Daily usage from YouTubeQuotaService
+   */
+  constructor(message, usage) {
+    super(message);
+    this.name = 'YouTubeQuotaError';
+    this.usage = usage;
+  }
+}
 
 class YouTubeService {
-  constructor() {
+  /**
+   * @param {Object} services - { quotaService } to record the quota units of
+   *   each request and refuse requests the day's quota has no room for
+   *   (YouTubeQuotaService)
+   */
+  constructor(services = {}) {
     this.youtube = google.youtube({
       version: 'v3',
       auth: process.env.YOUTUBE_API_KEY
     });
+    this.quotaService = services.quotaService || null;
+    this.uploadsPlaylistIds = new Map();
+  }
+
+  /**
+   * Call a Data API method, recording the quota it spends. Google charges
+   * failed requests too.
+   * @param {string} method - e.g. videos.list
+   * @param {Object} params - Request parameters
+   * @returns {Object} API response
+   * @throws {YouTubeQuotaError} If the quota is used up
+   */
+  async request(method, params) {
+    const [resource, action] = method.split('.');
+
+    if (this.quotaService) {
+      const units = YouTubeQuotaService.costOf({ [method]: 1 });
+      const usage = await this.quotaService.checkQuota(units, { reserve: 0 });
+      if (usage) {
+        throw new YouTubeQuotaError(`YouTube API quota used up (${usage.used}/${usage.daily_limit} units), resets at ${usage.resets_at}`, usage);
+      }
+    }
+
+    try {
+      const response = await this.youtube[resource][action](params);
+      if (this.quotaService) await this.quotaService.record(method);
+      return response;
+    } catch (error) {
+      const reason = error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason;
+
+      if (this.quotaService && QUOTA_ERROR_REASONS.includes(reason)) {
+        this.quotaService.markExhausted();
+        const usage = await this.quotaService.getDailyUsage();
+        throw new YouTubeQuotaError(`YouTube refused ${method}: daily quota exceeded, resets at ${usage.resets_at}`, usage);
+      }
+
+      if (this.quotaService) await this.quotaService.record(method);
+      throw error;
+    }
+  }
+
+  /**
+   * Quota units getChannelVideos, or one getUploadsPage, spends for a channel
+   * @param {string} channelId - YouTube channel ID
+   * @returns {number} Quota units
+   */
+  estimateChannelVideosCost(channelId) {
+    return YouTubeQuotaService.costOf({
+      'channels.list': this.uploadsPlaylistIds.has(channelId) ? 0 : 1,
+      'playlistItems.list': 1,
+      'videos.list': 1
+    });
   }
 
   /**
@@ -17,8 +92,8 @@ class YouTubeService {
    */
   async getChannelInfo(channelId) {
     try {
-      const response = await this.youtube.channels.list({
-        part: 'snippet,statistics',
+      const response = await this.request('channels.list', {
+        part: 'snippet,statistics,contentDetails',
         id: channelId.startsWith('@') ? undefined : channelId,
         forUsername: channelId.startsWith('@') ? channelId.slice(1) : undefined
       });
@@ -28,6 +103,9 @@ class YouTubeService {
       }
 
       const channel = response.data.items[0];
+      const uploadsPlaylistId = channel.contentDetails?.relatedPlaylists?.uploads;
+      if (uploadsPlaylistId) this.uploadsPlaylistIds.set(channel.id, uploadsPlaylistId);
+
       return {
         channelId: channel.id,
         name: channel.snippet.title,
@@ -35,10 +113,12 @@ class YouTubeService {
         profileImageUrl: channel.snippet.thumbnails.default?.url,
         subscriberCount: parseInt(channel.statistics.subscriberCount) || 0,
         videoCount: parseInt(channel.statistics.videoCount) || 0,
-        channelUrl: `https://youtube.com/channel/${channel.id}`
+        channelUrl: `https://youtube.com/channel/${channel.id}`,
+        uploadsPlaylistId
       };
     } catch (error) {
       console.error('Error fetching channel info:', error);
+      if (error instanceof YouTubeQuotaError) throw error;
       throw new Error(`Failed to fetch channel info: ${error.message}`);
     }
   }
@@ -96,7 +176,30 @@ class YouTubeService {
   }
 
   /**
-   * Get videos from a channel
+   * ID of the playlist holding all of a channel's uploads, newest first
+   * @param {string} channelId - YouTube channel ID
+   * @returns {string} Playlist ID
+   */
+  async getUploadsPlaylistId(channelId) {
+    if (!this.uploadsPlaylistIds.has(channelId)) {
+      const response = await this.request('channels.list', {
+        part: 'contentDetails',
+        id: channelId
+      });
+
+      const uploadsPlaylistId = response.data.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
+      if (!uploadsPlaylistId) {
+        throw new Error('Channel not found');
+      }
+      this.uploadsPlaylistIds.set(channelId, uploadsPlaylistId);
+    }
+
+    return this.uploadsPlaylistIds.get(channelId);
+  }
+
+  /**
+   * Get a channel's latest videos from its uploads playlist (1 quota unit a
+   * page, where search.list costs 100)
    * @param {string} channelId - YouTube channel ID
    * @param {number} maxResults - Maximum number of videos to fetch
    * @param {number} minDurationSeconds - Minimum video duration in seconds (default: 120)
@@ -107,81 +210,101 @@ class YouTubeService {
       // Fetch more videos initially since we'll filter many out
       const fetchCount = Math.min(maxResults * 2, 50); // Fetch up to 2x to account for filtering
       
-      const response = await this.youtube.search.list({
-        part: 'snippet',
-        channelId: channelId,
-        type: 'video',
-        order: 'date',
+      const response = await this.request('playlistItems.list', {
+        part: 'contentDetails',
+        playlistId: await this.getUploadsPlaylistId(channelId),
         maxResults: fetchCount
       });
 
-      const videos = [];
-      
-      if (response.data.items && response.data.items.length > 0) {
-        // Get detailed video information
-        const videoIds = response.data.items.map(item => item.id.videoId);
-        const detailResponse = await this.youtube.videos.list({
-          part: 'snippet,statistics,contentDetails',
-          id: videoIds.join(',')
-        });
-
-        console.log(`🎬 Processing ${detailResponse.data.items.length} videos from channel...`);
-        let skippedCount = 0;
-
-        for (const video of detailResponse.data.items) {
-          const videoData = {
-            videoId: video.id,
-            title: video.snippet.title,
-            description: video.snippet.description,
-            thumbnailUrl: video.snippet.thumbnails.medium?.url,
-            publishedAt: video.snippet.publishedAt,
-            viewCount: parseInt(video.statistics.viewCount) || 0,
-            likeCount: parseInt(video.statistics.likeCount) || 0,
-            duration: video.contentDetails.duration,
-            durationSeconds: this.parseDuration(video.contentDetails.duration)
-          };
-
-          // Filter out shorts and unsuitable videos
-          if (this.isVideoSuitableForProcessing(videoData)) {
-            videos.push(videoData);
-            
-            // Stop when we have enough suitable videos
-            if (videos.length >= maxResults) {
-              break;
-            }
-          } else {
-            skippedCount++;
-          }
-        }
-
-        console.log(`✅ Selected ${videos.length} suitable videos, skipped ${skippedCount} shorts/unsuitable videos`);
+      if (!response.data.items || response.data.items.length === 0) {
+        return [];
       }
 
-      return videos;
+      const videoIds = response.data.items.map(item => item.contentDetails.videoId);
+      return await this.getSuitableVideos(videoIds, maxResults);
     } catch (error) {
       console.error('Error fetching channel videos:', error);
+      if (error instanceof YouTubeQuotaError) throw error;
       throw new Error(`Failed to fetch channel videos: ${error.message}`);
     }
   }
 
   /**
-   * Get video details by video ID
-   * @param {string} videoId - YouTube video ID
-   * @returns {Object} Video information
+   * Read one page (up to 50 videos) of a channel's uploads playlist, for
+   * walking the whole back catalog. The playlist lists the newest uploads
+   * first.
+   * @param {string} channelId - YouTube channel ID
+   * @param {Object} options - { pageToken } from the previous page,
+   *   { publishedAfter, publishedBefore } Dates to keep only videos published
+   *   in that window
+   * @returns {Object} { videos, scanned, nextPageToken, pastWindow } where
+   *   videos are the suitable ones in the window, scanned counts the page's
+   *   items, and pastWindow means the whole page was published before
+   *   publishedAfter, so later pages hold nothing in the window
    */
-  async getVideoDetails(videoId) {
+  async getUploadsPage(channelId, options = {}) {
+    const { pageToken, publishedAfter, publishedBefore } = options;
+
     try {
-      const response = await this.youtube.videos.list({
-        part: 'snippet,statistics,contentDetails',
-        id: videoId
+      const response = await this.request('playlistItems.list', {
+        part: 'contentDetails',
+        playlistId: await this.getUploadsPlaylistId(channelId),
+        maxResults: 50,
+        pageToken: pageToken || undefined
       });
 
-      if (!response.data.items || response.data.items.length === 0) {
-        throw new Error('Video not found');
-      }
+      const items = response.data.items || [];
+      const publishedTimes = items.map(item => new Date(item.contentDetails.videoPublishedAt).getTime());
+
+      // Private and deleted uploads have no publish date; videos.list
+      // wouldn't return them anyway
+      const videoIds = items
+        .filter((item, index) => {
+          const published = publishedTimes[index];
+          if (isNaN(published)) return false;
+          if (publishedAfter && published < publishedAfter.getTime()) return false;
+          if (publishedBefore && published >= publishedBefore.getTime()) return false;
+          return true;
+        })
+        .map(item => item.contentDetails.videoId);
+
+      const dated = publishedTimes.filter(published => !isNaN(published));
+      const pastWindow = Boolean(publishedAfter) && dated.length > 0 &&
+        dated.every(published => published < publishedAfter.getTime());
 
-      const video = response.data.items[0];
       return {
+        // Pages outside the window cost no videos.list request
+        videos: videoIds.length > 0 ? await this.getSuitableVideos(videoIds) : [],
+        scanned: items.length,
+        nextPageToken: response.data.nextPageToken || null,
+        pastWindow
+      };
+    } catch (error) {
+      console.error('Error fetching uploads page:', error);
+      if (error instanceof YouTubeQuotaError) throw error;
+      throw new Error(`Failed to fetch uploads page: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up videos (up to 50 IDs, one videos.list request) and keep the ones
+   * suitable for processing
+   * @param {Array} videoIds - YouTube video IDs
+   * @param {number} maxResults - Stop after this many suitable videos
+   * @returns {Array} Array of video information
+   */
+  async getSuitableVideos(videoIds, maxResults = Infinity) {
+    const detailResponse = await this.request('videos.list', {
+      part: 'snippet,statistics,contentDetails',
+      id: videoIds.join(',')
+    });
+
+    console.log(`🎬 Processing ${detailResponse.data.items.length} videos from channel...`);
+    const videos = [];
+    let skippedCount = 0;
+
+    for (const video of detailResponse.data.items) {
+      const videoData = {
         videoId: video.id,
         title: video.snippet.title,
         description: video.snippet.description,
@@ -190,83 +313,58 @@ class YouTubeService {
         viewCount: parseInt(video.statistics.viewCount) || 0,
         likeCount: parseInt(video.statistics.likeCount) || 0,
         duration: video.contentDetails.duration,
-        channelId: video.snippet.channelId
+        durationSeconds: this.parseDuration(video.contentDetails.duration)
       };
-    } catch (error) {
-      console.error('Error fetching video details:', error);
-      throw new Error(`Failed to fetch video details: ${error.message}`);
-    }
-  }
 
-  /**
-   * Get video transcript using RapidAPI as fallback
-   * @param {string} videoId - YouTube video ID
-   * @returns {string} Video transcript
-   */
-  async getVideoTranscript(videoId) {
-    // Try YouTube Transcript first
-    try {
-      console.log(`Attempting YouTube transcript for video: ${videoId}`);
-      const transcriptArray = await YoutubeTranscript.fetchTranscript(videoId);
-      const transcript = transcriptArray.map(entry => entry.text).join(' ');
-      
-      // Check if transcript has meaningful content (more than 50 characters)
-      if (transcript.trim().length > 50) {
-        console.log(`✅ YouTube transcript successful (length: ${transcript.length})`);
-        return transcript;
+      // Filter out shorts and unsuitable videos
+      if (this.isVideoSuitableForProcessing(videoData)) {
+        videos.push(videoData);
+        
+        // Stop when we have enough suitable videos
+        if (videos.length >= maxResults) {
+          break;
+        }
       } else {
-        console.log(`⚠️ YouTube transcript too short (${transcript.length} chars), trying RapidAPI`);
-        throw new Error('YouTube transcript too short');
-      }
-    } catch (error) {
-      console.log(`❌ YouTube transcript failed: ${error.message}`);
-      console.log(`🔄 Trying RapidAPI fallback for video: ${videoId}`);
-      
-      // Fallback to RapidAPI
-      try {
-        const transcript = await this.getRapidApiTranscript(videoId);
-        console.log(`✅ RapidAPI transcript successful (length: ${transcript.length})`);
-        return transcript;
-      } catch (rapidApiError) {
-        console.error(`❌ RapidAPI transcript also failed: ${rapidApiError.message}`);
-        throw new Error(`Failed to fetch video transcript from both sources: YouTube (${error.message}) and RapidAPI (${rapidApiError.message})`);
+        skippedCount++;
       }
     }
+
+    console.log(`✅ Selected ${videos.length} suitable videos, skipped ${skippedCount} shorts/unsuitable videos`);
+    return videos;
   }
 
   /**
-   * Get transcript using RapidAPI
+   * Get video details by video ID
    * @param {string} videoId - YouTube video ID
-   * @returns {string} Video transcript
+   * @returns {Object} Video information
    */
-  async getRapidApiTranscript(videoId) {
+  async getVideoDetails(videoId) {
     try {
-      const response = await axios.get(`https://${process.env.RAPIDAPI_HOST}/api/transcript`, {
-        params: {
-          videoId: videoId
-        },
-        headers: {
-          'X-RapidAPI-Key': process.env.RAPIDAPI_KEY,
-          'X-RapidAPI-Host': process.env.RAPIDAPI_HOST
-        },
-        timeout: 30000 // 30 second timeout
+      const response = await this.request('videos.list', {
+        part: 'snippet,statistics,contentDetails',
+        id: videoId
       });
 
-      if (response.data && response.data.transcript) {
-        // Handle different response formats
-        if (Array.isArray(response.data.transcript)) {
-          return response.data.transcript.map(entry => entry.text || entry).join(' ');
-        } else if (typeof response.data.transcript === 'string') {
-          return response.data.transcript;
-        }
+      if (!response.data.items || response.data.items.length === 0) {
+        throw new Error('Video not found');
       }
 
-      throw new Error('No transcript data in RapidAPI response');
+      const video = response.data.items[0];
+      return {
+        videoId: video.id,
+        title: video.snippet.title,
+        description: video.snippet.description,
+        thumbnailUrl: video.snippet.thumbnails.medium?.url,
+        publishedAt: video.snippet.publishedAt,
+        viewCount: parseInt(video.statistics.viewCount) || 0,
+        likeCount: parseInt(video.statistics.likeCount) || 0,
+        duration: video.contentDetails.duration,
+        channelId: video.snippet.channelId
+      };
     } catch (error) {
-      if (error.response) {
-        throw new Error(`RapidAPI error: ${error.response.status} - ${error.response.data?.message || 'Unknown error'}`);
-      }
-      throw new Error(`RapidAPI request failed: ${error.message}`);
+      console.error('Error fetching video details:', error);
+      if (error instanceof YouTubeQuotaError) throw error;
+      throw new Error(`Failed to fetch video details: ${error.message}`);
     }
   }
 
@@ -278,7 +376,7 @@ class YouTubeService {
    */
   async searchVideos(query, maxResults = 25) {
     try {
-      const response = await this.youtube.search.list({
+      const response = await this.request('search.list', {
         part: 'snippet',
         q: query,
         type: 'video',
@@ -291,7 +389,7 @@ class YouTubeService {
       if (response.data.items && response.data.items.length > 0) {
         // Get detailed video information
         const videoIds = response.data.items.map(item => item.id.videoId);
-        const detailResponse = await this.youtube.videos.list({
+        const detailResponse = await this.request('videos.list', {
           part: 'snippet,statistics,contentDetails',
           id: videoIds.join(',')
         });
@@ -315,6 +413,7 @@ class YouTubeService {
       return videos;
     } catch (error) {
       console.error('Error searching videos:', error);
+      if (error instanceof YouTubeQuotaError) throw error;
       throw new Error(`Failed to search videos: ${error.message}`);
     }
   }
@@ -354,4 +453,6 @@ class YouTubeService {
   }
 }
 
+YouTubeService.YouTubeQuotaError = YouTubeQuotaError;
+
 module.exports = YouTubeService;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const AIService = require('../services/aiService');
+
+describe('AIService.mergeRecommendations', () => {
+  const aiService = new AIService({ extraction: {}, summary: {} });
+
+  test('lists each dish once and keeps whole dishes within dish_mentioned\'s 255 characters', () => {
+    const dishes = Array.from({ length: 30 }, (_, i) => `signature smoked dish number ${i + 1}`);
+    const merged = aiService.mergeRecommendations([
+      { name: 'Franklin Barbecue', dishMentioned: 'brisket, pork ribs', mentionedAt: 40, confidenceScore: 0.9 },
+      { name: 'Franklin Barbecue', dishMentioned: 'brisket', mentionedAt: 10, confidenceScore: 0.8 },
+      ...dishes.map(dish => ({ name: 'Franklin Barbecue', dishMentioned: dish, mentionedAt: 50, confidenceScore: 0.7 }))
+    ]);
+
+    expect(merged).toHaveLength(1);
+    const { dishMentioned, mentionedAt } = merged[0];
+    expect(mentionedAt).toBe(10);
+    expect(dishMentioned.length).toBeLessThanOrEqual(255);
+    expect(dishMentioned.startsWith('brisket, pork ribs, signature smoked dish number 1, ')).toBe(true);
+    expect(dishMentioned.split(', ').every(dish => dish === 'brisket' || dish === 'pork ribs' || dishes.includes(dish))).toBe(true);
+  });
+});
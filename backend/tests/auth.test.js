@@ -0,0 +1,27 @@
+process.env.API_KEYS = 'curator:curator-key,admin:admin-key';
+const { requireRole } = require('../middleware/auth');
+
+// Runs the middleware and returns the status it answered with, or 'next'
+async function run(middleware, headers) {
+  const req = { method: 'POST', headers, query: {} };
+  let status = 'next';
+  const res = {
+    status: code => { status = code; return res; },
+    json: () => res
+  };
+  await middleware(req, res, () => {});
+  return status;
+}
+
+describe('requireRole', () => {
+  test('lets API keys with the role or a higher one through', async () => {
+    expect(await run(requireRole('curator'), { 'x-api-key': 'curator-key' })).toBe('next');
+    expect(await run(requireRole('curator'), { 'x-api-key': 'admin-key' })).toBe('next');
+  });
+
+  test('refuses missing and unknown credentials and roles that are too low', async () => {
+    expect(await run(requireRole('curator'), {})).toBe(401);
+    expect(await run(requireRole('curator'), { 'x-api-key': 'guessed-key' })).toBe(401);
+    expect(await run(requireRole('admin'), { 'x-api-key': 'curator-key' })).toBe(403);
+  });
+});
@@ -0,0 +1,103 @@
+const ChannelSyncService = require('../services/channelSyncService');
+const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+
+// Uploads playlist of 5 pages, newest first: page n holds video pn, published
+// on 2024-0(6-n)-01
+const pages = ['p0', 'p1', 'p2', 'p3', 'p4'].map((videoId, index) => ({
+  videoId,
+  publishedAt: new Date(Date.UTC(2024, 5 - index, 1))
+}));
+
+function fakeYouTube() {
+  const youtube = {
+    requested: [],
+    estimateChannelVideosCost: () => 3,
+    getUploadsPage: async (channelId, { pageToken, publishedAfter, publishedBefore }) => {
+      const index = pageToken ? Number(pageToken) : 0;
+      youtube.requested.push(index);
+      const video = pages[index];
+      const inWindow = (!publishedAfter || video.publishedAt >= publishedAfter) &&
+        (!publishedBefore || video.publishedAt < publishedBefore);
+      return {
+        videos: inWindow ? [{ videoId: video.videoId }] : [],
+        scanned: 1,
+        nextPageToken: index + 1 < pages.length ? String(index + 1) : null,
+        pastWindow: Boolean(publishedAfter) && video.publishedAt < publishedAfter
+      };
+    }
+  };
+  return youtube;
+}
+
+// Keeps the influencer's backfill cursor in the store's row
+function memoryStore(influencer) {
+  const store = new InMemorySupabaseService();
+  store.influencers.push(influencer);
+  return store;
+}
+
+describe('ChannelSyncService', () => {
+  test('backfill walks the uploads playlist over several runs from the stored cursor', async () => {
+    const influencer = { id: 'i1', channel_id: 'UC1', channel_name: 'Test' };
+    const store = memoryStore(influencer);
+    const youtube = fakeYouTube();
+    const sync = new ChannelSyncService({ supabaseService: store, youtubeService: youtube });
+
+    const first = await sync.backfill(influencer, { maxPages: 2 });
+    expect(first).toMatchObject({ synced: 2, pages: 2, complete: false });
+    expect(influencer.backfill_page_token).toBe('2');
+
+    const second = await sync.backfill(influencer, { maxPages: 10 });
+    expect(second).toMatchObject({ synced: 3, pages: 3, complete: true });
+    expect(youtube.requested).toEqual([0, 1, 2, 3, 4]);
+    expect(influencer.backfill_completed_at).toBeTruthy();
+
+    // A completed backfill reads nothing until asked to restart
+    expect(await sync.backfill(influencer)).toMatchObject({ pages: 0, complete: true });
+    expect(await sync.backfill(influencer, { restart: true })).toMatchObject({ synced: 0, skipped: 5, complete: true });
+  });
+
+  test('backfill starts over for a new window and stops once the playlist is older than it', async () => {
+    const influencer = { id: 'i1', channel_id: 'UC1', channel_name: 'Test', backfill_page_token: '3' };
+    const store = memoryStore(influencer);
+    const youtube = fakeYouTube();
+    const sync = new ChannelSyncService({ supabaseService: store, youtubeService: youtube });
+
+    const result = await sync.backfill(influencer, {
+      publishedAfter: new Date('2024-03-15T00:00:00Z'),
+      publishedBefore: new Date('2024-06-01T00:00:00Z')
+    });
+
+    expect(result).toMatchObject({ synced: 2, pages: 4, complete: true });
+    expect(youtube.requested).toEqual([0, 1, 2, 3]);
+    expect(store.videos.map(video => video.video_id)).toEqual(['p1', 'p2']);
+    expect(influencer.backfill_published_after).toBe('2024-03-15T00:00:00.000Z');
+  });
+
+  test('backfill defers when the quota is low, keeping the cursor', async () => {
+    const influencer = { id: 'i1', channel_id: 'UC1', channel_name: 'Test' };
+    const usage = { remaining: 400, reserve: 500 };
+    let calls = 0;
+    const sync = new ChannelSyncService({
+      supabaseService: memoryStore(influencer),
+      youtubeService: fakeYouTube(),
+      quotaService: { checkQuota: async () => (++calls > 1 ? usage : null) }
+    });
+
+    expect(await sync.backfill(influencer)).toMatchObject({ pages: 1, deferred: true, quota: usage, complete: false });
+    expect(influencer.backfill_page_token).toBe('1');
+  });
+
+  test('syncNew reads back to a day before last_synced_at, or one page for a new influencer', async () => {
+    const influencer = { id: 'i1', channel_id: 'UC1', channel_name: 'Test', last_synced_at: '2024-04-02T00:00:00Z' };
+    const youtube = fakeYouTube();
+    const sync = new ChannelSyncService({ supabaseService: memoryStore(influencer), youtubeService: youtube });
+
+    expect(await sync.syncNew(influencer)).toMatchObject({ videoIds: ['p0', 'p1', 'p2'], complete: true });
+    expect(youtube.requested).toEqual([0, 1, 2, 3]);
+
+    youtube.requested = [];
+    expect(await sync.syncNew({ ...influencer, last_synced_at: null })).toMatchObject({ pages: 1, complete: false });
+    expect(youtube.requested).toEqual([0]);
+  });
+});
@@ -0,0 +1,59 @@
+const GeocodingService = require('../services/geocodingService');
+const MapsService = require('../services/mapsService');
+
+describe('GeocodingService with the bundled gazetteer', () => {
+  const geocoder = new GeocodingService();
+
+  test('normalizes city and country', () => {
+    expect(geocoder.geocode('Bangkok, Thailand')).toEqual({
+      city: 'Bangkok',
+      state: null,
+      country: 'Thailand',
+      country_code: 'TH',
+      latitude: 13.7563,
+      longitude: 100.5018
+    });
+  });
+
+  test('resolves abbreviations and aliases', () => {
+    expect(geocoder.geocode('NYC')).toMatchObject({ city: 'New York City', state: 'New York', country: 'United States' });
+    expect(geocoder.geocode('Austin, TX')).toMatchObject({ city: 'Austin', state: 'Texas' });
+    expect(geocoder.geocode('Ho Chi Minh City (Saigon)')).toMatchObject({ city: 'Ho Chi Minh City', country: 'Vietnam' });
+  });
+
+  test('uses the state or country to pick among same-named cities', () => {
+    expect(geocoder.geocode('Portland, Maine')).toMatchObject({ state: 'Maine' });
+    expect(geocoder.geocode('Portland')).toMatchObject({ state: 'Oregon' });
+  });
+
+  test('rules out cities in another state or country than the location names', () => {
+    expect(geocoder.geocode('Paris, Texas')).toBeNull();
+    expect(geocoder.geocode('Paris, TX, USA')).toMatchObject({ city: null, country: 'United States' });
+  });
+
+  test('matches whole parts before leading words, and never a two-letter prefix', () => {
+    expect(geocoder.geocode('La Jolla, San Diego, CA')).toMatchObject({ city: 'San Diego', state: 'California' });
+    expect(geocoder.geocode('LA')).toMatchObject({ city: 'Los Angeles' });
+  });
+
+  test('finds the city in longer locations', () => {
+    expect(geocoder.geocode('Shibuya, Tokyo, Japan')).toMatchObject({ city: 'Tokyo', country: 'Japan' });
+    expect(geocoder.geocode('Tokyo Japan')).toMatchObject({ city: 'Tokyo' });
+  });
+
+  test('returns only the country for a bare country and null for unknown places', () => {
+    expect(geocoder.geocode('Thailand')).toMatchObject({ city: null, country: 'Thailand', latitude: null });
+    expect(geocoder.geocode('Middle of nowhere')).toBeNull();
+  });
+
+  test('backs MapsService when no API key is configured', async () => {
+    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+    delete process.env.GOOGLE_MAPS_API_KEY;
+    try {
+      const details = await new MapsService({ geocoder }).getRestaurantDetails('Jay Fai', 'Bangkok, Thailand');
+      expect(details).toMatchObject({ name: 'Jay Fai', city: 'Bangkok', country: 'Thailand', coordinates_source: 'gazetteer' });
+    } finally {
+      if (apiKey !== undefined) process.env.GOOGLE_MAPS_API_KEY = apiKey;
+    }
+  });
+});
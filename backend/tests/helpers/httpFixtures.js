@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const nock = require('nock');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/http');
+
+// Query parameters that carry API keys; recorded as REDACTED and ignored when
+// replaying, so fixtures match whatever key the test runs with
+const SECRET_QUERY_PARAMS = ['key', 'api_key', 'apikey', 'access_token'];
+const SECRET_QUERY_PATTERN = new RegExp(`([?&](?:${SECRET_QUERY_PARAMS.join('|')})=)[^&]*`, 'gi');
+
+// Response headers that are per-session noise or carry cookies
+const DROPPED_RESPONSE_HEADERS = ['set-cookie', 'date', 'openai-organization', 'x-request-id', 'cf-ray', 'alt-svc'];
+
+/**
+ * Fixture mode from FIXTURE_MODE: 'record' saves real responses, 'replay'
+ * serves them without touching the network, anything else calls live APIs
+ * @returns {string} 'record', 'replay' or 'live'
+ */
+function getFixtureMode() {
+  const mode = (process.env.FIXTURE_MODE || '').toLowerCase();
+  return ['record', 'replay'].includes(mode) ? mode : 'live';
+}
+
+function getFixturePath(name) {
+  return path.join(process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR, `${name}.json`);
+}
+
+function redactPath(requestPath) {
+  return requestPath.replace(SECRET_QUERY_PATTERN, '$1REDACTED');
+}
+
+/**
+ * Remove API keys and session headers from a recorded nock definition
+ * @param {Object} definition - Definition from nock.recorder.play()
+ * @returns {Object} Definition safe to commit
+ */
+function scrubDefinition(definition) {
+  // Recorded as an object of header values (or [name, value, ...] pairs)
+  let headerEntries = Object.entries(definition.rawHeaders || {});
+  if (Array.isArray(definition.rawHeaders)) {
+    headerEntries = [];
+    for (let i = 0; i < definition.rawHeaders.length; i += 2) {
+      headerEntries.push([definition.rawHeaders[i], definition.rawHeaders[i + 1]]);
+    }
+  }
+  const rawHeaders = Object.fromEntries(headerEntries
+    .filter(([name]) => !DROPPED_RESPONSE_HEADERS.includes(name.toLowerCase())));
+
+  return {
+    scope: definition.scope,
+    method: definition.method,
+    path: redactPath(definition.path),
+    body: definition.body,
+    status: definition.status,
+    response: definition.response,
+    rawHeaders,
+    ...(definition.responseIsBinary && { responseIsBinary: true })
+  };
+}
+
+/**
+ * Turn fixture definitions into nock interceptors. Requests match on method
+ * and path (API keys ignored); bodies are only compared with matchBody, so a
+ * prompt tweak doesn't invalidate every recorded OpenAI call.
+ * @param {Array} definitions - Fixture definitions
+ * @param {Object} options - { matchBody }
+ * @returns {Array} Active nock scopes
+ */
+function loadDefinitions(definitions, options = {}) {
+  return nock.define(definitions.map(definition => ({
+    ...definition,
+    path: redactPath(definition.path),
+    body: options.matchBody ? definition.body : undefined
+  }))).map(scope => scope.filteringPath(redactPath));
+}
+
+/**
+ * Start recording or replaying the HTTP calls made under a fixture name. In
+ * live mode nothing is intercepted.
+ * @param {string} name - Fixture file name without .json
+ * @param {Object} options - { matchBody } to also match recorded request bodies
+ * @returns {Object} Session with mode and stop(), which saves a recording and
+ *   returns { unused } listing replayed calls that were never made
+ */
+function startFixtures(name, options = {}) {
+  const mode = getFixtureMode();
+  const fixturePath = getFixturePath(name);
+
+  if (mode === 'live') {
+    return { mode, stop: async () => ({ unused: [] }) };
+  }
+
+  if (!nock.isActive()) nock.activate();
+
+  if (mode === 'record') {
+    nock.recorder.clear();
+    nock.recorder.rec({ dont_print: true, output_objects: true, enable_reqheaders_recording: false });
+
+    return {
+      mode,
+      stop: async () => {
+        const definitions = nock.recorder.play().map(scrubDefinition);
+        nock.recorder.clear();
+        nock.restore();
+
+        fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+        fs.writeFileSync(fixturePath, `${JSON.stringify(definitions, null, 2)}\n`);
+        console.log(`📼 Recorded ${definitions.length} HTTP calls to ${fixturePath}`);
+        return { unused: [] };
+      }
+    };
+  }
+
+  if (!fs.existsSync(fixturePath)) {
+    throw new Error(`No HTTP fixture at ${fixturePath}; run with FIXTURE_MODE=record to create it`);
+  }
+
+  const definitions = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  nock.disableNetConnect();
+  nock.enableNetConnect(/(localhost|127\.0\.0\.1)/);
+  loadDefinitions(definitions, options);
+
+  return {
+    mode,
+    stop: async () => {
+      const unused = nock.pendingMocks();
+      nock.cleanAll();
+      nock.enableNetConnect();
+      return { unused };
+    }
+  };
+}
+
+module.exports = {
+  startFixtures,
+  getFixtureMode,
+  scrubDefinition,
+  SECRET_QUERY_PARAMS
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+
+/**
+ * Stand-in for SupabaseService that keeps rows in memory, covering the
+ * methods VideoProcessingService, channel sync, review and the usage ledger
+ * use. Lets tests run the whole pipeline without a database.
+ */
+class InMemorySupabaseService {
+  /**
+   * @param {Object} options - { now } clock stamping usage rows' created_at
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => new Date());
+    this.usage = [];
+    this.influencers = [];
+    this.videos = [];
+    this.restaurants = [];
+    this.recommendations = [];
+    this.labels = [];
+    this.segments = new Map(); // video UUID -> segments
+    this.embeddings = new Map(); // restaurant ID -> embedding row
+  }
+
+  async updateInfluencer(channelId, updates) {
+    const influencer = this.influencers.find(entry => entry.channel_id === channelId);
+    if (!influencer) throw new Error('Failed to update influencer: not found');
+    Object.assign(influencer, updates);
+    return influencer;
+  }
+
+  async getInfluencersDueForSync(now, limit) {
+    return this.influencers
+      .filter(influencer => influencer.sync_schedule !== 'paused' &&
+        (!influencer.next_sync_at || influencer.next_sync_at <= now))
+      .sort((a, b) => (a.next_sync_at || '').localeCompare(b.next_sync_at || ''))
+      .slice(0, limit)
+      .map(influencer => ({ ...influencer }));
+  }
+
+  async claimInfluencerSync(influencer, leaseUntil) {
+    const stored = this.influencers.find(entry => entry.id === influencer.id);
+    if (!stored || (stored.next_sync_at || null) !== (influencer.next_sync_at || null)) return false;
+    stored.next_sync_at = leaseUntil;
+    return true;
+  }
+
+  async createVideo(videoData) {
+    const video = {
+      id: crypto.randomUUID(),
+      video_id: videoData.videoId,
+      influencer_id: videoData.influencerId || null,
+      title: videoData.title,
+      description: videoData.description,
+      thumbnail_url: videoData.thumbnailUrl,
+      published_at: videoData.publishedAt,
+      duration: videoData.duration,
+      duration_seconds: videoData.durationSeconds || 0,
+      transcript: videoData.transcript || null,
+      processed: false
+    };
+    this.videos.push(video);
+    return video;
+  }
+
+  async getVideo(videoId) {
+    return this.videos.find(video => video.video_id === videoId) || null;
+  }
+
+  async updateVideo(videoId, updates) {
+    const video = await this.getVideo(videoId);
+    if (!video) throw new Error('Failed to update video: not found');
+    Object.assign(video, updates);
+    return video;
+  }
+
+  async getTranscriptSegments(videoUuid) {
+    return (this.segments.get(videoUuid) || []).map(segment => ({ ...segment }));
+  }
+
+  async replaceTranscriptSegments(videoUuid, segments) {
+    this.segments.set(videoUuid, segments.map(({ text, start, duration }) => ({ text, start, duration })));
+    return segments.length;
+  }
+
+  async deleteTranscriptSegments(videoUuid) {
+    this.segments.delete(videoUuid);
+  }
+
+  async findRestaurantCandidates(name) {
+    const words = name.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3);
+    return this.restaurants.filter(restaurant =>
+      words.some(word => restaurant.name.toLowerCase().includes(word)));
+  }
+
+  async getRestaurantByPlaceId(placeId) {
+    return this.restaurants.find(restaurant => restaurant.place_id === placeId) || null;
+  }
+
+  async updateRestaurant(restaurantId, updates) {
+    const restaurant = this.restaurants.find(entry => entry.id === restaurantId);
+    if (!restaurant) throw new Error('Failed to update restaurant: not found');
+    Object.assign(restaurant, updates);
+    return restaurant;
+  }
+
+  async createRestaurant(restaurantData) {
+    const restaurant = { id: crypto.randomUUID(), enrichment_status: 'pending', ...restaurantData };
+    this.restaurants.push(restaurant);
+    return restaurant;
+  }
+
+  async getRecommendationTextsForRestaurants(restaurantIds) {
+    return this.recommendations
+      .filter(rec => restaurantIds.includes(rec.restaurant_id) && rec.review_status !== 'rejected')
+      .map(({ restaurant_id, dish_mentioned, context }) => ({ restaurant_id, dish_mentioned, context }));
+  }
+
+  async getRestaurantEmbeddingStates(restaurantIds) {
+    return restaurantIds
+      .filter(id => this.embeddings.has(id))
+      .map(id => {
+        const { restaurant_id, model, content_hash } = this.embeddings.get(id);
+        return { restaurant_id, model, content_hash };
+      });
+  }
+
+  async saveRestaurantEmbeddings(rows) {
+    rows.forEach(row => this.embeddings.set(row.restaurant_id, { ...row }));
+  }
+
+  async createRecommendation(recommendationData) {
+    // UNIQUE(video_id, restaurant_id)
+    if (this.recommendations.some(rec => rec.video_id === recommendationData.video_id &&
+      rec.restaurant_id === recommendationData.restaurant_id)) {
+      throw new Error('Failed to create recommendation: duplicate key value violates unique constraint');
+    }
+    const recommendation = { id: crypto.randomUUID(), review_status: 'pending', ...recommendationData };
+    this.recommendations.push(recommendation);
+    return recommendation;
+  }
+
+  async getRecommendationsForReview(videoUuid) {
+    return this.recommendations
+      .filter(rec => rec.video_id === videoUuid)
+      .sort((a, b) => (a.mentioned_at_timestamp ?? Infinity) - (b.mentioned_at_timestamp ?? Infinity))
+      .map(rec => {
+        const { id, name, city, cuisine_type } = this.restaurants.find(restaurant => restaurant.id === rec.restaurant_id) || {};
+        return { ...rec, restaurant: { id, name, city, cuisine_type } };
+      });
+  }
+
+  async getRecommendation(recommendationId) {
+    const recommendation = this.recommendations.find(rec => rec.id === recommendationId);
+    if (!recommendation) return null;
+    const { id, name } = this.restaurants.find(restaurant => restaurant.id === recommendation.restaurant_id) || {};
+    return { ...recommendation, restaurant: { id, name } };
+  }
+
+  async updateRecommendation(recommendationId, updates) {
+    const recommendation = this.recommendations.find(rec => rec.id === recommendationId);
+    if (!recommendation) throw new Error('Failed to update recommendation: not found');
+    Object.assign(recommendation, updates);
+    return { ...recommendation };
+  }
+
+  async upsertRecommendationLabel(labelData) {
+    const existing = this.labels.find(label => label.recommendation_id === labelData.recommendation_id);
+    if (existing) return Object.assign(existing, labelData);
+
+    const label = { id: crypto.randomUUID(), ...labelData };
+    this.labels.push(label);
+    return label;
+  }
+
+  async deleteRecommendationLabel(recommendationId) {
+    this.labels = this.labels.filter(label => label.recommendation_id !== recommendationId);
+  }
+
+  async getRecommendationLabels(videoUuids = null) {
+    return this.labels
+      .filter(label => !videoUuids || videoUuids.includes(label.video_id))
+      .map(label => {
+        const { video_id, title, review_completed_at } = this.videos.find(video => video.id === label.video_id) || {};
+        return { ...label, video: { video_id, title, review_completed_at } };
+      });
+  }
+
+  async getVideosForReview(limit = 20) {
+    return this.videos
+      .filter(video => video.processed && !video.review_completed_at)
+      .slice(0, limit)
+      .map(video => ({
+        id: video.id,
+        video_id: video.video_id,
+        title: video.title,
+        recommendations: this.recommendations
+          .filter(rec => rec.video_id === video.id)
+          .map(({ id, review_status, prompt_version }) => ({ id, review_status, prompt_version }))
+      }));
+  }
+
+  async getReviewedVideos() {
+    return this.videos
+      .filter(video => video.review_completed_at)
+      .sort((a, b) => a.review_completed_at.localeCompare(b.review_completed_at));
+  }
+
+  async recordUsage(rows) {
+    this.usage.push(...rows.map(row => ({ ...row, created_at: this.now().toISOString() })));
+  }
+
+  async getUsageSummary(since) {
+    const byService = {};
+    this.usage.filter(row => row.created_at >= since).forEach(row => {
+      byService[row.service] = byService[row.service] || { service: row.service, calls: 0, cost_usd: 0 };
+      byService[row.service].calls++;
+      byService[row.service].cost_usd += row.cost_usd;
+    });
+    return Object.values(byService);
+  }
+
+  async getUsageByOperation(service, since) {
+    const byOperation = {};
+    this.usage.filter(row => row.service === service && row.created_at >= since).forEach(row => {
+      byOperation[row.operation] = byOperation[row.operation] || { operation: row.operation, calls: 0, quota_units: 0, cost_usd: 0 };
+      byOperation[row.operation].calls++;
+      byOperation[row.operation].quota_units += row.quota_units || 0;
+      byOperation[row.operation].cost_usd += row.cost_usd;
+    });
+    return Object.values(byOperation).sort((a, b) => b.quota_units - a.quota_units);
+  }
+}
+
+module.exports = InMemorySupabaseService;
@@ -0,0 +1,33 @@
+const express = require('express');
+
+/**
+ * Send one request to an Express router mounted on a throwaway local server
+ * @param {Function} router - Express router
+ * @param {string} method - HTTP method
+ * @param {string} path - Path and query string, e.g. '/videos?limit=5'
+ * @param {Object} body - Optional JSON body
+ * @returns {Object} { status, body }
+ */
+async function routeRequest(router, method, path, body) {
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+module.exports = routeRequest;
@@ -0,0 +1,41 @@
+const JobQueueService = require('../services/jobQueueService');
+
+const conflict = { data: null, error: { code: '23505', message: 'duplicate key value' } };
+const noRows = { data: null, error: { code: 'PGRST116', message: 'no rows' } };
+
+// Supabase client answering inserts and active job lookups from the given lists
+function processingJobsClient(insertResults, lookupResults) {
+  const calls = { inserts: 0, lookups: 0 };
+  const from = () => {
+    let inserting = false;
+    const query = {
+      insert: () => { inserting = true; return query; },
+      select: () => query,
+      eq: () => query,
+      in: () => query,
+      single: async () => (inserting
+        ? insertResults[calls.inserts++]
+        : lookupResults[calls.lookups++])
+    };
+    return query;
+  };
+  return { calls, supabaseService: { supabase: { from } } };
+}
+
+describe('JobQueueService.enqueueVideo', () => {
+  test('retries the insert when the conflicting job finished before it could be read', async () => {
+    const job = { id: 'job-2', video_id: 'abc123', batch_id: null, status: 'queued' };
+    const { calls, supabaseService } = processingJobsClient([conflict, { data: job, error: null }], [noRows]);
+
+    expect(await new JobQueueService(supabaseService).enqueueVideo('abc123')).toEqual(job);
+    expect(calls).toEqual({ inserts: 2, lookups: 1 });
+  });
+
+  test('returns null when the retry conflicts the same way, and batches leave the video out', async () => {
+    const { supabaseService } = processingJobsClient([conflict, conflict], [noRows, noRows]);
+
+    const { jobs, alreadyQueued } = await new JobQueueService(supabaseService).enqueueVideos(['abc123']);
+    expect(jobs).toEqual([]);
+    expect(alreadyQueued).toBe(0);
+  });
+});
@@ -0,0 +1,73 @@
+const { parsePageParams, applyPage, toPage } = require('../services/pagination');
+
+const SORTS = {
+  newest: { column: 'published_at', ascending: false },
+  title: { column: 'title', ascending: true },
+  relevance: {}
+};
+
+// Records the Supabase query builder calls made by applyPage
+function recordingQuery() {
+  const calls = [];
+  const query = {
+    calls,
+    or: filter => { calls.push(['or', filter]); return query; },
+    order: (column, options) => { calls.push(['order', column, options]); return query; },
+    limit: count => { calls.push(['limit', count]); return query; }
+  };
+  return query;
+}
+
+describe('cursor pagination', () => {
+  test('continues after the last row of the page, in the same sort', () => {
+    const { page } = parsePageParams({ limit: '2' }, SORTS);
+    expect(applyPage(recordingQuery(), page).calls).toEqual([
+      ['order', 'published_at', { ascending: false, nullsFirst: false }],
+      ['order', 'id', { ascending: false }],
+      ['limit', 3]
+    ]);
+
+    const body = toPage([
+      { id: 'v1', published_at: '2024-03-02T00:00:00+00:00' },
+      { id: 'v2', published_at: '2024-03-01T00:00:00+00:00' },
+      { id: 'v3', published_at: '2024-02-01T00:00:00+00:00' }
+    ], page, 5);
+    expect(body).toMatchObject({ count: 2, total: 5, sort: 'newest', limit: 2 });
+    expect(body.results.map(video => video.id)).toEqual(['v1', 'v2']);
+
+    const next = parsePageParams({ cursor: body.next_cursor, limit: '2' }, SORTS);
+    expect(next.page.sort.name).toBe('newest');
+    expect(applyPage(recordingQuery(), next.page).calls[0]).toEqual([
+      'or',
+      'published_at.lt."2024-03-01T00:00:00+00:00",published_at.is.null,' +
+        'and(published_at.eq."2024-03-01T00:00:00+00:00",id.lt."v2")'
+    ]);
+  });
+
+  test('pages through rows without a sort value last', () => {
+    const { page } = parsePageParams({ sort: 'title', limit: '1' }, SORTS);
+    const body = toPage([{ id: 'v4', title: null }, { id: 'v5', title: null }], page, 2);
+    const next = parsePageParams({ cursor: body.next_cursor }, SORTS);
+
+    expect(applyPage(recordingQuery(), next.page).calls[0]).toEqual(['or', 'and(title.is.null,id.gt."v4")']);
+  });
+
+  test('pages ranked results by offset and ends without a cursor', () => {
+    const { page } = parsePageParams({ sort: 'relevance', limit: '2' }, SORTS);
+    const body = toPage([{ id: 'r1' }, { id: 'r2' }, { id: 'r3' }], page, 3);
+    const next = parsePageParams({ cursor: body.next_cursor }, SORTS).page;
+
+    expect(next.offset).toBe(2);
+    expect(toPage([{ id: 'r3' }], next, 3).next_cursor).toBeNull();
+  });
+
+  test('rejects bad limits, sorts and cursors', () => {
+    const { page } = parsePageParams({ limit: '1' }, SORTS);
+    const cursor = toPage([{ id: 'v1' }, { id: 'v2' }], page, 2).next_cursor;
+
+    expect(parsePageParams({ limit: '500' }, SORTS).error).toBe('limit must be a whole number from 1 to 100');
+    expect(parsePageParams({ sort: 'views' }, SORTS).error).toBe('sort must be one of: newest, title, relevance');
+    expect(parsePageParams({ cursor: 'not-a-cursor' }, SORTS).error).toBe('Invalid cursor');
+    expect(parsePageParams({ cursor, sort: 'title' }, SORTS).error).toBe('cursor is for sort=newest');
+  });
+});
@@ -0,0 +1,116 @@
+// End-to-end run of the video pipeline (VideoProcessingService.processVideo,
+// formerly processVideoRecommendations) against recorded YouTube, OpenAI and
+// Google Maps responses. Replays fixtures/http by default; run with
+// FIXTURE_MODE=record and real API keys in .env to re-record them.
+
+process.env.FIXTURE_MODE = process.env.FIXTURE_MODE || 'replay';
+if (process.env.FIXTURE_MODE === 'record') require('dotenv').config();
+
+process.env.YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY || 'test-youtube-key';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-openai-key';
+process.env.GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY || 'test-maps-key';
+process.env.LLM_EXTRACTION_PROVIDER = 'openai';
+
+const YouTubeService = require('../services/youtubeService');
+const MapsService = require('../services/mapsService');
+const AIService = require('../services/aiService');
+const TranscriptService = require('../services/transcriptService');
+const VideoProcessingService = require('../services/videoProcessingService');
+const RestaurantEnrichmentService = require('../services/restaurantEnrichmentService');
+const RestaurantEmbeddingService = require('../services/restaurantEmbeddingService');
+const { MockProvider } = require('../services/llm');
+const { YoutubeTranscriptProvider } = require('../services/transcriptProviders');
+const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+const { startFixtures } = require('./helpers/httpFixtures');
+
+const VIDEO_ID = 'Fx7rQk2mT0a';
+
+jest.setTimeout(60000);
+
+describe('processVideo with recorded API responses', () => {
+  let fixtures;
+
+  afterEach(async () => {
+    const { unused } = await fixtures.stop();
+    expect(unused).toEqual([]);
+  });
+
+  test('extracts, times and links the restaurants in a video', async () => {
+    fixtures = startFixtures('process-video');
+    const supabaseService = new InMemorySupabaseService();
+    const processingService = new VideoProcessingService({
+      supabaseService,
+      transcriptService: new TranscriptService([new YoutubeTranscriptProvider()]),
+      aiService: new AIService(),
+      enrichmentService: new RestaurantEnrichmentService({ supabaseService }, { delayMs: 0 }),
+      embeddingService: new RestaurantEmbeddingService({ supabaseService, embeddingProvider: new MockProvider() })
+    });
+
+    const details = await new YouTubeService().getVideoDetails(VIDEO_ID);
+    const video = await supabaseService.createVideo(details);
+    const steps = [];
+
+    const result = await processingService.processVideo(video, {
+      onProgress: (progress, step, stepState) => steps.push(`${step}:${stepState.status}`)
+    });
+
+    expect(steps.filter(step => step.endsWith(':completed'))).toEqual(
+      VideoProcessingService.PROCESSING_STEPS.map(step => `${step}:completed`)
+    );
+    expect(video).toMatchObject({
+      processed: true,
+      processing_error: null,
+      transcript_source: 'youtube-transcript',
+      transcript_timed: true
+    });
+
+    const segments = await supabaseService.getTranscriptSegments(video.id);
+    expect(segments.length).toBeGreaterThan(0);
+    expect(segments[0].start).toBe(0);
+
+    expect(result.extracted_count).toBe(3);
+    expect(result.processed_count).toBe(3);
+    expect(supabaseService.restaurants.map(restaurant => restaurant.name)).toEqual([
+      'Franklin Barbecue',
+      'Veracruz All Natural',
+      'Uchi'
+    ]);
+
+    // Timestamps come from the captions: alignment picks the start of the
+    // window around the segment that names each restaurant
+    const namedAt = { 'Franklin Barbecue': 58, 'Veracruz All Natural': 301, Uchi: 538 };
+    result.recommendations.forEach(({ restaurant, recommendation }) => {
+      expect(recommendation.mentioned_at_timestamp).toBeGreaterThanOrEqual(namedAt[restaurant.name] - 10);
+      expect(recommendation.mentioned_at_timestamp).toBeLessThanOrEqual(namedAt[restaurant.name]);
+    });
+    expect(supabaseService.recommendations.every(rec => rec.video_id === video.id)).toBe(true);
+    expect(supabaseService.recommendations.every(rec => rec.prompt_version === processingService.aiService.promptVersion)).toBe(true);
+
+    // New restaurants are looked up on Google Maps
+    expect(supabaseService.restaurants.map(({ name, enrichment_status, place_id }) => ({ name, enrichment_status, place_id }))).toEqual([
+      { name: 'Franklin Barbecue', enrichment_status: 'enriched', place_id: 'ChIJfixtureFranklinBBQ00' },
+      { name: 'Veracruz All Natural', enrichment_status: 'not_found', place_id: null },
+      { name: 'Uchi', enrichment_status: 'enriched', place_id: 'ChIJfixtureUchiAustin000' }
+    ]);
+    expect(result.recommendations[0].restaurant.address).toBe('900 E 11th St, Austin, TX 78702, United States');
+
+    // ...then embedded for semantic search
+    expect([...supabaseService.embeddings.values()].map(({ model, embedding }) => ({ model, dimensions: embedding.length }))).toEqual(
+      Array(3).fill({ model: 'mock/mock', dimensions: 768 })
+    );
+  });
+
+  test('looks up place details for a linked restaurant', async () => {
+    fixtures = startFixtures('maps-place-details');
+
+    const details = await new MapsService().getRestaurantDetails('Franklin Barbecue', 'Austin, Texas');
+
+    expect(details).toMatchObject({
+      name: 'Franklin Barbecue',
+      address: '900 E 11th St, Austin, TX 78702, United States',
+      price_level: '$$',
+      place_id: 'ChIJfixtureFranklinBBQ00'
+    });
+    expect(details.latitude).toBeCloseTo(30.27, 2);
+  });
+});
@@ -0,0 +1,92 @@
+const ProcessingWorker = require('../services/processingWorker');
+const JobQueueService = require('../services/jobQueueService');
+const AIService = require('../services/aiService');
+const VideoProcessingService = require('../services/videoProcessingService');
+const RestaurantResolver = require('../services/restaurantResolver');
+const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+
+// Supabase client that answers the job update failJob sends with the updated job
+function jobTableClient(job, updates) {
+  const query = {
+    update: values => { updates.push(values); return query; },
+    eq: () => query,
+    select: () => query,
+    single: async () => ({ data: { ...job, ...updates[updates.length - 1] }, error: null })
+  };
+  return { supabase: { from: () => query } };
+}
+
+describe('ProcessingWorker', () => {
+  test('fails a job on its first attempt when extraction fails validation', async () => {
+    const supabaseService = new InMemorySupabaseService();
+    await supabaseService.createVideo({ videoId: 'abc123', title: 'Austin BBQ tour' });
+
+    const job = { id: 'job-1', job_type: 'process_video', video_id: 'abc123', attempts: 1, max_attempts: 3, payload: {} };
+    const updates = [];
+    let extractions = 0;
+
+    const worker = new ProcessingWorker({
+      supabaseService,
+      jobQueue: new JobQueueService(jobTableClient(job, updates)),
+      usageLedger: {},
+      enrichmentService: {},
+      videoProcessingService: {
+        processVideo: async () => {
+          extractions++;
+          throw new AIService.ExtractionValidationError('Extraction response failed validation', { attempts: 2 });
+        }
+      }
+    });
+
+    await worker.runJob(job);
+
+    expect(extractions).toBe(1);
+    expect(updates).toEqual([expect.objectContaining({ status: 'failed', last_error: 'Extraction response failed validation' })]);
+    expect(await supabaseService.getVideo('abc123')).toMatchObject({ processing_error: 'Extraction response failed validation' });
+  });
+
+  test('a job retried after a late step fails still enriches the restaurants it linked', async () => {
+    const supabaseService = new InMemorySupabaseService();
+    const video = await supabaseService.createVideo({ videoId: 'abc123', title: 'Austin BBQ tour' });
+    await supabaseService.replaceTranscriptSegments(video.id, [{ text: 'Franklin Barbecue has the best brisket', start: 12, duration: 4 }]);
+
+    const enriched = [];
+    let enrichmentCalls = 0;
+    const videoProcessingService = new VideoProcessingService({
+      supabaseService,
+      usageLedger: {},
+      aiService: {
+        promptVersion: 'v1',
+        extractFromChunks: async () => [{ name: 'Franklin Barbecue', location: 'Austin', dishMentioned: 'brisket', confidenceScore: 0.9 }]
+      },
+      restaurantResolver: new RestaurantResolver({ supabaseService }),
+      enrichmentService: {
+        enabled: true,
+        enrichRestaurants: async restaurants => {
+          if (++enrichmentCalls === 1) throw new Error('Maps request timed out');
+          enriched.push(...restaurants.map(restaurant => restaurant.name));
+          return { restaurants, enriched: restaurants.length, not_found: 0, failed: 0 };
+        }
+      },
+      embeddingService: { enabled: false }
+    });
+
+    const results = [];
+    const jobQueue = {
+      extendLease: async () => {},
+      updateProgress: async () => {},
+      completeJob: async (jobId, workerId, result) => { results.push(result); },
+      failJob: async () => ({ status: 'queued', run_after: new Date().toISOString() })
+    };
+    const worker = new ProcessingWorker({ supabaseService, jobQueue, usageLedger: {}, enrichmentService: {}, videoProcessingService });
+
+    const job = { id: 'job-1', job_type: 'process_video', video_id: 'abc123', attempts: 1, max_attempts: 3, payload: {} };
+    await worker.runJob(job);
+    await worker.runJob({ ...job, attempts: 2 });
+
+    expect(results).toEqual([{ extracted_count: 1, processed_count: 1 }]);
+    expect(enriched).toEqual(['Franklin Barbecue']);
+    expect(supabaseService.recommendations).toHaveLength(1);
+    expect(video.processed).toBe(true);
+  });
+});
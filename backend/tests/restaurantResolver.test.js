@@ -0,0 +1,97 @@
+const RestaurantResolver = require('../services/restaurantResolver');
+const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+
+describe('RestaurantResolver', () => {
+  let supabaseService;
+  let resolver;
+
+  beforeEach(async () => {
+    supabaseService = new InMemorySupabaseService();
+    resolver = new RestaurantResolver({ supabaseService }, { threshold: 0.75 });
+    await supabaseService.createRestaurant({
+      name: 'Franklin Barbecue',
+      city: 'Austin, Texas',
+      latitude: 30.2701,
+      longitude: -97.7312,
+      created_at: '2024-01-01T00:00:00Z'
+    });
+  });
+
+  test('links a spelling variant in the same city and fills missing details', async () => {
+    const { restaurant, created, match } = await resolver.resolve({
+      name: 'Franklin Barbeque',
+      location: 'Austin',
+      address: '900 E 11th St'
+    });
+
+    expect(created).toBe(false);
+    expect(match.reasons).toContain('same city');
+    expect(restaurant.address).toBe('900 E 11th St');
+    expect(supabaseService.restaurants).toHaveLength(1);
+  });
+
+  test('creates a new restaurant for the same name in another city', async () => {
+    const { created, match } = await resolver.resolve({ name: 'Franklin Barbecue', location: 'Dallas, Texas' });
+
+    expect(created).toBe(true);
+    expect(match.reasons).toContain('different city');
+    expect(supabaseService.restaurants).toHaveLength(2);
+  });
+
+  test('creates a new restaurant for a partial name match with no location to back it', async () => {
+    await supabaseService.createRestaurant({ name: "Joe's Pizza Palace", city: 'Chicago' });
+
+    const { created, match } = await resolver.resolve({ name: "Joe's Pizza" });
+
+    expect(created).toBe(true);
+    expect(match).toMatchObject({ score: RestaurantResolver.UNCORROBORATED_NAME_SCORE, reasons: ['name 0.90', 'no matching location'] });
+    expect(supabaseService.restaurants).toHaveLength(3);
+
+    // The same partial name in the same city still clears the threshold
+    expect(resolver.scoreCandidate({ name: "Joe's Pizza", city: 'Chicago' }, { name: "Joe's Pizza Palace", city: 'Chicago' }))
+      .toMatchObject({ score: 1, reasons: ['name 0.90', 'same city'] });
+  });
+
+  test('compares canonical cities from the gazetteer', async () => {
+    await supabaseService.createRestaurant({ name: "Katz's Delicatessen", city: 'New York City', state: 'New York' });
+
+    const { created, match } = await resolver.resolve({ name: 'Katzs Delicatessen', location: 'NYC' });
+
+    expect(created).toBe(false);
+    expect(match.reasons).toContain('same city');
+  });
+
+  test('links a known place ID whatever the extracted name', async () => {
+    const [franklin] = supabaseService.restaurants;
+    franklin.place_id = 'ChIJ1';
+
+    const { restaurant, created } = await resolver.resolve({ name: 'Aaron Franklin BBQ joint', placeId: 'ChIJ1' });
+
+    expect(created).toBe(false);
+    expect(restaurant.id).toBe(franklin.id);
+  });
+
+  test('lets place IDs decide when both sides have one', () => {
+    const a = { name: 'Uchi', google_maps_url: 'https://maps.google.com/?place_id=ChIJ1' };
+
+    expect(resolver.scoreCandidate(a, { name: 'Uchiko', place_id: 'ChIJ1' }).score).toBe(1);
+    expect(resolver.scoreCandidate(a, { name: 'Uchi', place_id: 'ChIJ2' }).score).toBe(0);
+  });
+
+  test('reports duplicates with the older restaurant as the merge target', async () => {
+    await supabaseService.createRestaurant({
+      name: "The Franklin's Barbecue",
+      city: 'Austin',
+      latitude: 30.2702,
+      longitude: -97.7311,
+      created_at: '2024-03-01T00:00:00Z'
+    });
+    await supabaseService.createRestaurant({ name: 'Uchi', city: 'Austin', created_at: '2024-02-01T00:00:00Z' });
+
+    const pairs = resolver.findDuplicates(supabaseService.restaurants);
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].target.name).toBe('Franklin Barbecue');
+    expect(pairs[0].duplicate.name).toBe("The Franklin's Barbecue");
+  });
+});
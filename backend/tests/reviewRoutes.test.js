@@ -0,0 +1,41 @@
+// The routes' SupabaseService is one shared in-memory store
+jest.mock('../services/supabaseService', () => {
+  const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+  const store = new InMemorySupabaseService();
+  return Object.assign(function SupabaseService() { return store; }, jest.requireActual('../services/supabaseService'));
+});
+
+const SupabaseService = require('../services/supabaseService');
+const router = require('../routes/review');
+const routeRequest = require('./helpers/routeRequest');
+
+const store = new SupabaseService();
+
+describe('review routes', () => {
+  test('GET /videos takes a limit from 1 to 100', async () => {
+    const video = await store.createVideo({ videoId: 'v1', title: 'Bangkok street food' });
+    video.processed = true;
+
+    expect(await routeRequest(router, 'GET', '/videos?limit=5')).toMatchObject({
+      status: 200,
+      body: [{ video_id: 'v1', recommendations: 0, pending: 0 }]
+    });
+
+    for (const limit of ['0', '-3', 'abc', '101', '2.5']) {
+      expect(await routeRequest(router, 'GET', `/videos?limit=${limit}`)).toEqual({
+        status: 400,
+        body: { error: 'limit must be a whole number from 1 to 100' }
+      });
+    }
+  });
+
+  test('PATCH /recommendations/:id answers 404 for IDs that aren\'t UUIDs and 400 for unknown statuses', async () => {
+    // Postgres would refuse to compare the uuid column with it
+    const getRecommendation = jest.spyOn(store, 'getRecommendation');
+    expect(await routeRequest(router, 'PATCH', '/recommendations/not-a-uuid', { status: 'confirmed' }))
+      .toEqual({ status: 404, body: { error: 'Recommendation not found' } });
+    expect(await routeRequest(router, 'PATCH', '/recommendations/not-a-uuid', { status: 'approved' }))
+      .toMatchObject({ status: 400 });
+    expect(getRecommendation).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+const ReviewService = require('../services/reviewService');
+const RestaurantResolver = require('../services/restaurantResolver');
+const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+
+describe('ReviewService', () => {
+  let supabaseService;
+  let reviewService;
+
+  beforeEach(() => {
+    supabaseService = new InMemorySupabaseService();
+    reviewService = new ReviewService({
+      supabaseService,
+      restaurantResolver: new RestaurantResolver({ supabaseService })
+    });
+  });
+
+  // A processed video with one AI-extracted recommendation per restaurant name
+  async function extractedVideo(videoId, promptVersion, names, reviewCompletedAt = null) {
+    const video = await supabaseService.createVideo({ videoId, title: `Video ${videoId}` });
+    Object.assign(video, { processed: true, review_completed_at: reviewCompletedAt });
+
+    const recommendations = [];
+    for (const name of names) {
+      const restaurant = await supabaseService.createRestaurant({ name, city: 'Bangkok' });
+      recommendations.push(await supabaseService.createRecommendation({
+        video_id: video.id, restaurant_id: restaurant.id, prompt_version: promptVersion
+      }));
+    }
+    return { video, recommendations };
+  }
+
+  async function review(recommendation, status) {
+    return reviewService.reviewRecommendation(await supabaseService.getRecommendation(recommendation.id), status);
+  }
+
+  test('labels a review with the prompt that extracted the row, and pending undoes it', async () => {
+    const { recommendations: [rec] } = await extractedVideo('v1', 'v2', ['Jay Fai']);
+
+    const { recommendation, label } = await review(rec, 'rejected');
+    expect(recommendation.review_status).toBe('rejected');
+    expect(label).toMatchObject({ label: 'wrong', restaurant_name: 'Jay Fai', prompt_version: 'v2' });
+
+    expect(await review(rec, 'pending')).toMatchObject({ recommendation: { reviewed_at: null }, label: null });
+    expect(supabaseService.labels).toEqual([]);
+  });
+
+  test('adds a missed restaurant, or confirms the video\'s row when it already has one', async () => {
+    const { video } = await extractedVideo('v1', 'v1', ['Krua Apsorn']);
+
+    const added = await reviewService.addMissingRecommendation(video, { name: 'Jay Fai', location: 'Bangkok', dishMentioned: 'crab omelette' });
+    expect(added).toMatchObject({
+      created: true,
+      recommendation: { review_status: 'confirmed', dish_mentioned: 'crab omelette', restaurant: { name: 'Jay Fai' } },
+      label: { label: 'missing', prompt_version: null }
+    });
+
+    const existing = await reviewService.addMissingRecommendation(video, { name: 'Krua Apsorn', location: 'Bangkok' });
+    expect(existing).toMatchObject({ created: false, label: { label: 'correct', prompt_version: 'v1' } });
+    expect(supabaseService.recommendations).toHaveLength(2);
+  });
+
+  test('scores each prompt version, counting recall only on completed videos', async () => {
+    const done = await extractedVideo('v1', 'v1', ['A', 'B', 'C'], '2026-03-01T00:00:00Z');
+    await review(done.recommendations[0], 'confirmed');
+    await review(done.recommendations[1], 'confirmed');
+    await review(done.recommendations[2], 'rejected');
+    await reviewService.addMissingRecommendation(done.video, { name: 'Missed Noodles', location: 'Bangkok' });
+
+    const inReview = await extractedVideo('v2', 'v1', ['D', 'E']);
+    await review(inReview.recommendations[0], 'confirmed');
+    await review(inReview.recommendations[1], 'rejected');
+
+    const newer = await extractedVideo('v3', 'v2', ['F'], '2026-03-02T00:00:00Z');
+    await review(newer.recommendations[0], 'confirmed');
+
+    const stats = await reviewService.getLabelStats();
+
+    // The missed restaurant counts against v1, the prompt that extracted its video
+    expect(stats).toContainEqual({
+      prompt_version: 'v1', correct: 3, wrong: 2, missing: 1, precision: 0.6, recall: 2 / 3, reviewed_videos: 1
+    });
+    expect(stats).toContainEqual({
+      prompt_version: 'v2', correct: 1, wrong: 0, missing: 0, precision: 1, recall: 1, reviewed_videos: 1
+    });
+  });
+
+  test('builds the gold dataset from completed videos only', async () => {
+    const { video, recommendations } = await extractedVideo('v1', 'v1', ['Jay Fai', 'Wrong Place'], '2026-03-01T00:00:00Z');
+    await supabaseService.replaceTranscriptSegments(video.id, [{ text: 'Jay Fai makes the crab omelette', start: 5, duration: 3 }]);
+    await review(recommendations[0], 'confirmed');
+    await review(recommendations[1], 'rejected');
+    await reviewService.addMissingRecommendation(video, { name: 'Krua Apsorn', location: 'Bangkok' });
+
+    const unfinished = await extractedVideo('v2', 'v1', ['Other']);
+    await review(unfinished.recommendations[0], 'confirmed');
+
+    expect(await reviewService.buildGoldDataset()).toEqual([{
+      id: 'v1',
+      title: 'Video v1',
+      segments: [{ text: 'Jay Fai makes the crab omelette', start: 5, duration: 3 }],
+      restaurants: ['Jay Fai', 'Krua Apsorn'],
+      rejected: ['Wrong Place'],
+      prompt_version: 'v1'
+    }]);
+  });
+});
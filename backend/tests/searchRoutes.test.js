@@ -0,0 +1,141 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-openai-key';
+
+// The routes' SupabaseService is one shared in-memory store
+jest.mock('../services/supabaseService', () => {
+  const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+  const store = new InMemorySupabaseService();
+  return Object.assign(function SupabaseService() { return store; }, jest.requireActual('../services/supabaseService'));
+});
+
+const SupabaseService = require('../services/supabaseService');
+const RestaurantEmbeddingService = require('../services/restaurantEmbeddingService');
+const router = require('../routes/search');
+const routeRequest = require('./helpers/routeRequest');
+
+const store = new SupabaseService();
+
+const get = path => routeRequest(router, 'GET', path);
+
+describe('GET /restaurants', () => {
+  test('ranks a query by relevance and lists without one', async () => {
+    store.searchRestaurants = jest.fn(async (q, filters, page) => ({ results: [], sort: page.sort.name, limit: page.limit }));
+
+    expect(await get('/restaurants?q=khao%20soi&city=Chiang%20Mai&limit=5')).toMatchObject({
+      status: 200,
+      body: { query: 'khao soi', filters: { city: 'Chiang Mai' }, sort: 'relevance', limit: 5 }
+    });
+    expect((await get('/restaurants?sort=name')).body).toMatchObject({ sort: 'name' });
+    expect(store.searchRestaurants).toHaveBeenLastCalledWith(undefined, {}, expect.objectContaining({ limit: 20 }));
+  });
+
+  test('answers 400 for a repeated q and for sorts the query has no ranking for', async () => {
+    expect(await get('/restaurants?q=a&q=b')).toEqual({ status: 400, body: { error: 'q must be a single search query' } });
+    expect(await get('/restaurants?q=noodles&sort=name')).toMatchObject({ status: 400 });
+  });
+});
+
+describe('GET /nearby', () => {
+  beforeEach(() => {
+    store.searchRestaurantsNearby = jest.fn(async () => []);
+    store.searchRestaurantsInBounds = jest.fn(async () => []);
+  });
+
+  test('searches around a point with the default radius, or inside a bbox', async () => {
+    expect(await get('/nearby?lat=13.75&lng=100.5&cuisine=Thai')).toMatchObject({
+      status: 200,
+      body: { center: { latitude: 13.75, longitude: 100.5 }, radius: 2000, filters: { cuisineType: 'Thai' } }
+    });
+    expect(store.searchRestaurantsNearby).toHaveBeenCalledWith(
+      { latitude: 13.75, longitude: 100.5 }, 2000, { cuisineType: 'Thai', limit: null });
+
+    // Crossing the antimeridian: minLng > maxLng
+    expect((await get('/nearby?bbox=170,-20,-170,-10&limit=50')).status).toBe(200);
+    expect(store.searchRestaurantsInBounds).toHaveBeenCalledWith(
+      { minLat: -20, minLng: 170, maxLat: -10, maxLng: -170 }, { limit: 50 });
+  });
+
+  test('answers 400 for coordinates, radius, bbox or limit out of range', async () => {
+    for (const query of [
+      'lat=13.75',
+      'lat=91&lng=100',
+      'lat=13.75&lng=abc',
+      'lat=13.75&lng=100.5&radius=0',
+      'lat=13.75&lng=100.5&radius=50001',
+      'bbox=1,2,3',
+      'bbox=0,10,1,5',
+      'lat=13.75&lng=100.5&limit=0',
+      'lat=13.75&lng=100.5&limit=1.5',
+      'lat=13.75&lng=100.5&limit=201'
+    ]) {
+      expect({ query, status: (await get(`/nearby?${query}`)).status }).toEqual({ query, status: 400 });
+    }
+    expect(store.searchRestaurantsNearby).not.toHaveBeenCalled();
+    expect(store.searchRestaurantsInBounds).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /transcripts', () => {
+  test('groups the matching moments by video, each linked to its second', async () => {
+    store.searchTranscriptSegments = jest.fn(async () => [
+      { video_uuid: 'u1', video_id: 'abc123', title: 'Chiang Mai', start_seconds: '95.4', snippet: 'the <mark>khao soi</mark> here' },
+      { video_uuid: 'u2', video_id: 'def456', title: 'Bangkok', start_seconds: '12', snippet: '<mark>khao soi</mark>' },
+      { video_uuid: 'u1', video_id: 'abc123', title: 'Chiang Mai', start_seconds: '30', snippet: 'more <mark>khao soi</mark>' }
+    ]);
+
+    const { status, body } = await get('/transcripts?q=%20khao%20soi%20&influencer=Mark%20Wiens&limit=10');
+
+    expect(status).toBe(200);
+    expect(store.searchTranscriptSegments).toHaveBeenCalledWith('khao soi', { influencer: 'Mark Wiens', limit: 10 });
+    expect(body).toMatchObject({ count: 2, moments: 3 });
+    expect(body.results.map(result => result.video.video_id)).toEqual(['abc123', 'def456']);
+    expect(body.results[0].moments.map(moment => moment.timestamp)).toEqual(['0:30', '1:35']);
+    expect(body.results[0].moments[1].url).toBe('https://www.youtube.com/watch?v=abc123&t=95s');
+  });
+
+  test('answers 400 for a missing or repeated q and a limit out of range', async () => {
+    store.searchTranscriptSegments = jest.fn(async () => []);
+
+    for (const query of ['', 'q=%20', 'q=a&q=b', 'q=soi&limit=0', 'q=soi&limit=201', 'q=soi&limit=abc']) {
+      expect({ query, status: (await get(`/transcripts?${query}`)).status }).toEqual({ query, status: 400 });
+    }
+    expect(store.searchTranscriptSegments).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /semantic', () => {
+  beforeEach(() => {
+    jest.spyOn(RestaurantEmbeddingService.prototype, 'embedQuery').mockResolvedValue([0.1, 0.2]);
+    store.searchRestaurantsSemantic = jest.fn(async () => []);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('embeds the query and blends in the keyword rank in hybrid mode', async () => {
+    expect(await get('/semantic?q=%20cozy%20noodles%20&city=Bangkok&limit=5')).toMatchObject({
+      status: 200,
+      body: { mode: 'semantic', keywordWeight: 0, filters: { city: 'Bangkok' } }
+    });
+    expect(RestaurantEmbeddingService.prototype.embedQuery).toHaveBeenCalledWith('cozy noodles');
+    expect(store.searchRestaurantsSemantic).toHaveBeenLastCalledWith([0.1, 0.2],
+      { city: 'Bangkok', query: 'cozy noodles', keywordWeight: 0, limit: 5 });
+
+    expect((await get('/semantic?q=noodles&mode=hybrid')).body).toMatchObject({ keywordWeight: 0.3 });
+    expect(store.searchRestaurantsSemantic).toHaveBeenLastCalledWith([0.1, 0.2],
+      { query: 'noodles', keywordWeight: 0.3, limit: 20 });
+  });
+
+  test('answers 400 before paying for an embedding when the request is invalid', async () => {
+    for (const query of [
+      '',
+      'q=a&q=b',
+      'q=noodles&mode=keyword',
+      'q=noodles&limit=0',
+      'q=noodles&limit=-5',
+      'q=noodles&limit=51',
+      'q=noodles&mode=hybrid&keywordWeight=2'
+    ]) {
+      expect({ query, status: (await get(`/semantic?${query}`)).status }).toEqual({ query, status: 400 });
+    }
+    expect(RestaurantEmbeddingService.prototype.embedQuery).not.toHaveBeenCalled();
+  });
+});
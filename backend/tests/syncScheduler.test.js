@@ -0,0 +1,88 @@
+const SyncScheduler = require('../services/syncScheduler');
+const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+
+function memoryStore(influencers) {
+  const store = new InMemorySupabaseService();
+  store.influencers.push(...influencers);
+  return store;
+}
+
+const storedInfluencer = (store, channelId) => store.influencers.find(entry => entry.channel_id === channelId);
+
+function scheduler(store, syncResults) {
+  const queued = [];
+  const synced = [];
+  const instance = new SyncScheduler({
+    supabaseService: store,
+    quotaService: {},
+    channelSync: {
+      syncNew: async influencer => {
+        synced.push(influencer.channel_id);
+        return syncResults[influencer.channel_id];
+      }
+    },
+    jobQueue: {
+      enqueueVideos: async videoIds => {
+        queued.push(...videoIds);
+        return { jobs: videoIds.map(id => ({ video_id: id })), alreadyQueued: 0 };
+      }
+    }
+  });
+  instance.running = true;
+  return { instance, queued, synced };
+}
+
+describe('SyncScheduler', () => {
+  test('syncs due influencers, queues their new videos and sets the next sync', async () => {
+    const store = memoryStore([
+      { id: 'i1', channel_id: 'UC1', channel_name: 'Daily', sync_schedule: 'daily' },
+      { id: 'i2', channel_id: 'UC2', channel_name: 'Weekly', sync_schedule: 'weekly', last_synced_at: '2026-03-01T00:00:00Z' }
+    ]);
+    const { instance, queued } = scheduler(store, {
+      UC1: { synced: 2, videoIds: ['a', 'b'], deferred: false },
+      UC2: { synced: 0, videoIds: [], deferred: false }
+    });
+
+    const results = await instance.syncDueInfluencers();
+
+    expect(results).toEqual([
+      { influencer_id: 'i1', synced: 2, queued: 2 },
+      { influencer_id: 'i2', synced: 0, queued: 0 }
+    ]);
+    expect(queued).toEqual(['a', 'b']);
+
+    const { last_synced_at, next_sync_at } = storedInfluencer(store, 'UC2');
+    expect(new Date(next_sync_at) - new Date(last_synced_at)).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(storedInfluencer(store, 'UC1').last_sync_error).toBeNull();
+
+    // Both are now claimed until their next sync
+    expect(await instance.syncDueInfluencers()).toEqual([]);
+  });
+
+  test('stops at a quota deferral and retries at the reset', async () => {
+    const store = memoryStore([
+      { id: 'i1', channel_id: 'UC1', channel_name: 'First', sync_schedule: 'daily' },
+      { id: 'i2', channel_id: 'UC2', channel_name: 'Second', sync_schedule: 'daily' }
+    ]);
+    const resetsAt = '2026-03-02T08:00:00.000Z';
+    const { instance, queued, synced } = scheduler(store, {
+      UC1: { synced: 1, videoIds: ['a'], deferred: true, quota: { resets_at: resetsAt } }
+    });
+
+    const results = await instance.syncDueInfluencers();
+
+    expect(results).toEqual([{ influencer_id: 'i1', synced: 1, queued: 1, deferred: true }]);
+    expect(synced).toEqual(['UC1']);
+    expect(queued).toEqual(['a']);
+    expect(storedInfluencer(store, 'UC1')).toMatchObject({ next_sync_at: resetsAt });
+    expect(storedInfluencer(store, 'UC1').last_synced_at).toBeUndefined();
+    expect(storedInfluencer(store, 'UC2').next_sync_at).toBeUndefined();
+  });
+
+  test('computes the next sync from the schedule', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    expect(SyncScheduler.nextSyncAt('daily', '2026-03-01T06:00:00Z', now)).toBe('2026-03-02T06:00:00.000Z');
+    expect(SyncScheduler.nextSyncAt('weekly', null, now)).toBe('2026-03-01T12:00:00.000Z');
+    expect(SyncScheduler.nextSyncAt('paused', '2026-03-01T06:00:00Z', now)).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+const { chunkSegments, chunkTranscriptTexts, splitLongSegments } = require('../services/transcriptChunker');
+const AIService = require('../services/aiService');
+
+// 20 segments of 20 characters, 5 seconds each
+const segments = Array.from({ length: 20 }, (_, i) => ({
+  text: `segment ${String(i).padStart(2, '0')} of speech`,
+  start: i * 5,
+  duration: 5
+}));
+
+describe('chunkSegments', () => {
+  test('fills chunks up to maxChars and repeats about overlapChars of the previous chunk', () => {
+    const chunks = chunkSegments(segments, { maxChars: 110, overlapChars: 45 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk, index) => {
+      expect(chunk.index).toBe(index);
+      expect(chunk.chars).toBe(chunk.segments.map(segment => segment.text).join(' ').length);
+      expect(chunk.chars).toBeLessThanOrEqual(110);
+      expect(chunk.start).toBe(chunk.segments[0].start);
+      expect(chunk.end).toBe(chunk.segments[chunk.segments.length - 1].start + 5);
+    });
+
+    // Five segments fill a chunk; the last two are repeated at the start of the next
+    expect(chunks[0].segments).toEqual(segments.slice(0, 5));
+    expect(chunks[1].segments[0]).toBe(segments[3]);
+    chunks.slice(1).forEach((chunk, index) => {
+      const previous = chunks[index].segments;
+      const overlap = previous.slice(previous.indexOf(chunk.segments[0]));
+      expect(overlap.length).toBeGreaterThan(0);
+      expect(overlap.map(segment => segment.text).join(' ').length).toBeLessThanOrEqual(45);
+      expect(chunk.segments.slice(0, overlap.length)).toEqual(overlap);
+    });
+    expect(chunks[chunks.length - 1].segments[chunks[chunks.length - 1].segments.length - 1]).toBe(segments[19]);
+  });
+
+  test('returns one chunk when everything fits, and keeps overlap under half a chunk', () => {
+    expect(chunkSegments(segments, { maxChars: 1000 })).toHaveLength(1);
+
+    // An overlap as big as the chunk would never move forward
+    const chunks = chunkSegments(segments, { maxChars: 100, overlapChars: 500 });
+    expect(chunks[chunks.length - 1].segments).toContain(segments[19]);
+    chunks.slice(1).forEach((chunk, index) => {
+      expect(chunk.start).toBeGreaterThan(chunks[index].start);
+    });
+  });
+
+  test('splits a segment longer than a chunk at word boundaries, spreading its duration', () => {
+    const words = Array.from({ length: 40 }, (_, i) => `word${String(i).padStart(2, '0')}`);
+    const long = { text: words.join(' '), start: 60, duration: 120 };
+
+    const pieces = splitLongSegments([long], 50);
+    expect(pieces.length).toBeGreaterThan(1);
+    pieces.forEach(piece => expect(piece.text.length).toBeLessThanOrEqual(50));
+    expect(pieces.map(piece => piece.text).join(' ')).toBe(long.text);
+    expect(pieces[0].start).toBe(60);
+    const lastPiece = pieces[pieces.length - 1];
+    expect(lastPiece.start + lastPiece.duration).toBeCloseTo(180);
+    pieces.slice(1).forEach((piece, index) => expect(piece.start).toBeGreaterThan(pieces[index].start));
+
+    const chunks = chunkSegments([long], { maxChars: 50, overlapChars: 0 });
+    expect(chunks.map(chunk => chunk.segments.map(segment => segment.text).join(' ')).join(' ')).toBe(long.text);
+  });
+});
+
+describe('chunkTranscriptTexts', () => {
+  test('formats timed chunks and sends untimed ones, or a description, as plain text', () => {
+    expect(chunkTranscriptTexts({ timed: true, segments }, chunk => `${chunk.length} timed segments`))
+      .toEqual(['20 timed segments']);
+    expect(chunkTranscriptTexts({ timed: false, segments: segments.slice(0, 2) }))
+      .toEqual(['segment 00 of speech segment 01 of speech']);
+    expect(chunkTranscriptTexts({ timed: false, segments: [], text: 'Best khao soi in Chiang Mai' }))
+      .toEqual(['Best khao soi in Chiang Mai']);
+  });
+});
+
+describe('chunked extraction', () => {
+  test('merges a restaurant mentioned across a chunk boundary into one recommendation', async () => {
+    // Segment 4 ends the first chunk and is repeated at the start of the second
+    const mentioned = segments.map((segment, i) => (i === 4 ? { ...segment, text: 'now Jay Fai crab omelette' } : segment));
+    const texts = chunkSegments(mentioned, { maxChars: 110, overlapChars: 45 })
+      .map(chunk => chunk.segments.map(segment => segment.text).join(' '));
+    expect(texts.filter(text => text.includes('Jay Fai'))).toHaveLength(2);
+
+    const aiService = new AIService({ extraction: {}, summary: {} });
+    aiService.extractRestaurantRecommendations = async (text, title, chunk) => (text.includes('Jay Fai')
+      ? [chunk.index === 0
+        ? { name: 'Jay Fai', dishMentioned: 'crab omelette', mentionedAt: 20, confidenceScore: 0.8 }
+        : { name: 'Raan Jay Fai', dishMentioned: 'tom yum', mentionedAt: 21, confidenceScore: 0.7 }]
+      : []);
+
+    expect(await aiService.extractFromChunks(texts, 'Bangkok street food')).toEqual([
+      { name: 'Raan Jay Fai', dishMentioned: 'crab omelette, tom yum', mentionedAt: 20, confidenceScore: 0.8 }
+    ]);
+  });
+});
@@ -0,0 +1,41 @@
+const UsageLedgerService = require('../services/usageLedgerService');
+const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+
+const clock = { now: new Date('2026-03-01T10:00:00Z') };
+
+describe('UsageLedgerService', () => {
+  test('prices completions by model and Places requests by operation', async () => {
+    const store = new InMemorySupabaseService({ now: () => clock.now });
+    const ledger = new UsageLedgerService(store, { now: () => clock.now });
+
+    await ledger.recordCompletion('extraction', {
+      provider: 'openai',
+      model: 'gpt-4o-mini-2024-07-18',
+      usage: { inputTokens: 1000000, outputTokens: 100000 }
+    });
+    await ledger.recordCompletion('extraction', { provider: 'mock', model: 'mock', usage: { inputTokens: 5000 } });
+    await ledger.recordMapsRequest('place_search');
+
+    expect(store.usage.map(row => [row.service, row.model || row.operation, row.cost_usd])).toEqual([
+      ['llm', 'gpt-4o-mini-2024-07-18', 0.21],
+      ['llm', 'mock', 0],
+      ['maps', 'place_search', 0.032]
+    ]);
+  });
+
+  test('is exhausted once the day spends the budget, until the next UTC day', async () => {
+    const store = new InMemorySupabaseService({ now: () => clock.now });
+    const ledger = new UsageLedgerService(store, { dailyBudgetUsd: 0.05, now: () => clock.now });
+
+    expect(await ledger.checkBudget()).toBeNull();
+    await ledger.recordMapsRequest('place_search');
+    await ledger.recordMapsRequest('place_details');
+
+    const usage = await ledger.checkBudget();
+    expect(usage).toMatchObject({ day: '2026-03-01', spent_usd: 0.057, remaining_usd: 0, resets_at: '2026-03-02T00:00:00.000Z' });
+    expect(UsageLedgerService.budgetMessage(usage)).toMatch(/\$0\.05 is used up \(\$0\.06 spent today\)/);
+
+    clock.now = new Date('2026-03-02T00:00:01Z');
+    expect(await ledger.checkBudget()).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+const YouTubeQuotaService = require('../services/youtubeQuotaService');
+const InMemorySupabaseService = require('./helpers/inMemorySupabaseService');
+
+const clock = { now: new Date('2026-03-08T07:30:00Z') };
+
+describe('YouTubeQuotaService', () => {
+  test('counts units per method on the Pacific Time day and keeps the reserve free', async () => {
+    const store = new InMemorySupabaseService({ now: () => clock.now });
+    const quota = new YouTubeQuotaService(store, { dailyLimit: 250, reserve: 50, now: () => clock.now });
+
+    await quota.record('search.list');
+    await quota.record('videos.list');
+    await quota.record('playlistItems.list');
+
+    const usage = await quota.getDailyUsage({ fresh: true });
+    expect(usage).toMatchObject({ day: '2026-03-07', used: 102, remaining: 148, resets_at: '2026-03-08T08:00:00.000Z' });
+    expect(usage.methods).toContainEqual({ method: 'search.list', calls: 1, units: 100 });
+
+    expect(await quota.checkQuota(YouTubeQuotaService.costOf({ 'playlistItems.list': 1, 'videos.list': 1 }))).toBeNull();
+    expect(await quota.checkQuota(YouTubeQuotaService.costOf({ 'search.list': 1 }))).toMatchObject({ remaining: 148 });
+    expect(await quota.checkQuota(100, { reserve: 0 })).toBeNull();
+
+    // Daylight saving starts this day, so the next reset is 23 hours later
+    clock.now = new Date('2026-03-08T08:00:01Z');
+    expect(await quota.getDailyUsage()).toMatchObject({ day: '2026-03-08', used: 0, resets_at: '2026-03-09T07:00:00.000Z' });
+  });
+
+  test('treats the day as used up after Google refuses a request for quota', async () => {
+    clock.now = new Date('2026-03-10T18:00:00Z');
+    const store = new InMemorySupabaseService({ now: () => clock.now });
+    const quota = new YouTubeQuotaService(store, { dailyLimit: 10000, reserve: 0, now: () => clock.now });
+
+    quota.markExhausted();
+    expect(await quota.checkQuota(1)).toMatchObject({ used: 10000, remaining: 0 });
+    expect(await quota.getDailyUsage({ fresh: true })).toMatchObject({ remaining: 0 });
+  });
+});
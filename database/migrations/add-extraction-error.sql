@@ -0,0 +1,6 @@
+-- Migration: Keep the reason an AI extraction response was rejected
+-- extraction_error holds { message, errors, attempts, response } when the model's
+-- answer failed schema validation even after a repair attempt; it is cleared
+-- once the video is processed successfully.
+
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS extraction_error JSONB;
@@ -0,0 +1,13 @@
+-- Migration: Resumable back catalog sync per influencer
+-- POST /api/influencers/:id/sync-videos with backfill walks the channel's
+-- uploads playlist a few pages per run and stores where it stopped, so the
+-- next run continues there (see backend/services/channelSyncService.js).
+-- backfill_page_token: next uploads playlist page; NULL starts at the newest upload
+-- backfill_published_after / backfill_published_before: publish window the cursor walks
+-- backfill_completed_at: set once the window has been walked to the end
+
+ALTER TABLE influencers ADD COLUMN IF NOT EXISTS backfill_page_token VARCHAR(255);
+ALTER TABLE influencers ADD COLUMN IF NOT EXISTS backfill_published_after TIMESTAMP WITH TIME ZONE;
+ALTER TABLE influencers ADD COLUMN IF NOT EXISTS backfill_published_before TIMESTAMP WITH TIME ZONE;
+ALTER TABLE influencers ADD COLUMN IF NOT EXISTS backfill_completed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE influencers ADD COLUMN IF NOT EXISTS backfill_updated_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,8 @@
+-- Migration: Track per-step progress on processing jobs
+-- progress holds one entry per pipeline step (transcript_fetched, ai_extracted,
+-- timestamps_aligned, restaurants_linked) with status, timings and errors,
+-- so GET /api/processing/jobs/:id can show where a video is in the pipeline.
+
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS progress JSONB DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_created_at ON processing_jobs(created_at DESC);
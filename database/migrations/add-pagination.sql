@@ -0,0 +1,125 @@
+-- Migration: Cursor pagination for the list endpoints
+-- Lists page by keyset (sort column, then id; backend/services/pagination.js),
+-- so each sort gets an index in that order. Ranked restaurant search pages by
+-- offset and returns the number of matches.
+
+-- Replaces idx_videos_published_at (published_at DESC)
+DROP INDEX IF EXISTS idx_videos_published_at;
+CREATE INDEX IF NOT EXISTS idx_videos_published_at ON videos(published_at DESC NULLS LAST, id DESC);
+CREATE INDEX IF NOT EXISTS idx_videos_influencer_published_at ON videos(influencer_id, published_at DESC NULLS LAST, id DESC);
+CREATE INDEX IF NOT EXISTS idx_restaurants_created_at ON restaurants(created_at DESC NULLS LAST, id DESC);
+CREATE INDEX IF NOT EXISTS idx_restaurants_name ON restaurants(name, id);
+CREATE INDEX IF NOT EXISTS idx_restaurants_rating ON restaurants(rating DESC NULLS LAST, id DESC);
+CREATE INDEX IF NOT EXISTS idx_influencers_subscriber_count ON influencers(subscriber_count DESC NULLS LAST, id DESC);
+CREATE INDEX IF NOT EXISTS idx_user_favorites_user_created_at ON user_favorites(user_id, created_at DESC NULLS LAST, id DESC);
+
+-- Ranked restaurant search. Rows matching any query word are returned;
+-- rows matching all of them, and higher-weighted fields, rank first. A name
+-- within word_similarity of the query matches too. snippet is the best
+-- matching dish and quote, HTML-escaped, with matches in <mark></mark>.
+-- Pages with offset_count; total_count is the number of matches.
+DROP FUNCTION IF EXISTS search_restaurants_fulltext(TEXT, VARCHAR, VARCHAR, VARCHAR, INTEGER);
+CREATE OR REPLACE FUNCTION search_restaurants_fulltext(
+  search_query TEXT,
+  cuisine_filter VARCHAR DEFAULT NULL,
+  city_filter VARCHAR DEFAULT NULL,
+  price_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 50,
+  offset_count INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR,
+  address TEXT,
+  cuisine_type VARCHAR,
+  city VARCHAR,
+  state VARCHAR,
+  country VARCHAR,
+  price_range VARCHAR,
+  rating DECIMAL,
+  latitude DECIMAL,
+  longitude DECIMAL,
+  total_mentions BIGINT,
+  search_rank REAL,
+  snippet TEXT,
+  total_count BIGINT
+)
+LANGUAGE SQL
+STABLE
+AS $$
+  WITH terms AS (
+    SELECT
+      websearch_to_tsquery('english', search_query) AS all_terms,
+      -- The same stemmed words OR'd together
+      (
+        SELECT to_tsquery('simple', string_agg(quote_literal(lexeme), ' | '))
+        FROM unnest(tsvector_to_array(to_tsvector('english', search_query))) AS lexeme
+      ) AS any_term
+  ),
+  candidates AS (
+    SELECT d.restaurant_id AS id
+    FROM restaurant_search_documents d, terms t
+    WHERE d.search_vector @@ t.any_term
+    UNION
+    SELECT r.id
+    FROM restaurants r
+    WHERE search_query <% r.name
+  ),
+  matches AS (
+    SELECT
+      r.*,
+      t.any_term,
+      (
+        COALESCE(ts_rank_cd(d.search_vector, t.any_term), 0)
+        + CASE WHEN d.search_vector @@ t.all_terms THEN 1 ELSE 0 END
+        + word_similarity(search_query, r.name)
+      )::REAL AS search_rank
+    FROM candidates c
+    JOIN restaurants r ON r.id = c.id
+    LEFT JOIN restaurant_search_documents d ON d.restaurant_id = r.id
+    CROSS JOIN terms t
+    WHERE (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
+      AND (city_filter IS NULL OR r.city ILIKE '%' || city_filter || '%')
+      AND (price_filter IS NULL OR r.price_range = price_filter)
+  )
+  SELECT
+    m.id,
+    m.name,
+    m.address,
+    m.cuisine_type,
+    m.city,
+    m.state,
+    m.country,
+    m.price_range,
+    m.rating,
+    m.latitude,
+    m.longitude,
+    mentions.total_mentions,
+    m.search_rank,
+    best_quote.snippet,
+    COUNT(*) OVER () AS total_count
+  FROM matches m
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_mentions
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = m.id AND rr.review_status <> 'rejected'
+  ) mentions
+  LEFT JOIN LATERAL (
+    SELECT ts_headline(
+      'english',
+      replace(replace(replace(doc.body, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      m.any_term,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=8, MaxWords=25, MaxFragments=2'
+    ) AS snippet
+    FROM restaurant_recommendations rr
+    CROSS JOIN LATERAL (SELECT concat_ws(' - ', rr.dish_mentioned, rr.context) AS body) doc
+    WHERE rr.restaurant_id = m.id
+      AND rr.review_status <> 'rejected'
+      AND to_tsvector('english', doc.body) @@ m.any_term
+    ORDER BY ts_rank_cd(to_tsvector('english', doc.body), m.any_term) DESC
+    LIMIT 1
+  ) best_quote ON TRUE
+  ORDER BY m.search_rank DESC, mentions.total_mentions DESC, m.name, m.id
+  LIMIT limit_count
+  OFFSET offset_count;
+$$;
@@ -0,0 +1,134 @@
+-- Migration: Google place ID as the canonical restaurant identity
+-- mapsService used to keep the place ID only inside google_maps_url
+-- (https://maps.google.com/?place_id=...). It now has its own unique column,
+-- used to dedupe restaurant creation and by GET /api/restaurants/by-place/:placeId.
+
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS place_id VARCHAR(255);
+
+-- Backfill from google_maps_url. When several restaurants share a place only
+-- the oldest gets it; GET /api/restaurants/duplicates lists the others
+-- (their Maps URLs still match) so they can be merged.
+UPDATE restaurants r
+SET place_id = backfill.place_id
+FROM (
+  SELECT DISTINCT ON (place_id) id, place_id
+  FROM (
+    SELECT id, created_at, substring(google_maps_url FROM 'place_id=([^&]+)') AS place_id
+    FROM restaurants
+    WHERE place_id IS NULL
+  ) parsed
+  WHERE place_id IS NOT NULL
+    AND place_id NOT IN (SELECT place_id FROM restaurants WHERE place_id IS NOT NULL)
+  ORDER BY place_id, created_at
+) backfill
+WHERE r.id = backfill.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_restaurants_place_id ON restaurants(place_id);
+
+-- merge_restaurants now carries place_id over to the target
+-- Merge duplicate restaurants into target_id: recommendations and favorites
+-- move to the target (a video or user that had both keeps a single row), the
+-- target takes over details it is missing, and the duplicates are deleted.
+CREATE OR REPLACE FUNCTION merge_restaurants(target_id UUID, source_ids UUID[])
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  dropped_recommendations INTEGER;
+  moved_recommendations INTEGER;
+  dropped_favorites INTEGER;
+  moved_favorites INTEGER;
+  deleted_restaurants INTEGER;
+  merged RECORD;
+BEGIN
+  IF target_id = ANY(source_ids) THEN
+    RAISE EXCEPTION 'Cannot merge restaurant % into itself', target_id;
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM restaurants WHERE id = target_id) THEN
+    RAISE EXCEPTION 'Restaurant % not found', target_id;
+  END IF;
+
+  -- Keep the target's row for a video, otherwise the oldest duplicate's
+  DELETE FROM restaurant_recommendations rr
+  WHERE rr.restaurant_id = ANY(source_ids)
+    AND EXISTS (
+      SELECT 1 FROM restaurant_recommendations other
+      WHERE other.video_id = rr.video_id
+        AND other.id <> rr.id
+        AND (other.restaurant_id = target_id
+          OR (other.restaurant_id = ANY(source_ids) AND (other.created_at, other.id) < (rr.created_at, rr.id)))
+    );
+  GET DIAGNOSTICS dropped_recommendations = ROW_COUNT;
+
+  UPDATE restaurant_recommendations SET restaurant_id = target_id
+  WHERE restaurant_id = ANY(source_ids);
+  GET DIAGNOSTICS moved_recommendations = ROW_COUNT;
+
+  DELETE FROM user_favorites uf
+  WHERE uf.restaurant_id = ANY(source_ids)
+    AND EXISTS (
+      SELECT 1 FROM user_favorites other
+      WHERE other.user_id = uf.user_id
+        AND other.id <> uf.id
+        AND (other.restaurant_id = target_id
+          OR (other.restaurant_id = ANY(source_ids) AND (other.created_at, other.id) < (uf.created_at, uf.id)))
+    );
+  GET DIAGNOSTICS dropped_favorites = ROW_COUNT;
+
+  UPDATE user_favorites SET restaurant_id = target_id
+  WHERE restaurant_id = ANY(source_ids);
+  GET DIAGNOSTICS moved_favorites = ROW_COUNT;
+
+  -- Details of the oldest duplicate that has them, kept for the target.
+  -- Taken before the duplicates are deleted; place_id is unique, so the
+  -- target can only take it over afterwards.
+  SELECT
+    (array_agg(address ORDER BY created_at) FILTER (WHERE address IS NOT NULL))[1] AS address,
+    (array_agg(city ORDER BY created_at) FILTER (WHERE city IS NOT NULL))[1] AS city,
+    (array_agg(state ORDER BY created_at) FILTER (WHERE state IS NOT NULL))[1] AS state,
+    (array_agg(country ORDER BY created_at) FILTER (WHERE country IS NOT NULL))[1] AS country,
+    (array_agg(cuisine_type ORDER BY created_at) FILTER (WHERE cuisine_type IS NOT NULL))[1] AS cuisine_type,
+    (array_agg(phone ORDER BY created_at) FILTER (WHERE phone IS NOT NULL))[1] AS phone,
+    (array_agg(website ORDER BY created_at) FILTER (WHERE website IS NOT NULL))[1] AS website,
+    (array_agg(place_id ORDER BY created_at) FILTER (WHERE place_id IS NOT NULL))[1] AS place_id,
+    (array_agg(google_maps_url ORDER BY created_at) FILTER (WHERE google_maps_url IS NOT NULL))[1] AS google_maps_url,
+    (array_agg(latitude ORDER BY created_at) FILTER (WHERE latitude IS NOT NULL))[1] AS latitude,
+    (array_agg(longitude ORDER BY created_at) FILTER (WHERE longitude IS NOT NULL))[1] AS longitude,
+    (array_agg(price_range ORDER BY created_at) FILTER (WHERE price_range IS NOT NULL))[1] AS price_range,
+    (array_agg(rating ORDER BY created_at) FILTER (WHERE rating IS NOT NULL))[1] AS rating
+  INTO merged
+  FROM restaurants
+  WHERE id = ANY(source_ids);
+
+  DELETE FROM restaurants WHERE id = ANY(source_ids);
+  GET DIAGNOSTICS deleted_restaurants = ROW_COUNT;
+
+  UPDATE restaurants
+  SET
+    address = COALESCE(address, merged.address),
+    city = COALESCE(city, merged.city),
+    state = COALESCE(state, merged.state),
+    country = COALESCE(country, merged.country),
+    cuisine_type = COALESCE(cuisine_type, merged.cuisine_type),
+    phone = COALESCE(phone, merged.phone),
+    website = COALESCE(website, merged.website),
+    place_id = COALESCE(place_id, merged.place_id),
+    google_maps_url = COALESCE(google_maps_url, merged.google_maps_url),
+    latitude = COALESCE(latitude, merged.latitude),
+    longitude = COALESCE(longitude, merged.longitude),
+    price_range = COALESCE(price_range, merged.price_range),
+    rating = COALESCE(rating, merged.rating),
+    updated_at = NOW()
+  WHERE id = target_id;
+
+  RETURN json_build_object(
+    'target_id', target_id,
+    'merged_restaurants', deleted_restaurants,
+    'moved_recommendations', moved_recommendations,
+    'dropped_recommendations', dropped_recommendations,
+    'moved_favorites', moved_favorites,
+    'dropped_favorites', dropped_favorites
+  );
+END;
+$$;
@@ -0,0 +1,65 @@
+-- Migration: Add processing_jobs table for background video processing
+-- Processing routes enqueue jobs here and return immediately; the worker in
+-- backend/services/processingWorker.js claims them with a lease. If the server
+-- restarts mid-job the lease expires and the job is picked up again.
+
+CREATE TABLE IF NOT EXISTS processing_jobs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  job_type VARCHAR(50) NOT NULL DEFAULT 'process_video',
+  video_id VARCHAR(255) REFERENCES videos(video_id) ON DELETE CASCADE,
+  batch_id UUID, -- groups jobs enqueued by the same request
+  payload JSONB DEFAULT '{}'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- used for retry backoff
+  locked_by VARCHAR(255), -- worker id holding the lease
+  lease_expires_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Only one active job per video, so repeated batch requests don't double-process
+CREATE UNIQUE INDEX IF NOT EXISTS idx_processing_jobs_active_video
+  ON processing_jobs(job_type, video_id)
+  WHERE status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_status_run_after ON processing_jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_batch_id ON processing_jobs(batch_id);
+
+-- Jobs are internal; only the service role (which bypasses RLS) touches them
+ALTER TABLE processing_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Atomically claim the next runnable job: queued jobs whose backoff has passed,
+-- or running jobs whose worker stopped renewing the lease.
+CREATE OR REPLACE FUNCTION claim_processing_job(worker_id TEXT, lease_seconds INTEGER DEFAULT 300)
+RETURNS SETOF processing_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE processing_jobs
+  SET
+    status = 'running',
+    attempts = processing_jobs.attempts + 1,
+    locked_by = worker_id,
+    lease_expires_at = NOW() + (lease_seconds * INTERVAL '1 second'),
+    started_at = NOW(),
+    updated_at = NOW()
+  WHERE processing_jobs.id = (
+    SELECT j.id
+    FROM processing_jobs j
+    WHERE (j.status = 'queued' AND j.run_after <= NOW())
+       OR (j.status = 'running' AND j.lease_expires_at < NOW())
+    ORDER BY j.created_at
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING processing_jobs.*;
+END;
+$$;
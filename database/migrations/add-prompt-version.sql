@@ -0,0 +1,7 @@
+-- Migration: Record which extraction prompt produced each recommendation
+-- prompt_version is the version from backend/prompts/extraction (v1, v2, ...);
+-- rows extracted before prompts were versioned stay NULL.
+
+ALTER TABLE restaurant_recommendations ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_restaurant_recommendations_prompt_version ON restaurant_recommendations(prompt_version);
@@ -0,0 +1,37 @@
+-- Migration: Review extracted recommendations and keep the labels as a gold dataset
+-- review_status marks each AI-extracted recommendation as confirmed or rejected
+-- by a reviewer; rejected rows are hidden from public routes. Every decision is
+-- also stored in recommendation_labels together with the prompt version that
+-- produced the row, including restaurants the AI missed ('missing'), so
+-- evaluation reports can score prompts against human labels. Re-run
+-- database/sql-functions.sql afterwards so its views and functions skip
+-- rejected rows too.
+
+ALTER TABLE restaurant_recommendations ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+  CHECK (review_status IN ('pending', 'confirmed', 'rejected'));
+ALTER TABLE restaurant_recommendations ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+-- Set once every recommendation of the video has been reviewed and missing
+-- restaurants added; only these videos are used as ground truth
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS review_completed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS recommendation_labels (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+  recommendation_id UUID UNIQUE REFERENCES restaurant_recommendations(id) ON DELETE SET NULL,
+  restaurant_name VARCHAR(255) NOT NULL,
+  label VARCHAR(20) NOT NULL CHECK (label IN ('correct', 'wrong', 'missing')),
+  prompt_version VARCHAR(20), -- prompt that extracted the row, NULL for missing restaurants
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_restaurant_recommendations_review_status ON restaurant_recommendations(review_status);
+CREATE INDEX IF NOT EXISTS idx_recommendation_labels_video_id ON recommendation_labels(video_id);
+
+ALTER TABLE recommendation_labels ENABLE ROW LEVEL SECURITY; -- service role only
+
+-- Rejected recommendations are not public
+DROP POLICY IF EXISTS "Public read access for restaurant_recommendations" ON restaurant_recommendations;
+CREATE POLICY "Public read access for restaurant_recommendations" ON restaurant_recommendations FOR SELECT USING (review_status <> 'rejected');
@@ -0,0 +1,121 @@
+-- Migration: Semantic restaurant search with pgvector
+-- restaurant_embeddings holds one embedding per restaurant, made from its
+-- name, cuisine, location, dishes and what influencers said about it
+-- (backend/services/restaurantEmbeddingService.js). content_hash and model
+-- tell whether it is out of date. The column size must match
+-- EMBEDDING_DIMENSIONS (default 768); changing it means recreating the column
+-- and re-running scripts/embed-restaurants.js.
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS restaurant_embeddings (
+  restaurant_id UUID PRIMARY KEY REFERENCES restaurants(id) ON DELETE CASCADE,
+  embedding vector(768) NOT NULL,
+  model VARCHAR(100) NOT NULL, -- provider/model that made it
+  content_hash VARCHAR(64) NOT NULL, -- sha256 of the embedded text
+  embedded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE restaurant_embeddings ENABLE ROW LEVEL SECURITY; -- service role only
+
+CREATE INDEX IF NOT EXISTS idx_restaurant_embeddings_embedding ON restaurant_embeddings
+  USING hnsw (embedding vector_cosine_ops);
+
+-- Restaurants closest in meaning to query_embedding (cosine similarity). With
+-- search_query and keyword_weight > 0 (hybrid), restaurants the keyword search
+-- finds are candidates too and score is
+-- (1 - keyword_weight) * similarity + keyword_weight * keyword_score, where
+-- keyword_score is the restaurant_search_documents rank scaled to 0..1.
+-- Filters apply to the nearest limit_count * 4 candidates of each kind.
+CREATE OR REPLACE FUNCTION search_restaurants_semantic(
+  query_embedding vector(768),
+  search_query TEXT DEFAULT NULL,
+  keyword_weight DOUBLE PRECISION DEFAULT 0,
+  cuisine_filter VARCHAR DEFAULT NULL,
+  city_filter VARCHAR DEFAULT NULL,
+  price_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR,
+  address TEXT,
+  cuisine_type VARCHAR,
+  city VARCHAR,
+  state VARCHAR,
+  country VARCHAR,
+  price_range VARCHAR,
+  rating DECIMAL,
+  latitude DECIMAL,
+  longitude DECIMAL,
+  total_mentions BIGINT,
+  similarity REAL,
+  keyword_score REAL,
+  score REAL
+)
+LANGUAGE SQL
+STABLE
+-- The HNSW scan returns at most ef_search rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH terms AS (
+    SELECT (
+      SELECT to_tsquery('simple', string_agg(quote_literal(lexeme), ' | '))
+      FROM unnest(tsvector_to_array(to_tsvector('english', COALESCE(search_query, '')))) AS lexeme
+    ) AS any_term
+  ),
+  nearest AS (
+    SELECT e.restaurant_id AS id
+    FROM restaurant_embeddings e
+    ORDER BY e.embedding <=> query_embedding
+    LIMIT limit_count * 4
+  ),
+  keyword_matches AS (
+    SELECT d.restaurant_id AS id
+    FROM restaurant_search_documents d, terms t
+    WHERE keyword_weight > 0 AND d.search_vector @@ t.any_term
+    ORDER BY ts_rank_cd(d.search_vector, t.any_term, 32) DESC
+    LIMIT limit_count * 4
+  ),
+  scored AS (
+    SELECT
+      r.*,
+      COALESCE(1 - (e.embedding <=> query_embedding), 0) AS similarity,
+      CASE
+        WHEN keyword_weight > 0 THEN COALESCE(ts_rank_cd(d.search_vector, t.any_term, 32), 0)
+        ELSE 0
+      END AS keyword_score
+    FROM (SELECT nearest.id FROM nearest UNION SELECT keyword_matches.id FROM keyword_matches) c
+    JOIN restaurants r ON r.id = c.id
+    LEFT JOIN restaurant_embeddings e ON e.restaurant_id = r.id
+    LEFT JOIN restaurant_search_documents d ON d.restaurant_id = r.id
+    CROSS JOIN terms t
+    WHERE (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
+      AND (city_filter IS NULL OR r.city ILIKE '%' || city_filter || '%')
+      AND (price_filter IS NULL OR r.price_range = price_filter)
+  )
+  SELECT
+    s.id,
+    s.name,
+    s.address,
+    s.cuisine_type,
+    s.city,
+    s.state,
+    s.country,
+    s.price_range,
+    s.rating,
+    s.latitude,
+    s.longitude,
+    mentions.total_mentions,
+    s.similarity::REAL,
+    s.keyword_score::REAL,
+    ((1 - keyword_weight) * s.similarity + keyword_weight * s.keyword_score)::REAL AS score
+  FROM scored s
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_mentions
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = s.id AND rr.review_status <> 'rejected'
+  ) mentions
+  ORDER BY score DESC, mentions.total_mentions DESC
+  LIMIT limit_count;
+$$;
@@ -0,0 +1,18 @@
+-- Migration: Track Google Maps enrichment per restaurant
+-- The processing pipeline enriches the restaurants it links (the
+-- restaurants_enriched step); POST /api/processing/re-enrich-restaurants
+-- queues the failed and stale ones again.
+-- enrichment_status: pending (never looked up), enriched, not_found, failed
+-- enriched_at: last time Google Maps answered (found or not found)
+
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS enrichment_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+  CHECK (enrichment_status IN ('pending', 'enriched', 'not_found', 'failed'));
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS enrichment_error TEXT;
+
+-- Restaurants enhanceAllRestaurants already looked up have a Maps URL
+UPDATE restaurants
+SET enrichment_status = 'enriched', enriched_at = updated_at
+WHERE google_maps_url IS NOT NULL AND enrichment_status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_restaurants_enrichment ON restaurants(enrichment_status, enriched_at);
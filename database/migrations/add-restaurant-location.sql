@@ -0,0 +1,153 @@
+-- Migration: Spatial index for nearby and map-viewport restaurant search
+-- Backs GET /api/search/nearby. Restaurants keep latitude/longitude; a GiST
+-- index on restaurant_point(latitude, longitude) lets PostGIS find the rows in
+-- a box without scanning the table. Restaurants without coordinates are not
+-- indexed and never show up in these searches.
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+-- Restaurant coordinates as a PostGIS point (SRID 4326, longitude first).
+-- Queries must call it the same way as the index for the index to be used.
+CREATE OR REPLACE FUNCTION restaurant_point(latitude DOUBLE PRECISION, longitude DOUBLE PRECISION)
+RETURNS geometry
+LANGUAGE SQL
+IMMUTABLE
+AS $$
+  SELECT ST_SetSRID(ST_MakePoint(longitude, latitude), 4326);
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_restaurants_location ON restaurants
+  USING GIST (restaurant_point(latitude, longitude))
+  WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+
+-- Restaurants within radius_meters of a point, nearest first. The index
+-- narrows to a box around the radius; distances are then measured on the
+-- spheroid.
+CREATE OR REPLACE FUNCTION search_restaurants_nearby(
+  center_lat DOUBLE PRECISION,
+  center_lng DOUBLE PRECISION,
+  radius_meters DOUBLE PRECISION DEFAULT 2000,
+  cuisine_filter VARCHAR DEFAULT NULL,
+  price_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR,
+  address TEXT,
+  cuisine_type VARCHAR,
+  city VARCHAR,
+  country VARCHAR,
+  price_range VARCHAR,
+  rating DECIMAL,
+  latitude DECIMAL,
+  longitude DECIMAL,
+  coordinates_source VARCHAR,
+  total_mentions BIGINT,
+  distance_meters DOUBLE PRECISION
+)
+LANGUAGE SQL
+STABLE
+AS $$
+  SELECT
+    r.id,
+    r.name,
+    r.address,
+    r.cuisine_type,
+    r.city,
+    r.country,
+    r.price_range,
+    r.rating,
+    r.latitude,
+    r.longitude,
+    r.coordinates_source,
+    mentions.total_mentions,
+    ST_Distance(
+      restaurant_point(r.latitude, r.longitude)::geography,
+      ST_SetSRID(ST_MakePoint(center_lng, center_lat), 4326)::geography
+    ) AS distance_meters
+  FROM restaurants r
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_mentions
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = r.id AND rr.review_status <> 'rejected'
+  ) mentions
+  WHERE r.latitude IS NOT NULL AND r.longitude IS NOT NULL
+    -- 111,320 m per degree of latitude; a degree of longitude shrinks with cos(latitude)
+    AND restaurant_point(r.latitude, r.longitude) && ST_Expand(
+      ST_SetSRID(ST_MakePoint(center_lng, center_lat), 4326),
+      radius_meters / (111320 * GREATEST(COS(RADIANS(center_lat)), 0.01)),
+      radius_meters / 111320
+    )
+    AND ST_DWithin(
+      restaurant_point(r.latitude, r.longitude)::geography,
+      ST_SetSRID(ST_MakePoint(center_lng, center_lat), 4326)::geography,
+      radius_meters
+    )
+    AND (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
+    AND (price_filter IS NULL OR r.price_range = price_filter)
+  ORDER BY distance_meters, r.name
+  LIMIT limit_count;
+$$;
+
+-- Restaurants inside a map viewport, most mentioned first. A viewport that
+-- crosses the antimeridian has min_lng > max_lng and is searched as two boxes.
+CREATE OR REPLACE FUNCTION search_restaurants_in_bounds(
+  min_lat DOUBLE PRECISION,
+  min_lng DOUBLE PRECISION,
+  max_lat DOUBLE PRECISION,
+  max_lng DOUBLE PRECISION,
+  cuisine_filter VARCHAR DEFAULT NULL,
+  price_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 200
+)
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR,
+  address TEXT,
+  cuisine_type VARCHAR,
+  city VARCHAR,
+  country VARCHAR,
+  price_range VARCHAR,
+  rating DECIMAL,
+  latitude DECIMAL,
+  longitude DECIMAL,
+  coordinates_source VARCHAR,
+  total_mentions BIGINT
+)
+LANGUAGE SQL
+STABLE
+AS $$
+  SELECT
+    r.id,
+    r.name,
+    r.address,
+    r.cuisine_type,
+    r.city,
+    r.country,
+    r.price_range,
+    r.rating,
+    r.latitude,
+    r.longitude,
+    r.coordinates_source,
+    mentions.total_mentions
+  FROM restaurants r
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_mentions
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = r.id AND rr.review_status <> 'rejected'
+  ) mentions
+  WHERE r.latitude IS NOT NULL AND r.longitude IS NOT NULL
+    AND (
+      (min_lng <= max_lng AND restaurant_point(r.latitude, r.longitude)
+        && ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326))
+      OR (min_lng > max_lng AND restaurant_point(r.latitude, r.longitude)
+        && ST_MakeEnvelope(min_lng, min_lat, 180, max_lat, 4326))
+      OR (min_lng > max_lng AND restaurant_point(r.latitude, r.longitude)
+        && ST_MakeEnvelope(-180, min_lat, max_lng, max_lat, 4326))
+    )
+    AND (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
+    AND (price_filter IS NULL OR r.price_range = price_filter)
+  ORDER BY mentions.total_mentions DESC, r.rating DESC NULLS LAST, r.name
+  LIMIT limit_count;
+$$;
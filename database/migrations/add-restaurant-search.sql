@@ -0,0 +1,191 @@
+-- Migration: Ranked full-text search over restaurants and what was said about them
+-- restaurant_search_documents holds each restaurant's name (weight A),
+-- cuisine and dishes (B), location (C) and recommendation context (D), kept
+-- up to date by triggers. It is a table of its own so the tsvector stays out
+-- of restaurant rows returned by the API. search_restaurants_fulltext ranks
+-- on it, highlights the best matching quote and falls back to trigram
+-- similarity on the name for typos ("franklin barbeque").
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS restaurant_search_documents (
+  restaurant_id UUID PRIMARY KEY REFERENCES restaurants(id) ON DELETE CASCADE,
+  search_vector TSVECTOR NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE restaurant_search_documents ENABLE ROW LEVEL SECURITY; -- service role only
+
+-- Search document for a restaurant; rejected recommendations are left out
+CREATE OR REPLACE FUNCTION build_restaurant_search_vector(r restaurants)
+RETURNS TSVECTOR
+LANGUAGE SQL
+STABLE
+AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(r.name, '')), 'A') ||
+    setweight(to_tsvector('english', concat_ws(' ', r.cuisine_type, rec.dishes)), 'B') ||
+    setweight(to_tsvector('english', concat_ws(' ', r.city, r.state, r.country)), 'C') ||
+    setweight(to_tsvector('english', COALESCE(rec.contexts, '')), 'D')
+  FROM (
+    SELECT
+      string_agg(rr.dish_mentioned, ' ') AS dishes,
+      string_agg(rr.context, ' ') AS contexts
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = r.id AND rr.review_status <> 'rejected'
+  ) rec;
+$$;
+
+CREATE OR REPLACE FUNCTION refresh_restaurant_search_documents(restaurant_ids UUID[])
+RETURNS VOID
+LANGUAGE SQL
+AS $$
+  INSERT INTO restaurant_search_documents (restaurant_id, search_vector, updated_at)
+  SELECT r.id, build_restaurant_search_vector(r), NOW()
+  FROM restaurants r
+  WHERE r.id = ANY(restaurant_ids)
+  ON CONFLICT (restaurant_id) DO UPDATE
+  SET search_vector = EXCLUDED.search_vector, updated_at = EXCLUDED.updated_at;
+$$;
+
+CREATE OR REPLACE FUNCTION update_restaurant_search_document()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- Recommendations feed their restaurant's dishes and context (and, when
+  -- moved by merge_restaurants, both restaurants')
+  IF TG_TABLE_NAME = 'restaurant_recommendations' THEN
+    PERFORM refresh_restaurant_search_documents(ARRAY[OLD.restaurant_id, NEW.restaurant_id]);
+  ELSE
+    PERFORM refresh_restaurant_search_documents(ARRAY[NEW.id]);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_update_restaurant_search_document ON restaurants;
+CREATE TRIGGER trigger_update_restaurant_search_document
+  AFTER INSERT OR UPDATE OF name, cuisine_type, city, state, country ON restaurants
+  FOR EACH ROW
+  EXECUTE FUNCTION update_restaurant_search_document();
+
+DROP TRIGGER IF EXISTS trigger_update_restaurant_search_document ON restaurant_recommendations;
+CREATE TRIGGER trigger_update_restaurant_search_document
+  AFTER INSERT OR DELETE OR UPDATE OF restaurant_id, dish_mentioned, context, review_status
+  ON restaurant_recommendations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_restaurant_search_document();
+
+SELECT refresh_restaurant_search_documents(ARRAY(SELECT id FROM restaurants));
+
+DROP INDEX IF EXISTS idx_restaurants_search;
+CREATE INDEX IF NOT EXISTS idx_restaurant_search_documents_vector ON restaurant_search_documents USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_restaurants_name_trgm ON restaurants USING GIN(name gin_trgm_ops);
+
+-- Ranked restaurant search. Rows matching any query word are returned;
+-- rows matching all of them, and higher-weighted fields, rank first. A name
+-- within word_similarity of the query matches too. snippet is the best
+-- matching dish and quote, HTML-escaped, with matches in <mark></mark>.
+DROP FUNCTION IF EXISTS search_restaurants_fulltext(TEXT, VARCHAR, VARCHAR, VARCHAR, INTEGER);
+CREATE OR REPLACE FUNCTION search_restaurants_fulltext(
+  search_query TEXT,
+  cuisine_filter VARCHAR DEFAULT NULL,
+  city_filter VARCHAR DEFAULT NULL,
+  price_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR,
+  address TEXT,
+  cuisine_type VARCHAR,
+  city VARCHAR,
+  state VARCHAR,
+  country VARCHAR,
+  price_range VARCHAR,
+  rating DECIMAL,
+  latitude DECIMAL,
+  longitude DECIMAL,
+  total_mentions BIGINT,
+  search_rank REAL,
+  snippet TEXT
+)
+LANGUAGE SQL
+STABLE
+AS $$
+  WITH terms AS (
+    SELECT
+      websearch_to_tsquery('english', search_query) AS all_terms,
+      -- The same stemmed words OR'd together
+      (
+        SELECT to_tsquery('simple', string_agg(quote_literal(lexeme), ' | '))
+        FROM unnest(tsvector_to_array(to_tsvector('english', search_query))) AS lexeme
+      ) AS any_term
+  ),
+  candidates AS (
+    SELECT d.restaurant_id AS id
+    FROM restaurant_search_documents d, terms t
+    WHERE d.search_vector @@ t.any_term
+    UNION
+    SELECT r.id
+    FROM restaurants r
+    WHERE search_query <% r.name
+  ),
+  matches AS (
+    SELECT
+      r.*,
+      t.any_term,
+      (
+        COALESCE(ts_rank_cd(d.search_vector, t.any_term), 0)
+        + CASE WHEN d.search_vector @@ t.all_terms THEN 1 ELSE 0 END
+        + word_similarity(search_query, r.name)
+      )::REAL AS search_rank
+    FROM candidates c
+    JOIN restaurants r ON r.id = c.id
+    LEFT JOIN restaurant_search_documents d ON d.restaurant_id = r.id
+    CROSS JOIN terms t
+    WHERE (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
+      AND (city_filter IS NULL OR r.city ILIKE '%' || city_filter || '%')
+      AND (price_filter IS NULL OR r.price_range = price_filter)
+  )
+  SELECT
+    m.id,
+    m.name,
+    m.address,
+    m.cuisine_type,
+    m.city,
+    m.state,
+    m.country,
+    m.price_range,
+    m.rating,
+    m.latitude,
+    m.longitude,
+    mentions.total_mentions,
+    m.search_rank,
+    best_quote.snippet
+  FROM matches m
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_mentions
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = m.id AND rr.review_status <> 'rejected'
+  ) mentions
+  LEFT JOIN LATERAL (
+    SELECT ts_headline(
+      'english',
+      replace(replace(replace(doc.body, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      m.any_term,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=8, MaxWords=25, MaxFragments=2'
+    ) AS snippet
+    FROM restaurant_recommendations rr
+    CROSS JOIN LATERAL (SELECT concat_ws(' - ', rr.dish_mentioned, rr.context) AS body) doc
+    WHERE rr.restaurant_id = m.id
+      AND rr.review_status <> 'rejected'
+      AND to_tsvector('english', doc.body) @@ m.any_term
+    ORDER BY ts_rank_cd(to_tsvector('english', doc.body), m.any_term) DESC
+    LIMIT 1
+  ) best_quote ON TRUE
+  ORDER BY m.search_rank DESC, mentions.total_mentions DESC, m.name
+  LIMIT limit_count;
+$$;
@@ -0,0 +1,25 @@
+-- Migration: Scheduled channel sync per influencer
+-- The sync scheduler in the backend (backend/services/syncScheduler.js)
+-- syncs each influencer's new uploads on its sync_schedule and queues the
+-- new videos for processing.
+-- sync_schedule: daily, weekly or paused
+-- last_synced_at: start of the last scheduled sync that finished; the next
+--   one reads uploads published since then
+-- next_sync_at: when the next scheduled sync is due (NULL: now)
+-- last_sync_error: why the last scheduled sync failed, cleared on success
+
+ALTER TABLE influencers ADD COLUMN IF NOT EXISTS sync_schedule VARCHAR(10) NOT NULL DEFAULT 'daily'
+  CHECK (sync_schedule IN ('daily', 'weekly', 'paused'));
+ALTER TABLE influencers ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE influencers ADD COLUMN IF NOT EXISTS next_sync_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE influencers ADD COLUMN IF NOT EXISTS last_sync_error TEXT;
+
+-- Existing influencers count as synced now, so the first scheduler run after
+-- this migration doesn't sync every channel and queue its latest uploads for
+-- paid processing; their first scheduled sync is a day from now and picks up
+-- what they upload from here on
+UPDATE influencers
+SET last_synced_at = NOW(), next_sync_at = NOW() + INTERVAL '1 day'
+WHERE last_synced_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_influencers_next_sync_at ON influencers(next_sync_at) WHERE sync_schedule <> 'paused';
@@ -0,0 +1,92 @@
+-- Migration: Search inside transcripts and land on the moment
+-- search_transcript_segments finds a phrase in the stored transcript
+-- segments, including a phrase split across two segments, and returns the
+-- second it starts at. Backs GET /api/search/transcripts.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_search ON transcript_segments
+  USING GIN(to_tsvector('english', text));
+-- ILIKE transcript matching in /api/search/videos and /api/search/all
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_text_trgm ON transcript_segments
+  USING GIN(text gin_trgm_ops);
+
+-- Moments where search_query is said, best match first. A segment is a hit
+-- when the phrase is in it or starts in it and runs into the next segment
+-- (a phrase entirely in the next segment is that segment's hit). snippet is
+-- HTML-escaped with the phrase in <mark></mark>; transcript_timed is false
+-- when start times were estimated from untimed text.
+CREATE OR REPLACE FUNCTION search_transcript_segments(
+  search_query TEXT,
+  influencer_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  video_uuid UUID,
+  video_id VARCHAR,
+  title VARCHAR,
+  thumbnail_url VARCHAR,
+  published_at TIMESTAMP WITH TIME ZONE,
+  transcript_timed BOOLEAN,
+  channel_name VARCHAR,
+  segment_index INTEGER,
+  start_seconds NUMERIC,
+  snippet TEXT,
+  search_rank REAL
+)
+LANGUAGE SQL
+STABLE
+AS $$
+  WITH terms AS (
+    SELECT
+      phraseto_tsquery('english', search_query) AS phrase,
+      -- Any of the phrase's words, to find candidate segments in the index
+      (
+        SELECT to_tsquery('simple', string_agg(quote_literal(lexeme), ' | '))
+        FROM unnest(tsvector_to_array(to_tsvector('english', search_query))) AS lexeme
+      ) AS any_term
+  ),
+  hits AS (
+    SELECT
+      s.video_id AS video_uuid,
+      s.segment_index,
+      s.start_seconds,
+      concat_ws(' ', s.text, next_segment.text) AS window_text,
+      t.phrase
+    FROM transcript_segments s
+    CROSS JOIN terms t
+    LEFT JOIN transcript_segments next_segment
+      ON next_segment.video_id = s.video_id AND next_segment.segment_index = s.segment_index + 1
+    WHERE to_tsvector('english', s.text) @@ t.any_term
+      AND (
+        to_tsvector('english', s.text) @@ t.phrase
+        OR (
+          to_tsvector('english', concat_ws(' ', s.text, next_segment.text)) @@ t.phrase
+          AND NOT COALESCE(to_tsvector('english', next_segment.text) @@ t.phrase, FALSE)
+        )
+      )
+  )
+  SELECT
+    v.id,
+    v.video_id,
+    v.title,
+    v.thumbnail_url,
+    v.published_at,
+    v.transcript_timed,
+    i.channel_name,
+    h.segment_index,
+    h.start_seconds,
+    ts_headline(
+      'english',
+      replace(replace(replace(h.window_text, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      h.phrase,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=8, MaxWords=30'
+    ),
+    ts_rank_cd(to_tsvector('english', h.window_text), h.phrase)::REAL AS search_rank
+  FROM hits h
+  JOIN videos v ON v.id = h.video_uuid
+  LEFT JOIN influencers i ON i.id = v.influencer_id
+  WHERE influencer_filter IS NULL OR i.channel_name = influencer_filter
+  ORDER BY search_rank DESC, v.published_at DESC NULLS LAST, h.start_seconds
+  LIMIT limit_count;
+$$;
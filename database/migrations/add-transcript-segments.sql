@@ -0,0 +1,23 @@
+-- Migration: Store timed transcript segments
+-- Each segment keeps its start time and duration (seconds) so timestamp
+-- alignment, AI extraction and search read the stored transcript instead of
+-- downloading it from YouTube again on every run.
+
+CREATE TABLE IF NOT EXISTS transcript_segments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+  segment_index INTEGER NOT NULL, -- order within the transcript
+  start_seconds NUMERIC(10, 3) NOT NULL,
+  duration_seconds NUMERIC(10, 3) DEFAULT 0,
+  text TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(video_id, segment_index)
+);
+
+-- False when start times were estimated from untimed text
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS transcript_timed BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_video_id ON transcript_segments(video_id, start_seconds);
+
+ALTER TABLE transcript_segments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Public read access for transcript_segments" ON transcript_segments FOR SELECT USING (true);
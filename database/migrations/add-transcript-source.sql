@@ -0,0 +1,11 @@
+-- Migration: Record where each video's transcript came from
+-- transcript_source is the transcript provider that succeeded (youtube-transcript,
+-- rapidapi, caption-file, manual) or 'description' when none did.
+-- manual_transcript holds a transcript pasted by an admin for the manual provider.
+
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS transcript_source VARCHAR(50);
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS manual_transcript TEXT;
+
+-- Transcripts stored before providers were tracked came from YouTube or RapidAPI
+UPDATE videos SET transcript_source = 'stored'
+WHERE transcript IS NOT NULL AND transcript_source IS NULL;
@@ -0,0 +1,50 @@
+-- Migration: Add usage_ledger for AI and Google Maps cost tracking
+-- Every paid API call the backend makes (LLM completions, embeddings, Places
+-- requests) is recorded with its estimated cost. The daily total is checked
+-- against DAILY_COST_BUDGET_USD: when it is spent the processing worker stops
+-- claiming jobs and the routes that queue paid work answer 429 until the next
+-- UTC day (see backend/services/usageLedgerService.js).
+
+CREATE TABLE IF NOT EXISTS usage_ledger (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  service VARCHAR(50) NOT NULL, -- llm, embedding, maps
+  operation VARCHAR(100) NOT NULL, -- extraction, summary, place_search, ...
+  provider VARCHAR(50),
+  model VARCHAR(255),
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  requests INTEGER DEFAULT 1,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0, -- estimate from the price table
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_ledger_created_at ON usage_ledger(created_at DESC);
+
+-- Internal bookkeeping; only the service role (which bypasses RLS) touches it
+ALTER TABLE usage_ledger ENABLE ROW LEVEL SECURITY;
+
+-- Calls, tokens and cost per service since since_time
+CREATE OR REPLACE FUNCTION get_usage_summary(since_time TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  service VARCHAR(50),
+  calls BIGINT,
+  requests BIGINT,
+  input_tokens BIGINT,
+  output_tokens BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    u.service,
+    COUNT(*) AS calls,
+    COALESCE(SUM(u.requests), 0) AS requests,
+    COALESCE(SUM(u.input_tokens), 0) AS input_tokens,
+    COALESCE(SUM(u.output_tokens), 0) AS output_tokens,
+    COALESCE(SUM(u.cost_usd), 0) AS cost_usd
+  FROM usage_ledger u
+  WHERE u.created_at >= since_time
+  GROUP BY u.service
+  ORDER BY u.service;
+$$;
@@ -0,0 +1,37 @@
+-- Migration: Track YouTube Data API quota in usage_ledger
+-- Every Data API request is recorded with the quota units its method costs
+-- (search.list 100, videos.list 1, ...). The day's total is checked against
+-- YOUTUBE_DAILY_QUOTA so syncs are deferred before Google starts refusing
+-- requests (see backend/services/youtubeQuotaService.js).
+
+ALTER TABLE usage_ledger ADD COLUMN IF NOT EXISTS quota_units INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN usage_ledger.service IS 'llm, embedding, maps or youtube';
+
+CREATE INDEX IF NOT EXISTS idx_usage_ledger_service_created_at ON usage_ledger(service, created_at DESC);
+
+-- Calls, quota units and cost per operation of one service since since_time
+CREATE OR REPLACE FUNCTION get_usage_by_operation(
+  usage_service VARCHAR(50),
+  since_time TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (
+  operation VARCHAR(100),
+  calls BIGINT,
+  quota_units BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    u.operation,
+    COUNT(*) AS calls,
+    COALESCE(SUM(u.quota_units), 0) AS quota_units,
+    COALESCE(SUM(u.cost_usd), 0) AS cost_usd
+  FROM usage_ledger u
+  WHERE u.service = usage_service
+    AND u.created_at >= since_time
+  GROUP BY u.operation
+  ORDER BY quota_units DESC, u.operation;
+$$;
@@ -1,5 +1,8 @@
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm; -- typo-tolerant restaurant search
+CREATE EXTENSION IF NOT EXISTS postgis; -- nearby search (restaurant_point in sql-functions.sql)
+CREATE EXTENSION IF NOT EXISTS vector; -- semantic search (restaurant_embeddings)
 
 -- Create tables for influencer restaurants app
 
@@ -13,6 +16,16 @@ CREATE TABLE influencers (
   video_count INTEGER DEFAULT 0,
   description TEXT,
   profile_image_url VARCHAR(500),
+  backfill_page_token VARCHAR(255), -- next uploads playlist page of the back catalog sync
+  backfill_published_after TIMESTAMP WITH TIME ZONE, -- publish window the backfill walks
+  backfill_published_before TIMESTAMP WITH TIME ZONE,
+  backfill_completed_at TIMESTAMP WITH TIME ZONE,
+  backfill_updated_at TIMESTAMP WITH TIME ZONE,
+  sync_schedule VARCHAR(10) NOT NULL DEFAULT 'daily'
+    CHECK (sync_schedule IN ('daily', 'weekly', 'paused')), -- scheduled sync of new uploads
+  last_synced_at TIMESTAMP WITH TIME ZONE, -- start of the last scheduled sync that finished
+  next_sync_at TIMESTAMP WITH TIME ZONE, -- NULL: due now
+  last_sync_error TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -31,8 +44,13 @@ CREATE TABLE videos (
   duration VARCHAR(50),
   duration_seconds INTEGER DEFAULT 0,
   transcript TEXT,
+  transcript_source VARCHAR(50),
+  transcript_timed BOOLEAN DEFAULT FALSE, -- false when segment times are estimated
+  manual_transcript TEXT,
   processed BOOLEAN DEFAULT FALSE,
   processing_error TEXT,
+  extraction_error JSONB, -- why the AI response failed schema validation
+  review_completed_at TIMESTAMP WITH TIME ZONE, -- all recommendations labeled; part of the gold dataset
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -48,15 +66,38 @@ CREATE TABLE restaurants (
   cuisine_type VARCHAR(100),
   phone VARCHAR(50),
   website VARCHAR(500),
+  place_id VARCHAR(255), -- Google place ID, unique (idx_restaurants_place_id)
   google_maps_url VARCHAR(500),
   latitude DECIMAL(10, 8),
   longitude DECIMAL(11, 8),
+  coordinates_source VARCHAR(20) CHECK (coordinates_source IN ('google', 'gazetteer')), -- gazetteer = city centre only
   price_range VARCHAR(50), -- $, $$, $$$, $$$$
   rating DECIMAL(3, 2),
+  enrichment_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (enrichment_status IN ('pending', 'enriched', 'not_found', 'failed')), -- Google Maps lookup
+  enriched_at TIMESTAMP WITH TIME ZONE, -- last time Google Maps answered
+  enrichment_error TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Restaurant search documents (tsvector over the restaurant and its
+-- recommendations, kept up to date by triggers in sql-functions.sql)
+CREATE TABLE restaurant_search_documents (
+  restaurant_id UUID PRIMARY KEY REFERENCES restaurants(id) ON DELETE CASCADE,
+  search_vector TSVECTOR NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Restaurant embeddings for semantic search; vector size = EMBEDDING_DIMENSIONS
+CREATE TABLE restaurant_embeddings (
+  restaurant_id UUID PRIMARY KEY REFERENCES restaurants(id) ON DELETE CASCADE,
+  embedding vector(768) NOT NULL,
+  model VARCHAR(100) NOT NULL, -- provider/model that made it
+  content_hash VARCHAR(64) NOT NULL, -- sha256 of the embedded text
+  embedded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Restaurant recommendations (many-to-many between videos and restaurants)
 CREATE TABLE restaurant_recommendations (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -66,10 +107,26 @@ CREATE TABLE restaurant_recommendations (
   confidence_score DECIMAL(3, 2) DEFAULT 0.8, -- AI confidence in recommendation
   context TEXT, -- what was said about the restaurant
   dish_mentioned VARCHAR(255),
+  prompt_version VARCHAR(20), -- extraction prompt version that produced it
+  review_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (review_status IN ('pending', 'confirmed', 'rejected')),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   UNIQUE(video_id, restaurant_id)
 );
 
+-- Reviewer labels for extracted recommendations (gold dataset)
+CREATE TABLE recommendation_labels (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+  recommendation_id UUID UNIQUE REFERENCES restaurant_recommendations(id) ON DELETE SET NULL,
+  restaurant_name VARCHAR(255) NOT NULL,
+  label VARCHAR(20) NOT NULL CHECK (label IN ('correct', 'wrong', 'missing')),
+  prompt_version VARCHAR(20), -- prompt that extracted the row, NULL for missing restaurants
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Users table (handled by Supabase Auth, but we can extend with custom fields)
 CREATE TABLE user_profiles (
   id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
@@ -100,15 +157,91 @@ CREATE TABLE user_follows (
   UNIQUE(user_id, influencer_id)
 );
 
+-- Timed transcript segments, start/duration in seconds
+CREATE TABLE transcript_segments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  video_id UUID REFERENCES videos(id) ON DELETE CASCADE,
+  segment_index INTEGER NOT NULL, -- order within the transcript
+  start_seconds NUMERIC(10, 3) NOT NULL,
+  duration_seconds NUMERIC(10, 3) DEFAULT 0,
+  text TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(video_id, segment_index)
+);
+
+-- Background processing jobs (see backend/services/processingWorker.js)
+CREATE TABLE processing_jobs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  job_type VARCHAR(50) NOT NULL DEFAULT 'process_video',
+  video_id VARCHAR(255) REFERENCES videos(video_id) ON DELETE CASCADE,
+  batch_id UUID, -- groups jobs enqueued by the same request
+  payload JSONB DEFAULT '{}'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- used for retry backoff
+  locked_by VARCHAR(255), -- worker id holding the lease
+  lease_expires_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  result JSONB,
+  progress JSONB DEFAULT '{}'::jsonb, -- per-step status and timings
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Estimated cost of each paid AI and Maps call, and the quota units of each
+-- YouTube Data API request (see backend/services/usageLedgerService.js and
+-- youtubeQuotaService.js)
+CREATE TABLE usage_ledger (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  service VARCHAR(50) NOT NULL, -- llm, embedding, maps, youtube
+  operation VARCHAR(100) NOT NULL, -- extraction, summary, place_search, ...
+  provider VARCHAR(50),
+  model VARCHAR(255),
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  requests INTEGER DEFAULT 1,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  quota_units INTEGER DEFAULT 0, -- YouTube Data API units
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_videos_influencer_id ON videos(influencer_id);
 CREATE INDEX idx_videos_processed ON videos(processed);
+CREATE INDEX idx_videos_influencer_published_at ON videos(influencer_id, published_at DESC NULLS LAST, id DESC);
+CREATE INDEX idx_influencers_subscriber_count ON influencers(subscriber_count DESC NULLS LAST, id DESC);
+CREATE INDEX idx_influencers_next_sync_at ON influencers(next_sync_at) WHERE sync_schedule <> 'paused';
 CREATE INDEX idx_restaurant_recommendations_video_id ON restaurant_recommendations(video_id);
 CREATE INDEX idx_restaurant_recommendations_restaurant_id ON restaurant_recommendations(restaurant_id);
+CREATE INDEX idx_restaurant_recommendations_prompt_version ON restaurant_recommendations(prompt_version);
+CREATE INDEX idx_restaurant_recommendations_review_status ON restaurant_recommendations(review_status);
+CREATE INDEX idx_recommendation_labels_video_id ON recommendation_labels(video_id);
 CREATE INDEX idx_restaurants_cuisine_type ON restaurants(cuisine_type);
 CREATE INDEX idx_restaurants_city ON restaurants(city);
+CREATE INDEX idx_restaurants_created_at ON restaurants(created_at DESC NULLS LAST, id DESC);
+CREATE INDEX idx_restaurants_name ON restaurants(name, id);
+CREATE INDEX idx_restaurants_rating ON restaurants(rating DESC NULLS LAST, id DESC);
+CREATE UNIQUE INDEX idx_restaurants_place_id ON restaurants(place_id);
+CREATE INDEX idx_restaurants_enrichment ON restaurants(enrichment_status, enriched_at);
+CREATE INDEX idx_restaurants_name_trgm ON restaurants USING GIN(name gin_trgm_ops);
+CREATE INDEX idx_restaurant_search_documents_vector ON restaurant_search_documents USING GIN(search_vector);
+CREATE INDEX idx_restaurant_embeddings_embedding ON restaurant_embeddings USING hnsw (embedding vector_cosine_ops);
 CREATE INDEX idx_user_favorites_user_id ON user_favorites(user_id);
+CREATE INDEX idx_user_favorites_user_created_at ON user_favorites(user_id, created_at DESC NULLS LAST, id DESC);
 CREATE INDEX idx_user_follows_user_id ON user_follows(user_id);
+CREATE UNIQUE INDEX idx_processing_jobs_active_video ON processing_jobs(job_type, video_id) WHERE status IN ('queued', 'running');
+CREATE INDEX idx_transcript_segments_video_id ON transcript_segments(video_id, start_seconds);
+CREATE INDEX idx_transcript_segments_search ON transcript_segments USING GIN(to_tsvector('english', text));
+CREATE INDEX idx_transcript_segments_text_trgm ON transcript_segments USING GIN(text gin_trgm_ops);
+CREATE INDEX idx_processing_jobs_status_run_after ON processing_jobs(status, run_after);
+CREATE INDEX idx_processing_jobs_batch_id ON processing_jobs(batch_id);
+CREATE INDEX idx_processing_jobs_created_at ON processing_jobs(created_at DESC);
+CREATE INDEX idx_usage_ledger_created_at ON usage_ledger(created_at DESC);
+CREATE INDEX idx_usage_ledger_service_created_at ON usage_ledger(service, created_at DESC);
 
 -- Row Level Security (RLS) policies
 ALTER TABLE influencers ENABLE ROW LEVEL SECURITY;
@@ -118,12 +251,19 @@ ALTER TABLE restaurant_recommendations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_favorites ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_follows ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transcript_segments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE processing_jobs ENABLE ROW LEVEL SECURITY; -- service role only
+ALTER TABLE recommendation_labels ENABLE ROW LEVEL SECURITY; -- service role only
+ALTER TABLE restaurant_search_documents ENABLE ROW LEVEL SECURITY; -- service role only
+ALTER TABLE restaurant_embeddings ENABLE ROW LEVEL SECURITY; -- service role only
+ALTER TABLE usage_ledger ENABLE ROW LEVEL SECURITY; -- service role only
 
 -- Public read access for core data
 CREATE POLICY "Public read access for influencers" ON influencers FOR SELECT USING (true);
 CREATE POLICY "Public read access for videos" ON videos FOR SELECT USING (true);
 CREATE POLICY "Public read access for restaurants" ON restaurants FOR SELECT USING (true);
-CREATE POLICY "Public read access for restaurant_recommendations" ON restaurant_recommendations FOR SELECT USING (true);
+CREATE POLICY "Public read access for restaurant_recommendations" ON restaurant_recommendations FOR SELECT USING (review_status <> 'rejected');
+CREATE POLICY "Public read access for transcript_segments" ON transcript_segments FOR SELECT USING (true);
 
 -- User profile policies
 CREATE POLICY "Users can read all profiles" ON user_profiles FOR SELECT USING (true);
@@ -26,7 +26,7 @@ AS $$
     COUNT(rr.id) as recommendation_count,
     MAX(rr.created_at) as latest_mention
   FROM restaurants r
-  LEFT JOIN restaurant_recommendations rr ON r.id = rr.restaurant_id
+  LEFT JOIN restaurant_recommendations rr ON r.id = rr.restaurant_id AND rr.review_status <> 'rejected'
   GROUP BY r.id, r.name, r.cuisine_type, r.city, r.country, r.price_range, r.rating
   ORDER BY recommendation_count DESC, latest_mention DESC
   LIMIT limit_count;
@@ -55,7 +55,7 @@ AS $$
     COUNT(DISTINCT rr.restaurant_id) as unique_restaurants
   FROM influencers i
   LEFT JOIN videos v ON i.id = v.influencer_id
-  LEFT JOIN restaurant_recommendations rr ON v.id = rr.video_id
+  LEFT JOIN restaurant_recommendations rr ON v.id = rr.video_id AND rr.review_status <> 'rejected'
   WHERE i.id = influencer_uuid
   GROUP BY i.id, i.channel_name, i.subscriber_count;
 $$;
@@ -81,6 +81,7 @@ FROM restaurant_recommendations rr
 JOIN restaurants r ON rr.restaurant_id = r.id
 JOIN videos v ON rr.video_id = v.id
 JOIN influencers i ON v.influencer_id = i.id
+WHERE rr.review_status <> 'rejected'
 ORDER BY rr.created_at DESC;
 
 -- View for restaurant details with recommendation summary
@@ -94,59 +95,298 @@ SELECT
   array_agg(DISTINCT rr.dish_mentioned) FILTER (WHERE rr.dish_mentioned IS NOT NULL) as popular_dishes,
   array_agg(DISTINCT i.channel_name) as mentioned_by_influencers
 FROM restaurants r
-LEFT JOIN restaurant_recommendations rr ON r.id = rr.restaurant_id
+LEFT JOIN restaurant_recommendations rr ON r.id = rr.restaurant_id AND rr.review_status <> 'rejected'
 LEFT JOIN videos v ON rr.video_id = v.id
 LEFT JOIN influencers i ON v.influencer_id = i.id
 GROUP BY r.id;
 
--- Function to search restaurants with full-text search
+-- Ranked restaurant search. Rows matching any query word are returned;
+-- rows matching all of them, and higher-weighted fields, rank first. A name
+-- within word_similarity of the query matches too. snippet is the best
+-- matching dish and quote, HTML-escaped, with matches in <mark></mark>.
+-- Pages with offset_count; total_count is the number of matches.
+DROP FUNCTION IF EXISTS search_restaurants_fulltext(TEXT, VARCHAR, VARCHAR, VARCHAR, INTEGER);
 CREATE OR REPLACE FUNCTION search_restaurants_fulltext(
   search_query TEXT,
   cuisine_filter VARCHAR DEFAULT NULL,
   city_filter VARCHAR DEFAULT NULL,
   price_filter VARCHAR DEFAULT NULL,
-  limit_count INTEGER DEFAULT 50
+  limit_count INTEGER DEFAULT 50,
+  offset_count INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR,
+  address TEXT,
+  cuisine_type VARCHAR,
+  city VARCHAR,
+  state VARCHAR,
+  country VARCHAR,
+  price_range VARCHAR,
+  rating DECIMAL,
+  latitude DECIMAL,
+  longitude DECIMAL,
+  total_mentions BIGINT,
+  search_rank REAL,
+  snippet TEXT,
+  total_count BIGINT
+)
+LANGUAGE SQL
+STABLE
+AS $$
+  WITH terms AS (
+    SELECT
+      websearch_to_tsquery('english', search_query) AS all_terms,
+      -- The same stemmed words OR'd together
+      (
+        SELECT to_tsquery('simple', string_agg(quote_literal(lexeme), ' | '))
+        FROM unnest(tsvector_to_array(to_tsvector('english', search_query))) AS lexeme
+      ) AS any_term
+  ),
+  candidates AS (
+    SELECT d.restaurant_id AS id
+    FROM restaurant_search_documents d, terms t
+    WHERE d.search_vector @@ t.any_term
+    UNION
+    SELECT r.id
+    FROM restaurants r
+    WHERE search_query <% r.name
+  ),
+  matches AS (
+    SELECT
+      r.*,
+      t.any_term,
+      (
+        COALESCE(ts_rank_cd(d.search_vector, t.any_term), 0)
+        + CASE WHEN d.search_vector @@ t.all_terms THEN 1 ELSE 0 END
+        + word_similarity(search_query, r.name)
+      )::REAL AS search_rank
+    FROM candidates c
+    JOIN restaurants r ON r.id = c.id
+    LEFT JOIN restaurant_search_documents d ON d.restaurant_id = r.id
+    CROSS JOIN terms t
+    WHERE (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
+      AND (city_filter IS NULL OR r.city ILIKE '%' || city_filter || '%')
+      AND (price_filter IS NULL OR r.price_range = price_filter)
+  )
+  SELECT
+    m.id,
+    m.name,
+    m.address,
+    m.cuisine_type,
+    m.city,
+    m.state,
+    m.country,
+    m.price_range,
+    m.rating,
+    m.latitude,
+    m.longitude,
+    mentions.total_mentions,
+    m.search_rank,
+    best_quote.snippet,
+    COUNT(*) OVER () AS total_count
+  FROM matches m
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_mentions
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = m.id AND rr.review_status <> 'rejected'
+  ) mentions
+  LEFT JOIN LATERAL (
+    SELECT ts_headline(
+      'english',
+      replace(replace(replace(doc.body, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      m.any_term,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=8, MaxWords=25, MaxFragments=2'
+    ) AS snippet
+    FROM restaurant_recommendations rr
+    CROSS JOIN LATERAL (SELECT concat_ws(' - ', rr.dish_mentioned, rr.context) AS body) doc
+    WHERE rr.restaurant_id = m.id
+      AND rr.review_status <> 'rejected'
+      AND to_tsvector('english', doc.body) @@ m.any_term
+    ORDER BY ts_rank_cd(to_tsvector('english', doc.body), m.any_term) DESC
+    LIMIT 1
+  ) best_quote ON TRUE
+  ORDER BY m.search_rank DESC, mentions.total_mentions DESC, m.name, m.id
+  LIMIT limit_count
+  OFFSET offset_count;
+$$;
+
+-- Restaurants closest in meaning to query_embedding (cosine similarity). With
+-- search_query and keyword_weight > 0 (hybrid), restaurants the keyword search
+-- finds are candidates too and score is
+-- (1 - keyword_weight) * similarity + keyword_weight * keyword_score, where
+-- keyword_score is the restaurant_search_documents rank scaled to 0..1.
+-- Filters apply to the nearest limit_count * 4 candidates of each kind.
+CREATE OR REPLACE FUNCTION search_restaurants_semantic(
+  query_embedding vector(768),
+  search_query TEXT DEFAULT NULL,
+  keyword_weight DOUBLE PRECISION DEFAULT 0,
+  cuisine_filter VARCHAR DEFAULT NULL,
+  city_filter VARCHAR DEFAULT NULL,
+  price_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 20
 )
 RETURNS TABLE (
   id UUID,
   name VARCHAR,
+  address TEXT,
   cuisine_type VARCHAR,
   city VARCHAR,
+  state VARCHAR,
   country VARCHAR,
   price_range VARCHAR,
   rating DECIMAL,
+  latitude DECIMAL,
+  longitude DECIMAL,
   total_mentions BIGINT,
-  mentioned_by_count BIGINT,
-  latest_mention TIMESTAMP WITH TIME ZONE,
+  similarity REAL,
+  keyword_score REAL,
+  score REAL
+)
+LANGUAGE SQL
+STABLE
+-- The HNSW scan returns at most ef_search rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH terms AS (
+    SELECT (
+      SELECT to_tsquery('simple', string_agg(quote_literal(lexeme), ' | '))
+      FROM unnest(tsvector_to_array(to_tsvector('english', COALESCE(search_query, '')))) AS lexeme
+    ) AS any_term
+  ),
+  nearest AS (
+    SELECT e.restaurant_id AS id
+    FROM restaurant_embeddings e
+    ORDER BY e.embedding <=> query_embedding
+    LIMIT limit_count * 4
+  ),
+  keyword_matches AS (
+    SELECT d.restaurant_id AS id
+    FROM restaurant_search_documents d, terms t
+    WHERE keyword_weight > 0 AND d.search_vector @@ t.any_term
+    ORDER BY ts_rank_cd(d.search_vector, t.any_term, 32) DESC
+    LIMIT limit_count * 4
+  ),
+  scored AS (
+    SELECT
+      r.*,
+      COALESCE(1 - (e.embedding <=> query_embedding), 0) AS similarity,
+      CASE
+        WHEN keyword_weight > 0 THEN COALESCE(ts_rank_cd(d.search_vector, t.any_term, 32), 0)
+        ELSE 0
+      END AS keyword_score
+    FROM (SELECT nearest.id FROM nearest UNION SELECT keyword_matches.id FROM keyword_matches) c
+    JOIN restaurants r ON r.id = c.id
+    LEFT JOIN restaurant_embeddings e ON e.restaurant_id = r.id
+    LEFT JOIN restaurant_search_documents d ON d.restaurant_id = r.id
+    CROSS JOIN terms t
+    WHERE (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
+      AND (city_filter IS NULL OR r.city ILIKE '%' || city_filter || '%')
+      AND (price_filter IS NULL OR r.price_range = price_filter)
+  )
+  SELECT
+    s.id,
+    s.name,
+    s.address,
+    s.cuisine_type,
+    s.city,
+    s.state,
+    s.country,
+    s.price_range,
+    s.rating,
+    s.latitude,
+    s.longitude,
+    mentions.total_mentions,
+    s.similarity::REAL,
+    s.keyword_score::REAL,
+    ((1 - keyword_weight) * s.similarity + keyword_weight * s.keyword_score)::REAL AS score
+  FROM scored s
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_mentions
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = s.id AND rr.review_status <> 'rejected'
+  ) mentions
+  ORDER BY score DESC, mentions.total_mentions DESC
+  LIMIT limit_count;
+$$;
+
+-- Moments where search_query is said, best match first. A segment is a hit
+-- when the phrase is in it or starts in it and runs into the next segment
+-- (a phrase entirely in the next segment is that segment's hit). snippet is
+-- HTML-escaped with the phrase in <mark></mark>; transcript_timed is false
+-- when start times were estimated from untimed text.
+CREATE OR REPLACE FUNCTION search_transcript_segments(
+  search_query TEXT,
+  influencer_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  video_uuid UUID,
+  video_id VARCHAR,
+  title VARCHAR,
+  thumbnail_url VARCHAR,
+  published_at TIMESTAMP WITH TIME ZONE,
+  transcript_timed BOOLEAN,
+  channel_name VARCHAR,
+  segment_index INTEGER,
+  start_seconds NUMERIC,
+  snippet TEXT,
   search_rank REAL
-) 
+)
 LANGUAGE SQL
+STABLE
 AS $$
-  SELECT 
-    r.id,
-    r.name,
-    r.cuisine_type,
-    r.city,
-    r.country,
-    r.price_range,
-    r.rating,
-    rdv.total_mentions,
-    rdv.mentioned_by_count,
-    rdv.latest_mention,
-    ts_rank(
-      to_tsvector('english', r.name || ' ' || COALESCE(r.cuisine_type, '') || ' ' || COALESCE(r.city, '')),
-      plainto_tsquery('english', search_query)
-    ) as search_rank
-  FROM restaurants r
-  JOIN restaurant_details_view rdv ON r.id = rdv.id
-  WHERE 
-    (search_query IS NULL OR 
-     to_tsvector('english', r.name || ' ' || COALESCE(r.cuisine_type, '') || ' ' || COALESCE(r.city, '')) 
-     @@ plainto_tsquery('english', search_query))
-    AND (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
-    AND (city_filter IS NULL OR r.city ILIKE '%' || city_filter || '%')
-    AND (price_filter IS NULL OR r.price_range = price_filter)
-  ORDER BY search_rank DESC, rdv.total_mentions DESC
+  WITH terms AS (
+    SELECT
+      phraseto_tsquery('english', search_query) AS phrase,
+      -- Any of the phrase's words, to find candidate segments in the index
+      (
+        SELECT to_tsquery('simple', string_agg(quote_literal(lexeme), ' | '))
+        FROM unnest(tsvector_to_array(to_tsvector('english', search_query))) AS lexeme
+      ) AS any_term
+  ),
+  hits AS (
+    SELECT
+      s.video_id AS video_uuid,
+      s.segment_index,
+      s.start_seconds,
+      concat_ws(' ', s.text, next_segment.text) AS window_text,
+      t.phrase
+    FROM transcript_segments s
+    CROSS JOIN terms t
+    LEFT JOIN transcript_segments next_segment
+      ON next_segment.video_id = s.video_id AND next_segment.segment_index = s.segment_index + 1
+    WHERE to_tsvector('english', s.text) @@ t.any_term
+      AND (
+        to_tsvector('english', s.text) @@ t.phrase
+        OR (
+          to_tsvector('english', concat_ws(' ', s.text, next_segment.text)) @@ t.phrase
+          AND NOT COALESCE(to_tsvector('english', next_segment.text) @@ t.phrase, FALSE)
+        )
+      )
+  )
+  SELECT
+    v.id,
+    v.video_id,
+    v.title,
+    v.thumbnail_url,
+    v.published_at,
+    v.transcript_timed,
+    i.channel_name,
+    h.segment_index,
+    h.start_seconds,
+    ts_headline(
+      'english',
+      replace(replace(replace(h.window_text, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      h.phrase,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=8, MaxWords=30'
+    ),
+    ts_rank_cd(to_tsvector('english', h.window_text), h.phrase)::REAL AS search_rank
+  FROM hits h
+  JOIN videos v ON v.id = h.video_uuid
+  LEFT JOIN influencers i ON i.id = v.influencer_id
+  WHERE influencer_filter IS NULL OR i.channel_name = influencer_filter
+  ORDER BY search_rank DESC, v.published_at DESC NULLS LAST, h.start_seconds
   LIMIT limit_count;
 $$;
 
@@ -205,6 +445,7 @@ AS $$
   LEFT JOIN user_prefs up ON true
   LEFT JOIN user_follows uf ON i.id = uf.influencer_id
   WHERE rr.created_at >= NOW() - INTERVAL '30 days' -- Recent recommendations only
+    AND rr.review_status <> 'rejected'
   ORDER BY relevance_score DESC, rr.created_at DESC
   LIMIT limit_count;
 $$;
@@ -236,7 +477,7 @@ AS $$
       COUNT(rr.id) as total_mentions,
       MAX(rr.created_at) as latest_mention
     FROM restaurants r
-    LEFT JOIN restaurant_recommendations rr ON r.id = rr.restaurant_id
+    LEFT JOIN restaurant_recommendations rr ON r.id = rr.restaurant_id AND rr.review_status <> 'rejected'
     GROUP BY r.id, r.name, r.cuisine_type, r.city
   )
   SELECT 
@@ -257,10 +498,344 @@ AS $$
   LIMIT limit_count;
 $$;
 
+-- Atomically claim the next runnable processing job: queued jobs whose backoff
+-- has passed, or running jobs whose worker stopped renewing the lease.
+CREATE OR REPLACE FUNCTION claim_processing_job(worker_id TEXT, lease_seconds INTEGER DEFAULT 300)
+RETURNS SETOF processing_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE processing_jobs
+  SET
+    status = 'running',
+    attempts = processing_jobs.attempts + 1,
+    locked_by = worker_id,
+    lease_expires_at = NOW() + (lease_seconds * INTERVAL '1 second'),
+    started_at = NOW(),
+    updated_at = NOW()
+  WHERE processing_jobs.id = (
+    SELECT j.id
+    FROM processing_jobs j
+    WHERE (j.status = 'queued' AND j.run_after <= NOW())
+       OR (j.status = 'running' AND j.lease_expires_at < NOW())
+    ORDER BY j.created_at
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING processing_jobs.*;
+END;
+$$;
+
+-- Calls, tokens and cost per service since since_time
+CREATE OR REPLACE FUNCTION get_usage_summary(since_time TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  service VARCHAR(50),
+  calls BIGINT,
+  requests BIGINT,
+  input_tokens BIGINT,
+  output_tokens BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    u.service,
+    COUNT(*) AS calls,
+    COALESCE(SUM(u.requests), 0) AS requests,
+    COALESCE(SUM(u.input_tokens), 0) AS input_tokens,
+    COALESCE(SUM(u.output_tokens), 0) AS output_tokens,
+    COALESCE(SUM(u.cost_usd), 0) AS cost_usd
+  FROM usage_ledger u
+  WHERE u.created_at >= since_time
+  GROUP BY u.service
+  ORDER BY u.service;
+$$;
+
+-- Calls, quota units and cost per operation of one service since since_time
+CREATE OR REPLACE FUNCTION get_usage_by_operation(
+  usage_service VARCHAR(50),
+  since_time TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (
+  operation VARCHAR(100),
+  calls BIGINT,
+  quota_units BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    u.operation,
+    COUNT(*) AS calls,
+    COALESCE(SUM(u.quota_units), 0) AS quota_units,
+    COALESCE(SUM(u.cost_usd), 0) AS cost_usd
+  FROM usage_ledger u
+  WHERE u.service = usage_service
+    AND u.created_at >= since_time
+  GROUP BY u.operation
+  ORDER BY quota_units DESC, u.operation;
+$$;
+
+-- Merge duplicate restaurants into target_id: recommendations and favorites
+-- move to the target (a video or user that had both keeps a single row), the
+-- target takes over details it is missing, and the duplicates are deleted.
+CREATE OR REPLACE FUNCTION merge_restaurants(target_id UUID, source_ids UUID[])
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  dropped_recommendations INTEGER;
+  moved_recommendations INTEGER;
+  dropped_favorites INTEGER;
+  moved_favorites INTEGER;
+  deleted_restaurants INTEGER;
+  merged RECORD;
+BEGIN
+  IF target_id = ANY(source_ids) THEN
+    RAISE EXCEPTION 'Cannot merge restaurant % into itself', target_id;
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM restaurants WHERE id = target_id) THEN
+    RAISE EXCEPTION 'Restaurant % not found', target_id;
+  END IF;
+
+  -- Keep the target's row for a video, otherwise the oldest duplicate's
+  DELETE FROM restaurant_recommendations rr
+  WHERE rr.restaurant_id = ANY(source_ids)
+    AND EXISTS (
+      SELECT 1 FROM restaurant_recommendations other
+      WHERE other.video_id = rr.video_id
+        AND other.id <> rr.id
+        AND (other.restaurant_id = target_id
+          OR (other.restaurant_id = ANY(source_ids) AND (other.created_at, other.id) < (rr.created_at, rr.id)))
+    );
+  GET DIAGNOSTICS dropped_recommendations = ROW_COUNT;
+
+  UPDATE restaurant_recommendations SET restaurant_id = target_id
+  WHERE restaurant_id = ANY(source_ids);
+  GET DIAGNOSTICS moved_recommendations = ROW_COUNT;
+
+  DELETE FROM user_favorites uf
+  WHERE uf.restaurant_id = ANY(source_ids)
+    AND EXISTS (
+      SELECT 1 FROM user_favorites other
+      WHERE other.user_id = uf.user_id
+        AND other.id <> uf.id
+        AND (other.restaurant_id = target_id
+          OR (other.restaurant_id = ANY(source_ids) AND (other.created_at, other.id) < (uf.created_at, uf.id)))
+    );
+  GET DIAGNOSTICS dropped_favorites = ROW_COUNT;
+
+  UPDATE user_favorites SET restaurant_id = target_id
+  WHERE restaurant_id = ANY(source_ids);
+  GET DIAGNOSTICS moved_favorites = ROW_COUNT;
+
+  -- Details of the oldest duplicate that has them, kept for the target.
+  -- Taken before the duplicates are deleted; place_id is unique, so the
+  -- target can only take it over afterwards.
+  SELECT
+    (array_agg(address ORDER BY created_at) FILTER (WHERE address IS NOT NULL))[1] AS address,
+    (array_agg(city ORDER BY created_at) FILTER (WHERE city IS NOT NULL))[1] AS city,
+    (array_agg(state ORDER BY created_at) FILTER (WHERE state IS NOT NULL))[1] AS state,
+    (array_agg(country ORDER BY created_at) FILTER (WHERE country IS NOT NULL))[1] AS country,
+    (array_agg(cuisine_type ORDER BY created_at) FILTER (WHERE cuisine_type IS NOT NULL))[1] AS cuisine_type,
+    (array_agg(phone ORDER BY created_at) FILTER (WHERE phone IS NOT NULL))[1] AS phone,
+    (array_agg(website ORDER BY created_at) FILTER (WHERE website IS NOT NULL))[1] AS website,
+    (array_agg(place_id ORDER BY created_at) FILTER (WHERE place_id IS NOT NULL))[1] AS place_id,
+    (array_agg(google_maps_url ORDER BY created_at) FILTER (WHERE google_maps_url IS NOT NULL))[1] AS google_maps_url,
+    (array_agg(latitude ORDER BY created_at) FILTER (WHERE latitude IS NOT NULL))[1] AS latitude,
+    (array_agg(longitude ORDER BY created_at) FILTER (WHERE longitude IS NOT NULL))[1] AS longitude,
+    (array_agg(coordinates_source ORDER BY created_at) FILTER (WHERE latitude IS NOT NULL))[1] AS coordinates_source,
+    (array_agg(price_range ORDER BY created_at) FILTER (WHERE price_range IS NOT NULL))[1] AS price_range,
+    (array_agg(rating ORDER BY created_at) FILTER (WHERE rating IS NOT NULL))[1] AS rating
+  INTO merged
+  FROM restaurants
+  WHERE id = ANY(source_ids);
+
+  DELETE FROM restaurants WHERE id = ANY(source_ids);
+  GET DIAGNOSTICS deleted_restaurants = ROW_COUNT;
+
+  UPDATE restaurants
+  SET
+    address = COALESCE(address, merged.address),
+    city = COALESCE(city, merged.city),
+    state = COALESCE(state, merged.state),
+    country = COALESCE(country, merged.country),
+    cuisine_type = COALESCE(cuisine_type, merged.cuisine_type),
+    phone = COALESCE(phone, merged.phone),
+    website = COALESCE(website, merged.website),
+    place_id = COALESCE(place_id, merged.place_id),
+    google_maps_url = COALESCE(google_maps_url, merged.google_maps_url),
+    latitude = COALESCE(latitude, merged.latitude),
+    longitude = COALESCE(longitude, merged.longitude),
+    coordinates_source = CASE WHEN latitude IS NULL THEN merged.coordinates_source ELSE coordinates_source END,
+    price_range = COALESCE(price_range, merged.price_range),
+    rating = COALESCE(rating, merged.rating),
+    updated_at = NOW()
+  WHERE id = target_id;
+
+  RETURN json_build_object(
+    'target_id', target_id,
+    'merged_restaurants', deleted_restaurants,
+    'moved_recommendations', moved_recommendations,
+    'dropped_recommendations', dropped_recommendations,
+    'moved_favorites', moved_favorites,
+    'dropped_favorites', dropped_favorites
+  );
+END;
+$$;
+
+-- Restaurant coordinates as a PostGIS point (SRID 4326, longitude first).
+-- Queries must call it the same way as the index for the index to be used.
+CREATE OR REPLACE FUNCTION restaurant_point(latitude DOUBLE PRECISION, longitude DOUBLE PRECISION)
+RETURNS geometry
+LANGUAGE SQL
+IMMUTABLE
+AS $$
+  SELECT ST_SetSRID(ST_MakePoint(longitude, latitude), 4326);
+$$;
+
+-- Restaurants within radius_meters of a point, nearest first. The index
+-- narrows to a box around the radius; distances are then measured on the
+-- spheroid.
+CREATE OR REPLACE FUNCTION search_restaurants_nearby(
+  center_lat DOUBLE PRECISION,
+  center_lng DOUBLE PRECISION,
+  radius_meters DOUBLE PRECISION DEFAULT 2000,
+  cuisine_filter VARCHAR DEFAULT NULL,
+  price_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR,
+  address TEXT,
+  cuisine_type VARCHAR,
+  city VARCHAR,
+  country VARCHAR,
+  price_range VARCHAR,
+  rating DECIMAL,
+  latitude DECIMAL,
+  longitude DECIMAL,
+  coordinates_source VARCHAR,
+  total_mentions BIGINT,
+  distance_meters DOUBLE PRECISION
+)
+LANGUAGE SQL
+STABLE
+AS $$
+  SELECT
+    r.id,
+    r.name,
+    r.address,
+    r.cuisine_type,
+    r.city,
+    r.country,
+    r.price_range,
+    r.rating,
+    r.latitude,
+    r.longitude,
+    r.coordinates_source,
+    mentions.total_mentions,
+    ST_Distance(
+      restaurant_point(r.latitude, r.longitude)::geography,
+      ST_SetSRID(ST_MakePoint(center_lng, center_lat), 4326)::geography
+    ) AS distance_meters
+  FROM restaurants r
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_mentions
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = r.id AND rr.review_status <> 'rejected'
+  ) mentions
+  WHERE r.latitude IS NOT NULL AND r.longitude IS NOT NULL
+    -- 111,320 m per degree of latitude; a degree of longitude shrinks with cos(latitude)
+    AND restaurant_point(r.latitude, r.longitude) && ST_Expand(
+      ST_SetSRID(ST_MakePoint(center_lng, center_lat), 4326),
+      radius_meters / (111320 * GREATEST(COS(RADIANS(center_lat)), 0.01)),
+      radius_meters / 111320
+    )
+    AND ST_DWithin(
+      restaurant_point(r.latitude, r.longitude)::geography,
+      ST_SetSRID(ST_MakePoint(center_lng, center_lat), 4326)::geography,
+      radius_meters
+    )
+    AND (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
+    AND (price_filter IS NULL OR r.price_range = price_filter)
+  ORDER BY distance_meters, r.name
+  LIMIT limit_count;
+$$;
+
+-- Restaurants inside a map viewport, most mentioned first. A viewport that
+-- crosses the antimeridian has min_lng > max_lng and is searched as two boxes.
+CREATE OR REPLACE FUNCTION search_restaurants_in_bounds(
+  min_lat DOUBLE PRECISION,
+  min_lng DOUBLE PRECISION,
+  max_lat DOUBLE PRECISION,
+  max_lng DOUBLE PRECISION,
+  cuisine_filter VARCHAR DEFAULT NULL,
+  price_filter VARCHAR DEFAULT NULL,
+  limit_count INTEGER DEFAULT 200
+)
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR,
+  address TEXT,
+  cuisine_type VARCHAR,
+  city VARCHAR,
+  country VARCHAR,
+  price_range VARCHAR,
+  rating DECIMAL,
+  latitude DECIMAL,
+  longitude DECIMAL,
+  coordinates_source VARCHAR,
+  total_mentions BIGINT
+)
+LANGUAGE SQL
+STABLE
+AS $$
+  SELECT
+    r.id,
+    r.name,
+    r.address,
+    r.cuisine_type,
+    r.city,
+    r.country,
+    r.price_range,
+    r.rating,
+    r.latitude,
+    r.longitude,
+    r.coordinates_source,
+    mentions.total_mentions
+  FROM restaurants r
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_mentions
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = r.id AND rr.review_status <> 'rejected'
+  ) mentions
+  WHERE r.latitude IS NOT NULL AND r.longitude IS NOT NULL
+    AND (
+      (min_lng <= max_lng AND restaurant_point(r.latitude, r.longitude)
+        && ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326))
+      OR (min_lng > max_lng AND restaurant_point(r.latitude, r.longitude)
+        && ST_MakeEnvelope(min_lng, min_lat, 180, max_lat, 4326))
+      OR (min_lng > max_lng AND restaurant_point(r.latitude, r.longitude)
+        && ST_MakeEnvelope(-180, min_lat, max_lng, max_lat, 4326))
+    )
+    AND (cuisine_filter IS NULL OR r.cuisine_type = cuisine_filter)
+    AND (price_filter IS NULL OR r.price_range = price_filter)
+  ORDER BY mentions.total_mentions DESC, r.rating DESC NULLS LAST, r.name
+  LIMIT limit_count;
+$$;
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_restaurant_recommendations_created_at ON restaurant_recommendations(created_at DESC);
-CREATE INDEX IF NOT EXISTS idx_videos_published_at ON videos(published_at DESC);
-CREATE INDEX IF NOT EXISTS idx_restaurants_search ON restaurants USING GIN(to_tsvector('english', name || ' ' || COALESCE(cuisine_type, '') || ' ' || COALESCE(city, '')));
+CREATE INDEX IF NOT EXISTS idx_videos_published_at ON videos(published_at DESC NULLS LAST, id DESC);
+CREATE INDEX IF NOT EXISTS idx_restaurants_location ON restaurants
+  USING GIST (restaurant_point(latitude, longitude))
+  WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
 
 -- Update function for maintaining statistics
 CREATE OR REPLACE FUNCTION update_influencer_stats() 
@@ -290,4 +865,66 @@ DROP TRIGGER IF EXISTS trigger_update_influencer_stats ON videos;
 CREATE TRIGGER trigger_update_influencer_stats
   AFTER INSERT OR DELETE ON videos
   FOR EACH ROW
-  EXECUTE FUNCTION update_influencer_stats();
\ No newline at end of file
+  EXECUTE FUNCTION update_influencer_stats();
+
+-- Search document for a restaurant; rejected recommendations are left out
+CREATE OR REPLACE FUNCTION build_restaurant_search_vector(r restaurants)
+RETURNS TSVECTOR
+LANGUAGE SQL
+STABLE
+AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(r.name, '')), 'A') ||
+    setweight(to_tsvector('english', concat_ws(' ', r.cuisine_type, rec.dishes)), 'B') ||
+    setweight(to_tsvector('english', concat_ws(' ', r.city, r.state, r.country)), 'C') ||
+    setweight(to_tsvector('english', COALESCE(rec.contexts, '')), 'D')
+  FROM (
+    SELECT
+      string_agg(rr.dish_mentioned, ' ') AS dishes,
+      string_agg(rr.context, ' ') AS contexts
+    FROM restaurant_recommendations rr
+    WHERE rr.restaurant_id = r.id AND rr.review_status <> 'rejected'
+  ) rec;
+$$;
+
+CREATE OR REPLACE FUNCTION refresh_restaurant_search_documents(restaurant_ids UUID[])
+RETURNS VOID
+LANGUAGE SQL
+AS $$
+  INSERT INTO restaurant_search_documents (restaurant_id, search_vector, updated_at)
+  SELECT r.id, build_restaurant_search_vector(r), NOW()
+  FROM restaurants r
+  WHERE r.id = ANY(restaurant_ids)
+  ON CONFLICT (restaurant_id) DO UPDATE
+  SET search_vector = EXCLUDED.search_vector, updated_at = EXCLUDED.updated_at;
+$$;
+
+CREATE OR REPLACE FUNCTION update_restaurant_search_document()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- Recommendations feed their restaurant's dishes and context (and, when
+  -- moved by merge_restaurants, both restaurants')
+  IF TG_TABLE_NAME = 'restaurant_recommendations' THEN
+    PERFORM refresh_restaurant_search_documents(ARRAY[OLD.restaurant_id, NEW.restaurant_id]);
+  ELSE
+    PERFORM refresh_restaurant_search_documents(ARRAY[NEW.id]);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_update_restaurant_search_document ON restaurants;
+CREATE TRIGGER trigger_update_restaurant_search_document
+  AFTER INSERT OR UPDATE OF name, cuisine_type, city, state, country ON restaurants
+  FOR EACH ROW
+  EXECUTE FUNCTION update_restaurant_search_document();
+
+DROP TRIGGER IF EXISTS trigger_update_restaurant_search_document ON restaurant_recommendations;
+CREATE TRIGGER trigger_update_restaurant_search_document
+  AFTER INSERT OR DELETE OR UPDATE OF restaurant_id, dish_mentioned, context, review_status
+  ON restaurant_recommendations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_restaurant_search_document();